@@ -22,6 +22,7 @@
 import { Op } from 'sequelize';
 import MD_TB_Sucursales from '../../Models/Core/MD_TB_Sucursales.js';
 import { registrarLogActividad } from '../Logs/CTS_TB_LogsActividad.js';
+import { ALCANCES_VISIBILIDAD } from '../../Utils/ticketVisibilidadService.js';
 
 const SucursalesModel = MD_TB_Sucursales.SucursalesModel;
 
@@ -158,6 +159,8 @@ export const CR_Sucursal_CTS = async (req, res) => {
     horario_apertura,
     horario_cierre,
     estado,
+    visibilidad_operadores,
+    bloquear_fuera_horario,
     usuario_log_id // reservado para logs futuros
   } = req.body;
 
@@ -167,6 +170,17 @@ export const CR_Sucursal_CTS = async (req, res) => {
       .json({ mensajeError: 'El nombre de la sucursal es obligatorio' });
   }
 
+  if (
+    visibilidad_operadores &&
+    !ALCANCES_VISIBILIDAD.includes(visibilidad_operadores)
+  ) {
+    return res.status(400).json({
+      mensajeError: `Visibilidad inválida. Valores permitidos: ${ALCANCES_VISIBILIDAD.join(
+        ', '
+      )}`
+    });
+  }
+
   try {
     // Validar que el código (si viene) no se repita
     if (codigo && codigo.trim() !== '') {
@@ -193,7 +207,12 @@ export const CR_Sucursal_CTS = async (req, res) => {
       horario_apertura: horario_apertura || undefined,
       horario_cierre: horario_cierre || undefined,
       estado:
-        estado && ['activo', 'inactivo'].includes(estado) ? estado : undefined
+        estado && ['activo', 'inactivo'].includes(estado) ? estado : undefined,
+      visibilidad_operadores: visibilidad_operadores || undefined, // default 'propios'
+      bloquear_fuera_horario:
+        bloquear_fuera_horario === undefined
+          ? undefined
+          : [true, 1, '1', 'true'].includes(bloquear_fuera_horario)
     });
 
     await registrarLogActividad({
@@ -302,7 +321,9 @@ export const UR_Sucursal_CTS = async (req, res) => {
       'responsable_dni',
       'horario_apertura',
       'horario_cierre',
-      'estado'
+      'estado',
+      'visibilidad_operadores',
+      'bloquear_fuera_horario'
     ];
 
     const cambios = [];
@@ -318,6 +339,18 @@ export const UR_Sucursal_CTS = async (req, res) => {
       }
     }
 
+    // Visibilidad de tickets de los operadores de la sucursal
+    if (
+      Object.prototype.hasOwnProperty.call(req.body, 'visibilidad_operadores') &&
+      !ALCANCES_VISIBILIDAD.includes(req.body.visibilidad_operadores)
+    ) {
+      return res.status(400).json({
+        mensajeError: `Visibilidad inválida. Valores permitidos: ${ALCANCES_VISIBILIDAD.join(
+          ', '
+        )}`
+      });
+    }
+
     // Si viene "codigo", validar que no esté usado por otra sucursal
     if (req.body.codigo && req.body.codigo.trim() !== '') {
       const existing = await SucursalesModel.findOne({
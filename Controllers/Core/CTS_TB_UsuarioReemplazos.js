@@ -0,0 +1,512 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Controladores para los reemplazos de usuarios (`usuario_reemplazos`):
+ * un operador o supervisor designa a otro usuario del mismo rol como
+ * reemplazante entre dos fechas (inclusive).
+ *
+ * Mientras la delegación está vigente (ver Utils/usuarioReemplazosService.js):
+ *  - el reemplazante ve los tickets del delegante (Utils/ticketVisibilidadService.js)
+ *  - recibe copia de las notificaciones del delegante
+ *  - sus acciones quedan en logs_actividad con ambas identidades
+ *
+ * Reglas de permisos:
+ *  - Listar / ver: admin y supervisor ven todas; el operador solo las
+ *    delegaciones donde es delegante o reemplazante.
+ *  - Crear: el propio delegante (para sí mismo) o un admin (para cualquiera).
+ *  - Editar / cancelar: el delegante o un admin, mientras no haya terminado.
+ *
+ * Tema: Controladores - Reemplazos de usuarios
+ * Capa: Backend
+ *
+ * Nomenclatura:
+ *   OBR_  obtenerRegistro
+ *   OBRS_ obtenerRegistros
+ *   CR_   crearRegistro
+ *   ER_   eliminarRegistro
+ *   UR_   actualizarRegistro
+ */
+
+import { Op } from 'sequelize';
+
+import MD_TB_UsuarioReemplazos from '../../Models/Core/MD_TB_UsuarioReemplazos.js';
+import MD_TB_Usuarios from '../../Models/Core/MD_TB_Usuarios.js';
+
+import { registrarLogActividad } from '../Logs/CTS_TB_LogsActividad.js';
+import {
+  ROLES_DELEGABLES,
+  fechaHoy,
+  whereReemplazoVigente,
+  buscarReemplazoSolapado
+} from '../../Utils/usuarioReemplazosService.js';
+import { crearNotificacionesInternas } from '../../Utils/notificacionesTicketService.js';
+
+const { UsuarioReemplazosModel } = MD_TB_UsuarioReemplazos;
+const { UsuariosModel } = MD_TB_Usuarios;
+
+/**
+ * Util interno: contexto del usuario autenticado.
+ */
+const getUserContext = (req) => {
+  const user = req.user || {};
+  return {
+    id: user.id || null,
+    rol: user.rol || null
+  };
+};
+
+const FECHA_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const CAMPOS_EDITABLES = [
+  'reemplazante_id',
+  'fecha_desde',
+  'fecha_hasta',
+  'motivo'
+];
+
+const includeReemplazo = [
+  {
+    model: UsuariosModel,
+    as: 'usuario',
+    attributes: ['id', 'nombre', 'email', 'rol', 'sucursal_id']
+  },
+  {
+    model: UsuariosModel,
+    as: 'reemplazante',
+    attributes: ['id', 'nombre', 'email', 'rol', 'sucursal_id']
+  },
+  {
+    model: UsuariosModel,
+    as: 'creado_por',
+    attributes: ['id', 'nombre']
+  },
+  {
+    model: UsuariosModel,
+    as: 'cancelado_por',
+    attributes: ['id', 'nombre']
+  }
+];
+
+const httpError = (statusCode, message) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+/**
+ * ¿El usuario puede ver la delegación? (admin / supervisor / involucrados)
+ */
+const puedeVerReemplazo = (reemplazo, { id, rol }) =>
+  rol === 'admin' ||
+  rol === 'supervisor' ||
+  reemplazo.usuario_id === id ||
+  reemplazo.reemplazante_id === id;
+
+/**
+ * Normaliza y valida el payload de una delegación. En modo parcial solo
+ * valida los campos presentes. Lanza error con statusCode 400.
+ */
+const normalizarReemplazo = (body, { parcial = false } = {}) => {
+  const data = {};
+  const has = (k) => Object.prototype.hasOwnProperty.call(body, k);
+
+  if (!parcial || has('reemplazante_id')) {
+    const rid = Number(body.reemplazante_id);
+    if (!Number.isInteger(rid) || rid <= 0) {
+      throw httpError(400, 'El reemplazante (reemplazante_id) es obligatorio');
+    }
+    data.reemplazante_id = rid;
+  }
+
+  for (const campo of ['fecha_desde', 'fecha_hasta']) {
+    if (!parcial || has(campo)) {
+      const valor = String(body[campo] || '').trim();
+      if (!FECHA_REGEX.test(valor)) {
+        throw httpError(400, `${campo} es obligatoria (formato YYYY-MM-DD)`);
+      }
+      data[campo] = valor;
+    }
+  }
+
+  if (has('motivo')) {
+    const motivo = String(body.motivo || '').trim();
+    data.motivo = motivo ? motivo.slice(0, 255) : null;
+  }
+
+  return data;
+};
+
+/**
+ * Valida delegante, reemplazante y rango contra la base:
+ *  - ambos activos, distintos y con el mismo rol (operador o supervisor)
+ *  - fecha_desde <= fecha_hasta y el rango no terminó
+ *  - el delegante no tiene otra delegación activa en el rango
+ *  - el reemplazante no está ausente (delegando) en el rango
+ */
+const validarReemplazo = async ({
+  usuarioId,
+  reemplazanteId,
+  fechaDesde,
+  fechaHasta,
+  excluirId = null
+}) => {
+  if (fechaDesde > fechaHasta) {
+    throw httpError(400, 'fecha_desde no puede ser posterior a fecha_hasta');
+  }
+  if (fechaHasta < fechaHoy()) {
+    throw httpError(400, 'El rango del reemplazo ya terminó');
+  }
+  if (usuarioId === reemplazanteId) {
+    throw httpError(400, 'Un usuario no puede reemplazarse a sí mismo');
+  }
+
+  const [delegante, reemplazante] = await Promise.all([
+    UsuariosModel.findByPk(usuarioId, {
+      attributes: ['id', 'nombre', 'rol', 'estado']
+    }),
+    UsuariosModel.findByPk(reemplazanteId, {
+      attributes: ['id', 'nombre', 'rol', 'estado']
+    })
+  ]);
+
+  if (!delegante) throw httpError(400, `No existe el usuario #${usuarioId}`);
+  if (!ROLES_DELEGABLES.includes(delegante.rol)) {
+    throw httpError(
+      400,
+      `Solo pueden delegar usuarios con rol: ${ROLES_DELEGABLES.join(', ')}`
+    );
+  }
+  if (!reemplazante || reemplazante.estado !== 'activo') {
+    throw httpError(400, 'El reemplazante no existe o está inactivo');
+  }
+  if (reemplazante.rol !== delegante.rol) {
+    throw httpError(
+      400,
+      `El reemplazante debe tener el mismo rol que el delegante (${delegante.rol})`
+    );
+  }
+
+  const solapado = await buscarReemplazoSolapado({
+    usuarioId,
+    fechaDesde,
+    fechaHasta,
+    excluirId
+  });
+  if (solapado) {
+    throw httpError(
+      409,
+      `El usuario ya tiene un reemplazo activo entre ${solapado.fecha_desde} y ${solapado.fecha_hasta} (#${solapado.id})`
+    );
+  }
+
+  const reemplazanteAusente = await buscarReemplazoSolapado({
+    usuarioId: reemplazanteId,
+    fechaDesde,
+    fechaHasta
+  });
+  if (reemplazanteAusente) {
+    throw httpError(
+      409,
+      `${reemplazante.nombre} tiene su propio reemplazo entre ${reemplazanteAusente.fecha_desde} y ${reemplazanteAusente.fecha_hasta}`
+    );
+  }
+
+  return { delegante, reemplazante };
+};
+
+// ===================================================
+// 1) Listar reemplazos
+// GET /reemplazos
+// Query params:
+//   usuario_id, reemplazante_id, estado (activo | cancelado),
+//   vigentes=1 (solo los que aplican hoy)
+// ===================================================
+
+export const OBRS_UsuarioReemplazos_CTS = async (req, res) => {
+  try {
+    const { id: usuarioIdCtx, rol } = getUserContext(req);
+    const { usuario_id, reemplazante_id, estado, vigentes } = req.query || {};
+
+    const where = {};
+
+    if (usuario_id) where.usuario_id = Number(usuario_id);
+    if (reemplazante_id) where.reemplazante_id = Number(reemplazante_id);
+    if (estado && ['activo', 'cancelado'].includes(estado)) {
+      where.estado = estado;
+    }
+    if (['1', 'true'].includes(String(vigentes))) {
+      Object.assign(where, whereReemplazoVigente());
+    }
+
+    // El operador solo ve las delegaciones en las que participa
+    if (rol !== 'admin' && rol !== 'supervisor') {
+      where[Op.or] = [
+        { usuario_id: usuarioIdCtx || 0 },
+        { reemplazante_id: usuarioIdCtx || 0 }
+      ];
+    }
+
+    const reemplazos = await UsuarioReemplazosModel.findAll({
+      where,
+      include: includeReemplazo,
+      order: [
+        ['fecha_desde', 'DESC'],
+        ['id', 'DESC']
+      ]
+    });
+
+    res.json(reemplazos);
+  } catch (error) {
+    console.error('[OBRS_UsuarioReemplazos_CTS] error:', error);
+    res.status(500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 2) Obtener un reemplazo por ID
+// GET /reemplazos/:id
+// ===================================================
+
+export const OBR_UsuarioReemplazo_CTS = async (req, res) => {
+  try {
+    const reemplazo = await UsuarioReemplazosModel.findByPk(req.params.id, {
+      include: includeReemplazo
+    });
+    if (!reemplazo) {
+      return res.status(404).json({ mensajeError: 'Reemplazo no encontrado' });
+    }
+
+    if (!puedeVerReemplazo(reemplazo, getUserContext(req))) {
+      return res
+        .status(403)
+        .json({ mensajeError: 'No tiene permisos para ver este reemplazo' });
+    }
+
+    res.json(reemplazo);
+  } catch (error) {
+    console.error('[OBR_UsuarioReemplazo_CTS] error:', error);
+    res.status(500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 3) Crear reemplazo
+// POST /reemplazos
+// Body:
+//   reemplazante_id, fecha_desde, fecha_hasta (YYYY-MM-DD, inclusive),
+//   motivo (opcional), usuario_id (solo admin; default: el usuario logueado)
+// ===================================================
+
+export const CR_UsuarioReemplazo_CTS = async (req, res) => {
+  const { id: usuarioIdCtx, rol } = getUserContext(req);
+
+  try {
+    const body = req.body || {};
+    const data = normalizarReemplazo(body);
+
+    let usuarioId = usuarioIdCtx;
+    if (
+      body.usuario_id !== undefined &&
+      body.usuario_id !== null &&
+      body.usuario_id !== '' &&
+      Number(body.usuario_id) !== usuarioIdCtx
+    ) {
+      if (rol !== 'admin') {
+        throw httpError(
+          403,
+          'Solo un administrador puede cargar reemplazos de otros usuarios'
+        );
+      }
+      usuarioId = Number(body.usuario_id);
+    }
+
+    const { delegante, reemplazante } = await validarReemplazo({
+      usuarioId,
+      reemplazanteId: data.reemplazante_id,
+      fechaDesde: data.fecha_desde,
+      fechaHasta: data.fecha_hasta
+    });
+
+    const nuevo = await UsuarioReemplazosModel.create({
+      ...data,
+      usuario_id: usuarioId,
+      creado_por_id: usuarioIdCtx
+    });
+
+    await crearNotificacionesInternas({
+      usuarioOrigenId: usuarioIdCtx,
+      destinatariosIds: [reemplazante.id, delegante.id],
+      asunto: `Reemplazo de ${delegante.nombre}`,
+      mensaje:
+        `${reemplazante.nombre} reemplaza a ${delegante.nombre} del ${data.fecha_desde} al ${data.fecha_hasta}.` +
+        (data.motivo ? `\nMotivo: ${data.motivo}` : '') +
+        `\n\nDurante ese período ve sus tickets y recibe sus notificaciones.`
+    });
+
+    await registrarLogActividad({
+      usuario_id: usuarioIdCtx,
+      modulo: 'usuarios',
+      accion: 'CREAR_REEMPLAZO',
+      entidad: 'usuario_reemplazo',
+      entidad_id: nuevo.id,
+      descripcion: `El usuario ${usuarioIdCtx} designó a ${reemplazante.nombre} (#${reemplazante.id}) como reemplazo de ${delegante.nombre} (#${delegante.id}) del ${data.fecha_desde} al ${data.fecha_hasta} (#${nuevo.id}).`,
+      ip: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    res.json({ message: 'Reemplazo creado correctamente', reemplazo: nuevo });
+  } catch (error) {
+    console.error('[CR_UsuarioReemplazo_CTS] error:', error);
+    res.status(error.statusCode || 500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 4) Actualizar reemplazo (delegante o admin)
+// PUT /reemplazos/:id
+// Body: reemplazante_id?, fecha_desde?, fecha_hasta?, motivo?
+// ===================================================
+
+export const UR_UsuarioReemplazo_CTS = async (req, res) => {
+  const { id } = req.params;
+  const { id: usuarioIdCtx, rol } = getUserContext(req);
+
+  try {
+    const reemplazo = await UsuarioReemplazosModel.findByPk(id);
+    if (!reemplazo) {
+      return res.status(404).json({ mensajeError: 'Reemplazo no encontrado' });
+    }
+
+    if (rol !== 'admin' && reemplazo.usuario_id !== usuarioIdCtx) {
+      return res.status(403).json({
+        mensajeError: 'Solo el delegante o un admin pueden editar el reemplazo'
+      });
+    }
+    if (reemplazo.estado !== 'activo') {
+      return res
+        .status(400)
+        .json({ mensajeError: 'No se puede editar un reemplazo cancelado' });
+    }
+    if (reemplazo.fecha_hasta < fechaHoy()) {
+      return res
+        .status(400)
+        .json({ mensajeError: 'No se puede editar un reemplazo que ya terminó' });
+    }
+
+    const data = normalizarReemplazo(req.body || {}, { parcial: true });
+
+    await validarReemplazo({
+      usuarioId: reemplazo.usuario_id,
+      reemplazanteId: data.reemplazante_id ?? reemplazo.reemplazante_id,
+      fechaDesde: data.fecha_desde ?? reemplazo.fecha_desde,
+      fechaHasta: data.fecha_hasta ?? reemplazo.fecha_hasta,
+      excluirId: reemplazo.id
+    });
+
+    const cambios = [];
+    for (const key of CAMPOS_EDITABLES) {
+      if (
+        Object.prototype.hasOwnProperty.call(data, key) &&
+        String(data[key]) !== String(reemplazo[key])
+      ) {
+        cambios.push(
+          `cambió el campo "${key}" de "${reemplazo[key]}" a "${data[key]}"`
+        );
+      }
+    }
+
+    await reemplazo.update(data);
+
+    await registrarLogActividad({
+      usuario_id: usuarioIdCtx,
+      modulo: 'usuarios',
+      accion: 'ACTUALIZAR_REEMPLAZO',
+      entidad: 'usuario_reemplazo',
+      entidad_id: reemplazo.id,
+      descripcion:
+        cambios.length > 0
+          ? `El usuario ${usuarioIdCtx} actualizó el reemplazo #${reemplazo.id}: ${cambios.join('; ')}`
+          : `El usuario ${usuarioIdCtx} ejecutó actualización sin cambios aparentes en el reemplazo #${reemplazo.id}`,
+      ip: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    res.json({
+      message: 'Reemplazo actualizado correctamente',
+      reemplazo,
+      cambios
+    });
+  } catch (error) {
+    console.error('[UR_UsuarioReemplazo_CTS] error:', error);
+    res.status(error.statusCode || 500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 5) Cancelar reemplazo (delegante o admin)
+// DELETE /reemplazos/:id
+// Baja lógica: queda en estado "cancelado" y deja de aplicarse en el acto.
+// ===================================================
+
+export const ER_UsuarioReemplazo_CTS = async (req, res) => {
+  const { id } = req.params;
+  const { id: usuarioIdCtx, rol } = getUserContext(req);
+
+  try {
+    const reemplazo = await UsuarioReemplazosModel.findByPk(id);
+    if (!reemplazo) {
+      return res.status(404).json({ mensajeError: 'Reemplazo no encontrado' });
+    }
+
+    if (rol !== 'admin' && reemplazo.usuario_id !== usuarioIdCtx) {
+      return res.status(403).json({
+        mensajeError: 'Solo el delegante o un admin pueden cancelar el reemplazo'
+      });
+    }
+    if (reemplazo.estado === 'cancelado') {
+      return res
+        .status(400)
+        .json({ mensajeError: 'El reemplazo ya está cancelado' });
+    }
+
+    await reemplazo.update({
+      estado: 'cancelado',
+      cancelado_por_id: usuarioIdCtx,
+      fecha_cancelacion: new Date()
+    });
+
+    await crearNotificacionesInternas({
+      usuarioOrigenId: usuarioIdCtx,
+      destinatariosIds: [reemplazo.reemplazante_id, reemplazo.usuario_id],
+      asunto: 'Reemplazo cancelado',
+      mensaje: `Se canceló el reemplazo #${reemplazo.id} (del ${reemplazo.fecha_desde} al ${reemplazo.fecha_hasta}).`
+    });
+
+    await registrarLogActividad({
+      usuario_id: usuarioIdCtx,
+      modulo: 'usuarios',
+      accion: 'CANCELAR_REEMPLAZO',
+      entidad: 'usuario_reemplazo',
+      entidad_id: reemplazo.id,
+      descripcion: `El usuario ${usuarioIdCtx} canceló el reemplazo #${reemplazo.id} (usuario #${reemplazo.usuario_id} → reemplazante #${reemplazo.reemplazante_id}).`,
+      ip: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    res.json({ message: 'Reemplazo cancelado correctamente', reemplazo });
+  } catch (error) {
+    console.error('[ER_UsuarioReemplazo_CTS] error:', error);
+    res.status(500).json({ mensajeError: error.message });
+  }
+};
+
+export default {
+  OBRS_UsuarioReemplazos_CTS,
+  OBR_UsuarioReemplazo_CTS,
+  CR_UsuarioReemplazo_CTS,
+  UR_UsuarioReemplazo_CTS,
+  ER_UsuarioReemplazo_CTS
+};
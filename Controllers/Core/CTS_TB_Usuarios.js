@@ -16,6 +16,7 @@ import MD_TB_Usuarios from '../../Models/Core/MD_TB_Usuarios.js';
 import MD_TB_Sucursales from '../../Models/Core/MD_TB_Sucursales.js';
 import bcrypt from 'bcryptjs';
 import { Op } from 'sequelize';
+import { ALCANCES_VISIBILIDAD } from '../../Utils/ticketVisibilidadService.js';
 
 const { UsuariosModel } = MD_TB_Usuarios;
 const { SucursalesModel } = MD_TB_Sucursales;
@@ -95,6 +96,7 @@ export const CR_Usuario_CTS = async (req, res) => {
     rol,
     sucursal_id,
     estado,
+    visibilidad_tickets,
     usuario_log_id // reservado para logs futuros
   } = req.body;
 
@@ -114,6 +116,18 @@ export const CR_Usuario_CTS = async (req, res) => {
       });
   }
 
+  // Override de visibilidad de tickets (vacío = hereda de la sucursal)
+  if (
+    visibilidad_tickets &&
+    !ALCANCES_VISIBILIDAD.includes(visibilidad_tickets)
+  ) {
+    return res.status(400).json({
+      mensajeError: `Visibilidad inválida. Valores permitidos: ${ALCANCES_VISIBILIDAD.join(
+        ', '
+      )}`
+    });
+  }
+
   try {
     // Validar email único
     const existeEmail = await UsuariosModel.findOne({ where: { email } });
@@ -159,7 +173,8 @@ export const CR_Usuario_CTS = async (req, res) => {
       password: hashedPassword,
       rol,
       sucursal_id: sucursalIdNormalizado,
-      estado: estadoFinal
+      estado: estadoFinal,
+      visibilidad_tickets: visibilidad_tickets || null
     });
 
     const plain = nuevo.toJSON();
@@ -249,6 +264,23 @@ export const UR_Usuario_CTS = async (req, res) => {
       }
     }
 
+    // Visibilidad de tickets del operador: '' / null = hereda de la sucursal
+    // (se lee de req.body porque stripEmpty descarta los vacíos)
+    if (Object.prototype.hasOwnProperty.call(req.body, 'visibilidad_tickets')) {
+      const vis = req.body.visibilidad_tickets;
+      if (vis === null || vis === '') {
+        payload.visibilidad_tickets = null;
+      } else if (!ALCANCES_VISIBILIDAD.includes(vis)) {
+        return res.status(400).json({
+          mensajeError: `Visibilidad inválida. Valores permitidos: ${ALCANCES_VISIBILIDAD.join(
+            ', '
+          )}`
+        });
+      } else {
+        payload.visibilidad_tickets = vis;
+      }
+    }
+
     // Validar rol si viene
     if ('rol' in payload && !ROLES_VALIDOS.includes(payload.rol)) {
       return res
@@ -293,7 +325,14 @@ export const UR_Usuario_CTS = async (req, res) => {
     }
 
     // Armar difs para logs (sin mostrar password)
-    const camposParaDiff = ['nombre', 'email', 'rol', 'sucursal_id', 'estado'];
+    const camposParaDiff = [
+      'nombre',
+      'email',
+      'rol',
+      'sucursal_id',
+      'estado',
+      'visibilidad_tickets'
+    ];
     const cambios = [];
 
     for (const key of camposParaDiff) {
@@ -13,6 +13,11 @@
 
 import { Op } from 'sequelize';
 import MD_TB_LogsActividad from '../../Models/Logs/MD_TB_LogsActividad.js';
+import {
+  usaPaginacionCursor,
+  pideTotal,
+  paginarPorCursor
+} from '../../Utils/paginacionCursor.js';
 
 const { LogsActividadModel } = MD_TB_LogsActividad;
 
@@ -34,7 +39,12 @@ const stripEmpty = (obj) => {
 // GET /logs
 // Query params:
 //   page, limit, usuario_id, modulo, accion, entidad, entidad_id,
+//   en_reemplazo_de_id (acciones hechas en reemplazo de ese usuario),
 //   fecha_desde, fecha_hasta, q, orderBy, orderDir
+//
+// Paginación por cursor (alternativa a page, ver Utils/paginacionCursor.js):
+//   paginacion=cursor | cursor=<meta.nextCursor>, con_total (1/0)
+//   Orden por fecha_hora (default) o id.
 // ===================================================
 
 export const OBRS_LogsActividad_CTS = async (req, res) => {
@@ -47,6 +57,7 @@ export const OBRS_LogsActividad_CTS = async (req, res) => {
       accion,
       entidad,
       entidad_id,
+      en_reemplazo_de_id,
       fecha_desde,
       fecha_hasta,
       q,
@@ -83,6 +94,11 @@ export const OBRS_LogsActividad_CTS = async (req, res) => {
       if (!Number.isNaN(eid)) where.entidad_id = eid;
     }
 
+    if (en_reemplazo_de_id) {
+      const rid = Number(en_reemplazo_de_id);
+      if (!Number.isNaN(rid)) where.en_reemplazo_de_id = rid;
+    }
+
     // Filtro por rango de fecha_hora
     if (fecha_desde || fecha_hasta) {
       where.fecha_hora = {};
@@ -125,6 +141,31 @@ export const OBRS_LogsActividad_CTS = async (req, res) => {
       ? String(orderDir).toUpperCase()
       : 'DESC';
 
+    const filters = stripEmpty({
+      usuario_id,
+      modulo,
+      accion,
+      entidad,
+      entidad_id,
+      en_reemplazo_de_id,
+      fecha_desde,
+      fecha_hasta,
+      q
+    });
+
+    if (usaPaginacionCursor(req.query)) {
+      const { rows, meta } = await paginarPorCursor(LogsActividadModel, {
+        where,
+        campos: ['fecha_hora', 'id'],
+        orderBy,
+        orderDir: dir,
+        limit: limitNum,
+        cursor: req.query.cursor,
+        contar: pideTotal(req.query)
+      });
+      return res.json({ data: rows, meta: { ...meta, filters } });
+    }
+
     const { rows, count } = await LogsActividadModel.findAndCountAll({
       where,
       order: [[col, dir]],
@@ -145,21 +186,12 @@ export const OBRS_LogsActividad_CTS = async (req, res) => {
         hasPrev: pageNum > 1,
         orderBy: col,
         orderDir: dir,
-        filters: stripEmpty({
-          usuario_id,
-          modulo,
-          accion,
-          entidad,
-          entidad_id,
-          fecha_desde,
-          fecha_hasta,
-          q
-        })
+        filters
       }
     });
   } catch (error) {
     console.error('[OBRS_LogsActividad_CTS] error:', error);
-    res.status(500).json({ mensajeError: error.message });
+    res.status(error.statusCode || 500).json({ mensajeError: error.message });
   }
 };
 
@@ -190,6 +222,9 @@ export const OBR_LogActividad_CTS = async (req, res) => {
 
 /**
  * Registra un evento en logs_actividad.
+ * Acciones hechas bajo una delegación (el acceso vino del alcance del
+ * delegante): el que llama pasa en_reemplazo_de_id / reemplazo_id
+ * (ver resolverReemplazoTicket); usuario_id sigue siendo quien actuó.
  *
  * Uso típico dentro de otros controladores:
  *
@@ -214,7 +249,9 @@ export const registrarLogActividad = async ({
   entidad_id = null,
   descripcion = null,
   ip = null,
-  user_agent = null
+  user_agent = null,
+  en_reemplazo_de_id = null,
+  reemplazo_id = null
 }) => {
   try {
     if (!modulo || !accion) {
@@ -227,6 +264,8 @@ export const registrarLogActividad = async ({
 
     await LogsActividadModel.create({
       usuario_id: usuario_id ?? null,
+      en_reemplazo_de_id: en_reemplazo_de_id ?? null,
+      reemplazo_id: reemplazo_id ?? null,
       modulo,
       accion,
       entidad: entidad ?? null,
@@ -33,6 +33,11 @@ import MD_TB_Tickets from '../../Models/Tickets/MD_TB_Tickets.js';
 import MD_TB_Usuarios from '../../Models/Core/MD_TB_Usuarios.js';
 import MD_TB_Sucursales from '../../Models/Core/MD_TB_Sucursales.js';
 import { registrarLogActividad } from '../Logs/CTS_TB_LogsActividad.js';
+import {
+  usaPaginacionCursor,
+  pideTotal,
+  paginarPorCursor
+} from '../../Utils/paginacionCursor.js';
 
 const { NotificacionesModel } = MD_TB_Notificaciones;
 const { TicketsModel } = MD_TB_Tickets;
@@ -93,6 +98,10 @@ const toBool = (v) => {
 //   fecha_desde, fecha_hasta (fecha_creacion)
 //   orderBy, orderDir
 //
+// Paginación por cursor (alternativa a page, ver Utils/paginacionCursor.js):
+//   paginacion=cursor | cursor=<meta.nextCursor>, con_total (1/0)
+//   Orden por fecha_creacion (default) o id.
+//
 // Reglas de visibilidad:
 //   - operador_sucursal -> usuario_destino_id = req.user.id (forzado)
 //   - supervisor/admin -> por defecto ve sus propias notificaciones,
@@ -193,42 +202,69 @@ export const OBRS_Notificaciones_CTS = async (req, res) => {
       ? String(orderDir).toUpperCase()
       : 'DESC';
 
+    const include = [
+      {
+        model: UsuariosModel,
+        as: 'origen', // 👈 alias que ya definimos en relations
+        attributes: ['id', 'nombre', 'email', 'rol']
+      },
+      {
+        model: UsuariosModel,
+        as: 'destino', // 👈 idem
+        attributes: ['id', 'nombre', 'email', 'rol']
+      },
+      {
+        model: TicketsModel,
+        as: 'ticket',
+        attributes: [
+          'id',
+          'codigo',
+          'estado',
+          'fecha_ticket',
+          'hora_ticket',
+          'sucursal_id',
+          'asunto'
+        ],
+        include: [
+          {
+            model: SucursalesModel,
+            as: 'sucursal',
+            attributes: ['id', 'nombre', 'codigo', 'ciudad']
+          }
+        ]
+      }
+    ];
+
+    const filters = stripEmpty({
+      usuario_destino_id: where.usuario_destino_id,
+      ticket_id,
+      canal,
+      estado_envio,
+      solo_no_leidas,
+      fecha_desde,
+      fecha_hasta
+    });
+
+    if (usaPaginacionCursor(req.query)) {
+      const { rows, meta } = await paginarPorCursor(NotificacionesModel, {
+        where,
+        campos: ['fecha_creacion', 'id'],
+        orderBy,
+        orderDir: dir,
+        limit: limitNum,
+        cursor: req.query.cursor,
+        contar: pideTotal(req.query),
+        options: { include }
+      });
+      return res.json({ data: rows, meta: { ...meta, filters } });
+    }
+
     const { rows, count } = await NotificacionesModel.findAndCountAll({
       where,
       order: [[col, dir]],
       limit: limitNum,
       offset,
-      include: [
-        {
-          model: UsuariosModel,
-          as: 'origen', // 👈 alias que ya definimos en relations
-          attributes: ['id', 'nombre', 'email', 'rol']
-        },
-        {
-          model: UsuariosModel,
-          as: 'destino', // 👈 idem
-          attributes: ['id', 'nombre', 'email', 'rol']
-        },
-        {
-          model: TicketsModel,
-          as: 'ticket',
-          attributes: [
-            'id',
-            'estado',
-            'fecha_ticket',
-            'hora_ticket',
-            'sucursal_id',
-            'asunto'
-          ],
-          include: [
-            {
-              model: SucursalesModel,
-              as: 'sucursal',
-              attributes: ['id', 'nombre', 'codigo', 'ciudad']
-            }
-          ]
-        }
-      ]
+      include
     });
 
     const totalPages = Math.max(Math.ceil(count / limitNum), 1);
@@ -244,20 +280,12 @@ export const OBRS_Notificaciones_CTS = async (req, res) => {
         hasPrev: pageNum > 1,
         orderBy: col,
         orderDir: dir,
-        filters: stripEmpty({
-          usuario_destino_id: where.usuario_destino_id,
-          ticket_id,
-          canal,
-          estado_envio,
-          solo_no_leidas,
-          fecha_desde,
-          fecha_hasta
-        })
+        filters
       }
     });
   } catch (error) {
     console.error('[OBRS_Notificaciones_CTS] error:', error);
-    res.status(500).json({ mensajeError: error.message });
+    res.status(error.statusCode || 500).json({ mensajeError: error.message });
   }
 };
 
@@ -15,8 +15,8 @@
  *
  * Reglas de permisos:
  *  - operador_sucursal:
- *      * Sólo puede ver/crear/eliminar adjuntos de tickets que él creó,
- *        y mientras el ticket esté en estado 'abierto' o 'pendiente'.
+ *      * Sólo puede ver/crear/eliminar adjuntos de tickets de su alcance
+ *        (propios o de su sucursal, ver ticketVisibilidadService), y mientras el ticket esté en estado 'abierto' o 'pendiente'.
  *  - supervisor / admin:
  *      * Pueden gestionar adjuntos de cualquier ticket.
  *
@@ -35,10 +35,16 @@ import MD_TB_TicketEstadosHistorial from '../../Models/Tickets/MD_TB_TicketEstad
 import {
   toRelativeFromRoot,
   deleteFileIfExists,
-  deleteDirIfEmpty
+  deleteDirIfEmpty,
+  resolveSafeUploadPath
 } from '../../Utils/fileManager.js';
+import {
+  usuarioPuedeVerTicket,
+  resolverReemplazoTicket
+} from '../../Utils/ticketVisibilidadService.js';
 
 import { registrarLogActividad } from '../Logs/CTS_TB_LogsActividad.js';
+import { etiquetaTicket } from '../../Utils/ticketCodigoService.js';
 import fs from 'fs';
 
 const { TicketAdjuntosModel } = MD_TB_TicketAdjuntos;
@@ -52,6 +58,17 @@ import {
   crearNotificacionesPorTicketCreado,
   enviarEmailsPorTicketCreado
 } from '../../Utils/notificacionesTicketService.js';
+import { asignarTicketPorDefecto } from '../../Utils/ticketAsignacionService.js';
+import { evaluarAdjuntosCategoria } from '../../Utils/ticketCategoriasService.js';
+import { notificarSeguidores } from '../../Utils/ticketSeguidoresService.js';
+import { TicketCategoriasModel } from '../../Models/Tickets/MD_TB_TicketCategorias.js';
+import {
+  etagTicket,
+  leerVersionEsperada,
+  verificarVersionTicket,
+  esConflictoVersion,
+  responderConflictoVersion
+} from '../../Utils/ticketVersionService.js';
 
 /**
  * Util interno: limpia objetos (quita '', null, undefined).
@@ -94,31 +111,30 @@ const inferTipoFromMime = (mimetype = '') => {
  * Verifica que el usuario tenga permiso sobre un ticket
  * y opcionalmente que el ticket esté en un estado editable.
  *
- * @param {object} ticket - instancia de TicketsModel
+ * @param {object} ticket - instancia de TicketsModel (con sucursal_id y usuario_creador_id)
  * @param {object} userCtx - { id, rol }
  * @param {boolean} requireEditableState - true si queremos que estado sea abierto/pendiente
+ * @param {object} [opts] - { transaction }
  */
-const assertTicketPermission = (
+const assertTicketPermission = async (
   ticket,
   userCtx,
-  requireEditableState = false
+  requireEditableState = false,
+  { transaction } = {}
 ) => {
-  const { id: userId, rol } = userCtx;
-
   if (!ticket) {
     const err = new Error('Ticket no encontrado');
     err.statusCode = 404;
     throw err;
   }
 
-  if (rol === 'operador_sucursal') {
-    if (ticket.usuario_creador_id !== userId) {
-      const err = new Error(
-        'No tiene permisos para operar sobre adjuntos de este ticket'
-      );
-      err.statusCode = 403;
-      throw err;
-    }
+  // operador_sucursal: tickets propios o de su sucursal, según configuración
+  if (!(await usuarioPuedeVerTicket(ticket, userCtx, { transaction }))) {
+    const err = new Error(
+      'No tiene permisos para operar sobre adjuntos de este ticket'
+    );
+    err.statusCode = 403;
+    throw err;
   }
 
   if (requireEditableState && !ESTADOS_EDITABLES.includes(ticket.estado)) {
@@ -129,20 +145,6 @@ const assertTicketPermission = (
     throw err;
   }
 };
-const BASE_UPLOAD_DIR = path.join(process.cwd(), 'uploads');
-
-const resolveSafeUploadPath = (rutaRelativa) => {
-  const rel = String(rutaRelativa || '').replace(/^\/+/, '');
-  const abs = path.resolve(process.cwd(), rel);
-
-  // Evita path traversal y asegura que quede dentro de /uploads
-  if (!abs.startsWith(BASE_UPLOAD_DIR)) {
-    const err = new Error('Ruta de archivo inválida');
-    err.statusCode = 400;
-    throw err;
-  }
-  return abs;
-};
 
 // ===================================================
 // 1) Listado de adjuntos por ticket
@@ -175,7 +177,7 @@ export const OBRS_TicketAdjuntos_CTS = async (req, res) => {
 
     // Verificar ticket y permisos (solo lectura: no necesita estado editable)
     const ticket = await TicketsModel.findByPk(ticketId);
-    assertTicketPermission(ticket, { id: usuarioIdCtx, rol }, false);
+    await assertTicketPermission(ticket, { id: usuarioIdCtx, rol }, false);
 
     const pageNum = Math.max(parseInt(page || '1', 10), 1);
     const limitNum = Math.min(Math.max(parseInt(limit || '20', 10), 1), 100);
@@ -276,7 +278,11 @@ export const OBR_TicketAdjunto_CTS = async (req, res) => {
     }
 
     // Verificar permisos sobre el ticket asociado
-    assertTicketPermission(adjunto.ticket, { id: usuarioIdCtx, rol }, false);
+    await assertTicketPermission(
+      adjunto.ticket,
+      { id: usuarioIdCtx, rol },
+      false
+    );
 
     res.json(adjunto);
   } catch (error) {
@@ -312,7 +318,11 @@ export const FILE_TicketAdjunto_CTS = async (req, res) => {
     }
 
     // Permisos sobre el ticket
-    assertTicketPermission(adjunto.ticket, { id: usuarioIdCtx, rol }, false);
+    await assertTicketPermission(
+      adjunto.ticket,
+      { id: usuarioIdCtx, rol },
+      false
+    );
 
     const absPath = resolveSafeUploadPath(adjunto.ruta_archivo);
     if (!fs.existsSync(absPath)) {
@@ -353,6 +363,10 @@ export const FILE_TicketAdjunto_CTS = async (req, res) => {
 //   formData.append('files', file)
 //
 // Soporta también el modo legacy .single('archivo') (req.file)
+//
+// Concurrencia: If-Match (o campo `version`) con el ETag del ticket.
+// Si no coincide -> 409 con el estado actual y se descartan los archivos
+// recién subidos (la subida puede pasar el borrador a "pendiente").
 // ===================================================
 export const CR_TicketAdjunto_CTS = async (req, res) => {
   let transaction;
@@ -396,7 +410,10 @@ export const CR_TicketAdjunto_CTS = async (req, res) => {
     });
 
     // permisos + estado editable (asegurate de permitir pendiente_adjuntos)
-    assertTicketPermission(ticket, { id: usuarioIdCtx, rol }, true);
+    await assertTicketPermission(ticket, { id: usuarioIdCtx, rol }, true, {
+      transaction
+    });
+    verificarVersionTicket(ticket, leerVersionEsperada(req));
 
     let { tipo, es_principal } = req.body;
 
@@ -461,16 +478,26 @@ export const CR_TicketAdjunto_CTS = async (req, res) => {
       nuevosAdjuntos.push(nuevoAdjunto);
     }
 
-    //  Si estaba en borrador, y ahora hay al menos 1 imagen, finalizamos
+    //  Si estaba en borrador y ya cumple las reglas de adjuntos de su
+    //  categoría (tipos obligatorios + mínimo de archivos), finalizamos.
+    //  Sin categoría: alcanza con 1 archivo.
     let finalizoTicket = false;
+    let requisitosAdjuntos = null;
 
     if (String(ticket.estado) === 'pendiente_adjuntos') {
-      const adjCount = await TicketAdjuntosModel.count({
-        where: { ticket_id: ticketId },
+      const categoria = ticket.categoria_id
+        ? await TicketCategoriasModel.findByPk(ticket.categoria_id, {
+            transaction
+          })
+        : null;
+
+      requisitosAdjuntos = await evaluarAdjuntosCategoria({
+        ticketId,
+        categoria,
         transaction
       });
 
-      if (adjCount >= 1) {
+      if (requisitosAdjuntos.cumple) {
         await ticket.update({ estado: 'pendiente' }, { transaction });
         await ticket.reload({ transaction });
 
@@ -485,14 +512,34 @@ export const CR_TicketAdjunto_CTS = async (req, res) => {
           { transaction }
         );
 
+        // Responsable por defecto: supervisor de la sucursal con menos carga
+        await asignarTicketPorDefecto({ ticket, transaction });
+
         await crearNotificacionesPorTicketCreado({ ticket, transaction });
         finalizoTicket = true;
       }
     }
 
+    // Aviso a seguidores (operador incluido si no es quien sube)
+    await notificarSeguidores({
+      ticket,
+      usuarioOrigenId: usuarioIdCtx,
+      asunto: `Nuevos adjuntos en ticket ${etiquetaTicket(ticket)}`,
+      mensaje:
+        `Se ${nuevosAdjuntos.length === 1 ? 'agregó 1 adjunto' : `agregaron ${nuevosAdjuntos.length} adjuntos`} ` +
+        `al ticket ${etiquetaTicket(ticket)} ("${ticket.asunto}"): ` +
+        nuevosAdjuntos.map((a) => a.nombre_original).join(', ') +
+        (finalizoTicket ? '\n\nEl ticket quedó en estado "pendiente".' : ''),
+      transaction
+    });
+
     await transaction.commit();
 
     // Logs fuera de transacción (como vos ya hacías)
+    const reemplazo = await resolverReemplazoTicket(ticket, {
+      id: usuarioIdCtx,
+      rol
+    });
     for (const a of nuevosAdjuntos) {
       await registrarLogActividad({
         usuario_id: usuarioLog,
@@ -502,7 +549,8 @@ export const CR_TicketAdjunto_CTS = async (req, res) => {
         entidad_id: a.id,
         descripcion: `El usuario ${usuarioLog} agregó un adjunto al ticket #${ticketId} (adjunto #${a.id}, tipo=${a.tipo}, nombre="${a.nombre_original}").`,
         ip: req.ip,
-        user_agent: req.headers['user-agent']
+        user_agent: req.headers['user-agent'],
+        ...reemplazo
       });
     }
 
@@ -515,7 +563,8 @@ export const CR_TicketAdjunto_CTS = async (req, res) => {
         entidad_id: ticketId,
         descripcion: `El usuario ${usuarioLog} confirmó el ticket #${ticketId} al adjuntar imágenes (estado=pendiente).`,
         ip: req.ip,
-        user_agent: req.headers['user-agent']
+        user_agent: req.headers['user-agent'],
+        ...reemplazo
       });
 
       // Emails en background
@@ -527,13 +576,15 @@ export const CR_TicketAdjunto_CTS = async (req, res) => {
       });
     }
 
+    res.set('ETag', etagTicket(ticket));
     return res.json({
       message:
         nuevosAdjuntos.length === 1
           ? 'Adjunto creado correctamente'
           : `${nuevosAdjuntos.length} adjuntos creados correctamente`,
       adjuntos: nuevosAdjuntos,
-      ticketFinalizado: finalizoTicket // útil para el front
+      ticketFinalizado: finalizoTicket, // útil para el front
+      requisitosAdjuntos // qué falta (tipos / cantidad) si sigue en borrador
     });
   } catch (error) {
     console.error('[CR_TicketAdjunto_CTS] error:', error);
@@ -544,6 +595,13 @@ export const CR_TicketAdjunto_CTS = async (req, res) => {
       } catch (e) {}
     }
 
+    if (esConflictoVersion(error)) {
+      // Los archivos ya los escribió multer: no quedan registrados, se borran
+      const subidos = Array.isArray(req.files) ? req.files : req.file ? [req.file] : [];
+      for (const f of subidos) await deleteFileIfExists(f.path);
+      return responderConflictoVersion(res, error);
+    }
+
     const status = error.statusCode || 500;
     return res.status(status).json({ mensajeError: error.message });
   }
@@ -589,7 +647,7 @@ export const ER_TicketAdjunto_CTS = async (req, res) => {
     }
 
     // Verificar permisos y estado editable del ticket
-    assertTicketPermission(
+    await assertTicketPermission(
       adjunto.ticket,
       { id: usuarioIdCtx, rol },
       true // requireEditableState
@@ -611,16 +669,21 @@ export const ER_TicketAdjunto_CTS = async (req, res) => {
       await deleteDirIfEmpty(dir);
     }
 
-    // Log de actividad
+    // Log de actividad: sobre el ticket (el adjunto ya no existe), así la
+    // línea de tiempo lo encuentra por entidad / entidad_id
     await registrarLogActividad({
       usuario_id: usuarioLog,
       modulo: 'ticket_adjuntos',
-      accion: 'ELIMINAR',
-      entidad: 'ticket_adjunto',
-      entidad_id: adjunto.id,
+      accion: 'ELIMINAR_ADJUNTO',
+      entidad: 'ticket',
+      entidad_id: adjunto.ticket_id,
       descripcion: `El usuario ${usuarioLog} eliminó el adjunto #${adjunto.id} del ticket #${adjunto.ticket_id}.`,
       ip: req.ip,
-      user_agent: req.headers['user-agent']
+      user_agent: req.headers['user-agent'],
+      ...(await resolverReemplazoTicket(adjunto.ticket, {
+        id: usuarioIdCtx,
+        rol
+      }))
     });
 
     res.json({ message: 'Adjunto eliminado correctamente' });
@@ -0,0 +1,422 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Controladores para la asignación de tickets a supervisores responsables
+ * (columna `tickets.usuario_asignado_id` + historial `ticket_asignaciones`).
+ *
+ * Incluye:
+ *  - Asignar / reasignar un ticket (o tomarlo para sí)
+ *  - Desasignar un ticket
+ *  - Historial de asignaciones de un ticket
+ *  - Bandeja personal del supervisor (tickets asignados a él)
+ *
+ * Reglas de permisos:
+ *  - Solo supervisor/admin pueden asignar, desasignar y tener bandeja.
+ *  - El responsable debe ser un supervisor o admin activo.
+ *
+ * Tema: Controladores - Ticket Asignaciones
+ * Capa: Backend
+ */
+
+import { Op } from 'sequelize';
+
+import MD_TB_Tickets from '../../Models/Tickets/MD_TB_Tickets.js';
+import MD_TB_TicketAsignaciones from '../../Models/Tickets/MD_TB_TicketAsignaciones.js';
+import MD_TB_Usuarios from '../../Models/Core/MD_TB_Usuarios.js';
+import MD_TB_Sucursales from '../../Models/Core/MD_TB_Sucursales.js';
+
+import { registrarLogActividad } from '../Logs/CTS_TB_LogsActividad.js';
+import { etiquetaTicket } from '../../Utils/ticketCodigoService.js';
+import { crearNotificacionesInternas } from '../../Utils/notificacionesTicketService.js';
+import {
+  aplicarAsignacion,
+  ESTADOS_BANDEJA,
+  ESTADOS_NO_ASIGNABLES
+} from '../../Utils/ticketAsignacionService.js';
+import { ESTADOS_TICKET } from '../../config/ticketTransiciones.config.js';
+import { usuarioPuedeVerTicket } from '../../Utils/ticketVisibilidadService.js';
+
+const { TicketsModel } = MD_TB_Tickets;
+const { TicketAsignacionesModel } = MD_TB_TicketAsignaciones;
+const { UsuariosModel } = MD_TB_Usuarios;
+const { SucursalesModel } = MD_TB_Sucursales;
+
+/**
+ * Util interno: contexto del usuario autenticado.
+ */
+const getUserContext = (req) => {
+  const user = req.user || {};
+  return {
+    id: user.id || null,
+    rol: user.rol || null,
+    sucursal_id: user.sucursal_id || null
+  };
+};
+
+const esSupervisorOAdmin = (rol) => rol === 'supervisor' || rol === 'admin';
+
+// ===================================================
+// 1) Asignar / reasignar ticket
+// POST /tickets/:id/asignar
+// Body:
+//   usuario_asignado_id (opcional; si no viene, se asigna a quien llama)
+//   comentario (opcional)
+// ===================================================
+
+export const UR_Ticket_Asignar_CTS = async (req, res) => {
+  const { id } = req.params;
+  const { usuario_asignado_id, comentario } = req.body;
+  const { id: usuarioIdCtx, rol } = getUserContext(req);
+
+  if (!esSupervisorOAdmin(rol)) {
+    return res.status(403).json({
+      mensajeError:
+        'No tiene permisos para asignar tickets (requiere supervisor o admin)'
+    });
+  }
+
+  const asignadoId = Number(usuario_asignado_id || usuarioIdCtx);
+  if (!asignadoId || Number.isNaN(asignadoId)) {
+    return res
+      .status(400)
+      .json({ mensajeError: 'usuario_asignado_id debe ser numérico' });
+  }
+
+  let transaction;
+
+  try {
+    const responsable = await UsuariosModel.findByPk(asignadoId);
+    if (
+      !responsable ||
+      responsable.estado !== 'activo' ||
+      !esSupervisorOAdmin(responsable.rol)
+    ) {
+      return res.status(400).json({
+        mensajeError:
+          'El responsable debe ser un usuario activo con rol supervisor o admin'
+      });
+    }
+
+    transaction = await TicketsModel.sequelize.transaction();
+
+    const ticket = await TicketsModel.findByPk(id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!ticket) {
+      await transaction.rollback();
+      return res.status(404).json({ mensajeError: 'Ticket no encontrado' });
+    }
+
+    if (ESTADOS_NO_ASIGNABLES.includes(ticket.estado)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        mensajeError: `No se puede asignar un ticket ${ticket.estado}`
+      });
+    }
+
+    if (ticket.usuario_asignado_id === asignadoId) {
+      await transaction.rollback();
+      return res.status(400).json({
+        mensajeError: 'El ticket ya está asignado a ese usuario (no hay cambio)'
+      });
+    }
+
+    const anteriorId = ticket.usuario_asignado_id;
+
+    const movimiento = await aplicarAsignacion({
+      ticket,
+      usuarioNuevoId: asignadoId,
+      usuarioId: usuarioIdCtx,
+      comentario,
+      transaction
+    });
+
+    await crearNotificacionesInternas({
+      ticketId: ticket.id,
+      usuarioOrigenId: usuarioIdCtx,
+      destinatariosIds: [asignadoId],
+      asunto: `Ticket ${etiquetaTicket(ticket)} asignado`,
+      mensaje:
+        `Se te asignó el ticket ${etiquetaTicket(ticket)} ("${ticket.asunto}") con estado "${ticket.estado}".` +
+        (comentario ? `\n\nComentario: ${comentario}` : ''),
+      transaction
+    });
+
+    await transaction.commit();
+
+    await registrarLogActividad({
+      usuario_id: usuarioIdCtx,
+      modulo: 'tickets',
+      accion: 'ASIGNAR',
+      entidad: 'ticket',
+      entidad_id: ticket.id,
+      descripcion: `El usuario ${usuarioIdCtx} ${
+        anteriorId ? `reasignó (antes: ${anteriorId})` : 'asignó'
+      } el ticket #${ticket.id} al usuario ${asignadoId}.`,
+      ip: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    return res.json({
+      message: 'Ticket asignado correctamente',
+      ticket,
+      asignacion: movimiento
+    });
+  } catch (error) {
+    console.error('[UR_Ticket_Asignar_CTS] error:', error);
+    if (transaction) {
+      try {
+        await transaction.rollback();
+      } catch (e) {}
+    }
+    return res.status(500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 2) Desasignar ticket
+// POST /tickets/:id/desasignar
+// Body:
+//   comentario (opcional)
+// ===================================================
+
+export const UR_Ticket_Desasignar_CTS = async (req, res) => {
+  const { id } = req.params;
+  const { comentario } = req.body;
+  const { id: usuarioIdCtx, rol } = getUserContext(req);
+
+  if (!esSupervisorOAdmin(rol)) {
+    return res.status(403).json({
+      mensajeError:
+        'No tiene permisos para desasignar tickets (requiere supervisor o admin)'
+    });
+  }
+
+  let transaction;
+
+  try {
+    transaction = await TicketsModel.sequelize.transaction();
+
+    const ticket = await TicketsModel.findByPk(id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!ticket) {
+      await transaction.rollback();
+      return res.status(404).json({ mensajeError: 'Ticket no encontrado' });
+    }
+
+    if (!ticket.usuario_asignado_id) {
+      await transaction.rollback();
+      return res
+        .status(400)
+        .json({ mensajeError: 'El ticket no tiene responsable asignado' });
+    }
+
+    const anteriorId = ticket.usuario_asignado_id;
+
+    const movimiento = await aplicarAsignacion({
+      ticket,
+      usuarioNuevoId: null,
+      usuarioId: usuarioIdCtx,
+      comentario,
+      transaction
+    });
+
+    await crearNotificacionesInternas({
+      ticketId: ticket.id,
+      usuarioOrigenId: usuarioIdCtx,
+      destinatariosIds: [anteriorId],
+      asunto: `Ticket ${etiquetaTicket(ticket)} desasignado`,
+      mensaje:
+        `Ya no sos responsable del ticket ${etiquetaTicket(ticket)} ("${ticket.asunto}").` +
+        (comentario ? `\n\nComentario: ${comentario}` : ''),
+      transaction
+    });
+
+    await transaction.commit();
+
+    await registrarLogActividad({
+      usuario_id: usuarioIdCtx,
+      modulo: 'tickets',
+      accion: 'DESASIGNAR',
+      entidad: 'ticket',
+      entidad_id: ticket.id,
+      descripcion: `El usuario ${usuarioIdCtx} desasignó el ticket #${ticket.id} (responsable anterior: ${anteriorId}).`,
+      ip: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    return res.json({
+      message: 'Ticket desasignado correctamente',
+      ticket,
+      asignacion: movimiento
+    });
+  } catch (error) {
+    console.error('[UR_Ticket_Desasignar_CTS] error:', error);
+    if (transaction) {
+      try {
+        await transaction.rollback();
+      } catch (e) {}
+    }
+    return res.status(500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 3) Historial de asignaciones de un ticket
+// GET /tickets/:ticketId/asignaciones
+// ===================================================
+
+export const OBRS_TicketAsignaciones_CTS = async (req, res) => {
+  try {
+    const ticketId = Number(req.params.ticketId);
+    if (Number.isNaN(ticketId)) {
+      return res
+        .status(400)
+        .json({ mensajeError: 'ticketId debe ser numérico' });
+    }
+
+    const { id: usuarioIdCtx, rol } = getUserContext(req);
+
+    const ticket = await TicketsModel.findByPk(ticketId, {
+      attributes: ['id', 'usuario_creador_id', 'sucursal_id']
+    });
+    if (!ticket) {
+      return res.status(404).json({ mensajeError: 'Ticket no encontrado' });
+    }
+
+    if (!(await usuarioPuedeVerTicket(ticket, { id: usuarioIdCtx, rol }))) {
+      return res
+        .status(403)
+        .json({ mensajeError: 'No tiene permisos para ver este ticket' });
+    }
+
+    const rows = await TicketAsignacionesModel.findAll({
+      where: { ticket_id: ticketId },
+      include: [
+        {
+          model: UsuariosModel,
+          as: 'usuario_anterior',
+          attributes: ['id', 'nombre', 'email', 'rol']
+        },
+        {
+          model: UsuariosModel,
+          as: 'usuario_nuevo',
+          attributes: ['id', 'nombre', 'email', 'rol']
+        },
+        {
+          model: UsuariosModel,
+          as: 'usuario',
+          attributes: ['id', 'nombre', 'email', 'rol']
+        }
+      ],
+      order: [
+        ['fecha', 'DESC'],
+        ['id', 'DESC']
+      ]
+    });
+
+    return res.json(rows);
+  } catch (error) {
+    console.error('[OBRS_TicketAsignaciones_CTS] error:', error);
+    res.status(500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 4) Bandeja personal del supervisor
+// GET /tickets/mi-bandeja
+// Query params:
+//   page, limit, estado (por defecto: abierto + pendiente + pre_autorizado)
+//
+// Devuelve los tickets asignados al usuario logueado, más antiguos primero,
+// y en meta la cantidad de tickets activos sin asignar (para "tomar").
+// ===================================================
+
+export const OBRS_Tickets_MiBandeja_CTS = async (req, res) => {
+  try {
+    const { page, limit, estado } = req.query || {};
+    const { id: usuarioIdCtx, rol } = getUserContext(req);
+
+    if (!esSupervisorOAdmin(rol)) {
+      return res.status(403).json({
+        mensajeError: 'La bandeja de trabajo es solo para supervisores/admins'
+      });
+    }
+
+    const pageNum = Math.max(parseInt(page || '1', 10), 1);
+    const limitNum = Math.min(Math.max(parseInt(limit || '20', 10), 1), 100);
+    const offset = (pageNum - 1) * limitNum;
+
+    const estadosFiltro =
+      estado && ESTADOS_TICKET.includes(estado) ? [estado] : ESTADOS_BANDEJA;
+
+    const where = {
+      usuario_asignado_id: usuarioIdCtx || 0,
+      estado: { [Op.in]: estadosFiltro }
+    };
+
+    const [{ rows, count }, sinAsignar] = await Promise.all([
+      TicketsModel.findAndCountAll({
+        where,
+        order: [
+          ['fecha_asignacion', 'ASC'],
+          ['id', 'ASC']
+        ],
+        limit: limitNum,
+        offset,
+        include: [
+          {
+            model: SucursalesModel,
+            as: 'sucursal',
+            attributes: ['id', 'nombre', 'codigo', 'ciudad']
+          },
+          {
+            model: UsuariosModel,
+            as: 'creador',
+            attributes: ['id', 'nombre', 'email', 'rol']
+          }
+        ]
+      }),
+      TicketsModel.count({
+        where: {
+          usuario_asignado_id: { [Op.is]: null },
+          estado: { [Op.in]: ESTADOS_BANDEJA }
+        }
+      })
+    ]);
+
+    const totalPages = Math.max(Math.ceil(count / limitNum), 1);
+
+    return res.json({
+      data: rows,
+      meta: {
+        total: count,
+        page: pageNum,
+        limit: limitNum,
+        totalPages,
+        hasNext: pageNum < totalPages,
+        hasPrev: pageNum > 1,
+        estados: estadosFiltro,
+        sinAsignar
+      }
+    });
+  } catch (error) {
+    console.error('[OBRS_Tickets_MiBandeja_CTS] error:', error);
+    res.status(500).json({ mensajeError: error.message });
+  }
+};
+
+export default {
+  UR_Ticket_Asignar_CTS,
+  UR_Ticket_Desasignar_CTS,
+  OBRS_TicketAsignaciones_CTS,
+  OBRS_Tickets_MiBandeja_CTS
+};
@@ -0,0 +1,118 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Consulta de los cambios por campo de un ticket (`ticket_cambios`):
+ * qué campo se editó, valor anterior, valor nuevo, quién y cuándo.
+ *
+ * Reglas de permisos:
+ *  - operador_sucursal: solo tickets de su alcance (propios o de su sucursal).
+ *  - supervisor / admin: cualquier ticket.
+ *
+ * Tema: Controladores - Tickets (Cambios)
+ * Capa: Backend
+ */
+
+import MD_TB_Tickets from '../../Models/Tickets/MD_TB_Tickets.js';
+import MD_TB_TicketCambios from '../../Models/Tickets/MD_TB_TicketCambios.js';
+import MD_TB_Usuarios from '../../Models/Core/MD_TB_Usuarios.js';
+import { CAMPOS_AUDITADOS } from '../../Utils/ticketCambiosService.js';
+import { usuarioPuedeVerTicket } from '../../Utils/ticketVisibilidadService.js';
+
+const { TicketsModel } = MD_TB_Tickets;
+const { TicketCambiosModel } = MD_TB_TicketCambios;
+const { UsuariosModel } = MD_TB_Usuarios;
+
+/**
+ * Util interno: contexto del usuario autenticado.
+ */
+const getUserContext = (req) => {
+  const user = req.user || {};
+  return {
+    id: user.id || null,
+    rol: user.rol || null
+  };
+};
+
+// ===================================================
+// 1) Cambios por campo de un ticket
+// GET /tickets/:id/cambios
+// Query params:
+//   page, limit (default 50, máx 200), campo, orderDir (default DESC)
+// ===================================================
+
+export const OBRS_TicketCambios_CTS = async (req, res) => {
+  try {
+    const { id: usuarioIdCtx, rol } = getUserContext(req);
+    const { page, limit, campo, orderDir } = req.query || {};
+
+    const ticket = await TicketsModel.findByPk(req.params.id, {
+      attributes: ['id', 'usuario_creador_id', 'sucursal_id']
+    });
+    if (!ticket) {
+      return res.status(404).json({ mensajeError: 'Ticket no encontrado' });
+    }
+
+    if (!(await usuarioPuedeVerTicket(ticket, { id: usuarioIdCtx, rol }))) {
+      return res
+        .status(403)
+        .json({ mensajeError: 'No tiene permisos para ver este ticket' });
+    }
+
+    const where = { ticket_id: ticket.id };
+    if (campo) {
+      if (!CAMPOS_AUDITADOS.includes(campo)) {
+        return res.status(400).json({
+          mensajeError: `Campo inválido. Debe ser uno de: ${CAMPOS_AUDITADOS.join(', ')}`
+        });
+      }
+      where.campo = campo;
+    }
+
+    const pageNum = Math.max(parseInt(page || '1', 10), 1);
+    const limitNum = Math.min(Math.max(parseInt(limit || '50', 10), 1), 200);
+    const dir = String(orderDir || '').toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
+    const { rows, count } = await TicketCambiosModel.findAndCountAll({
+      where,
+      order: [
+        ['created_at', dir],
+        ['id', dir]
+      ],
+      limit: limitNum,
+      offset: (pageNum - 1) * limitNum,
+      include: [
+        {
+          model: UsuariosModel,
+          as: 'usuario',
+          attributes: ['id', 'nombre', 'email', 'rol']
+        }
+      ]
+    });
+
+    const totalPages = Math.max(Math.ceil(count / limitNum), 1);
+
+    res.json({
+      ticket_id: ticket.id,
+      data: rows,
+      meta: {
+        total: count,
+        page: pageNum,
+        limit: limitNum,
+        totalPages,
+        hasNext: pageNum < totalPages,
+        hasPrev: pageNum > 1,
+        orderDir: dir
+      }
+    });
+  } catch (error) {
+    console.error('[OBRS_TicketCambios_CTS] error:', error);
+    res.status(500).json({ mensajeError: error.message });
+  }
+};
+
+export default {
+  OBRS_TicketCambios_CTS
+};
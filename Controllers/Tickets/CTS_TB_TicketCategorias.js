@@ -0,0 +1,396 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Controladores para el catálogo de categorías de tickets (`ticket_categorias`).
+ *
+ * Reglas de permisos:
+ *  - Listar / ver: cualquier usuario autenticado (el front arma el selector).
+ *  - Crear / editar / eliminar: solo admin.
+ *
+ * Tema: Controladores - Ticket Categorías
+ * Capa: Backend
+ *
+ * Nomenclatura:
+ *   OBR_  obtenerRegistro
+ *   OBRS_ obtenerRegistros
+ *   CR_   crearRegistro
+ *   ER_   eliminarRegistro
+ *   UR_   actualizarRegistro
+ */
+
+import { Op } from 'sequelize';
+
+import MD_TB_TicketCategorias from '../../Models/Tickets/MD_TB_TicketCategorias.js';
+import MD_TB_Tickets from '../../Models/Tickets/MD_TB_Tickets.js';
+import MD_TB_TicketSlaPoliticas from '../../Models/Tickets/MD_TB_TicketSlaPoliticas.js';
+
+import { registrarLogActividad } from '../Logs/CTS_TB_LogsActividad.js';
+import {
+  CAMPOS_REQUERIBLES,
+  TIPOS_ADJUNTO_REQUERIBLES
+} from '../../Utils/ticketCategoriasService.js';
+
+const { TicketCategoriasModel } = MD_TB_TicketCategorias;
+const { TicketsModel } = MD_TB_Tickets;
+const { TicketSlaPoliticasModel } = MD_TB_TicketSlaPoliticas;
+
+/**
+ * Util interno: contexto del usuario autenticado.
+ */
+const getUserContext = (req) => {
+  const user = req.user || {};
+  return {
+    id: user.id || null,
+    rol: user.rol || null
+  };
+};
+
+const CAMPOS_AUDITAR = [
+  'nombre',
+  'descripcion',
+  'campos_requeridos',
+  'adjuntos_tipos_requeridos',
+  'adjuntos_minimos',
+  'estado'
+];
+
+/**
+ * Normaliza y valida el payload de una categoría. En modo parcial solo
+ * valida los campos presentes. Lanza error con statusCode 400.
+ */
+const normalizarCategoria = (body, { parcial = false } = {}) => {
+  const data = {};
+  const fail = (msg) => {
+    const err = new Error(msg);
+    err.statusCode = 400;
+    throw err;
+  };
+  const has = (k) => Object.prototype.hasOwnProperty.call(body, k);
+
+  // Acepta array o string separado por comas; valida contra la lista permitida
+  const listaValida = (val, permitidos, campo) => {
+    const lista = Array.isArray(val)
+      ? val
+      : String(val || '')
+          .split(',')
+          .map((x) => x.trim())
+          .filter(Boolean);
+    const invalidos = lista.filter((x) => !permitidos.includes(x));
+    if (invalidos.length) {
+      fail(
+        `${campo} contiene valores inválidos (${invalidos.join(', ')}). Permitidos: ${permitidos.join(', ')}`
+      );
+    }
+    return [...new Set(lista)];
+  };
+
+  if (!parcial || has('nombre')) {
+    const nombre = String(body.nombre || '').trim();
+    if (!nombre) fail('El nombre de la categoría es obligatorio');
+    data.nombre = nombre.slice(0, 100);
+  }
+
+  if (has('descripcion')) {
+    data.descripcion = body.descripcion
+      ? String(body.descripcion).trim().slice(0, 255)
+      : null;
+  }
+
+  if (has('campos_requeridos')) {
+    data.campos_requeridos = listaValida(
+      body.campos_requeridos,
+      CAMPOS_REQUERIBLES,
+      'campos_requeridos'
+    );
+  }
+
+  if (has('adjuntos_tipos_requeridos')) {
+    data.adjuntos_tipos_requeridos = listaValida(
+      body.adjuntos_tipos_requeridos,
+      TIPOS_ADJUNTO_REQUERIBLES,
+      'adjuntos_tipos_requeridos'
+    );
+  }
+
+  if (has('adjuntos_minimos')) {
+    const min = Number(body.adjuntos_minimos);
+    if (!Number.isInteger(min) || min < 1 || min > 20) {
+      fail('adjuntos_minimos debe ser un entero entre 1 y 20');
+    }
+    data.adjuntos_minimos = min;
+  }
+
+  if (has('estado')) {
+    if (!['activo', 'inactivo'].includes(body.estado)) {
+      fail('estado inválido (activo/inactivo)');
+    }
+    data.estado = body.estado;
+  }
+
+  return data;
+};
+
+/**
+ * La cantidad mínima de archivos no puede ser menor a la cantidad
+ * de tipos obligatorios (cada tipo requiere al menos un archivo).
+ */
+const validarCoherenciaAdjuntos = (tipos, minimo) => {
+  if ((tipos || []).length > minimo) {
+    const err = new Error(
+      'adjuntos_minimos no puede ser menor a la cantidad de tipos de adjunto requeridos'
+    );
+    err.statusCode = 400;
+    throw err;
+  }
+};
+
+const validarNombreUnico = async (nombre, excluirId = null) => {
+  const where = { nombre };
+  if (excluirId) where.id = { [Op.ne]: excluirId };
+  const existing = await TicketCategoriasModel.findOne({ where });
+  if (existing) {
+    const err = new Error(`Ya existe una categoría con el nombre "${nombre}"`);
+    err.statusCode = 400;
+    throw err;
+  }
+};
+
+// ===================================================
+// 1) Listar categorías
+// GET /tickets/categorias?estado=&q=
+// ===================================================
+
+export const OBRS_TicketCategorias_CTS = async (req, res) => {
+  try {
+    const { estado, q } = req.query || {};
+    const where = {};
+
+    if (estado && ['activo', 'inactivo'].includes(estado)) {
+      where.estado = estado;
+    }
+
+    if (q && q.trim() !== '') {
+      const like = { [Op.like]: `%${q.trim()}%` };
+      where[Op.or] = [{ nombre: like }, { descripcion: like }];
+    }
+
+    const categorias = await TicketCategoriasModel.findAll({
+      where,
+      order: [['nombre', 'ASC']]
+    });
+
+    res.json(categorias);
+  } catch (error) {
+    console.error('[OBRS_TicketCategorias_CTS] error:', error);
+    res.status(500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 2) Obtener una categoría por ID
+// GET /tickets/categorias/:id
+// ===================================================
+
+export const OBR_TicketCategoria_CTS = async (req, res) => {
+  try {
+    const categoria = await TicketCategoriasModel.findByPk(req.params.id);
+    if (!categoria) {
+      return res.status(404).json({ mensajeError: 'Categoría no encontrada' });
+    }
+    res.json(categoria);
+  } catch (error) {
+    console.error('[OBR_TicketCategoria_CTS] error:', error);
+    res.status(500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 3) Crear categoría (admin)
+// POST /tickets/categorias
+// Body:
+//   nombre, descripcion?, campos_requeridos?, adjuntos_tipos_requeridos?,
+//   adjuntos_minimos? (default 1), estado?
+// ===================================================
+
+export const CR_TicketCategoria_CTS = async (req, res) => {
+  const { id: usuarioIdCtx, rol } = getUserContext(req);
+
+  if (rol !== 'admin') {
+    return res.status(403).json({
+      mensajeError: 'Solo un administrador puede crear categorías de tickets'
+    });
+  }
+
+  try {
+    const data = normalizarCategoria(req.body || {});
+    validarCoherenciaAdjuntos(
+      data.adjuntos_tipos_requeridos,
+      data.adjuntos_minimos ?? 1
+    );
+    await validarNombreUnico(data.nombre);
+
+    const nueva = await TicketCategoriasModel.create(data);
+
+    await registrarLogActividad({
+      usuario_id: usuarioIdCtx,
+      modulo: 'tickets',
+      accion: 'CREAR',
+      entidad: 'ticket_categoria',
+      entidad_id: nueva.id,
+      descripcion: `El usuario ${usuarioIdCtx} creó la categoría de tickets "${nueva.nombre}" (#${nueva.id}).`,
+      ip: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    res.json({ message: 'Categoría creada correctamente', categoria: nueva });
+  } catch (error) {
+    console.error('[CR_TicketCategoria_CTS] error:', error);
+    res.status(error.statusCode || 500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 4) Actualizar categoría (admin)
+// PUT /tickets/categorias/:id
+// Las reglas nuevas aplican a partir de la próxima carga/edición;
+// no se re-validan tickets existentes.
+// ===================================================
+
+export const UR_TicketCategoria_CTS = async (req, res) => {
+  const { id } = req.params;
+  const { id: usuarioIdCtx, rol } = getUserContext(req);
+
+  if (rol !== 'admin') {
+    return res.status(403).json({
+      mensajeError: 'Solo un administrador puede editar categorías de tickets'
+    });
+  }
+
+  try {
+    const categoria = await TicketCategoriasModel.findByPk(id);
+    if (!categoria) {
+      return res.status(404).json({ mensajeError: 'Categoría no encontrada' });
+    }
+
+    const data = normalizarCategoria(req.body || {}, { parcial: true });
+    validarCoherenciaAdjuntos(
+      data.adjuntos_tipos_requeridos ?? categoria.adjuntos_tipos_requeridos,
+      data.adjuntos_minimos ?? categoria.adjuntos_minimos
+    );
+    if (data.nombre) await validarNombreUnico(data.nombre, categoria.id);
+
+    const cambios = [];
+    for (const key of CAMPOS_AUDITAR) {
+      if (!Object.prototype.hasOwnProperty.call(data, key)) continue;
+      const antes = JSON.stringify(categoria[key] ?? null);
+      const despues = JSON.stringify(data[key] ?? null);
+      if (antes !== despues) {
+        cambios.push(`cambió el campo "${key}" de ${antes} a ${despues}`);
+      }
+    }
+
+    await categoria.update(data);
+
+    await registrarLogActividad({
+      usuario_id: usuarioIdCtx,
+      modulo: 'tickets',
+      accion: 'ACTUALIZAR',
+      entidad: 'ticket_categoria',
+      entidad_id: categoria.id,
+      descripcion:
+        cambios.length > 0
+          ? `El usuario ${usuarioIdCtx} actualizó la categoría #${categoria.id}: ${cambios.join('; ')}`
+          : `El usuario ${usuarioIdCtx} ejecutó actualización sin cambios aparentes en la categoría #${categoria.id}`,
+      ip: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    res.json({
+      message: 'Categoría actualizada correctamente',
+      categoria,
+      cambios
+    });
+  } catch (error) {
+    console.error('[UR_TicketCategoria_CTS] error:', error);
+    res.status(error.statusCode || 500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 5) Eliminar categoría (admin)
+// DELETE /tickets/categorias/:id
+// NO permite eliminar si hay tickets o políticas de SLA que la usan
+// (se sugiere inactivarla).
+// ===================================================
+
+export const ER_TicketCategoria_CTS = async (req, res) => {
+  const { id } = req.params;
+  const { id: usuarioIdCtx, rol } = getUserContext(req);
+
+  if (rol !== 'admin') {
+    return res.status(403).json({
+      mensajeError: 'Solo un administrador puede eliminar categorías de tickets'
+    });
+  }
+
+  try {
+    const categoria = await TicketCategoriasModel.findByPk(id);
+    if (!categoria) {
+      return res.status(404).json({ mensajeError: 'Categoría no encontrada' });
+    }
+
+    // Incluye los tickets en papelera: siguen referenciando la categoría
+    const enUso = await TicketsModel.count({
+      where: { categoria_id: categoria.id },
+      paranoid: false
+    });
+    if (enUso > 0) {
+      return res.status(409).json({
+        mensajeError:
+          `No se puede eliminar la categoría porque tiene ${enUso} ticket(s) asociados. ` +
+          'Márquela como "inactivo" para que no se ofrezca en tickets nuevos.'
+      });
+    }
+
+    // Una política de SLA de la categoría pasaría a aplicar a todas
+    const politicasSla = await TicketSlaPoliticasModel.count({
+      where: { categoria_id: categoria.id }
+    });
+    if (politicasSla > 0) {
+      return res.status(409).json({
+        mensajeError:
+          `No se puede eliminar la categoría porque tiene ${politicasSla} política(s) de SLA asociadas. ` +
+          'Elimínelas o márquela como "inactivo".'
+      });
+    }
+
+    await categoria.destroy();
+
+    await registrarLogActividad({
+      usuario_id: usuarioIdCtx,
+      modulo: 'tickets',
+      accion: 'ELIMINAR',
+      entidad: 'ticket_categoria',
+      entidad_id: categoria.id,
+      descripcion: `El usuario ${usuarioIdCtx} eliminó la categoría de tickets "${categoria.nombre}" (#${categoria.id}).`,
+      ip: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    res.json({ message: 'Categoría eliminada correctamente' });
+  } catch (error) {
+    console.error('[ER_TicketCategoria_CTS] error:', error);
+    res.status(500).json({ mensajeError: error.message });
+  }
+};
+
+export default {
+  OBRS_TicketCategorias_CTS,
+  OBR_TicketCategoria_CTS,
+  CR_TicketCategoria_CTS,
+  UR_TicketCategoria_CTS,
+  ER_TicketCategoria_CTS
+};
@@ -0,0 +1,543 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Controladores para el hilo de comentarios de un ticket (`ticket_comentarios`).
+ *
+ * Incluye:
+ *  - Listado del hilo (árbol de respuestas) de un ticket
+ *  - Crear comentario / respuesta (con adjuntos opcionales vía multer)
+ *  - Editar / eliminar dentro de la ventana permitida
+ *  - Descarga de adjuntos de comentarios
+ *
+ * Reglas de permisos:
+ *  - operador_sucursal:
+ *      * Sólo opera sobre tickets de su alcance (propios o de su sucursal).
+ *      * Nunca ve notas internas (ni sus respuestas / adjuntos).
+ *      * No puede crear notas internas.
+ *  - supervisor / admin:
+ *      * Ven y comentan cualquier ticket, incluidas notas internas.
+ *  - Editar: solo el autor, dentro de la ventana de edición.
+ *  - Eliminar: el autor dentro de la ventana, o un admin en cualquier momento.
+ *
+ * Variables de entorno:
+ *  - TICKET_COMENTARIO_VENTANA_MIN (default 15)
+ *
+ * Tema: Controladores - Ticket Comentarios
+ * Capa: Backend
+ */
+
+import path from 'path';
+import fs from 'fs';
+
+import MD_TB_Tickets from '../../Models/Tickets/MD_TB_Tickets.js';
+import MD_TB_TicketComentarios from '../../Models/Tickets/MD_TB_TicketComentarios.js';
+import MD_TB_TicketComentarioAdjuntos from '../../Models/Tickets/MD_TB_TicketComentarioAdjuntos.js';
+import MD_TB_Usuarios from '../../Models/Core/MD_TB_Usuarios.js';
+
+import { registrarLogActividad } from '../Logs/CTS_TB_LogsActividad.js';
+import { etiquetaTicket } from '../../Utils/ticketCodigoService.js';
+import { notificarSeguidores } from '../../Utils/ticketSeguidoresService.js';
+import { obtenerDestinatariosSupervisionPorSucursal } from '../../Utils/ticketAsignacionService.js';
+import {
+  toRelativeFromRoot,
+  deleteFileIfExists
+} from '../../Utils/fileManager.js';
+import { nowMs } from '../../Utils/authoritativeTime.js';
+import {
+  usuarioPuedeVerTicket,
+  resolverReemplazoTicket
+} from '../../Utils/ticketVisibilidadService.js';
+
+const { TicketsModel } = MD_TB_Tickets;
+const { TicketComentariosModel } = MD_TB_TicketComentarios;
+const { TicketComentarioAdjuntosModel } = MD_TB_TicketComentarioAdjuntos;
+const { UsuariosModel } = MD_TB_Usuarios;
+
+const VENTANA_EDICION_MIN = Number(
+  process.env.TICKET_COMENTARIO_VENTANA_MIN || 15
+);
+
+const BASE_UPLOAD_DIR = path.join(process.cwd(), 'uploads');
+
+/**
+ * Util interno: contexto del usuario autenticado.
+ */
+const getUserContext = (req) => {
+  const user = req.user || {};
+  return {
+    id: user.id || null,
+    rol: user.rol || null
+  };
+};
+
+const esSupervisorOAdmin = (rol) => rol === 'supervisor' || rol === 'admin';
+
+const httpError = (statusCode, message) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const parseBool = (val) =>
+  typeof val === 'string'
+    ? ['1', 'true', 'si', 'sí', 'yes'].includes(val.toLowerCase())
+    : Boolean(val);
+
+/**
+ * Verifica que el usuario pueda ver/comentar el ticket.
+ */
+const assertAccesoTicket = async (ticket, userCtx, { transaction } = {}) => {
+  if (!ticket) throw httpError(404, 'Ticket no encontrado');
+
+  if (!(await usuarioPuedeVerTicket(ticket, userCtx, { transaction }))) {
+    throw httpError(403, 'No tiene permisos sobre los comentarios de este ticket');
+  }
+};
+
+const dentroDeVentana = (comentario) =>
+  nowMs() - new Date(comentario.created_at).getTime() <=
+  VENTANA_EDICION_MIN * 60 * 1000;
+
+/**
+ * Limpia archivos que multer ya guardó cuando la operación falla.
+ */
+const descartarArchivosSubidos = async (files) => {
+  for (const f of files || []) {
+    await deleteFileIfExists(f.path);
+  }
+};
+
+/**
+ * Destinatarios de la notificación de un comentario ("la otra parte"):
+ *  - nota interna: responsable del ticket (o supervisión de la sucursal)
+ *  - autor supervisor/admin: creador del ticket
+ *  - autor operador: responsable del ticket (o supervisión de la sucursal)
+ *  - en respuestas, además, el autor del comentario padre
+ */
+const resolverDestinatarios = async ({ ticket, autorRol, interno, padre, transaction }) => {
+  const ids = [];
+
+  const supervisionDelTicket = async () => {
+    if (ticket.usuario_asignado_id) return [ticket.usuario_asignado_id];
+    const sup = await obtenerDestinatariosSupervisionPorSucursal(
+      ticket.sucursal_id,
+      transaction
+    );
+    return sup.map((u) => u.id);
+  };
+
+  if (interno || !esSupervisorOAdmin(autorRol)) {
+    ids.push(...(await supervisionDelTicket()));
+  } else {
+    ids.push(ticket.usuario_creador_id);
+  }
+
+  if (padre) ids.push(padre.usuario_id);
+
+  return ids;
+};
+
+/**
+ * Serializa un comentario respetando borrado lógico.
+ */
+const serializarComentario = (c) => {
+  const json = c.toJSON();
+  const eliminado = !!json.eliminado_at;
+  return {
+    ...json,
+    mensaje: eliminado ? null : json.mensaje,
+    adjuntos: eliminado ? [] : json.adjuntos || [],
+    eliminado,
+    respuestas: []
+  };
+};
+
+// ===================================================
+// 1) Hilo de comentarios de un ticket
+// GET /tickets/:ticketId/comentarios
+// Query: incluir_internos (default 1 para supervisor/admin)
+// ===================================================
+
+export const OBRS_TicketComentarios_CTS = async (req, res) => {
+  try {
+    const ticketId = Number(req.params.ticketId);
+    if (Number.isNaN(ticketId)) {
+      return res.status(400).json({ mensajeError: 'ticketId debe ser numérico' });
+    }
+
+    const userCtx = getUserContext(req);
+    const ticket = await TicketsModel.findByPk(ticketId);
+    await assertAccesoTicket(ticket, userCtx);
+
+    const { incluir_internos } = req.query || {};
+    const verInternos =
+      esSupervisorOAdmin(userCtx.rol) &&
+      (incluir_internos === undefined || parseBool(incluir_internos));
+
+    const where = { ticket_id: ticketId };
+    if (!verInternos) where.interno = false;
+
+    const comentarios = await TicketComentariosModel.findAll({
+      where,
+      order: [
+        ['created_at', 'ASC'],
+        ['id', 'ASC']
+      ],
+      include: [
+        {
+          model: UsuariosModel,
+          as: 'usuario',
+          attributes: ['id', 'nombre', 'email', 'rol']
+        },
+        {
+          model: TicketComentarioAdjuntosModel,
+          as: 'adjuntos',
+          attributes: ['id', 'nombre_original', 'mime_type', 'tamano_bytes', 'created_at']
+        }
+      ]
+    });
+
+    // Armado del árbol
+    const porId = new Map();
+    const raices = [];
+    for (const c of comentarios) porId.set(c.id, serializarComentario(c));
+
+    for (const nodo of porId.values()) {
+      const padre = nodo.comentario_padre_id
+        ? porId.get(nodo.comentario_padre_id)
+        : null;
+      if (padre) padre.respuestas.push(nodo);
+      else raices.push(nodo);
+    }
+
+    res.json({
+      ticket_id: ticketId,
+      total: comentarios.length,
+      ventana_edicion_min: VENTANA_EDICION_MIN,
+      data: raices
+    });
+  } catch (error) {
+    console.error('[OBRS_TicketComentarios_CTS] error:', error);
+    res.status(error.statusCode || 500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 2) Crear comentario / respuesta
+// POST /tickets/:ticketId/comentarios   (multipart opcional: files)
+// Body:
+//   mensaje (obligatorio), comentario_padre_id (opcional),
+//   interno (solo supervisor/admin; las respuestas a notas internas
+//   son siempre internas)
+// ===================================================
+
+export const CR_TicketComentario_CTS = async (req, res) => {
+  const files = Array.isArray(req.files) ? req.files : [];
+  const { id: usuarioIdCtx, rol } = getUserContext(req);
+
+  let transaction;
+
+  try {
+    const ticketId = Number(req.params.ticketId);
+    if (Number.isNaN(ticketId)) {
+      throw httpError(400, 'ticketId debe ser numérico');
+    }
+
+    const mensaje = String(req.body?.mensaje || '').trim();
+    if (!mensaje) throw httpError(400, 'El mensaje es obligatorio');
+
+    let interno =
+      req.body?.interno !== undefined ? parseBool(req.body.interno) : false;
+    if (interno && !esSupervisorOAdmin(rol)) {
+      throw httpError(403, 'Solo supervisor/admin pueden dejar notas internas');
+    }
+
+    transaction = await TicketsModel.sequelize.transaction();
+
+    const ticket = await TicketsModel.findByPk(ticketId, { transaction });
+    await assertAccesoTicket(
+      ticket,
+      { id: usuarioIdCtx, rol },
+      { transaction }
+    );
+
+    let padre = null;
+    if (req.body?.comentario_padre_id) {
+      padre = await TicketComentariosModel.findOne({
+        where: {
+          id: Number(req.body.comentario_padre_id),
+          ticket_id: ticketId
+        },
+        transaction
+      });
+
+      // Un operador no "ve" notas internas: para él no existen
+      if (!padre || (padre.interno && !esSupervisorOAdmin(rol))) {
+        throw httpError(404, 'Comentario a responder no encontrado en este ticket');
+      }
+      if (padre.eliminado_at) {
+        throw httpError(400, 'No se puede responder un comentario eliminado');
+      }
+      if (padre.interno) interno = true;
+    }
+
+    const comentario = await TicketComentariosModel.create(
+      {
+        ticket_id: ticketId,
+        comentario_padre_id: padre?.id || null,
+        usuario_id: usuarioIdCtx,
+        mensaje,
+        interno
+      },
+      { transaction }
+    );
+
+    const adjuntos = [];
+    for (const f of files) {
+      adjuntos.push(
+        await TicketComentarioAdjuntosModel.create(
+          {
+            comentario_id: comentario.id,
+            ticket_id: ticketId,
+            nombre_original: f.originalname,
+            ruta_archivo: toRelativeFromRoot(f.path),
+            mime_type: f.mimetype,
+            tamano_bytes: f.size
+          },
+          { transaction }
+        )
+      );
+    }
+
+    const destinatariosIds = await resolverDestinatarios({
+      ticket,
+      autorRol: rol,
+      interno,
+      padre,
+      transaction
+    });
+
+    // "La otra parte" + seguidores que pueden ver el comentario
+    await notificarSeguidores({
+      ticket,
+      usuarioOrigenId: usuarioIdCtx,
+      interno,
+      destinatariosExtra: destinatariosIds,
+      asunto: `${interno ? 'Nota interna' : 'Nuevo comentario'} en ticket ${etiquetaTicket(ticket)}`,
+      mensaje:
+        `${padre ? 'Respuesta' : 'Comentario'} en el ticket ${etiquetaTicket(ticket)} ("${ticket.asunto}"):\n\n` +
+        mensaje.slice(0, 500) +
+        (adjuntos.length ? `\n\n(${adjuntos.length} archivo/s adjunto/s)` : ''),
+      transaction
+    });
+
+    await transaction.commit();
+
+    await registrarLogActividad({
+      usuario_id: usuarioIdCtx,
+      modulo: 'tickets',
+      accion: 'COMENTAR',
+      entidad: 'ticket_comentario',
+      entidad_id: comentario.id,
+      descripcion: `El usuario ${usuarioIdCtx} ${
+        interno ? 'dejó una nota interna' : 'comentó'
+      } en el ticket #${ticketId}${padre ? ` (respuesta a #${padre.id})` : ''}${
+        adjuntos.length ? ` con ${adjuntos.length} adjunto/s` : ''
+      }.`,
+      ip: req.ip,
+      user_agent: req.headers['user-agent'],
+      ...(await resolverReemplazoTicket(ticket, { id: usuarioIdCtx, rol }))
+    });
+
+    res.json({
+      message: 'Comentario creado correctamente',
+      comentario: { ...comentario.toJSON(), adjuntos }
+    });
+  } catch (error) {
+    console.error('[CR_TicketComentario_CTS] error:', error);
+    if (transaction) {
+      try {
+        await transaction.rollback();
+      } catch (e) {}
+    }
+    await descartarArchivosSubidos(files);
+    res.status(error.statusCode || 500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 3) Editar comentario (solo autor, dentro de la ventana)
+// PUT /tickets/comentarios/:id
+// Body: mensaje
+// ===================================================
+
+export const UR_TicketComentario_CTS = async (req, res) => {
+  const { id: usuarioIdCtx } = getUserContext(req);
+
+  try {
+    const mensaje = String(req.body?.mensaje || '').trim();
+    if (!mensaje) throw httpError(400, 'El mensaje es obligatorio');
+
+    const comentario = await TicketComentariosModel.findByPk(req.params.id);
+    if (!comentario || comentario.eliminado_at) {
+      throw httpError(404, 'Comentario no encontrado');
+    }
+
+    if (comentario.usuario_id !== usuarioIdCtx) {
+      throw httpError(403, 'Solo el autor puede editar el comentario');
+    }
+    if (!dentroDeVentana(comentario)) {
+      throw httpError(
+        409,
+        `El comentario solo puede editarse dentro de los ${VENTANA_EDICION_MIN} minutos posteriores a su creación`
+      );
+    }
+
+    await comentario.update({ mensaje, editado_at: new Date(nowMs()) });
+
+    await registrarLogActividad({
+      usuario_id: usuarioIdCtx,
+      modulo: 'tickets',
+      accion: 'ACTUALIZAR',
+      entidad: 'ticket_comentario',
+      entidad_id: comentario.id,
+      descripcion: `El usuario ${usuarioIdCtx} editó su comentario #${comentario.id} del ticket #${comentario.ticket_id}.`,
+      ip: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    res.json({ message: 'Comentario actualizado correctamente', comentario });
+  } catch (error) {
+    console.error('[UR_TicketComentario_CTS] error:', error);
+    res.status(error.statusCode || 500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 4) Eliminar comentario (borrado lógico)
+// DELETE /tickets/comentarios/:id
+// Se conserva el nodo para no romper el hilo; se borran sus adjuntos.
+// ===================================================
+
+export const ER_TicketComentario_CTS = async (req, res) => {
+  const { id: usuarioIdCtx, rol } = getUserContext(req);
+
+  try {
+    const comentario = await TicketComentariosModel.findByPk(req.params.id);
+    if (!comentario || comentario.eliminado_at) {
+      throw httpError(404, 'Comentario no encontrado');
+    }
+
+    const esAutor = comentario.usuario_id === usuarioIdCtx;
+    if (!esAutor && rol !== 'admin') {
+      throw httpError(403, 'Solo el autor o un admin pueden eliminar el comentario');
+    }
+    if (esAutor && rol !== 'admin' && !dentroDeVentana(comentario)) {
+      throw httpError(
+        409,
+        `El comentario solo puede eliminarse dentro de los ${VENTANA_EDICION_MIN} minutos posteriores a su creación`
+      );
+    }
+
+    const adjuntos = await TicketComentarioAdjuntosModel.findAll({
+      where: { comentario_id: comentario.id }
+    });
+
+    await comentario.update({ eliminado_at: new Date(nowMs()) });
+    await TicketComentarioAdjuntosModel.destroy({
+      where: { comentario_id: comentario.id }
+    });
+    for (const a of adjuntos) await deleteFileIfExists(a.ruta_archivo);
+
+    await registrarLogActividad({
+      usuario_id: usuarioIdCtx,
+      modulo: 'tickets',
+      accion: 'ELIMINAR',
+      entidad: 'ticket_comentario',
+      entidad_id: comentario.id,
+      descripcion: `El usuario ${usuarioIdCtx} eliminó el comentario #${comentario.id} del ticket #${comentario.ticket_id}${
+        adjuntos.length ? ` (${adjuntos.length} adjunto/s borrados)` : ''
+      }.`,
+      ip: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    res.json({ message: 'Comentario eliminado correctamente' });
+  } catch (error) {
+    console.error('[ER_TicketComentario_CTS] error:', error);
+    res.status(error.statusCode || 500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 5) Ver/Descargar archivo de un comentario
+// GET /tickets/comentarios/adjuntos/:id/file?download=1
+// ===================================================
+
+export const FILE_TicketComentarioAdjunto_CTS = async (req, res) => {
+  try {
+    const userCtx = getUserContext(req);
+
+    const adjunto = await TicketComentarioAdjuntosModel.findByPk(req.params.id, {
+      include: [
+        {
+          model: TicketComentariosModel,
+          as: 'comentario',
+          attributes: ['id', 'interno', 'eliminado_at'],
+          include: [
+            {
+              model: TicketsModel,
+              as: 'ticket',
+              attributes: ['id', 'usuario_creador_id', 'sucursal_id']
+            }
+          ]
+        }
+      ]
+    });
+
+    if (!adjunto || adjunto.comentario?.eliminado_at) {
+      return res.status(404).json({ mensajeError: 'Adjunto no encontrado' });
+    }
+
+    await assertAccesoTicket(adjunto.comentario.ticket, userCtx);
+    if (adjunto.comentario.interno && !esSupervisorOAdmin(userCtx.rol)) {
+      return res.status(404).json({ mensajeError: 'Adjunto no encontrado' });
+    }
+
+    const abs = path.resolve(
+      process.cwd(),
+      String(adjunto.ruta_archivo || '').replace(/^\/+/, '')
+    );
+    if (!abs.startsWith(BASE_UPLOAD_DIR) || !fs.existsSync(abs)) {
+      return res.status(404).json({ mensajeError: 'Archivo no existe en disco' });
+    }
+
+    const download = String(req.query.download || '0') === '1';
+    const filename = (adjunto.nombre_original || path.basename(abs)).replace(
+      /"/g,
+      ''
+    );
+
+    res.setHeader(
+      'Content-Disposition',
+      `${download ? 'attachment' : 'inline'}; filename="${filename}"`
+    );
+    if (adjunto.mime_type) res.setHeader('Content-Type', adjunto.mime_type);
+
+    return res.sendFile(abs);
+  } catch (error) {
+    console.error('[FILE_TicketComentarioAdjunto_CTS] error:', error);
+    res.status(error.statusCode || 500).json({ mensajeError: error.message });
+  }
+};
+
+export default {
+  OBRS_TicketComentarios_CTS,
+  CR_TicketComentario_CTS,
+  UR_TicketComentario_CTS,
+  ER_TicketComentario_CTS,
+  FILE_TicketComentarioAdjunto_CTS
+};
@@ -24,18 +24,38 @@ import { Op } from 'sequelize';
 import MD_TB_TicketEstadosHistorial from '../../Models/Tickets/MD_TB_TicketEstadosHistorial.js';
 import MD_TB_Tickets from '../../Models/Tickets/MD_TB_Tickets.js';
 import MD_TB_Usuarios from '../../Models/Core/MD_TB_Usuarios.js';
+import MD_TB_TicketMotivosRechazo from '../../Models/Tickets/MD_TB_TicketMotivosRechazo.js';
+import { ESTADOS_TICKET } from '../../config/ticketTransiciones.config.js';
+import {
+  usaPaginacionCursor,
+  pideTotal,
+  paginarPorCursor
+} from '../../Utils/paginacionCursor.js';
+import {
+  resolverVisibilidadTickets,
+  whereVisibilidadTickets,
+  usuarioPuedeVerTicket
+} from '../../Utils/ticketVisibilidadService.js';
 
 const { TicketEstadosHistorialModel } = MD_TB_TicketEstadosHistorial;
 const { TicketsModel } = MD_TB_Tickets;
 const { UsuariosModel } = MD_TB_Usuarios;
+const { TicketMotivosRechazoModel } = MD_TB_TicketMotivosRechazo;
 
-const ESTADOS_VALIDOS = [
-  'abierto',
-  'pendiente',
-  'autorizado',
-  'rechazado',
-  'cerrado'
-];
+const includeMotivoRechazo = {
+  model: TicketMotivosRechazoModel,
+  as: 'motivo_rechazo',
+  attributes: ['id', 'codigo', 'nombre']
+};
+
+// Doble control: quién pre-autorizó (solo en las confirmaciones)
+const includePrimerAprobador = {
+  model: UsuariosModel,
+  as: 'primer_aprobador',
+  attributes: ['id', 'nombre', 'email']
+};
+
+const ESTADOS_VALIDOS = ESTADOS_TICKET;
 
 /**
  * Util interno: elimina claves con '', null o undefined.
@@ -71,11 +91,16 @@ const getUserContext = (req) => {
 // Query params:
 //   page, limit,
 //   ticket_id (opcional si no va en params),
-//   usuario_id, estado_nuevo, fecha_desde, fecha_hasta,
+//   usuario_id, estado_nuevo, fecha_desde, fecha_hasta, motivo_rechazo_id,
 //   orderBy, orderDir
 //
+// Paginación por cursor (alternativa a page, ver Utils/paginacionCursor.js):
+//   paginacion=cursor | cursor=<meta.nextCursor>, con_total (1/0)
+//   Orden por fecha_cambio (default) o id.
+//
 // Regla de seguridad:
-//   - operador_sucursal: sólo puede ver historial de tickets que él creó.
+//   - operador_sucursal: sólo historial de tickets de su alcance
+//     (propios o de su sucursal, ver Utils/ticketVisibilidadService.js).
 //   - supervisor/admin: pueden ver cualquiera (con filtros).
 // ===================================================
 
@@ -91,7 +116,8 @@ export const OBRS_TicketEstadosHistorial_CTS = async (req, res) => {
       estado_nuevo, // 👈 por compatibilidad si alguna vez lo usás así
       fecha_desde,
       fecha_hasta,
-      usuario_id
+      usuario_id,
+      motivo_rechazo_id
     } = req.query;
 
     const pageNum = Math.max(parseInt(page || '1', 10), 1);
@@ -116,6 +142,11 @@ export const OBRS_TicketEstadosHistorial_CTS = async (req, res) => {
       where.usuario_id = Number(usuario_id);
     }
 
+    // Filtro por motivo de rechazo
+    if (motivo_rechazo_id) {
+      where.motivo_rechazo_id = Number(motivo_rechazo_id);
+    }
+
     // Filtros por fecha
     if (fecha_desde || fecha_hasta) {
       where.fecha_cambio = {};
@@ -132,15 +163,58 @@ export const OBRS_TicketEstadosHistorial_CTS = async (req, res) => {
       ? String(orderDir).toUpperCase()
       : 'DESC';
 
+    const include = [
+      {
+        model: UsuariosModel,
+        as: 'usuario',
+        attributes: ['id', 'nombre', 'email']
+      },
+      includeMotivoRechazo,
+      includePrimerAprobador
+    ];
+
+    // Reglas de visibilidad: el operador solo ve historial de tickets de su alcance
+    const { id: usuarioIdCtx, rol } = getUserContext(req);
+    if (rol === 'operador_sucursal') {
+      const visibilidad = await resolverVisibilidadTickets({
+        id: usuarioIdCtx,
+        rol
+      });
+      include.push({
+        model: TicketsModel,
+        as: 'ticket',
+        attributes: [],
+        where: whereVisibilidadTickets(visibilidad),
+        required: true
+      });
+    }
+
+    const filters = {
+      ticket_id: ticket_id || null,
+      estado: estadoFiltro || null,
+      fecha_desde: fecha_desde || null,
+      fecha_hasta: fecha_hasta || null,
+      usuario_id: usuario_id || null,
+      motivo_rechazo_id: motivo_rechazo_id || null
+    };
+
+    if (usaPaginacionCursor(req.query)) {
+      const { rows, meta } = await paginarPorCursor(TicketEstadosHistorialModel, {
+        where,
+        campos: ['fecha_cambio', 'id'],
+        orderBy,
+        orderDir: dir,
+        limit: limitNum,
+        cursor: req.query.cursor,
+        contar: pideTotal(req.query),
+        options: { include }
+      });
+      return res.json({ data: rows, meta: { ...meta, filters } });
+    }
+
     const { rows, count } = await TicketEstadosHistorialModel.findAndCountAll({
       where,
-      include: [
-        {
-          model: UsuariosModel,
-          as: 'usuario',
-          attributes: ['id', 'nombre', 'email']
-        }
-      ],
+      include,
       order: [
         [col, dir],
         ['id', 'DESC']
@@ -162,18 +236,12 @@ export const OBRS_TicketEstadosHistorial_CTS = async (req, res) => {
         hasPrev: pageNum > 1,
         orderBy: col,
         orderDir: dir,
-        filters: {
-          ticket_id: ticket_id || null,
-          estado: estadoFiltro || null,
-          fecha_desde: fecha_desde || null,
-          fecha_hasta: fecha_hasta || null,
-          usuario_id: usuario_id || null
-        }
+        filters
       }
     });
   } catch (error) {
     console.error('[OBRS_TicketEstadosHistorial_CTS] error:', error);
-    res.status(500).json({ mensajeError: error.message });
+    res.status(error.statusCode || 500).json({ mensajeError: error.message });
   }
 };
 
@@ -182,7 +250,7 @@ export const OBRS_TicketEstadosHistorial_CTS = async (req, res) => {
 // GET /tickets/historial/:id
 //
 // Regla de seguridad:
-//   - operador_sucursal: sólo si el ticket asociado fue creado por él.
+//   - operador_sucursal: sólo si el ticket asociado está en su alcance.
 //   - supervisor/admin: pueden ver cualquier registro.
 // ===================================================
 
@@ -207,7 +275,9 @@ export const OBR_TicketEstadoHistorial_CTS = async (req, res) => {
           model: UsuariosModel,
           as: 'usuario',
           attributes: ['id', 'nombre', 'email', 'rol']
-        }
+        },
+        includeMotivoRechazo,
+        includePrimerAprobador
       ]
     });
 
@@ -218,15 +288,17 @@ export const OBR_TicketEstadoHistorial_CTS = async (req, res) => {
     }
 
     // Reglas de visibilidad
-    if (rol === 'operador_sucursal') {
-      if (
-        !registro.ticket ||
-        registro.ticket.usuario_creador_id !== usuarioIdCtx
-      ) {
-        return res.status(403).json({
-          mensajeError: 'No tiene permisos para ver este registro de historial'
-        });
-      }
+    if (
+      rol === 'operador_sucursal' &&
+      (!registro.ticket ||
+        !(await usuarioPuedeVerTicket(registro.ticket, {
+          id: usuarioIdCtx,
+          rol
+        })))
+    ) {
+      return res.status(403).json({
+        mensajeError: 'No tiene permisos para ver este registro de historial'
+      });
     }
 
     return res.json(registro);
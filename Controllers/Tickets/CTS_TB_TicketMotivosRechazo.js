@@ -0,0 +1,440 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Controladores para el catálogo de motivos de rechazo (`ticket_motivos_rechazo`)
+ * y el reporte de rechazos por motivo y sucursal (JSON o Excel).
+ *
+ * Reglas de permisos:
+ *  - Listar / ver: cualquier usuario autenticado (el front arma el selector).
+ *  - Crear / editar / eliminar: solo admin.
+ *  - Reporte: supervisor / admin.
+ *
+ * Tema: Controladores - Ticket Motivos de Rechazo
+ * Capa: Backend
+ *
+ * Nomenclatura:
+ *   OBR_  obtenerRegistro
+ *   OBRS_ obtenerRegistros
+ *   CR_   crearRegistro
+ *   ER_   eliminarRegistro
+ *   UR_   actualizarRegistro
+ */
+
+import { Op } from 'sequelize';
+import XLSX from 'xlsx';
+
+import MD_TB_TicketMotivosRechazo from '../../Models/Tickets/MD_TB_TicketMotivosRechazo.js';
+import MD_TB_TicketEstadosHistorial from '../../Models/Tickets/MD_TB_TicketEstadosHistorial.js';
+
+import { registrarLogActividad } from '../Logs/CTS_TB_LogsActividad.js';
+import { resumirRechazosPorMotivo } from '../../Utils/ticketMotivosRechazoService.js';
+
+const { TicketMotivosRechazoModel } = MD_TB_TicketMotivosRechazo;
+const { TicketEstadosHistorialModel } = MD_TB_TicketEstadosHistorial;
+
+/**
+ * Util interno: contexto del usuario autenticado.
+ */
+const getUserContext = (req) => {
+  const user = req.user || {};
+  return {
+    id: user.id || null,
+    rol: user.rol || null,
+    sucursal_id: user.sucursal_id || null
+  };
+};
+
+const CAMPOS_AUDITAR = [
+  'codigo',
+  'nombre',
+  'descripcion',
+  'requiere_detalle',
+  'estado'
+];
+
+const RE_CODIGO = /^[A-Z0-9_]{2,30}$/;
+const RE_FECHA = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Normaliza y valida el payload de un motivo. En modo parcial solo
+ * valida los campos presentes. Lanza error con statusCode 400.
+ */
+const normalizarMotivo = (body, { parcial = false } = {}) => {
+  const data = {};
+  const fail = (msg) => {
+    const err = new Error(msg);
+    err.statusCode = 400;
+    throw err;
+  };
+  const has = (k) => Object.prototype.hasOwnProperty.call(body, k);
+
+  if (!parcial || has('codigo')) {
+    const codigo = String(body.codigo || '')
+      .trim()
+      .toUpperCase();
+    if (!RE_CODIGO.test(codigo)) {
+      fail(
+        'El código es obligatorio (2 a 30 caracteres: letras, números y guion bajo)'
+      );
+    }
+    data.codigo = codigo;
+  }
+
+  if (!parcial || has('nombre')) {
+    const nombre = String(body.nombre || '').trim();
+    if (!nombre) fail('El nombre del motivo es obligatorio');
+    data.nombre = nombre.slice(0, 100);
+  }
+
+  if (has('descripcion')) {
+    data.descripcion = body.descripcion
+      ? String(body.descripcion).trim().slice(0, 255)
+      : null;
+  }
+
+  if (has('requiere_detalle')) {
+    data.requiere_detalle = ['1', 'true', 'si', 'sí'].includes(
+      String(body.requiere_detalle).toLowerCase()
+    );
+  }
+
+  if (has('estado')) {
+    if (!['activo', 'inactivo'].includes(body.estado)) {
+      fail('estado inválido (activo/inactivo)');
+    }
+    data.estado = body.estado;
+  }
+
+  return data;
+};
+
+const validarCodigoUnico = async (codigo, excluirId = null) => {
+  const where = { codigo };
+  if (excluirId) where.id = { [Op.ne]: excluirId };
+  const existing = await TicketMotivosRechazoModel.findOne({ where });
+  if (existing) {
+    const err = new Error(`Ya existe un motivo de rechazo con el código "${codigo}"`);
+    err.statusCode = 400;
+    throw err;
+  }
+};
+
+// ===================================================
+// 1) Listar motivos de rechazo
+// GET /tickets/motivos-rechazo?estado=&q=
+// ===================================================
+
+export const OBRS_TicketMotivosRechazo_CTS = async (req, res) => {
+  try {
+    const { estado, q } = req.query || {};
+    const where = {};
+
+    if (estado && ['activo', 'inactivo'].includes(estado)) {
+      where.estado = estado;
+    }
+
+    if (q && q.trim() !== '') {
+      const like = { [Op.like]: `%${q.trim()}%` };
+      where[Op.or] = [{ codigo: like }, { nombre: like }, { descripcion: like }];
+    }
+
+    const motivos = await TicketMotivosRechazoModel.findAll({
+      where,
+      order: [['nombre', 'ASC']]
+    });
+
+    res.json(motivos);
+  } catch (error) {
+    console.error('[OBRS_TicketMotivosRechazo_CTS] error:', error);
+    res.status(500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 2) Obtener un motivo por ID
+// GET /tickets/motivos-rechazo/:id
+// ===================================================
+
+export const OBR_TicketMotivoRechazo_CTS = async (req, res) => {
+  try {
+    const motivo = await TicketMotivosRechazoModel.findByPk(req.params.id);
+    if (!motivo) {
+      return res
+        .status(404)
+        .json({ mensajeError: 'Motivo de rechazo no encontrado' });
+    }
+    res.json(motivo);
+  } catch (error) {
+    console.error('[OBR_TicketMotivoRechazo_CTS] error:', error);
+    res.status(500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 3) Crear motivo (admin)
+// POST /tickets/motivos-rechazo
+// Body:
+//   codigo, nombre, descripcion?, requiere_detalle? (default false), estado?
+// ===================================================
+
+export const CR_TicketMotivoRechazo_CTS = async (req, res) => {
+  const { id: usuarioIdCtx, rol } = getUserContext(req);
+
+  if (rol !== 'admin') {
+    return res.status(403).json({
+      mensajeError: 'Solo un administrador puede crear motivos de rechazo'
+    });
+  }
+
+  try {
+    const data = normalizarMotivo(req.body || {});
+    await validarCodigoUnico(data.codigo);
+
+    const nuevo = await TicketMotivosRechazoModel.create(data);
+
+    await registrarLogActividad({
+      usuario_id: usuarioIdCtx,
+      modulo: 'tickets',
+      accion: 'CREAR',
+      entidad: 'ticket_motivo_rechazo',
+      entidad_id: nuevo.id,
+      descripcion: `El usuario ${usuarioIdCtx} creó el motivo de rechazo ${nuevo.codigo} "${nuevo.nombre}" (#${nuevo.id}).`,
+      ip: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    res.json({ message: 'Motivo de rechazo creado correctamente', motivo: nuevo });
+  } catch (error) {
+    console.error('[CR_TicketMotivoRechazo_CTS] error:', error);
+    res.status(error.statusCode || 500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 4) Actualizar motivo (admin)
+// PUT /tickets/motivos-rechazo/:id
+// Los rechazos ya registrados conservan el motivo (se reportan con el
+// código / nombre vigentes).
+// ===================================================
+
+export const UR_TicketMotivoRechazo_CTS = async (req, res) => {
+  const { id } = req.params;
+  const { id: usuarioIdCtx, rol } = getUserContext(req);
+
+  if (rol !== 'admin') {
+    return res.status(403).json({
+      mensajeError: 'Solo un administrador puede editar motivos de rechazo'
+    });
+  }
+
+  try {
+    const motivo = await TicketMotivosRechazoModel.findByPk(id);
+    if (!motivo) {
+      return res
+        .status(404)
+        .json({ mensajeError: 'Motivo de rechazo no encontrado' });
+    }
+
+    const data = normalizarMotivo(req.body || {}, { parcial: true });
+    if (data.codigo) await validarCodigoUnico(data.codigo, motivo.id);
+
+    const cambios = [];
+    for (const key of CAMPOS_AUDITAR) {
+      if (!Object.prototype.hasOwnProperty.call(data, key)) continue;
+      const antes = JSON.stringify(motivo[key] ?? null);
+      const despues = JSON.stringify(data[key] ?? null);
+      if (antes !== despues) {
+        cambios.push(`cambió el campo "${key}" de ${antes} a ${despues}`);
+      }
+    }
+
+    await motivo.update(data);
+
+    await registrarLogActividad({
+      usuario_id: usuarioIdCtx,
+      modulo: 'tickets',
+      accion: 'ACTUALIZAR',
+      entidad: 'ticket_motivo_rechazo',
+      entidad_id: motivo.id,
+      descripcion:
+        cambios.length > 0
+          ? `El usuario ${usuarioIdCtx} actualizó el motivo de rechazo #${motivo.id}: ${cambios.join('; ')}`
+          : `El usuario ${usuarioIdCtx} ejecutó actualización sin cambios aparentes en el motivo de rechazo #${motivo.id}`,
+      ip: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    res.json({
+      message: 'Motivo de rechazo actualizado correctamente',
+      motivo,
+      cambios
+    });
+  } catch (error) {
+    console.error('[UR_TicketMotivoRechazo_CTS] error:', error);
+    res.status(error.statusCode || 500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 5) Eliminar motivo (admin)
+// DELETE /tickets/motivos-rechazo/:id
+// NO permite eliminar si hay rechazos que lo usan (se sugiere inactivarlo).
+// ===================================================
+
+export const ER_TicketMotivoRechazo_CTS = async (req, res) => {
+  const { id } = req.params;
+  const { id: usuarioIdCtx, rol } = getUserContext(req);
+
+  if (rol !== 'admin') {
+    return res.status(403).json({
+      mensajeError: 'Solo un administrador puede eliminar motivos de rechazo'
+    });
+  }
+
+  try {
+    const motivo = await TicketMotivosRechazoModel.findByPk(id);
+    if (!motivo) {
+      return res
+        .status(404)
+        .json({ mensajeError: 'Motivo de rechazo no encontrado' });
+    }
+
+    const enUso = await TicketEstadosHistorialModel.count({
+      where: { motivo_rechazo_id: motivo.id }
+    });
+    if (enUso > 0) {
+      return res.status(409).json({
+        mensajeError:
+          `No se puede eliminar el motivo porque tiene ${enUso} rechazo(s) registrados. ` +
+          'Márquelo como "inactivo" para que no se ofrezca en rechazos nuevos.'
+      });
+    }
+
+    await motivo.destroy();
+
+    await registrarLogActividad({
+      usuario_id: usuarioIdCtx,
+      modulo: 'tickets',
+      accion: 'ELIMINAR',
+      entidad: 'ticket_motivo_rechazo',
+      entidad_id: motivo.id,
+      descripcion: `El usuario ${usuarioIdCtx} eliminó el motivo de rechazo ${motivo.codigo} "${motivo.nombre}" (#${motivo.id}).`,
+      ip: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    res.json({ message: 'Motivo de rechazo eliminado correctamente' });
+  } catch (error) {
+    console.error('[ER_TicketMotivoRechazo_CTS] error:', error);
+    res.status(500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 6) Reporte de rechazos por motivo y sucursal
+// GET /tickets/motivos-rechazo/reporte
+// Query params:
+//   fecha_desde, fecha_hasta (YYYY-MM-DD, fecha del rechazo),
+//   sucursal_id, formato (json | xlsx; default json)
+// Reglas:
+//   - Solo supervisor / admin.
+//   - supervisor: por defecto su propia sucursal (igual que los KPIs).
+// ===================================================
+
+export const OBR_TicketMotivosRechazo_Reporte_CTS = async (req, res) => {
+  try {
+    const { rol, sucursal_id: sucursalCtx } = getUserContext(req);
+
+    if (!['supervisor', 'admin'].includes(rol)) {
+      return res.status(403).json({
+        mensajeError: 'Solo supervisor/admin pueden ver el reporte de rechazos'
+      });
+    }
+
+    const { fecha_desde, fecha_hasta, sucursal_id, formato } = req.query || {};
+
+    for (const [campo, valor] of [
+      ['fecha_desde', fecha_desde],
+      ['fecha_hasta', fecha_hasta]
+    ]) {
+      if (valor && !RE_FECHA.test(valor)) {
+        return res
+          .status(400)
+          .json({ mensajeError: `${campo} debe tener formato YYYY-MM-DD` });
+      }
+    }
+
+    let sucursalIdFinal = null;
+    if (sucursal_id) {
+      const sid = Number(sucursal_id);
+      if (!Number.isNaN(sid)) sucursalIdFinal = sid;
+    } else if (rol === 'supervisor' && sucursalCtx) {
+      sucursalIdFinal = sucursalCtx;
+    }
+
+    const rechazos = await resumirRechazosPorMotivo({
+      ticketWhere: sucursalIdFinal ? { sucursal_id: sucursalIdFinal } : {},
+      fechaDesde: fecha_desde,
+      fechaHasta: fecha_hasta
+    });
+
+    const filters = {
+      fecha_desde: fecha_desde || null,
+      fecha_hasta: fecha_hasta || null,
+      sucursal_id: sucursalIdFinal
+    };
+
+    if (formato === 'xlsx') {
+      const filas = rechazos.flatMap((m) =>
+        m.porSucursal.map((s) => ({
+          Código: m.codigo || '',
+          Motivo: m.nombre || '',
+          Sucursal: s.nombre || `#${s.sucursal_id}`,
+          Rechazos: s.total
+        }))
+      );
+
+      const libro = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(
+        libro,
+        XLSX.utils.json_to_sheet(filas, {
+          header: ['Código', 'Motivo', 'Sucursal', 'Rechazos']
+        }),
+        'Rechazos'
+      );
+      const buffer = XLSX.write(libro, { type: 'buffer', bookType: 'xlsx' });
+
+      const sufijo = [fecha_desde, fecha_hasta].filter(Boolean).join('_');
+      res.setHeader(
+        'Content-Type',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      );
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="rechazos_por_motivo${sufijo ? `_${sufijo}` : ''}.xlsx"`
+      );
+      return res.send(buffer);
+    }
+
+    res.json({
+      total: rechazos.reduce((acc, m) => acc + m.total, 0),
+      data: rechazos,
+      filters
+    });
+  } catch (error) {
+    console.error('[OBR_TicketMotivosRechazo_Reporte_CTS] error:', error);
+    res.status(500).json({ mensajeError: error.message });
+  }
+};
+
+export default {
+  OBRS_TicketMotivosRechazo_CTS,
+  OBR_TicketMotivoRechazo_CTS,
+  CR_TicketMotivoRechazo_CTS,
+  UR_TicketMotivoRechazo_CTS,
+  ER_TicketMotivoRechazo_CTS,
+  OBR_TicketMotivosRechazo_Reporte_CTS
+};
@@ -0,0 +1,605 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Controladores para el flujo de reapertura de tickets cerrados
+ * (tabla `ticket_reaperturas`).
+ *
+ * Incluye:
+ *  - Solicitud de reapertura (operador creador / supervisor) con motivo
+ *  - Listado de solicitudes (global o por ticket)
+ *  - Aprobación por admin: el ticket vuelve al estado configurado,
+ *    se limpia fecha_cierre, se registra historial, log y se notifica al creador
+ *  - Rechazo por admin (con comentario obligatorio)
+ *
+ * Tema: Controladores - Ticket Reaperturas
+ * Capa: Backend
+ */
+
+import MD_TB_TicketReaperturas from '../../Models/Tickets/MD_TB_TicketReaperturas.js';
+import MD_TB_Tickets from '../../Models/Tickets/MD_TB_Tickets.js';
+import MD_TB_TicketEstadosHistorial from '../../Models/Tickets/MD_TB_TicketEstadosHistorial.js';
+import MD_TB_Usuarios from '../../Models/Core/MD_TB_Usuarios.js';
+
+import { registrarLogActividad } from '../Logs/CTS_TB_LogsActividad.js';
+import { etiquetaTicket } from '../../Utils/ticketCodigoService.js';
+import { crearNotificacionesInternas } from '../../Utils/notificacionesTicketService.js';
+import {
+  agregarSeguidor,
+  notificarSeguidores
+} from '../../Utils/ticketSeguidoresService.js';
+import { REAPERTURA_TICKET } from '../../config/ticketTransiciones.config.js';
+import {
+  usuarioPuedeVerTicket,
+  resolverReemplazoTicket
+} from '../../Utils/ticketVisibilidadService.js';
+
+const { TicketReaperturasModel } = MD_TB_TicketReaperturas;
+const { TicketsModel } = MD_TB_Tickets;
+const { TicketEstadosHistorialModel } = MD_TB_TicketEstadosHistorial;
+const { UsuariosModel } = MD_TB_Usuarios;
+
+const ESTADOS_SOLICITUD = ['pendiente', 'aprobada', 'rechazada'];
+
+/**
+ * Util interno: elimina claves con '', null o undefined.
+ */
+const stripEmpty = (obj) => {
+  const out = {};
+  for (const [k, v] of Object.entries(obj)) {
+    if (v === undefined || v === null) continue;
+    if (typeof v === 'string' && v.trim() === '') continue;
+    out[k] = v;
+  }
+  return out;
+};
+
+/**
+ * Util interno: contexto del usuario autenticado.
+ */
+const getUserContext = (req) => {
+  const user = req.user || {};
+  return {
+    id: user.id || null,
+    rol: user.rol || null,
+    sucursal_id: user.sucursal_id || null
+  };
+};
+
+/**
+ * Ids de admins activos (destinatarios de nuevas solicitudes).
+ */
+const obtenerAdminsActivosIds = async (transaction) => {
+  const admins = await UsuariosModel.findAll({
+    where: { rol: 'admin', estado: 'activo' },
+    attributes: ['id'],
+    transaction
+  });
+  return admins.map((u) => u.id);
+};
+
+const includeSolicitud = [
+  {
+    model: TicketsModel,
+    as: 'ticket',
+    attributes: [
+      'id',
+      'codigo',
+      'estado',
+      'asunto',
+      'sucursal_id',
+      'usuario_creador_id',
+      'fecha_cierre'
+    ]
+  },
+  {
+    model: UsuariosModel,
+    as: 'solicitante',
+    attributes: ['id', 'nombre', 'email', 'rol']
+  },
+  {
+    model: UsuariosModel,
+    as: 'resolutor',
+    attributes: ['id', 'nombre', 'email', 'rol']
+  }
+];
+
+// ===================================================
+// 1) Solicitar reapertura de un ticket cerrado
+// POST /tickets/:ticketId/reaperturas
+// Body:
+//   motivo (obligatorio)
+// Reglas:
+//   - operador_sucursal: solo sobre tickets que él creó.
+//   - supervisor: sobre cualquier ticket.
+//   - admin no solicita: aprueba/rechaza.
+//   - El ticket debe estar cerrado y sin otra solicitud pendiente.
+// ===================================================
+
+export const CR_TicketReapertura_CTS = async (req, res) => {
+  const ticketId = Number(req.params.ticketId);
+  const { motivo } = req.body;
+  const { id: usuarioIdCtx, rol } = getUserContext(req);
+
+  if (Number.isNaN(ticketId)) {
+    return res.status(400).json({ mensajeError: 'ticketId debe ser numérico' });
+  }
+
+  if (!motivo || String(motivo).trim() === '') {
+    return res
+      .status(400)
+      .json({ mensajeError: 'El motivo de la reapertura es obligatorio' });
+  }
+
+  if (rol !== 'operador_sucursal' && rol !== 'supervisor') {
+    return res.status(403).json({
+      mensajeError:
+        'Solo operadores o supervisores pueden solicitar la reapertura de un ticket'
+    });
+  }
+
+  let transaction;
+
+  try {
+    transaction = await TicketsModel.sequelize.transaction();
+
+    const ticket = await TicketsModel.findByPk(ticketId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!ticket) {
+      await transaction.rollback();
+      return res.status(404).json({ mensajeError: 'Ticket no encontrado' });
+    }
+
+    if (
+      !(await usuarioPuedeVerTicket(
+        ticket,
+        { id: usuarioIdCtx, rol },
+        { transaction }
+      ))
+    ) {
+      await transaction.rollback();
+      return res.status(403).json({
+        mensajeError:
+          'No tiene permisos para solicitar la reapertura de este ticket'
+      });
+    }
+
+    if (ticket.estado !== 'cerrado') {
+      await transaction.rollback();
+      return res.status(400).json({
+        mensajeError: 'Solo se puede solicitar la reapertura de tickets cerrados'
+      });
+    }
+
+    // Un duplicado fusionado no se reabre: se trabaja sobre el ticket que lo absorbió
+    if (ticket.fusionado_en_id) {
+      await transaction.rollback();
+      return res.status(400).json({
+        mensajeError: `El ticket fue fusionado en #${ticket.fusionado_en_id}; trabaje sobre ese ticket`
+      });
+    }
+
+    const pendiente = await TicketReaperturasModel.findOne({
+      where: { ticket_id: ticketId, estado: 'pendiente' },
+      transaction
+    });
+
+    if (pendiente) {
+      await transaction.rollback();
+      return res.status(409).json({
+        mensajeError: `El ticket ya tiene una solicitud de reapertura pendiente (#${pendiente.id})`
+      });
+    }
+
+    const solicitud = await TicketReaperturasModel.create(
+      {
+        ticket_id: ticketId,
+        usuario_solicitante_id: usuarioIdCtx,
+        motivo: String(motivo).trim(),
+        estado: 'pendiente'
+      },
+      { transaction }
+    );
+
+    await crearNotificacionesInternas({
+      ticketId,
+      usuarioOrigenId: usuarioIdCtx,
+      destinatariosIds: await obtenerAdminsActivosIds(transaction),
+      asunto: `Solicitud de reapertura del ticket ${etiquetaTicket(ticket)}`,
+      mensaje:
+        `El usuario #${usuarioIdCtx} solicitó reabrir el ticket ${etiquetaTicket(ticket)} ("${ticket.asunto}").\n\n` +
+        `Motivo: ${solicitud.motivo}\n` +
+        `Solicitud #${solicitud.id}`,
+      transaction
+    });
+
+    await transaction.commit();
+
+    await registrarLogActividad({
+      usuario_id: usuarioIdCtx,
+      modulo: 'tickets',
+      accion: 'SOLICITAR_REAPERTURA',
+      entidad: 'ticket',
+      entidad_id: ticketId,
+      descripcion: `El usuario ${usuarioIdCtx} solicitó la reapertura del ticket #${ticketId} (solicitud #${solicitud.id}). Motivo: ${solicitud.motivo}`,
+      ip: req.ip,
+      user_agent: req.headers['user-agent'],
+      ...(await resolverReemplazoTicket(ticket, { id: usuarioIdCtx, rol }))
+    });
+
+    return res.json({
+      message: 'Solicitud de reapertura registrada correctamente',
+      solicitud
+    });
+  } catch (error) {
+    console.error('[CR_TicketReapertura_CTS] error:', error);
+    if (transaction) {
+      try {
+        await transaction.rollback();
+      } catch (e) {}
+    }
+    return res.status(500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 2) Listado de solicitudes de reapertura
+// GET /tickets/reaperturas
+// GET /tickets/:ticketId/reaperturas
+//
+// Query params:
+//   page, limit, estado (pendiente/aprobada/rechazada), ticket_id
+//
+// Reglas:
+//   - admin: ve todas.
+//   - operador/supervisor: solo las que solicitó.
+// ===================================================
+
+export const OBRS_TicketReaperturas_CTS = async (req, res) => {
+  try {
+    const { page, limit, estado, ticket_id } = req.query || {};
+    const { id: usuarioIdCtx, rol } = getUserContext(req);
+
+    const pageNum = Math.max(parseInt(page || '1', 10), 1);
+    const limitNum = Math.min(Math.max(parseInt(limit || '20', 10), 1), 100);
+    const offset = (pageNum - 1) * limitNum;
+
+    const where = {};
+
+    const ticketIdFiltro = req.params.ticketId || ticket_id;
+    if (ticketIdFiltro) {
+      const tid = Number(ticketIdFiltro);
+      if (!Number.isNaN(tid)) where.ticket_id = tid;
+    }
+
+    if (estado && ESTADOS_SOLICITUD.includes(estado)) {
+      where.estado = estado;
+    }
+
+    if (rol !== 'admin') {
+      where.usuario_solicitante_id = usuarioIdCtx || 0;
+    }
+
+    const { rows, count } = await TicketReaperturasModel.findAndCountAll({
+      where,
+      include: includeSolicitud,
+      order: [
+        ['fecha_solicitud', 'DESC'],
+        ['id', 'DESC']
+      ],
+      limit: limitNum,
+      offset
+    });
+
+    const totalPages = Math.max(Math.ceil(count / limitNum), 1);
+
+    return res.json({
+      data: rows,
+      meta: {
+        total: count,
+        page: pageNum,
+        limit: limitNum,
+        totalPages,
+        hasNext: pageNum < totalPages,
+        hasPrev: pageNum > 1,
+        filters: stripEmpty({
+          ticket_id: where.ticket_id,
+          estado
+        })
+      }
+    });
+  } catch (error) {
+    console.error('[OBRS_TicketReaperturas_CTS] error:', error);
+    res.status(500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 3) Aprobar solicitud de reapertura (solo admin)
+// POST /tickets/reaperturas/:id/aprobar
+// Body:
+//   estado_destino (opcional; default REAPERTURA_TICKET.estadoDestinoDefault)
+//   comentario (opcional)
+// Efecto:
+//   - tickets.estado = estado_destino, fecha_cierre = NULL
+//   - ticket_estados_historial (cerrado -> estado_destino)
+//   - logs_actividad
+//   - notificación al creador original (y al solicitante si es otro)
+// ===================================================
+
+export const UR_TicketReapertura_Aprobar_CTS = async (req, res) => {
+  const { estado_destino, comentario } = req.body;
+  const { id: usuarioIdCtx, rol } = getUserContext(req);
+
+  if (rol !== 'admin') {
+    return res.status(403).json({
+      mensajeError: 'Solo un usuario con rol admin puede aprobar reaperturas'
+    });
+  }
+
+  const estadoDestino = String(
+    estado_destino || REAPERTURA_TICKET.estadoDestinoDefault
+  )
+    .trim()
+    .toLowerCase();
+
+  if (!REAPERTURA_TICKET.estadosDestino.includes(estadoDestino)) {
+    return res.status(400).json({
+      mensajeError: `Estado destino inválido. Debe ser uno de: ${REAPERTURA_TICKET.estadosDestino.join(
+        ', '
+      )}`
+    });
+  }
+
+  let transaction;
+
+  try {
+    transaction = await TicketsModel.sequelize.transaction();
+
+    const solicitud = await TicketReaperturasModel.findByPk(req.params.id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!solicitud) {
+      await transaction.rollback();
+      return res
+        .status(404)
+        .json({ mensajeError: 'Solicitud de reapertura no encontrada' });
+    }
+
+    if (solicitud.estado !== 'pendiente') {
+      await transaction.rollback();
+      return res.status(400).json({
+        mensajeError: `La solicitud ya fue resuelta (estado=${solicitud.estado})`
+      });
+    }
+
+    const ticket = await TicketsModel.findByPk(solicitud.ticket_id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!ticket) {
+      await transaction.rollback();
+      return res.status(404).json({ mensajeError: 'Ticket no encontrado' });
+    }
+
+    if (ticket.estado !== 'cerrado') {
+      await transaction.rollback();
+      return res.status(400).json({
+        mensajeError: `El ticket #${ticket.id} ya no está cerrado (estado=${ticket.estado})`
+      });
+    }
+
+    const ahora = new Date();
+
+    // El SLA arranca de nuevo desde la reapertura (lo recalcula el job)
+    await ticket.update(
+      {
+        estado: estadoDestino,
+        fecha_cierre: null,
+        sla_estado: null,
+        sla_nivel_escalamiento: 0,
+        sla_evaluado_at: null
+      },
+      { transaction }
+    );
+
+    await TicketEstadosHistorialModel.create(
+      {
+        ticket_id: ticket.id,
+        estado_anterior: 'cerrado',
+        estado_nuevo: estadoDestino,
+        usuario_id: usuarioIdCtx,
+        comentario:
+          `Reapertura aprobada (solicitud #${solicitud.id}). Motivo: ${solicitud.motivo}` +
+          (comentario ? `\n${comentario}` : '')
+      },
+      { transaction }
+    );
+
+    await solicitud.update(
+      {
+        estado: 'aprobada',
+        estado_destino: estadoDestino,
+        usuario_resolutor_id: usuarioIdCtx,
+        comentario_resolucion: comentario || null,
+        fecha_resolucion: ahora
+      },
+      { transaction }
+    );
+
+    // Quien reabre pasa a seguir el ticket; se notifica a seguidores,
+    // creador y solicitante
+    await agregarSeguidor({
+      ticketId: ticket.id,
+      usuarioId: usuarioIdCtx,
+      origen: 'cambio_estado',
+      transaction
+    });
+
+    await notificarSeguidores({
+      ticket,
+      usuarioOrigenId: usuarioIdCtx,
+      destinatariosExtra: [
+        ticket.usuario_creador_id,
+        solicitud.usuario_solicitante_id
+      ],
+      asunto: `Ticket ${etiquetaTicket(ticket)} reabierto`,
+      mensaje:
+        `Se aprobó la reapertura del ticket ${etiquetaTicket(ticket)} ("${ticket.asunto}"). ` +
+        `Nuevo estado: "${estadoDestino}".` +
+        (comentario ? `\n\nComentario: ${comentario}` : ''),
+      transaction
+    });
+
+    await transaction.commit();
+
+    await registrarLogActividad({
+      usuario_id: usuarioIdCtx,
+      modulo: 'tickets',
+      accion: 'REABRIR',
+      entidad: 'ticket',
+      entidad_id: ticket.id,
+      descripcion: `El usuario ${usuarioIdCtx} aprobó la reapertura del ticket #${ticket.id} (solicitud #${solicitud.id}): "cerrado" -> "${estadoDestino}".`,
+      ip: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    const actualizada = await TicketReaperturasModel.findByPk(solicitud.id, {
+      include: includeSolicitud
+    });
+
+    return res.json({
+      message: 'Reapertura aprobada correctamente',
+      solicitud: actualizada
+    });
+  } catch (error) {
+    console.error('[UR_TicketReapertura_Aprobar_CTS] error:', error);
+    if (transaction) {
+      try {
+        await transaction.rollback();
+      } catch (e) {}
+    }
+    return res.status(500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 4) Rechazar solicitud de reapertura (solo admin)
+// POST /tickets/reaperturas/:id/rechazar
+// Body:
+//   comentario (obligatorio)
+// ===================================================
+
+export const UR_TicketReapertura_Rechazar_CTS = async (req, res) => {
+  const { comentario } = req.body;
+  const { id: usuarioIdCtx, rol } = getUserContext(req);
+
+  if (rol !== 'admin') {
+    return res.status(403).json({
+      mensajeError: 'Solo un usuario con rol admin puede rechazar reaperturas'
+    });
+  }
+
+  if (!comentario || String(comentario).trim() === '') {
+    return res.status(400).json({
+      mensajeError: 'El comentario es obligatorio para rechazar la reapertura'
+    });
+  }
+
+  let transaction;
+
+  try {
+    transaction = await TicketsModel.sequelize.transaction();
+
+    const solicitud = await TicketReaperturasModel.findByPk(req.params.id, {
+      include: [
+        {
+          model: TicketsModel,
+          as: 'ticket',
+          attributes: ['id', 'codigo', 'asunto', 'usuario_creador_id']
+        }
+      ],
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!solicitud) {
+      await transaction.rollback();
+      return res
+        .status(404)
+        .json({ mensajeError: 'Solicitud de reapertura no encontrada' });
+    }
+
+    if (solicitud.estado !== 'pendiente') {
+      await transaction.rollback();
+      return res.status(400).json({
+        mensajeError: `La solicitud ya fue resuelta (estado=${solicitud.estado})`
+      });
+    }
+
+    await solicitud.update(
+      {
+        estado: 'rechazada',
+        usuario_resolutor_id: usuarioIdCtx,
+        comentario_resolucion: String(comentario).trim(),
+        fecha_resolucion: new Date()
+      },
+      { transaction }
+    );
+
+    await crearNotificacionesInternas({
+      ticketId: solicitud.ticket_id,
+      usuarioOrigenId: usuarioIdCtx,
+      destinatariosIds: [
+        solicitud.ticket?.usuario_creador_id,
+        solicitud.usuario_solicitante_id
+      ],
+      asunto: `Reapertura del ticket ${etiquetaTicket(solicitud.ticket || { id: solicitud.ticket_id })} rechazada`,
+      mensaje:
+        `Se rechazó la solicitud de reapertura #${solicitud.id} del ticket ${etiquetaTicket(solicitud.ticket || { id: solicitud.ticket_id })}.\n\n` +
+        `Comentario: ${solicitud.comentario_resolucion}`,
+      transaction
+    });
+
+    await transaction.commit();
+
+    await registrarLogActividad({
+      usuario_id: usuarioIdCtx,
+      modulo: 'tickets',
+      accion: 'RECHAZAR_REAPERTURA',
+      entidad: 'ticket',
+      entidad_id: solicitud.ticket_id,
+      descripcion: `El usuario ${usuarioIdCtx} rechazó la solicitud de reapertura #${solicitud.id} del ticket #${solicitud.ticket_id}. Comentario: ${solicitud.comentario_resolucion}`,
+      ip: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    return res.json({
+      message: 'Solicitud de reapertura rechazada',
+      solicitud
+    });
+  } catch (error) {
+    console.error('[UR_TicketReapertura_Rechazar_CTS] error:', error);
+    if (transaction) {
+      try {
+        await transaction.rollback();
+      } catch (e) {}
+    }
+    return res.status(500).json({ mensajeError: error.message });
+  }
+};
+
+export default {
+  CR_TicketReapertura_CTS,
+  OBRS_TicketReaperturas_CTS,
+  UR_TicketReapertura_Aprobar_CTS,
+  UR_TicketReapertura_Rechazar_CTS
+};
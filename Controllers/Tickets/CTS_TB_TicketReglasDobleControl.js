@@ -0,0 +1,404 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Controladores para las reglas de doble control en la autorización
+ * de tickets (`ticket_reglas_doble_control`).
+ * La evaluación de las reglas al autorizar está en Utils/ticketDobleControlService.js.
+ *
+ * Reglas de permisos:
+ *  - Listar / ver: supervisor / admin.
+ *  - Crear / editar / eliminar: solo admin.
+ *
+ * Tema: Controladores - Ticket Doble Control
+ * Capa: Backend
+ *
+ * Nomenclatura:
+ *   OBR_  obtenerRegistro
+ *   OBRS_ obtenerRegistros
+ *   CR_   crearRegistro
+ *   ER_   eliminarRegistro
+ *   UR_   actualizarRegistro
+ */
+
+import MD_TB_TicketReglasDobleControl from '../../Models/Tickets/MD_TB_TicketReglasDobleControl.js';
+import MD_TB_TicketCategorias from '../../Models/Tickets/MD_TB_TicketCategorias.js';
+import MD_TB_Sucursales from '../../Models/Core/MD_TB_Sucursales.js';
+
+import { registrarLogActividad } from '../Logs/CTS_TB_LogsActividad.js';
+import {
+  CAMPOS_MONTO_DOBLE_CONTROL,
+  describirRegla
+} from '../../Utils/ticketDobleControlService.js';
+import { MONEDAS } from '../../Utils/ticketMontosService.js';
+
+const { TicketReglasDobleControlModel } = MD_TB_TicketReglasDobleControl;
+const { TicketCategoriasModel } = MD_TB_TicketCategorias;
+const { SucursalesModel } = MD_TB_Sucursales;
+
+/**
+ * Util interno: contexto del usuario autenticado.
+ */
+const getUserContext = (req) => {
+  const user = req.user || {};
+  return {
+    id: user.id || null,
+    rol: user.rol || null
+  };
+};
+
+const CAMPOS_EDITABLES = [
+  'nombre',
+  'monto_minimo',
+  'campo_monto',
+  'moneda',
+  'categoria_id',
+  'sucursal_id',
+  'estado'
+];
+
+const includeRegla = [
+  {
+    model: SucursalesModel,
+    as: 'sucursal',
+    attributes: ['id', 'nombre', 'codigo']
+  },
+  {
+    model: TicketCategoriasModel,
+    as: 'categoria',
+    attributes: ['id', 'nombre']
+  }
+];
+
+/**
+ * Normaliza y valida el payload de una regla. En modo parcial solo
+ * valida los campos presentes. Lanza error con statusCode 400.
+ */
+const normalizarRegla = (body, { parcial = false } = {}) => {
+  const data = {};
+  const fail = (msg) => {
+    const err = new Error(msg);
+    err.statusCode = 400;
+    throw err;
+  };
+  const has = (k) => Object.prototype.hasOwnProperty.call(body, k);
+  const vacio = (v) => v === null || v === '';
+
+  if (!parcial || has('nombre')) {
+    const nombre = String(body.nombre || '').trim();
+    if (!nombre) fail('El nombre de la regla es obligatorio');
+    data.nombre = nombre.slice(0, 100);
+  }
+
+  if (has('monto_minimo')) {
+    if (vacio(body.monto_minimo)) {
+      data.monto_minimo = null;
+    } else {
+      const monto = Number(body.monto_minimo);
+      if (!Number.isFinite(monto) || monto < 0) {
+        fail('monto_minimo debe ser un número mayor o igual a 0');
+      }
+      data.monto_minimo = monto;
+    }
+  }
+
+  if (has('campo_monto')) {
+    if (!CAMPOS_MONTO_DOBLE_CONTROL.includes(body.campo_monto)) {
+      fail(
+        `campo_monto inválido. Debe ser uno de: ${CAMPOS_MONTO_DOBLE_CONTROL.join(', ')}`
+      );
+    }
+    data.campo_monto = body.campo_monto;
+  }
+
+  if (has('moneda')) {
+    if (vacio(body.moneda)) {
+      data.moneda = null;
+    } else {
+      const moneda = String(body.moneda).toUpperCase();
+      if (!MONEDAS.includes(moneda)) {
+        fail(`moneda inválida. Debe ser una de: ${MONEDAS.join(', ')}`);
+      }
+      data.moneda = moneda;
+    }
+  }
+
+  for (const campo of ['categoria_id', 'sucursal_id']) {
+    if (has(campo)) {
+      if (vacio(body[campo])) {
+        data[campo] = null;
+      } else {
+        const id = Number(body[campo]);
+        if (!Number.isInteger(id) || id <= 0) fail(`${campo} inválido`);
+        data[campo] = id;
+      }
+    }
+  }
+
+  if (has('estado')) {
+    if (!['activo', 'inactivo'].includes(body.estado)) {
+      fail('estado inválido (activo/inactivo)');
+    }
+    data.estado = body.estado;
+  }
+
+  return data;
+};
+
+const validarReferencias = async ({ sucursal_id, categoria_id }) => {
+  const fail = (msg) => {
+    const err = new Error(msg);
+    err.statusCode = 400;
+    throw err;
+  };
+  if (sucursal_id && !(await SucursalesModel.findByPk(sucursal_id))) {
+    fail('La sucursal indicada no existe');
+  }
+  if (categoria_id && !(await TicketCategoriasModel.findByPk(categoria_id))) {
+    fail('La categoría indicada no existe');
+  }
+};
+
+// ===================================================
+// 1) Listar reglas de doble control
+// GET /tickets/doble-control/reglas?estado=&sucursal_id=&categoria_id=
+// ===================================================
+
+export const OBRS_TicketReglasDobleControl_CTS = async (req, res) => {
+  try {
+    const { rol } = getUserContext(req);
+    if (!['supervisor', 'admin'].includes(rol)) {
+      return res.status(403).json({
+        mensajeError: 'Solo supervisor/admin pueden ver las reglas de doble control'
+      });
+    }
+
+    const { estado, sucursal_id, categoria_id } = req.query || {};
+    const where = {};
+
+    if (estado && ['activo', 'inactivo'].includes(estado)) {
+      where.estado = estado;
+    }
+
+    for (const [campo, valor] of [
+      ['sucursal_id', sucursal_id],
+      ['categoria_id', categoria_id]
+    ]) {
+      if (valor === 'null') {
+        where[campo] = null;
+      } else if (valor) {
+        where[campo] = Number(valor);
+      }
+    }
+
+    const reglas = await TicketReglasDobleControlModel.findAll({
+      where,
+      include: includeRegla,
+      order: [['id', 'ASC']]
+    });
+
+    res.json(
+      reglas.map((r) => ({ ...r.toJSON(), condicion: describirRegla(r) }))
+    );
+  } catch (error) {
+    console.error('[OBRS_TicketReglasDobleControl_CTS] error:', error);
+    res.status(500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 2) Obtener una regla por ID
+// GET /tickets/doble-control/reglas/:id
+// ===================================================
+
+export const OBR_TicketReglaDobleControl_CTS = async (req, res) => {
+  try {
+    const { rol } = getUserContext(req);
+    if (!['supervisor', 'admin'].includes(rol)) {
+      return res.status(403).json({
+        mensajeError: 'Solo supervisor/admin pueden ver las reglas de doble control'
+      });
+    }
+
+    const regla = await TicketReglasDobleControlModel.findByPk(req.params.id, {
+      include: includeRegla
+    });
+    if (!regla) {
+      return res
+        .status(404)
+        .json({ mensajeError: 'Regla de doble control no encontrada' });
+    }
+
+    res.json({ ...regla.toJSON(), condicion: describirRegla(regla) });
+  } catch (error) {
+    console.error('[OBR_TicketReglaDobleControl_CTS] error:', error);
+    res.status(500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 3) Crear regla (admin)
+// POST /tickets/doble-control/reglas
+// Body:
+//   nombre, monto_minimo?, campo_monto? (default diferencia), moneda?,
+//   categoria_id?, sucursal_id?, estado?
+// Las condiciones que no se envían quedan en NULL (no se evalúan).
+// ===================================================
+
+export const CR_TicketReglaDobleControl_CTS = async (req, res) => {
+  const { id: usuarioIdCtx, rol } = getUserContext(req);
+
+  if (rol !== 'admin') {
+    return res.status(403).json({
+      mensajeError: 'Solo un administrador puede crear reglas de doble control'
+    });
+  }
+
+  try {
+    const data = normalizarRegla(req.body || {});
+    await validarReferencias(data);
+
+    const nueva = await TicketReglasDobleControlModel.create(data);
+
+    await registrarLogActividad({
+      usuario_id: usuarioIdCtx,
+      modulo: 'tickets',
+      accion: 'CREAR',
+      entidad: 'ticket_regla_doble_control',
+      entidad_id: nueva.id,
+      descripcion: `El usuario ${usuarioIdCtx} creó la regla de doble control "${nueva.nombre}" (#${nueva.id}): ${describirRegla(nueva)}.`,
+      ip: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    res.json({
+      message: 'Regla de doble control creada correctamente',
+      regla: nueva
+    });
+  } catch (error) {
+    console.error('[CR_TicketReglaDobleControl_CTS] error:', error);
+    res.status(error.statusCode || 500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 4) Actualizar regla (admin)
+// PUT /tickets/doble-control/reglas/:id
+// Aplica a las próximas autorizaciones; los tickets ya pre-autorizados
+// siguen esperando su confirmación.
+// ===================================================
+
+export const UR_TicketReglaDobleControl_CTS = async (req, res) => {
+  const { id } = req.params;
+  const { id: usuarioIdCtx, rol } = getUserContext(req);
+
+  if (rol !== 'admin') {
+    return res.status(403).json({
+      mensajeError: 'Solo un administrador puede editar reglas de doble control'
+    });
+  }
+
+  try {
+    const regla = await TicketReglasDobleControlModel.findByPk(id);
+    if (!regla) {
+      return res
+        .status(404)
+        .json({ mensajeError: 'Regla de doble control no encontrada' });
+    }
+
+    const data = normalizarRegla(req.body || {}, { parcial: true });
+    await validarReferencias(data);
+
+    const cambios = [];
+    for (const key of CAMPOS_EDITABLES) {
+      if (
+        Object.prototype.hasOwnProperty.call(data, key) &&
+        String(data[key]) !== String(regla[key])
+      ) {
+        cambios.push(
+          `cambió el campo "${key}" de "${regla[key]}" a "${data[key]}"`
+        );
+      }
+    }
+
+    await regla.update(data);
+
+    await registrarLogActividad({
+      usuario_id: usuarioIdCtx,
+      modulo: 'tickets',
+      accion: 'ACTUALIZAR',
+      entidad: 'ticket_regla_doble_control',
+      entidad_id: regla.id,
+      descripcion:
+        cambios.length > 0
+          ? `El usuario ${usuarioIdCtx} actualizó la regla de doble control #${regla.id}: ${cambios.join('; ')}`
+          : `El usuario ${usuarioIdCtx} ejecutó actualización sin cambios aparentes en la regla de doble control #${regla.id}`,
+      ip: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    res.json({
+      message: 'Regla de doble control actualizada correctamente',
+      regla,
+      cambios
+    });
+  } catch (error) {
+    console.error('[UR_TicketReglaDobleControl_CTS] error:', error);
+    res.status(error.statusCode || 500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 5) Eliminar regla (admin)
+// DELETE /tickets/doble-control/reglas/:id
+// El historial guarda una foto de las reglas aplicadas, así que
+// eliminar una regla no pierde la trazabilidad.
+// ===================================================
+
+export const ER_TicketReglaDobleControl_CTS = async (req, res) => {
+  const { id } = req.params;
+  const { id: usuarioIdCtx, rol } = getUserContext(req);
+
+  if (rol !== 'admin') {
+    return res.status(403).json({
+      mensajeError: 'Solo un administrador puede eliminar reglas de doble control'
+    });
+  }
+
+  try {
+    const regla = await TicketReglasDobleControlModel.findByPk(id);
+    if (!regla) {
+      return res
+        .status(404)
+        .json({ mensajeError: 'Regla de doble control no encontrada' });
+    }
+
+    await regla.destroy();
+
+    await registrarLogActividad({
+      usuario_id: usuarioIdCtx,
+      modulo: 'tickets',
+      accion: 'ELIMINAR',
+      entidad: 'ticket_regla_doble_control',
+      entidad_id: regla.id,
+      descripcion: `El usuario ${usuarioIdCtx} eliminó la regla de doble control "${regla.nombre}" (#${regla.id}).`,
+      ip: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    res.json({ message: 'Regla de doble control eliminada correctamente' });
+  } catch (error) {
+    console.error('[ER_TicketReglaDobleControl_CTS] error:', error);
+    res.status(500).json({ mensajeError: error.message });
+  }
+};
+
+export default {
+  OBRS_TicketReglasDobleControl_CTS,
+  OBR_TicketReglaDobleControl_CTS,
+  CR_TicketReglaDobleControl_CTS,
+  UR_TicketReglaDobleControl_CTS,
+  ER_TicketReglaDobleControl_CTS
+};
@@ -0,0 +1,476 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Controladores para vínculos entre tickets (`ticket_relaciones`) y para la
+ * fusión de duplicados.
+ *
+ * Incluye:
+ *  - Listado de vínculos de un ticket
+ *  - Crear / eliminar vínculos (duplicado_de, relacionado_con, padre_de)
+ *  - Fusionar un duplicado en el ticket que sobrevive:
+ *      * mueve adjuntos al ticket sobreviviente; el historial de estados
+ *        queda en el duplicado (SLA, KPIs y cadena de estados no se
+ *        mezclan) y se ve desde el sobreviviente vía fusionado_en_id
+ *      * suma los seguidores del duplicado
+ *      * cierra el duplicado con puntero (fusionado_en_id)
+ *      * registra historial en ambos tickets, log y notificaciones
+ *
+ * Reglas de permisos:
+ *  - Ver vínculos: quien pueda ver el ticket (operador: solo los suyos).
+ *  - Crear / eliminar vínculos y fusionar: supervisor / admin.
+ *
+ * Tema: Controladores - Ticket Relaciones
+ * Capa: Backend
+ */
+
+import { Op } from 'sequelize';
+
+import MD_TB_Tickets from '../../Models/Tickets/MD_TB_Tickets.js';
+import MD_TB_TicketRelaciones from '../../Models/Tickets/MD_TB_TicketRelaciones.js';
+import MD_TB_TicketAdjuntos from '../../Models/Tickets/MD_TB_TicketAdjuntos.js';
+import MD_TB_TicketEstadosHistorial from '../../Models/Tickets/MD_TB_TicketEstadosHistorial.js';
+import MD_TB_TicketSeguidores from '../../Models/Tickets/MD_TB_TicketSeguidores.js';
+
+import { registrarLogActividad } from '../Logs/CTS_TB_LogsActividad.js';
+import { etiquetaTicket } from '../../Utils/ticketCodigoService.js';
+import {
+  TIPOS_RELACION,
+  obtenerRelacionesTicket,
+  validarJerarquiaSinCiclos
+} from '../../Utils/ticketRelacionesService.js';
+import {
+  agregarSeguidor,
+  notificarSeguidores
+} from '../../Utils/ticketSeguidoresService.js';
+import {
+  resolverVisibilidadTickets,
+  puedeVerTicket
+} from '../../Utils/ticketVisibilidadService.js';
+
+const { TicketsModel } = MD_TB_Tickets;
+const { TicketRelacionesModel } = MD_TB_TicketRelaciones;
+const { TicketAdjuntosModel } = MD_TB_TicketAdjuntos;
+const { TicketEstadosHistorialModel } = MD_TB_TicketEstadosHistorial;
+const { TicketSeguidoresModel } = MD_TB_TicketSeguidores;
+
+/**
+ * Util interno: contexto del usuario autenticado.
+ */
+const getUserContext = (req) => {
+  const user = req.user || {};
+  return {
+    id: user.id || null,
+    rol: user.rol || null
+  };
+};
+
+const esSupervisorOAdmin = (rol) => rol === 'supervisor' || rol === 'admin';
+
+const httpError = (statusCode, message) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const parseTicketId = (val, campo = 'ticketId') => {
+  const id = Number(val);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw httpError(400, `${campo} debe ser numérico`);
+  }
+  return id;
+};
+
+// ===================================================
+// 1) Vínculos de un ticket
+// GET /tickets/:ticketId/relaciones
+// ===================================================
+
+export const OBRS_TicketRelaciones_CTS = async (req, res) => {
+  try {
+    const ticketId = parseTicketId(req.params.ticketId);
+    const { id: usuarioIdCtx, rol } = getUserContext(req);
+
+    const ticket = await TicketsModel.findByPk(ticketId);
+    if (!ticket) throw httpError(404, 'Ticket no encontrado');
+
+    const visibilidad = await resolverVisibilidadTickets({
+      id: usuarioIdCtx,
+      rol
+    });
+    if (!puedeVerTicket(ticket, visibilidad)) {
+      throw httpError(403, 'No tiene permisos para ver este ticket');
+    }
+
+    const relaciones = await obtenerRelacionesTicket(ticketId, {
+      visibilidad
+    });
+
+    res.json({
+      ticket_id: ticketId,
+      fusionado_en_id: ticket.fusionado_en_id,
+      total: relaciones.length,
+      data: relaciones
+    });
+  } catch (error) {
+    console.error('[OBRS_TicketRelaciones_CTS] error:', error);
+    res.status(error.statusCode || 500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 2) Crear vínculo
+// POST /tickets/:ticketId/relaciones
+// Body:
+//   ticket_relacionado_id, tipo (duplicado_de | relacionado_con | padre_de),
+//   comentario (opcional)
+// Se lee como: :ticketId <tipo> ticket_relacionado_id
+// ===================================================
+
+export const CR_TicketRelacion_CTS = async (req, res) => {
+  const { id: usuarioIdCtx, rol } = getUserContext(req);
+
+  if (!esSupervisorOAdmin(rol)) {
+    return res.status(403).json({
+      mensajeError: 'Solo supervisor/admin pueden vincular tickets'
+    });
+  }
+
+  try {
+    const origenId = parseTicketId(req.params.ticketId);
+    const destinoId = parseTicketId(
+      req.body?.ticket_relacionado_id,
+      'ticket_relacionado_id'
+    );
+    const tipo = String(req.body?.tipo || '').trim();
+    const comentario = req.body?.comentario
+      ? String(req.body.comentario).trim().slice(0, 255)
+      : null;
+
+    if (!TIPOS_RELACION.includes(tipo)) {
+      throw httpError(
+        400,
+        `tipo inválido. Debe ser uno de: ${TIPOS_RELACION.join(', ')}`
+      );
+    }
+    if (origenId === destinoId) {
+      throw httpError(400, 'Un ticket no puede vincularse consigo mismo');
+    }
+
+    const [origen, destino] = await Promise.all([
+      TicketsModel.findByPk(origenId),
+      TicketsModel.findByPk(destinoId)
+    ]);
+    if (!origen) throw httpError(404, `Ticket #${origenId} no encontrado`);
+    if (!destino) throw httpError(404, `Ticket #${destinoId} no encontrado`);
+
+    // Evitar duplicar el vínculo (en cualquier dirección si es simétrico
+    // o si invierte la misma relación)
+    const existente = await TicketRelacionesModel.findOne({
+      where: {
+        tipo,
+        [Op.or]: [
+          { ticket_origen_id: origenId, ticket_destino_id: destinoId },
+          { ticket_origen_id: destinoId, ticket_destino_id: origenId }
+        ]
+      }
+    });
+    if (existente) {
+      throw httpError(
+        409,
+        `Ya existe un vínculo "${tipo}" entre #${origenId} y #${destinoId} (#${existente.id})`
+      );
+    }
+
+    if (tipo === 'padre_de') {
+      await validarJerarquiaSinCiclos(origenId, destinoId);
+    }
+
+    const relacion = await TicketRelacionesModel.create({
+      ticket_origen_id: origenId,
+      ticket_destino_id: destinoId,
+      tipo,
+      usuario_id: usuarioIdCtx,
+      comentario
+    });
+
+    await registrarLogActividad({
+      usuario_id: usuarioIdCtx,
+      modulo: 'tickets',
+      accion: 'VINCULAR',
+      entidad: 'ticket',
+      entidad_id: origenId,
+      descripcion: `El usuario ${usuarioIdCtx} vinculó el ticket #${origenId} "${tipo}" #${destinoId}.`,
+      ip: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    res.json({ message: 'Vínculo creado correctamente', relacion });
+  } catch (error) {
+    console.error('[CR_TicketRelacion_CTS] error:', error);
+    res.status(error.statusCode || 500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 3) Eliminar vínculo
+// DELETE /tickets/relaciones/:id
+// El vínculo "duplicado_de" creado por una fusión no se puede borrar.
+// ===================================================
+
+export const ER_TicketRelacion_CTS = async (req, res) => {
+  const { id: usuarioIdCtx, rol } = getUserContext(req);
+
+  if (!esSupervisorOAdmin(rol)) {
+    return res.status(403).json({
+      mensajeError: 'Solo supervisor/admin pueden desvincular tickets'
+    });
+  }
+
+  try {
+    const relacion = await TicketRelacionesModel.findByPk(req.params.id);
+    if (!relacion) throw httpError(404, 'Vínculo no encontrado');
+
+    if (relacion.tipo === 'duplicado_de') {
+      const origen = await TicketsModel.findByPk(relacion.ticket_origen_id, {
+        attributes: ['id', 'fusionado_en_id']
+      });
+      if (origen?.fusionado_en_id === relacion.ticket_destino_id) {
+        throw httpError(
+          409,
+          'El vínculo corresponde a una fusión ya realizada y no puede eliminarse'
+        );
+      }
+    }
+
+    await relacion.destroy();
+
+    await registrarLogActividad({
+      usuario_id: usuarioIdCtx,
+      modulo: 'tickets',
+      accion: 'DESVINCULAR',
+      entidad: 'ticket',
+      entidad_id: relacion.ticket_origen_id,
+      descripcion: `El usuario ${usuarioIdCtx} eliminó el vínculo #${relacion.id} (#${relacion.ticket_origen_id} "${relacion.tipo}" #${relacion.ticket_destino_id}).`,
+      ip: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    res.json({ message: 'Vínculo eliminado correctamente' });
+  } catch (error) {
+    console.error('[ER_TicketRelacion_CTS] error:', error);
+    res.status(error.statusCode || 500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 4) Fusionar duplicado
+// POST /tickets/:id/fusionar
+// Body:
+//   ticket_destino_id (ticket que sobrevive), comentario (opcional)
+//
+// :id es el duplicado. La fusión es una operación especial: cierra el
+// duplicado sin pasar por la máquina de estados.
+// ===================================================
+
+export const UR_Ticket_Fusionar_CTS = async (req, res) => {
+  const { id: usuarioIdCtx, rol } = getUserContext(req);
+
+  if (!esSupervisorOAdmin(rol)) {
+    return res.status(403).json({
+      mensajeError: 'Solo supervisor/admin pueden fusionar tickets'
+    });
+  }
+
+  let transaction;
+
+  try {
+    const duplicadoId = parseTicketId(req.params.id, 'id');
+    const destinoId = parseTicketId(
+      req.body?.ticket_destino_id,
+      'ticket_destino_id'
+    );
+    const comentario = req.body?.comentario
+      ? String(req.body.comentario).trim()
+      : null;
+
+    if (duplicadoId === destinoId) {
+      throw httpError(400, 'Un ticket no puede fusionarse consigo mismo');
+    }
+
+    transaction = await TicketsModel.sequelize.transaction();
+
+    // Lock en orden de id para evitar deadlocks entre fusiones cruzadas
+    const [primeroId, segundoId] = [duplicadoId, destinoId].sort((a, b) => a - b);
+    const primero = await TicketsModel.findByPk(primeroId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    const segundo = await TicketsModel.findByPk(segundoId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    const duplicado = primero?.id === duplicadoId ? primero : segundo;
+    const destino = primero?.id === destinoId ? primero : segundo;
+
+    if (!duplicado) throw httpError(404, `Ticket #${duplicadoId} no encontrado`);
+    if (!destino) throw httpError(404, `Ticket #${destinoId} no encontrado`);
+
+    if (duplicado.fusionado_en_id) {
+      throw httpError(
+        409,
+        `El ticket #${duplicadoId} ya fue fusionado en #${duplicado.fusionado_en_id}`
+      );
+    }
+    if (duplicado.estado === 'cerrado') {
+      throw httpError(400, `El ticket #${duplicadoId} ya está cerrado`);
+    }
+    if (destino.fusionado_en_id || destino.estado === 'cerrado') {
+      throw httpError(
+        400,
+        `El ticket #${destinoId} está cerrado o fusionado; no puede absorber otro ticket`
+      );
+    }
+
+    const estadoAnteriorDuplicado = duplicado.estado;
+
+    // 1) Adjuntos -> ticket sobreviviente (el principal sigue siendo el del destino)
+    const [adjuntosMovidos] = await TicketAdjuntosModel.update(
+      { ticket_id: destinoId, es_principal: 0 },
+      { where: { ticket_id: duplicadoId }, transaction }
+    );
+
+    // 2) El historial de estados NO se mueve: sigue en el duplicado y la
+    //    línea de tiempo del sobreviviente lo incluye por fusionado_en_id
+
+    // 3) Seguidores del duplicado pasan a seguir el sobreviviente
+    const seguidores = await TicketSeguidoresModel.findAll({
+      where: { ticket_id: duplicadoId },
+      transaction
+    });
+    for (const s of seguidores) {
+      await agregarSeguidor({
+        ticketId: destinoId,
+        usuarioId: s.usuario_id,
+        origen: s.origen,
+        transaction
+      });
+    }
+    await agregarSeguidor({
+      ticketId: destinoId,
+      usuarioId: usuarioIdCtx,
+      origen: 'cambio_estado',
+      transaction
+    });
+
+    // 4) Cerrar el duplicado con puntero
+    const obsFusion =
+      `Fusionado en el ticket #${destinoId}.` +
+      (comentario ? ` ${comentario}` : '');
+    const prevObs = duplicado.observaciones_supervisor || '';
+    await duplicado.update(
+      {
+        estado: 'cerrado',
+        fecha_cierre: new Date(),
+        fusionado_en_id: destinoId,
+        observaciones_supervisor: `${prevObs}${prevObs ? '\n---\n' : ''}${obsFusion}`
+      },
+      { transaction }
+    );
+
+    // 5) Historial en ambos tickets
+    await TicketEstadosHistorialModel.create(
+      {
+        ticket_id: duplicadoId,
+        estado_anterior: estadoAnteriorDuplicado,
+        estado_nuevo: 'cerrado',
+        usuario_id: usuarioIdCtx,
+        comentario: obsFusion
+      },
+      { transaction }
+    );
+    await TicketEstadosHistorialModel.create(
+      {
+        ticket_id: destinoId,
+        estado_anterior: destino.estado,
+        estado_nuevo: destino.estado,
+        usuario_id: usuarioIdCtx,
+        comentario:
+          `Se fusionó el ticket #${duplicadoId} (${adjuntosMovidos} adjunto/s).` +
+          (comentario ? ` ${comentario}` : '')
+      },
+      { transaction }
+    );
+
+    // 6) Vínculo duplicado_de (si no existía)
+    await TicketRelacionesModel.findOrCreate({
+      where: {
+        ticket_origen_id: duplicadoId,
+        ticket_destino_id: destinoId,
+        tipo: 'duplicado_de'
+      },
+      defaults: {
+        usuario_id: usuarioIdCtx,
+        comentario: 'Creado por fusión'
+      },
+      transaction
+    });
+
+    // 7) Avisos a seguidores (del sobreviviente, que ya incluye los del duplicado)
+    await notificarSeguidores({
+      ticket: destino,
+      usuarioOrigenId: usuarioIdCtx,
+      destinatariosExtra: [duplicado.usuario_creador_id],
+      asunto: `Ticket ${etiquetaTicket(duplicado)} fusionado en ${etiquetaTicket(destino)}`,
+      mensaje:
+        `El ticket ${etiquetaTicket(duplicado)} ("${duplicado.asunto}") se cerró como duplicado y se fusionó en ` +
+        `${etiquetaTicket(destino)} ("${destino.asunto}"). Los adjuntos ahora están en ${etiquetaTicket(destino)}.` +
+        (comentario ? `\n\nComentario: ${comentario}` : ''),
+      transaction
+    });
+
+    await transaction.commit();
+
+    for (const [entidadId, texto] of [
+      [duplicadoId, `cerró el ticket #${duplicadoId} fusionándolo en #${destinoId}`],
+      [destinoId, `fusionó el ticket #${duplicadoId} en #${destinoId}`]
+    ]) {
+      await registrarLogActividad({
+        usuario_id: usuarioIdCtx,
+        modulo: 'tickets',
+        accion: 'FUSIONAR',
+        entidad: 'ticket',
+        entidad_id: entidadId,
+        descripcion: `El usuario ${usuarioIdCtx} ${texto} (${adjuntosMovidos} adjunto/s movidos, estado previo del duplicado: "${estadoAnteriorDuplicado}").`,
+        ip: req.ip,
+        user_agent: req.headers['user-agent']
+      });
+    }
+
+    const sobreviviente = await TicketsModel.findByPk(destinoId);
+
+    res.json({
+      message: `Ticket #${duplicadoId} fusionado en #${destinoId}`,
+      ticket: sobreviviente,
+      duplicado_id: duplicadoId,
+      adjuntos_movidos: adjuntosMovidos
+    });
+  } catch (error) {
+    console.error('[UR_Ticket_Fusionar_CTS] error:', error);
+    if (transaction) {
+      try {
+        await transaction.rollback();
+      } catch (e) {}
+    }
+    res.status(error.statusCode || 500).json({ mensajeError: error.message });
+  }
+};
+
+export default {
+  OBRS_TicketRelaciones_CTS,
+  CR_TicketRelacion_CTS,
+  ER_TicketRelacion_CTS,
+  UR_Ticket_Fusionar_CTS
+};
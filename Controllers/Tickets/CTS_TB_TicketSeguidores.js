@@ -0,0 +1,184 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Controladores para seguir / dejar de seguir tickets (`ticket_seguidores`).
+ *
+ * Reglas de permisos:
+ *  - operador_sucursal: solo puede seguir tickets de su alcance
+ *    (propios o de su sucursal, ver ticketVisibilidadService).
+ *  - supervisor / admin: pueden seguir cualquier ticket.
+ *  - Cada usuario gestiona únicamente su propio seguimiento.
+ *
+ * Tema: Controladores - Ticket Seguidores
+ * Capa: Backend
+ */
+
+import MD_TB_Tickets from '../../Models/Tickets/MD_TB_Tickets.js';
+import MD_TB_TicketSeguidores from '../../Models/Tickets/MD_TB_TicketSeguidores.js';
+import MD_TB_Usuarios from '../../Models/Core/MD_TB_Usuarios.js';
+
+import { registrarLogActividad } from '../Logs/CTS_TB_LogsActividad.js';
+import { agregarSeguidor } from '../../Utils/ticketSeguidoresService.js';
+import {
+  usuarioPuedeVerTicket,
+  resolverReemplazoTicket
+} from '../../Utils/ticketVisibilidadService.js';
+
+const { TicketsModel } = MD_TB_Tickets;
+const { TicketSeguidoresModel } = MD_TB_TicketSeguidores;
+const { UsuariosModel } = MD_TB_Usuarios;
+
+/**
+ * Util interno: contexto del usuario autenticado.
+ */
+const getUserContext = (req) => {
+  const user = req.user || {};
+  return {
+    id: user.id || null,
+    rol: user.rol || null
+  };
+};
+
+/**
+ * Busca el ticket y valida que el usuario pueda verlo.
+ */
+const obtenerTicketVisible = async (ticketIdParam, { id: userId, rol }) => {
+  const ticketId = Number(ticketIdParam);
+  if (Number.isNaN(ticketId)) {
+    const err = new Error('ticketId debe ser numérico');
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const ticket = await TicketsModel.findByPk(ticketId);
+  if (!ticket) {
+    const err = new Error('Ticket no encontrado');
+    err.statusCode = 404;
+    throw err;
+  }
+
+  if (!(await usuarioPuedeVerTicket(ticket, { id: userId, rol }))) {
+    const err = new Error('No tiene permisos sobre este ticket');
+    err.statusCode = 403;
+    throw err;
+  }
+
+  return ticket;
+};
+
+// ===================================================
+// 1) Seguidores de un ticket
+// GET /tickets/:ticketId/seguidores
+// ===================================================
+
+export const OBRS_TicketSeguidores_CTS = async (req, res) => {
+  try {
+    const userCtx = getUserContext(req);
+    const ticket = await obtenerTicketVisible(req.params.ticketId, userCtx);
+
+    const seguidores = await TicketSeguidoresModel.findAll({
+      where: { ticket_id: ticket.id },
+      order: [['created_at', 'ASC']],
+      include: [
+        {
+          model: UsuariosModel,
+          as: 'usuario',
+          attributes: ['id', 'nombre', 'email', 'rol']
+        }
+      ]
+    });
+
+    res.json({
+      ticket_id: ticket.id,
+      total: seguidores.length,
+      siguiendo: seguidores.some((s) => s.usuario_id === userCtx.id),
+      data: seguidores
+    });
+  } catch (error) {
+    console.error('[OBRS_TicketSeguidores_CTS] error:', error);
+    res.status(error.statusCode || 500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 2) Seguir un ticket
+// POST /tickets/:ticketId/seguir
+// ===================================================
+
+export const CR_TicketSeguir_CTS = async (req, res) => {
+  try {
+    const userCtx = getUserContext(req);
+    const ticket = await obtenerTicketVisible(req.params.ticketId, userCtx);
+
+    const seguidor = await agregarSeguidor({
+      ticketId: ticket.id,
+      usuarioId: userCtx.id,
+      origen: 'manual'
+    });
+
+    await registrarLogActividad({
+      usuario_id: userCtx.id,
+      modulo: 'tickets',
+      accion: 'SEGUIR',
+      entidad: 'ticket',
+      entidad_id: ticket.id,
+      descripcion: `El usuario ${userCtx.id} comenzó a seguir el ticket #${ticket.id}.`,
+      ip: req.ip,
+      user_agent: req.headers['user-agent'],
+      ...(await resolverReemplazoTicket(ticket, userCtx))
+    });
+
+    res.json({ message: 'Ahora sigue este ticket', seguidor });
+  } catch (error) {
+    console.error('[CR_TicketSeguir_CTS] error:', error);
+    res.status(error.statusCode || 500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 3) Dejar de seguir un ticket
+// DELETE /tickets/:ticketId/seguir
+// ===================================================
+
+export const ER_TicketSeguir_CTS = async (req, res) => {
+  try {
+    const userCtx = getUserContext(req);
+    const ticket = await obtenerTicketVisible(req.params.ticketId, userCtx);
+
+    const deleted = await TicketSeguidoresModel.destroy({
+      where: { ticket_id: ticket.id, usuario_id: userCtx.id }
+    });
+
+    if (!deleted) {
+      return res
+        .status(404)
+        .json({ mensajeError: 'No está siguiendo este ticket' });
+    }
+
+    await registrarLogActividad({
+      usuario_id: userCtx.id,
+      modulo: 'tickets',
+      accion: 'DEJAR_DE_SEGUIR',
+      entidad: 'ticket',
+      entidad_id: ticket.id,
+      descripcion: `El usuario ${userCtx.id} dejó de seguir el ticket #${ticket.id}.`,
+      ip: req.ip,
+      user_agent: req.headers['user-agent'],
+      ...(await resolverReemplazoTicket(ticket, userCtx))
+    });
+
+    res.json({ message: 'Dejó de seguir este ticket' });
+  } catch (error) {
+    console.error('[ER_TicketSeguir_CTS] error:', error);
+    res.status(error.statusCode || 500).json({ mensajeError: error.message });
+  }
+};
+
+export default {
+  OBRS_TicketSeguidores_CTS,
+  CR_TicketSeguir_CTS,
+  ER_TicketSeguir_CTS
+};
@@ -0,0 +1,463 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Controladores para las políticas de SLA de tickets (`ticket_sla_politicas`)
+ * y consulta del SLA calculado de un ticket puntual.
+ * Una política aplica a una sucursal y/o categoría (NULL = todas).
+ * Crear, editar o eliminar una política vuelve a poner en evaluación los
+ * tickets activos vencidos (el job los saltea una vez escalados).
+ *
+ * Reglas de permisos:
+ *  - Listar / ver: cualquier usuario autenticado.
+ *  - Crear / editar / eliminar: solo admin.
+ *
+ * Tema: Controladores - Ticket SLA
+ * Capa: Backend
+ *
+ * Nomenclatura:
+ *   OBR_  obtenerRegistro
+ *   OBRS_ obtenerRegistros
+ *   CR_   crearRegistro
+ *   ER_   eliminarRegistro
+ *   UR_   actualizarRegistro
+ */
+
+import MD_TB_TicketSlaPoliticas from '../../Models/Tickets/MD_TB_TicketSlaPoliticas.js';
+import MD_TB_Tickets from '../../Models/Tickets/MD_TB_Tickets.js';
+import MD_TB_TicketEstadosHistorial from '../../Models/Tickets/MD_TB_TicketEstadosHistorial.js';
+import MD_TB_Sucursales from '../../Models/Core/MD_TB_Sucursales.js';
+import MD_TB_TicketCategorias from '../../Models/Tickets/MD_TB_TicketCategorias.js';
+
+import { registrarLogActividad } from '../Logs/CTS_TB_LogsActividad.js';
+import {
+  resolverPoliticaSla,
+  calcularSlaTicket,
+  reactivarSlaVencidos
+} from '../../Utils/slaTicketsService.js';
+import { nowMs } from '../../Utils/authoritativeTime.js';
+
+const { TicketSlaPoliticasModel } = MD_TB_TicketSlaPoliticas;
+const { TicketsModel } = MD_TB_Tickets;
+const { TicketEstadosHistorialModel } = MD_TB_TicketEstadosHistorial;
+const { SucursalesModel } = MD_TB_Sucursales;
+const { TicketCategoriasModel } = MD_TB_TicketCategorias;
+
+/**
+ * Util interno: contexto del usuario autenticado.
+ */
+const getUserContext = (req) => {
+  const user = req.user || {};
+  return {
+    id: user.id || null,
+    rol: user.rol || null
+  };
+};
+
+const CAMPOS_EDITABLES = [
+  'nombre',
+  'sucursal_id',
+  'categoria_id',
+  'max_minutos_revision',
+  'max_minutos_cierre',
+  'umbral_riesgo_pct',
+  'estado'
+];
+
+/**
+ * Normaliza y valida el payload de una política. En modo parcial solo
+ * valida los campos presentes. Lanza error con statusCode 400.
+ */
+const normalizarPolitica = (body, { parcial = false } = {}) => {
+  const data = {};
+  const fail = (msg) => {
+    const err = new Error(msg);
+    err.statusCode = 400;
+    throw err;
+  };
+  const has = (k) => Object.prototype.hasOwnProperty.call(body, k);
+
+  if (!parcial || has('nombre')) {
+    const nombre = String(body.nombre || '').trim();
+    if (!nombre) fail('El nombre de la política es obligatorio');
+    data.nombre = nombre.slice(0, 100);
+  }
+
+  for (const campo of ['sucursal_id', 'categoria_id']) {
+    if (has(campo)) {
+      if (body[campo] === null || body[campo] === '') {
+        data[campo] = null;
+      } else {
+        const id = Number(body[campo]);
+        if (!Number.isInteger(id) || id <= 0) fail(`${campo} inválido`);
+        data[campo] = id;
+      }
+    } else if (!parcial) {
+      data[campo] = null;
+    }
+  }
+
+  for (const campo of ['max_minutos_revision', 'max_minutos_cierre']) {
+    if (!parcial || has(campo)) {
+      const val = Number(body[campo]);
+      if (!Number.isInteger(val) || val <= 0) {
+        fail(`${campo} debe ser un entero positivo (minutos)`);
+      }
+      data[campo] = val;
+    }
+  }
+
+  if (has('umbral_riesgo_pct')) {
+    const pct = Number(body.umbral_riesgo_pct);
+    if (!Number.isInteger(pct) || pct < 1 || pct > 100) {
+      fail('umbral_riesgo_pct debe ser un entero entre 1 y 100');
+    }
+    data.umbral_riesgo_pct = pct;
+  }
+
+  if (has('estado')) {
+    if (!['activo', 'inactivo'].includes(body.estado)) {
+      fail('estado inválido (activo/inactivo)');
+    }
+    data.estado = body.estado;
+  }
+
+  return data;
+};
+
+const validarCoherenciaTiempos = (revision, cierre) => {
+  if (revision > cierre) {
+    const err = new Error(
+      'max_minutos_revision no puede ser mayor que max_minutos_cierre'
+    );
+    err.statusCode = 400;
+    throw err;
+  }
+};
+
+const validarSucursal = async (sucursalId) => {
+  if (!sucursalId) return;
+  const sucursal = await SucursalesModel.findByPk(sucursalId);
+  if (!sucursal) {
+    const err = new Error('La sucursal indicada no existe');
+    err.statusCode = 400;
+    throw err;
+  }
+};
+
+const validarCategoria = async (categoriaId) => {
+  if (!categoriaId) return;
+  const categoria = await TicketCategoriasModel.findByPk(categoriaId);
+  if (!categoria) {
+    const err = new Error('La categoría indicada no existe');
+    err.statusCode = 400;
+    throw err;
+  }
+};
+
+const includePolitica = [
+  {
+    model: SucursalesModel,
+    as: 'sucursal',
+    attributes: ['id', 'nombre', 'codigo']
+  },
+  {
+    model: TicketCategoriasModel,
+    as: 'categoria',
+    attributes: ['id', 'nombre']
+  }
+];
+
+/**
+ * Texto del alcance de una política para los logs.
+ */
+const describirAlcance = (politica) => {
+  const partes = [];
+  if (politica.sucursal_id) partes.push(`la sucursal #${politica.sucursal_id}`);
+  if (politica.categoria_id) partes.push(`la categoría #${politica.categoria_id}`);
+  return partes.length ? partes.join(' y ') : 'todas las sucursales y categorías';
+};
+
+// ===================================================
+// 1) Listar políticas de SLA
+// GET /tickets/sla-politicas?estado=&sucursal_id=&categoria_id=
+// ("null" = políticas sin sucursal / sin categoría)
+// ===================================================
+
+export const OBRS_TicketSlaPoliticas_CTS = async (req, res) => {
+  try {
+    const { estado, sucursal_id, categoria_id } = req.query || {};
+    const where = {};
+
+    if (estado && ['activo', 'inactivo'].includes(estado)) {
+      where.estado = estado;
+    }
+
+    for (const [campo, valor] of [
+      ['sucursal_id', sucursal_id],
+      ['categoria_id', categoria_id]
+    ]) {
+      if (valor === 'null') {
+        where[campo] = null;
+      } else if (valor) {
+        where[campo] = Number(valor);
+      }
+    }
+
+    const politicas = await TicketSlaPoliticasModel.findAll({
+      where,
+      include: includePolitica,
+      order: [['id', 'ASC']]
+    });
+
+    res.json(politicas);
+  } catch (error) {
+    console.error('[OBRS_TicketSlaPoliticas_CTS] error:', error);
+    res.status(500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 2) Obtener una política por ID
+// GET /tickets/sla-politicas/:id
+// ===================================================
+
+export const OBR_TicketSlaPolitica_CTS = async (req, res) => {
+  try {
+    const politica = await TicketSlaPoliticasModel.findByPk(req.params.id, {
+      include: includePolitica
+    });
+
+    if (!politica) {
+      return res
+        .status(404)
+        .json({ mensajeError: 'Política de SLA no encontrada' });
+    }
+
+    res.json(politica);
+  } catch (error) {
+    console.error('[OBR_TicketSlaPolitica_CTS] error:', error);
+    res.status(500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 3) Crear política de SLA (admin)
+// POST /tickets/sla-politicas
+// ===================================================
+
+export const CR_TicketSlaPolitica_CTS = async (req, res) => {
+  const { id: usuarioIdCtx, rol } = getUserContext(req);
+
+  if (rol !== 'admin') {
+    return res.status(403).json({
+      mensajeError: 'Solo un administrador puede crear políticas de SLA'
+    });
+  }
+
+  try {
+    const data = normalizarPolitica(req.body || {});
+    validarCoherenciaTiempos(data.max_minutos_revision, data.max_minutos_cierre);
+    await validarSucursal(data.sucursal_id);
+    await validarCategoria(data.categoria_id);
+
+    const nueva = await TicketSlaPoliticasModel.create(data);
+    await reactivarSlaVencidos();
+
+    await registrarLogActividad({
+      usuario_id: usuarioIdCtx,
+      modulo: 'tickets',
+      accion: 'CREAR',
+      entidad: 'ticket_sla_politica',
+      entidad_id: nueva.id,
+      descripcion: `El usuario ${usuarioIdCtx} creó la política de SLA "${nueva.nombre}" (#${nueva.id}) para ${describirAlcance(
+        nueva
+      )}: revisión ${nueva.max_minutos_revision} min, cierre ${nueva.max_minutos_cierre} min.`,
+      ip: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    res.json({ message: 'Política de SLA creada correctamente', politica: nueva });
+  } catch (error) {
+    console.error('[CR_TicketSlaPolitica_CTS] error:', error);
+    res.status(error.statusCode || 500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 4) Actualizar política de SLA (admin)
+// PUT /tickets/sla-politicas/:id
+// ===================================================
+
+export const UR_TicketSlaPolitica_CTS = async (req, res) => {
+  const { id } = req.params;
+  const { id: usuarioIdCtx, rol } = getUserContext(req);
+
+  if (rol !== 'admin') {
+    return res.status(403).json({
+      mensajeError: 'Solo un administrador puede editar políticas de SLA'
+    });
+  }
+
+  try {
+    const politica = await TicketSlaPoliticasModel.findByPk(id);
+    if (!politica) {
+      return res
+        .status(404)
+        .json({ mensajeError: 'Política de SLA no encontrada' });
+    }
+
+    const data = normalizarPolitica(req.body || {}, { parcial: true });
+    validarCoherenciaTiempos(
+      data.max_minutos_revision ?? politica.max_minutos_revision,
+      data.max_minutos_cierre ?? politica.max_minutos_cierre
+    );
+    if (Object.prototype.hasOwnProperty.call(data, 'sucursal_id')) {
+      await validarSucursal(data.sucursal_id);
+    }
+    if (Object.prototype.hasOwnProperty.call(data, 'categoria_id')) {
+      await validarCategoria(data.categoria_id);
+    }
+
+    const cambios = [];
+    for (const key of CAMPOS_EDITABLES) {
+      if (
+        Object.prototype.hasOwnProperty.call(data, key) &&
+        String(data[key]) !== String(politica[key])
+      ) {
+        cambios.push(
+          `cambió el campo "${key}" de "${politica[key]}" a "${data[key]}"`
+        );
+      }
+    }
+
+    await politica.update(data);
+    await reactivarSlaVencidos();
+
+    await registrarLogActividad({
+      usuario_id: usuarioIdCtx,
+      modulo: 'tickets',
+      accion: 'ACTUALIZAR',
+      entidad: 'ticket_sla_politica',
+      entidad_id: politica.id,
+      descripcion:
+        cambios.length > 0
+          ? `El usuario ${usuarioIdCtx} actualizó la política de SLA #${politica.id}: ${cambios.join('; ')}`
+          : `El usuario ${usuarioIdCtx} ejecutó actualización sin cambios aparentes en la política de SLA #${politica.id}`,
+      ip: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    res.json({
+      message: 'Política de SLA actualizada correctamente',
+      politica,
+      cambios
+    });
+  } catch (error) {
+    console.error('[UR_TicketSlaPolitica_CTS] error:', error);
+    res.status(error.statusCode || 500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 5) Eliminar política de SLA (admin)
+// DELETE /tickets/sla-politicas/:id
+// Los tickets que la referencian (y los vencidos) se re-evalúan en la
+// próxima corrida del job.
+// ===================================================
+
+export const ER_TicketSlaPolitica_CTS = async (req, res) => {
+  const { id } = req.params;
+  const { id: usuarioIdCtx, rol } = getUserContext(req);
+
+  if (rol !== 'admin') {
+    return res.status(403).json({
+      mensajeError: 'Solo un administrador puede eliminar políticas de SLA'
+    });
+  }
+
+  try {
+    const politica = await TicketSlaPoliticasModel.findByPk(id);
+    if (!politica) {
+      return res
+        .status(404)
+        .json({ mensajeError: 'Política de SLA no encontrada' });
+    }
+
+    await TicketsModel.update(
+      { sla_politica_id: null },
+      // paranoid: false -> también los tickets en papelera (FK a la política)
+      { where: { sla_politica_id: politica.id }, silent: true, paranoid: false }
+    );
+    await politica.destroy();
+    await reactivarSlaVencidos();
+
+    await registrarLogActividad({
+      usuario_id: usuarioIdCtx,
+      modulo: 'tickets',
+      accion: 'ELIMINAR',
+      entidad: 'ticket_sla_politica',
+      entidad_id: politica.id,
+      descripcion: `El usuario ${usuarioIdCtx} eliminó la política de SLA "${politica.nombre}" (#${politica.id}).`,
+      ip: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    res.json({ message: 'Política de SLA eliminada correctamente' });
+  } catch (error) {
+    console.error('[ER_TicketSlaPolitica_CTS] error:', error);
+    res.status(500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 6) SLA calculado en vivo de un ticket
+// GET /tickets/:id/sla
+// ===================================================
+
+export const OBR_Ticket_Sla_CTS = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const ticket = await TicketsModel.findByPk(id);
+    if (!ticket) {
+      return res.status(404).json({ mensajeError: 'Ticket no encontrado' });
+    }
+
+    const politicas = await TicketSlaPoliticasModel.findAll({
+      where: { estado: 'activo' }
+    });
+    const politica = resolverPoliticaSla(ticket, politicas);
+
+    const historial = await TicketEstadosHistorialModel.findAll({
+      where: { ticket_id: ticket.id },
+      attributes: ['id', 'estado_anterior', 'estado_nuevo', 'fecha_cambio']
+    });
+
+    const sla = calcularSlaTicket(ticket, historial, politica, nowMs());
+
+    res.json({
+      ticket_id: ticket.id,
+      estado_ticket: ticket.estado,
+      politica: politica || null,
+      sla_estado: sla?.estado || null,
+      sla_nivel_escalamiento: ticket.sla_nivel_escalamiento,
+      sla_evaluado_at: ticket.sla_evaluado_at,
+      detalle: sla
+    });
+  } catch (error) {
+    console.error('[OBR_Ticket_Sla_CTS] error:', error);
+    res.status(500).json({ mensajeError: error.message });
+  }
+};
+
+export default {
+  OBRS_TicketSlaPoliticas_CTS,
+  OBR_TicketSlaPolitica_CTS,
+  CR_TicketSlaPolitica_CTS,
+  UR_TicketSlaPolitica_CTS,
+  ER_TicketSlaPolitica_CTS,
+  OBR_Ticket_Sla_CTS
+};
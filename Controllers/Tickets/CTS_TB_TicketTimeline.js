@@ -0,0 +1,120 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Línea de tiempo unificada de un ticket (estados, adjuntos, comentarios,
+ * asignaciones, notificaciones, ediciones y logs) en un solo feed
+ * cronológico y paginado. El armado está en Utils/ticketTimelineService.js.
+ *
+ * Reglas de permisos:
+ *  - operador_sucursal: solo tickets de su alcance (propios o de su
+ *    sucursal, ver ticketVisibilidadService), con vista reducida
+ *    (sin notas internas, sin logs de auditoría, solo sus notificaciones).
+ *  - supervisor / admin: cualquier ticket, vista completa.
+ *
+ * Tema: Controladores - Tickets (Timeline)
+ * Capa: Backend
+ */
+
+import MD_TB_Tickets from '../../Models/Tickets/MD_TB_Tickets.js';
+import {
+  TIPOS_TIMELINE,
+  obtenerTimelineTicket
+} from '../../Utils/ticketTimelineService.js';
+import { usuarioPuedeVerTicket } from '../../Utils/ticketVisibilidadService.js';
+
+const { TicketsModel } = MD_TB_Tickets;
+
+/**
+ * Util interno: contexto del usuario autenticado.
+ */
+const getUserContext = (req) => {
+  const user = req.user || {};
+  return {
+    id: user.id || null,
+    rol: user.rol || null
+  };
+};
+
+// ===================================================
+// 1) Timeline de un ticket
+// GET /tickets/:id/timeline
+// Query params:
+//   page, limit (default 50, máx 200),
+//   orden (asc | desc; default asc = más viejo primero),
+//   tipos (lista separada por coma: estado,adjunto,comentario,
+//          asignacion,notificacion,edicion,log)
+// ===================================================
+
+export const OBRS_Ticket_Timeline_CTS = async (req, res) => {
+  try {
+    const { id: usuarioIdCtx, rol } = getUserContext(req);
+    const { page, limit, orden, tipos } = req.query || {};
+
+    const ticket = await TicketsModel.findByPk(req.params.id, {
+      attributes: ['id', 'usuario_creador_id', 'sucursal_id', 'estado']
+    });
+    if (!ticket) {
+      return res.status(404).json({ mensajeError: 'Ticket no encontrado' });
+    }
+
+    if (!(await usuarioPuedeVerTicket(ticket, { id: usuarioIdCtx, rol }))) {
+      return res
+        .status(403)
+        .json({ mensajeError: 'No tiene permisos para ver este ticket' });
+    }
+
+    let tiposFinal = TIPOS_TIMELINE;
+    if (tipos) {
+      tiposFinal = String(tipos)
+        .split(',')
+        .map((t) => t.trim())
+        .filter(Boolean);
+      const invalidos = tiposFinal.filter((t) => !TIPOS_TIMELINE.includes(t));
+      if (invalidos.length) {
+        return res.status(400).json({
+          mensajeError: `Tipos inválidos: ${invalidos.join(', ')}. Válidos: ${TIPOS_TIMELINE.join(', ')}`
+        });
+      }
+    }
+
+    const ordenFinal = String(orden || '').toLowerCase() === 'desc' ? 'desc' : 'asc';
+    const pageNum = Math.max(parseInt(page || '1', 10), 1);
+    const limitNum = Math.min(Math.max(parseInt(limit || '50', 10), 1), 200);
+
+    const eventos = await obtenerTimelineTicket({
+      ticket,
+      userCtx: { id: usuarioIdCtx, rol },
+      tipos: tiposFinal,
+      orden: ordenFinal
+    });
+
+    const total = eventos.length;
+    const totalPages = Math.max(Math.ceil(total / limitNum), 1);
+    const offset = (pageNum - 1) * limitNum;
+
+    res.json({
+      ticket_id: ticket.id,
+      data: eventos.slice(offset, offset + limitNum),
+      meta: {
+        total,
+        page: pageNum,
+        limit: limitNum,
+        totalPages,
+        hasNext: pageNum < totalPages,
+        hasPrev: pageNum > 1,
+        orden: ordenFinal,
+        tipos: tiposFinal
+      }
+    });
+  } catch (error) {
+    console.error('[OBRS_Ticket_Timeline_CTS] error:', error);
+    res.status(error.statusCode || 500).json({ mensajeError: error.message });
+  }
+};
+
+export default {
+  OBRS_Ticket_Timeline_CTS
+};
@@ -0,0 +1,330 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Vistas guardadas del listado de tickets (`ticket_vistas`):
+ *  - Listado de vistas propias + compartidas por usuarios del mismo rol
+ *  - Alta / edición / baja (solo el dueño)
+ *  - Vista predeterminada (una por usuario)
+ *  - Conteo en vivo de tickets por vista (menú lateral)
+ *
+ * Los filtros son los mismos que GET /tickets (ver Utils/ticketsWhere.js);
+ * el front aplica `filtros_resueltos` + orden como query string.
+ *
+ * Reglas de permisos:
+ *  - Cualquier usuario autenticado gestiona sus propias vistas.
+ *  - Las vistas compartidas son de solo lectura para el resto.
+ *  - Los conteos respetan la visibilidad por rol de GET /tickets.
+ *
+ * Tema: Controladores - Tickets (Vistas guardadas)
+ * Capa: Backend
+ */
+
+import { Op, UniqueConstraintError } from 'sequelize';
+
+import MD_TB_TicketVistas from '../../Models/Tickets/MD_TB_TicketVistas.js';
+import MD_TB_Usuarios from '../../Models/Core/MD_TB_Usuarios.js';
+
+import { registrarLogActividad } from '../Logs/CTS_TB_LogsActividad.js';
+import {
+  normalizarFiltrosVista,
+  resolverFiltrosVista,
+  contarTicketsPorVista
+} from '../../Utils/ticketVistasService.js';
+
+const { TicketVistasModel } = MD_TB_TicketVistas;
+const { UsuariosModel } = MD_TB_Usuarios;
+
+/**
+ * Util interno: contexto del usuario autenticado.
+ */
+const getUserContext = (req) => {
+  const user = req.user || {};
+  return {
+    id: user.id || null,
+    rol: user.rol || null
+  };
+};
+
+/**
+ * Vistas que ve el usuario: las suyas + las compartidas con su rol.
+ */
+const buscarVistasVisibles = ({ id, rol }) =>
+  TicketVistasModel.findAll({
+    where: {
+      [Op.or]: [{ usuario_id: id }, { compartida: true, rol_compartido: rol }]
+    },
+    include: [
+      {
+        model: UsuariosModel,
+        as: 'usuario',
+        attributes: ['id', 'nombre', 'email', 'rol']
+      }
+    ],
+    order: [
+      ['predeterminada', 'DESC'],
+      ['nombre', 'ASC']
+    ]
+  });
+
+/**
+ * Campos editables del body (alta y edición).
+ */
+const leerCamposVista = (body, rol) => {
+  const { nombre, filtros, orden_campo, orden_dir, predeterminada, compartida } =
+    body || {};
+  const datos = {};
+
+  if (nombre !== undefined) {
+    const limpio = String(nombre).trim();
+    if (!limpio || limpio.length > 100) {
+      const err = new Error('El nombre es obligatorio (máx. 100 caracteres)');
+      err.statusCode = 400;
+      throw err;
+    }
+    datos.nombre = limpio;
+  }
+
+  if (filtros !== undefined) datos.filtros = normalizarFiltrosVista(filtros);
+
+  if (orden_campo !== undefined) {
+    datos.orden_campo = orden_campo ? String(orden_campo).slice(0, 50) : null;
+  }
+  if (orden_dir !== undefined) {
+    const dir = String(orden_dir || '').toUpperCase();
+    datos.orden_dir = ['ASC', 'DESC'].includes(dir) ? dir : null;
+  }
+
+  if (predeterminada !== undefined) datos.predeterminada = !!predeterminada;
+
+  if (compartida !== undefined) {
+    datos.compartida = !!compartida;
+    datos.rol_compartido = datos.compartida ? rol : null;
+  }
+
+  return datos;
+};
+
+const serializarVista = (vista, usuarioIdCtx) => ({
+  ...vista.toJSON(),
+  propia: vista.usuario_id === usuarioIdCtx,
+  filtros_resueltos: resolverFiltrosVista(vista.filtros)
+});
+
+/**
+ * Si la vista queda como predeterminada, desmarca las demás del dueño.
+ */
+const desmarcarOtrasPredeterminadas = (vista, transaction) =>
+  TicketVistasModel.update(
+    { predeterminada: false },
+    {
+      where: {
+        usuario_id: vista.usuario_id,
+        id: { [Op.ne]: vista.id },
+        predeterminada: true
+      },
+      transaction
+    }
+  );
+
+// ===================================================
+// 1) Listado de vistas visibles para el usuario
+// GET /tickets/vistas
+// ===================================================
+
+export const OBRS_TicketVistas_CTS = async (req, res) => {
+  try {
+    const userCtx = getUserContext(req);
+    const vistas = await buscarVistasVisibles(userCtx);
+
+    res.json(vistas.map((v) => serializarVista(v, userCtx.id)));
+  } catch (error) {
+    console.error('[OBRS_TicketVistas_CTS] error:', error);
+    res.status(500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 2) Conteos en vivo por vista (menú lateral)
+// GET /tickets/vistas/conteos
+// ===================================================
+
+export const OBRS_TicketVistas_Conteos_CTS = async (req, res) => {
+  try {
+    const userCtx = getUserContext(req);
+    const vistas = await buscarVistasVisibles(userCtx);
+
+    res.json(await contarTicketsPorVista(vistas, userCtx));
+  } catch (error) {
+    console.error('[OBRS_TicketVistas_Conteos_CTS] error:', error);
+    res.status(500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 3) Crear vista
+// POST /tickets/vistas
+// Body: { nombre, filtros, orden_campo?, orden_dir?, predeterminada?, compartida? }
+// ===================================================
+
+export const CR_TicketVista_CTS = async (req, res) => {
+  const { id: usuarioIdCtx, rol } = getUserContext(req);
+  let transaction;
+
+  try {
+    const datos = leerCamposVista(req.body, rol);
+    if (!datos.nombre || !datos.filtros) {
+      return res
+        .status(400)
+        .json({ mensajeError: 'Los campos nombre y filtros son obligatorios' });
+    }
+
+    transaction = await TicketVistasModel.sequelize.transaction();
+
+    const vista = await TicketVistasModel.create(
+      { ...datos, usuario_id: usuarioIdCtx },
+      { transaction }
+    );
+    if (vista.predeterminada) {
+      await desmarcarOtrasPredeterminadas(vista, transaction);
+    }
+
+    await transaction.commit();
+
+    await registrarLogActividad({
+      usuario_id: usuarioIdCtx,
+      modulo: 'tickets',
+      accion: 'CREAR',
+      entidad: 'ticket_vista',
+      entidad_id: vista.id,
+      descripcion: `El usuario ${usuarioIdCtx} guardó la vista de tickets "${vista.nombre}"${
+        vista.compartida ? ` (compartida con rol ${vista.rol_compartido})` : ''
+      }.`,
+      ip: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    res.json({
+      message: 'Vista guardada correctamente',
+      vista: serializarVista(vista, usuarioIdCtx)
+    });
+  } catch (error) {
+    console.error('[CR_TicketVista_CTS] error:', error);
+    if (transaction) {
+      try {
+        await transaction.rollback();
+      } catch (e) {}
+    }
+    if (error instanceof UniqueConstraintError) {
+      return res
+        .status(409)
+        .json({ mensajeError: 'Ya tiene una vista con ese nombre' });
+    }
+    res.status(error.statusCode || 500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 4) Editar vista (solo el dueño)
+// PUT /tickets/vistas/:id
+// ===================================================
+
+export const UR_TicketVista_CTS = async (req, res) => {
+  const { id: usuarioIdCtx, rol } = getUserContext(req);
+  let transaction;
+
+  try {
+    const datos = leerCamposVista(req.body, rol);
+
+    transaction = await TicketVistasModel.sequelize.transaction();
+
+    const vista = await TicketVistasModel.findByPk(req.params.id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!vista) {
+      await transaction.rollback();
+      return res.status(404).json({ mensajeError: 'Vista no encontrada' });
+    }
+    if (vista.usuario_id !== usuarioIdCtx) {
+      await transaction.rollback();
+      return res
+        .status(403)
+        .json({ mensajeError: 'Solo el dueño puede modificar la vista' });
+    }
+
+    await vista.update(datos, { transaction });
+    if (vista.predeterminada) {
+      await desmarcarOtrasPredeterminadas(vista, transaction);
+    }
+
+    await transaction.commit();
+
+    res.json({
+      message: 'Vista actualizada correctamente',
+      vista: serializarVista(vista, usuarioIdCtx)
+    });
+  } catch (error) {
+    console.error('[UR_TicketVista_CTS] error:', error);
+    if (transaction) {
+      try {
+        await transaction.rollback();
+      } catch (e) {}
+    }
+    if (error instanceof UniqueConstraintError) {
+      return res
+        .status(409)
+        .json({ mensajeError: 'Ya tiene una vista con ese nombre' });
+    }
+    res.status(error.statusCode || 500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 5) Eliminar vista (solo el dueño)
+// DELETE /tickets/vistas/:id
+// ===================================================
+
+export const ER_TicketVista_CTS = async (req, res) => {
+  const { id: usuarioIdCtx } = getUserContext(req);
+
+  try {
+    const vista = await TicketVistasModel.findByPk(req.params.id);
+    if (!vista) {
+      return res.status(404).json({ mensajeError: 'Vista no encontrada' });
+    }
+    if (vista.usuario_id !== usuarioIdCtx) {
+      return res
+        .status(403)
+        .json({ mensajeError: 'Solo el dueño puede eliminar la vista' });
+    }
+
+    await vista.destroy();
+
+    await registrarLogActividad({
+      usuario_id: usuarioIdCtx,
+      modulo: 'tickets',
+      accion: 'ELIMINAR',
+      entidad: 'ticket_vista',
+      entidad_id: vista.id,
+      descripcion: `El usuario ${usuarioIdCtx} eliminó la vista de tickets "${vista.nombre}".`,
+      ip: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    res.json({ message: 'Vista eliminada correctamente' });
+  } catch (error) {
+    console.error('[ER_TicketVista_CTS] error:', error);
+    res.status(500).json({ mensajeError: error.message });
+  }
+};
+
+export default {
+  OBRS_TicketVistas_CTS,
+  OBRS_TicketVistas_Conteos_CTS,
+  CR_TicketVista_CTS,
+  UR_TicketVista_CTS,
+  ER_TicketVista_CTS
+};
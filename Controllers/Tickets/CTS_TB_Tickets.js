@@ -9,25 +9,87 @@
  *
  * Incluye:
  *  - Listado paginado/filtrado de tickets con reglas por rol (operador / supervisor / admin)
- *  - Obtención de un ticket con sus relaciones básicas
+ *  - Obtención de un ticket con sus relaciones básicas (incluye responsable asignado)
  *  - Creación de tickets (operador de sucursal)
  *  - Actualización (solo mientras el ticket está abierto/pendiente)
- *  - Eliminación (solo admin, y/o para casos muy controlados)
+ *  - Eliminación lógica (solo admin; el ticket pasa a la papelera)
  *  - Cambio de estado con registro en `ticket_estados_historial` y `logs_actividad`
+ *    (validado contra la máquina de estados de config/ticketTransiciones.config.js)
+ *  - Transiciones disponibles para el usuario (botones del front)
  *
  * Tema: Controladores - Tickets
  * Capa: Backend
  */
 
-import { Op } from 'sequelize';
+import { Op, fn, col, literal } from 'sequelize';
 
 import MD_TB_Tickets from '../../Models/Tickets/MD_TB_Tickets.js';
 import MD_TB_TicketEstadosHistorial from '../../Models/Tickets/MD_TB_TicketEstadosHistorial.js';
 import MD_TB_Sucursales from '../../Models/Core/MD_TB_Sucursales.js';
 import MD_TB_Usuarios from '../../Models/Core/MD_TB_Usuarios.js';
 import MD_TB_Notificaciones from '../../Models/Tickets/MD_TB_Notificaciones.js';
+import MD_TB_TicketCategorias from '../../Models/Tickets/MD_TB_TicketCategorias.js';
 
 import { registrarLogActividad } from '../Logs/CTS_TB_LogsActividad.js';
+import { SLA_ESTADOS } from '../../Utils/slaTicketsService.js';
+import {
+  obtenerCategoriaValida,
+  validarCamposCategoria
+} from '../../Utils/ticketCategoriasService.js';
+import {
+  agregarSeguidor,
+  notificarSeguidores
+} from '../../Utils/ticketSeguidoresService.js';
+import { obtenerRelacionesTicket } from '../../Utils/ticketRelacionesService.js';
+import {
+  resolverVisibilidadTickets,
+  whereVisibilidadTickets,
+  puedeVerTicket,
+  usuarioPuedeVerTicket,
+  resolverReemplazoTicket
+} from '../../Utils/ticketVisibilidadService.js';
+import { normalizarMontosTicket } from '../../Utils/ticketMontosService.js';
+import {
+  asignarCodigoTicket,
+  etiquetaTicket
+} from '../../Utils/ticketCodigoService.js';
+import {
+  calcularCambiosTicket,
+  registrarCambiosTicket,
+  describirCambios
+} from '../../Utils/ticketCambiosService.js';
+import {
+  etagTicket,
+  leerVersionEsperada,
+  verificarVersionTicket,
+  esConflictoVersion,
+  responderConflictoVersion
+} from '../../Utils/ticketVersionService.js';
+import {
+  FILTROS_TICKETS,
+  buildTicketsWhere,
+  relevanciaBusquedaTickets
+} from '../../Utils/ticketsWhere.js';
+import {
+  normalizarEstadoDestino,
+  aplicarCambioEstado
+} from '../../Utils/ticketCambioEstadoService.js';
+import { obtenerTransicionesDisponibles } from '../../Utils/ticketTransiciones.js';
+import { resumirRechazosPorMotivo } from '../../Utils/ticketMotivosRechazoService.js';
+import {
+  obtenerAprobacionTicket,
+  buscarPreAutorizacion
+} from '../../Utils/ticketDobleControlService.js';
+import {
+  usaPaginacionCursor,
+  pideTotal,
+  paginarPorCursor
+} from '../../Utils/paginacionCursor.js';
+import {
+  resolverFueraHorario,
+  horaLocalAR
+} from '../../Utils/ticketHorarioService.js';
+import { obtenerSucursalesUsuario } from '../../Utils/usuarioReemplazosService.js';
 // import {
 //   crearNotificacionesPorTicketCreado,
 //   enviarEmailsPorTicketCreado
@@ -38,14 +100,7 @@ const { TicketEstadosHistorialModel } = MD_TB_TicketEstadosHistorial;
 const { SucursalesModel } = MD_TB_Sucursales;
 const { UsuariosModel } = MD_TB_Usuarios;
 const { NotificacionesModel } = MD_TB_Notificaciones;
-
-const ESTADOS_VALIDOS = [
-  'abierto',
-  'pendiente',
-  'autorizado',
-  'rechazado',
-  'cerrado'
-];
+const { TicketCategoriasModel } = MD_TB_TicketCategorias;
 
 /**
  * Util interno: elimina claves con '', null o undefined (para filtros / payloads).
@@ -72,72 +127,32 @@ const getUserContext = (req) => {
   };
 };
 
-/**
- * Devuelve la lista de usuarios destino para notificación de un ticket nuevo:
- *   1) Supervisores activos de la misma sucursal.
- *   2) Si no hay, supervisores activos sin sucursal asignada (sucursal_id NULL).
- *   3) Si tampoco hay, admins activos (globales).
- */
-const obtenerDestinatariosSupervisionPorSucursal = async (sucursalId) => {
-  // 1) Supervisores de esa sucursal
-  const supervisoresMismaSucursal = await UsuariosModel.findAll({
-    where: {
-      rol: 'supervisor',
-      estado: 'activo',
-      sucursal_id: sucursalId
-    }
-  });
-
-  if (supervisoresMismaSucursal.length > 0) {
-    return supervisoresMismaSucursal;
-  }
-
-  // 2) Supervisores sin sucursal (globales)
-  const supervisoresGlobales = await UsuariosModel.findAll({
-    where: {
-      rol: 'supervisor',
-      estado: 'activo',
-      sucursal_id: { [Op.is]: null }
-    }
-  });
-
-  if (supervisoresGlobales.length > 0) {
-    return supervisoresGlobales;
-  }
-
-  // 3) Admins activos (último fallback)
-  const admins = await UsuariosModel.findAll({
-    where: {
-      rol: 'admin',
-      estado: 'activo'
-    }
-  });
-
-  return admins;
-};
-
 // ===================================================
 // 1) Listado de tickets (paginado + filtros + permisos)
 // GET /tickets
 // Query params:
-//   page, limit, estado, sucursal_id, creador_id,
-//   fecha_desde, fecha_hasta, q, orderBy, orderDir
+//   page, limit,
+//   estado, sucursal_id (uno o varios: "abierto,pendiente" / "1,4"),
+//   creador_id, asignado_id, sin_asignar (1/true), sla_estado, categoria_id,
+//   fecha_desde, fecha_hasta (fecha_ticket),
+//   creado_desde, creado_hasta (created_at), modificado_desde (updated_at),
+//   con_adjuntos (1/0),
+//   monto_esperado_desde/hasta, monto_real_desde/hasta,
+//   diferencia_desde/hasta, con_diferencia (1/0), medio_pago, moneda,
+//   fuera_horario (1/0; cada ticket trae fuera_horario / fuera_horario_detalle
+//      para resaltarlo en el listado),
+//   q (FULLTEXT: asunto, descripción, observaciones, comentarios y nombres
+//      de adjuntos; sin orderBy explícito ordena por relevancia),
+//   orderBy (columna o "relevancia"), orderDir
+//
+// Paginación por cursor (alternativa a page, ver Utils/paginacionCursor.js):
+//   paginacion=cursor | cursor=<meta.nextCursor>, con_total (1/0)
+//   Orden por fecha_ticket (default), created_at o id; sin relevancia.
 // ===================================================
 
 export const OBRS_Tickets_CTS = async (req, res) => {
   try {
-    const {
-      page,
-      limit,
-      estado,
-      sucursal_id,
-      creador_id,
-      fecha_desde,
-      fecha_hasta,
-      q,
-      orderBy,
-      orderDir
-    } = req.query || {};
+    const { page, limit, orderBy, orderDir } = req.query || {};
 
     const {
       id: usuarioIdCtx,
@@ -149,82 +164,102 @@ export const OBRS_Tickets_CTS = async (req, res) => {
     const limitNum = Math.min(Math.max(parseInt(limit || '20', 10), 1), 100);
     const offset = (pageNum - 1) * limitNum;
 
-    const where = {};
-
-    // Filtros funcionales
-    if (estado && ESTADOS_VALIDOS.includes(estado)) {
-      where.estado = estado;
-    }
-
-    if (sucursal_id) {
-      const sid = Number(sucursal_id);
-      if (!Number.isNaN(sid)) where.sucursal_id = sid;
-    }
-
-    if (creador_id) {
-      const cid = Number(creador_id);
-      if (!Number.isNaN(cid)) where.usuario_creador_id = cid;
-    }
-
-    // Filtro por fecha_ticket
-    if (fecha_desde || fecha_hasta) {
-      where.fecha_ticket = {};
-      if (fecha_desde) {
-        where.fecha_ticket[Op.gte] = fecha_desde;
-      }
-      if (fecha_hasta) {
-        where.fecha_ticket[Op.lte] = fecha_hasta;
-      }
-    }
-
-    // Filtro de búsqueda libre (asunto / descripcion)
-    if (q && q.trim() !== '') {
-      const like = { [Op.like]: `%${q.trim()}%` };
-      where[Op.or] = [{ asunto: like }, { descripcion: like }];
-    }
-
-    // REGLAS DE VISIBILIDAD POR ROL
-    // operador_sucursal -> solo sus tickets (o de su sucursal, si se define así)
-    // supervisor/admin -> ven todos, con filtros opcionales por sucursal_id/estado/etc.
-    if (rol === 'operador_sucursal') {
-      // Opción A (más estricta): solo tickets creados por él
-      where.usuario_creador_id = usuarioIdCtx || 0;
-
-      // Si quisieras: ver todos los de su sucursal, podés hacer:
-      // where.sucursal_id = sucursalCtx || 0;
-    }
+    // Filtros + visibilidad por rol (compartido con operaciones masivas)
+    const visibilidad = await resolverVisibilidadTickets({
+      id: usuarioIdCtx,
+      rol
+    });
+    const where = buildTicketsWhere(req.query || {}, {
+      id: usuarioIdCtx,
+      rol,
+      visibilidad
+    });
 
     const validColumns = [
       'id',
+      'codigo',
       'fecha_ticket',
       'estado',
       'sucursal_id',
       'usuario_creador_id',
+      'usuario_asignado_id',
+      'fecha_asignacion',
+      'categoria_id',
+      'sla_estado',
+      'sla_nivel_escalamiento',
+      'monto_esperado',
+      'monto_real',
+      'diferencia',
+      'fuera_horario',
       'created_at',
       'updated_at'
     ];
-    const col = validColumns.includes(orderBy || '') ? orderBy : 'fecha_ticket';
     const dir = ['ASC', 'DESC'].includes(String(orderDir || '').toUpperCase())
       ? String(orderDir).toUpperCase()
       : 'DESC';
 
+    // Con búsqueda libre, por defecto lo más relevante primero
+    const relevancia = relevanciaBusquedaTickets(req.query?.q, { rol });
+    const porRelevancia =
+      !!relevancia && (!orderBy || orderBy === 'relevancia');
+    const col = porRelevancia
+      ? 'relevancia'
+      : validColumns.includes(orderBy || '')
+        ? orderBy
+        : 'fecha_ticket';
+    const order = porRelevancia
+      ? [
+          [relevancia, dir],
+          ['id', 'DESC']
+        ]
+      : [[col, dir]];
+
+    const include = [
+      {
+        model: SucursalesModel,
+        as: 'sucursal',
+        attributes: ['id', 'nombre', 'codigo', 'ciudad']
+      },
+      {
+        model: UsuariosModel,
+        as: 'creador',
+        attributes: ['id', 'nombre', 'email', 'rol']
+      },
+      {
+        model: UsuariosModel,
+        as: 'asignado',
+        attributes: ['id', 'nombre', 'email', 'rol']
+      },
+      {
+        model: TicketCategoriasModel,
+        as: 'categoria',
+        attributes: ['id', 'nombre']
+      }
+    ];
+    const filters = stripEmpty(
+      Object.fromEntries(FILTROS_TICKETS.map((k) => [k, (req.query || {})[k]]))
+    );
+
+    if (usaPaginacionCursor(req.query)) {
+      const { rows, meta } = await paginarPorCursor(TicketsModel, {
+        where,
+        campos: ['fecha_ticket', 'created_at', 'id'],
+        orderBy,
+        orderDir: dir,
+        limit: limitNum,
+        cursor: req.query.cursor,
+        contar: pideTotal(req.query),
+        options: { include }
+      });
+      return res.json({ data: rows, meta: { ...meta, filters } });
+    }
+
     const { rows, count } = await TicketsModel.findAndCountAll({
       where,
-      order: [[col, dir]],
+      order,
       limit: limitNum,
       offset,
-      include: [
-        {
-          model: SucursalesModel,
-          as: 'sucursal',
-          attributes: ['id', 'nombre', 'codigo', 'ciudad']
-        },
-        {
-          model: UsuariosModel,
-          as: 'creador',
-          attributes: ['id', 'nombre', 'email', 'rol']
-        }
-      ]
+      include
     });
 
     const totalPages = Math.max(Math.ceil(count / limitNum), 1);
@@ -240,30 +275,30 @@ export const OBRS_Tickets_CTS = async (req, res) => {
         hasPrev: pageNum > 1,
         orderBy: col,
         orderDir: dir,
-        filters: stripEmpty({
-          estado,
-          sucursal_id,
-          creador_id,
-          fecha_desde,
-          fecha_hasta,
-          q
-        })
+        filters
       }
     });
   } catch (error) {
     console.error('[OBRS_Tickets_CTS] error:', error);
-    res.status(500).json({ mensajeError: error.message });
+    res.status(error.statusCode || 500).json({ mensajeError: error.message });
   }
 };
 
 // ===================================================
-// 2) Obtener un ticket por ID (con sucursal + creador)
+// 2) Obtener un ticket por ID (con sucursal + creador + asignado + categoría)
+//    + tickets vinculados (relaciones / fusión)
 // GET /tickets/:id
+// GET /tickets/codigo/:codigo  (ej: MON-2026-00042)
 // ===================================================
 
-export const OBR_Ticket_CTS = async (req, res) => {
+/**
+ * Util interno: detalle de un ticket según `where` (id o código),
+ * con las reglas de visibilidad por rol.
+ */
+const responderTicketDetalle = async (req, res, where) => {
   try {
-    const ticket = await TicketsModel.findByPk(req.params.id, {
+    const ticket = await TicketsModel.findOne({
+      where,
       include: [
         {
           model: SucursalesModel,
@@ -274,6 +309,16 @@ export const OBR_Ticket_CTS = async (req, res) => {
           model: UsuariosModel,
           as: 'creador',
           attributes: ['id', 'nombre', 'email', 'rol']
+        },
+        {
+          model: UsuariosModel,
+          as: 'asignado',
+          attributes: ['id', 'nombre', 'email', 'rol']
+        },
+        {
+          model: TicketCategoriasModel,
+          as: 'categoria',
+          attributes: ['id', 'nombre']
         }
       ]
     });
@@ -288,30 +333,56 @@ export const OBR_Ticket_CTS = async (req, res) => {
       sucursal_id: sucursalCtx
     } = getUserContext(req);
 
-    // Reglas de visibilidad
-    if (rol === 'operador_sucursal') {
-      // Solo ve tickets creados por él (o de su sucursal si lo definís así)
-      if (ticket.usuario_creador_id !== usuarioIdCtx) {
-        return res
-          .status(403)
-          .json({ mensajeError: 'No tiene permisos para ver este ticket' });
-      }
+    // Reglas de visibilidad (operador: propios o de su sucursal, según configuración)
+    const visibilidad = await resolverVisibilidadTickets({
+      id: usuarioIdCtx,
+      rol
+    });
+    if (!puedeVerTicket(ticket, visibilidad)) {
+      return res
+        .status(403)
+        .json({ mensajeError: 'No tiene permisos para ver este ticket' });
     }
 
-    res.json(ticket);
+    // Vínculos (el operador solo ve los que apuntan a tickets de su alcance)
+    const relaciones = await obtenerRelacionesTicket(ticket.id, {
+      visibilidad
+    });
+
+    // Doble control: reglas, pre-autorización y confirmación (null si no aplica)
+    const aprobacion = await obtenerAprobacionTicket(ticket.id);
+
+    // ETag = versión del ticket (para If-Match en PUT / cambiar-estado)
+    res.set('ETag', etagTicket(ticket));
+    res.json({ ...ticket.toJSON(), relaciones, aprobacion });
   } catch (error) {
     console.error('[OBR_Ticket_CTS] error:', error);
     res.status(500).json({ mensajeError: error.message });
   }
 };
 
+export const OBR_Ticket_CTS = (req, res) =>
+  responderTicketDetalle(req, res, { id: req.params.id });
+
+export const OBR_Ticket_PorCodigo_CTS = (req, res) =>
+  responderTicketDetalle(req, res, {
+    codigo: String(req.params.codigo || '').trim().toUpperCase()
+  });
+
 // ===================================================
 // 3) Crear un ticket
 // POST /tickets
 // Body:
 //   fecha_ticket (YYYY-MM-DD), hora_ticket (opcional),
-//   sucursal_id (opcional, normalmente viene del usuario),
-//   asunto, descripcion
+//   sucursal_id (opcional, normalmente viene del usuario; un operador solo
+//     puede usar su sucursal o la de quien reemplaza hoy),
+//   categoria_id (opcional; si viene, aplica sus campos obligatorios),
+//   asunto, descripcion,
+//   monto_esperado, monto_real, medio_pago, moneda (opcionales;
+//   la diferencia se calcula en backend)
+// Fuera de horario: si hora_ticket o la hora de carga (reloj del servidor)
+// cae fuera del horario de la sucursal, el ticket queda marcado
+// (fuera_horario). Si la sucursal bloquea, el operador recibe 422.
 // ===================================================
 
 export const CR_Ticket_CTS = async (req, res) => {
@@ -319,6 +390,7 @@ export const CR_Ticket_CTS = async (req, res) => {
     fecha_ticket,
     hora_ticket,
     sucursal_id,
+    categoria_id,
     asunto,
     descripcion,
     usuario_log_id // opcional, por compatibilidad para logs
@@ -349,6 +421,17 @@ export const CR_Ticket_CTS = async (req, res) => {
     // ============================
     // 2) Determinar sucursal
     // ============================
+    // Operador: su sucursal + las heredadas por reemplazos vigentes
+    const sucursalesOperador =
+      rol === 'operador_sucursal'
+        ? await obtenerSucursalesUsuario(usuarioIdCtx, { transaction })
+        : null;
+    const sucursalesPermitidas = sucursalesOperador
+      ? [sucursalesOperador.propia, ...sucursalesOperador.heredadas].filter(
+          Boolean
+        )
+      : [];
+
     let sucursalFinalId = null;
     if (sucursal_id) {
       const sid = Number(sucursal_id);
@@ -365,16 +448,30 @@ export const CR_Ticket_CTS = async (req, res) => {
           .status(400)
           .json({ mensajeError: `No existe la sucursal con id=${sid}` });
       }
+      if (sucursalesPermitidas.length && !sucursalesPermitidas.includes(sid)) {
+        await transaction.rollback();
+        return res.status(403).json({
+          mensajeError:
+            'Solo puede cargar tickets de su sucursal o de la sucursal del usuario al que reemplaza'
+        });
+      }
       sucursalFinalId = sid;
     } else {
-      if (!sucursalCtx) {
+      // Default: la propia; sin propia, la única heredada (si hay una sola)
+      const sucursalDefault =
+        sucursalesOperador?.propia ||
+        sucursalCtx ||
+        (sucursalesOperador?.heredadas.length === 1
+          ? sucursalesOperador.heredadas[0]
+          : null);
+      if (!sucursalDefault) {
         await transaction.rollback();
         return res.status(400).json({
           mensajeError:
             'No se pudo determinar la sucursal. Envíe sucursal_id o asigne sucursal al usuario.'
         });
       }
-      sucursalFinalId = sucursalCtx;
+      sucursalFinalId = sucursalDefault;
     }
 
     // ============================
@@ -388,20 +485,55 @@ export const CR_Ticket_CTS = async (req, res) => {
       });
     }
 
+    // ============================
+    // 3.1) Categoría y campos obligatorios
+    // ============================
+    const categoria = await obtenerCategoriaValida(categoria_id, {
+      transaction
+    });
+    // ============================
+    // 3.2) Montos de conciliación (diferencia calculada)
+    // ============================
+    const montos = normalizarMontosTicket(req.body);
+
+    validarCamposCategoria(categoria, { hora_ticket, descripcion, ...montos });
+
+    // ============================
+    // 3.3) Horario de la sucursal (marca o bloquea fuera de horario)
+    // ============================
+    const horario = await resolverFueraHorario({
+      sucursalId: sucursalFinalId,
+      horaTicket: hora_ticket || null,
+      rol,
+      transaction
+    });
+
+    // ============================
+    // 3.4) Código legible por sucursal (reserva la secuencia con lock)
+    // ============================
+    const codigo = await asignarCodigoTicket({
+      sucursalId: sucursalFinalId,
+      transaction
+    });
+
     // ============================
     // 4) Crear ticket (BORRADOR)
     // ============================
     const nuevo = await TicketsModel.create(
       {
+        codigo,
         fecha_ticket,
         hora_ticket: hora_ticket || null,
         sucursal_id: sucursalFinalId,
         usuario_creador_id: usuarioIdCtx,
+        categoria_id: categoria?.id || null,
         // estado: 'pendiente',
         estado: 'pendiente_adjuntos', // para evitar que no suban archivos
 
         asunto: asunto.trim(),
         descripcion: descripcion || null,
+        ...montos,
+        ...horario,
         observaciones_supervisor: null
       },
       { transaction }
@@ -422,6 +554,14 @@ export const CR_Ticket_CTS = async (req, res) => {
       { transaction }
     );
 
+    // El creador sigue su ticket automáticamente
+    await agregarSeguidor({
+      ticketId: nuevo.id,
+      usuarioId: usuarioIdCtx,
+      origen: 'creador',
+      transaction
+    });
+
     // ============================
     // 6) Crear notificaciones internas + email (pendiente)
     // ============================
@@ -445,9 +585,13 @@ export const CR_Ticket_CTS = async (req, res) => {
       accion: 'CREAR',
       entidad: 'ticket',
       entidad_id: nuevo.id,
-      descripcion: `El usuario ${usuarioLog} creó borrador del ticket #${nuevo.id} (sucursal_id=${sucursalFinalId}, asunto="${nuevo.asunto}")`,
+      descripcion: `El usuario ${usuarioLog} creó borrador del ticket #${nuevo.id} ${nuevo.codigo} (sucursal_id=${sucursalFinalId}, asunto="${nuevo.asunto}")${
+        horario.fuera_horario ? `. ${horario.fuera_horario_detalle}` : ''
+      }`,
       ip: req.ip,
-      user_agent: req.headers['user-agent']
+      user_agent: req.headers['user-agent'],
+      // Cargado en la sucursal de quien reemplaza
+      ...(sucursalesOperador?.reemplazoPorSucursal.get(sucursalFinalId) || {})
     });
 
     // ============================
@@ -481,7 +625,9 @@ export const CR_Ticket_CTS = async (req, res) => {
       }
     }
 
-    return res.status(500).json({ mensajeError: error.message });
+    return res
+      .status(error.statusCode || 500)
+      .json({ mensajeError: error.message });
   }
 };
 
@@ -489,8 +635,16 @@ export const CR_Ticket_CTS = async (req, res) => {
 // 4) Actualizar ticket (datos básicos, NO estado)
 // PUT /tickets/:id
 // Solo si el ticket está en estado abierto/pendiente.
-// operador_sucursal: solo puede editar sus propios tickets.
+// operador_sucursal: puede editar los tickets que puede ver (mismo alcance
+// que el detalle: propios, su sucursal o la de un delegante vigente) y solo
+// puede moverlos a una sucursal donde podría cargarlos.
 // supervisor/admin: pueden editar cualquier ticket abierto/pendiente.
+// Montos (monto_esperado, monto_real, medio_pago, moneda): la diferencia
+// se recalcula con los valores finales.
+// Si cambia hora_ticket o sucursal_id se recalcula fuera_horario (la hora
+// de carga es la de creación del ticket).
+// Concurrencia: If-Match (o body `version`) con el ETag del ticket;
+// si no coincide -> 409 con el estado actual del ticket.
 // ===================================================
 
 export const UR_Ticket_CTS = async (req, res) => {
@@ -499,6 +653,7 @@ export const UR_Ticket_CTS = async (req, res) => {
     fecha_ticket,
     hora_ticket,
     sucursal_id,
+    categoria_id,
     asunto,
     descripcion,
     usuario_log_id
@@ -507,30 +662,56 @@ export const UR_Ticket_CTS = async (req, res) => {
   const { id: usuarioIdCtx, rol } = getUserContext(req);
   const usuarioLog = usuario_log_id || usuarioIdCtx || null;
 
+  let transaction;
+
   try {
-    const ticket = await TicketsModel.findByPk(id);
+    const versionEsperada = leerVersionEsperada(req);
+
+    transaction = await TicketsModel.sequelize.transaction();
+
+    const ticket = await TicketsModel.findByPk(id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
     if (!ticket) {
+      await transaction.rollback();
       return res.status(404).json({ mensajeError: 'Ticket no encontrado' });
     }
 
+    // Permisos según rol: el operador edita lo que puede ver
+    if (
+      rol === 'operador_sucursal' &&
+      !(await usuarioPuedeVerTicket(
+        ticket,
+        { id: usuarioIdCtx, rol },
+        { transaction }
+      ))
+    ) {
+      await transaction.rollback();
+      return res.status(403).json({
+        mensajeError: 'No tiene permisos para editar este ticket'
+      });
+    }
+
+    // Otro usuario lo modificó desde que el cliente lo leyó
+    verificarVersionTicket(ticket, versionEsperada);
+
+    // Acceso heredado de un delegante (antes de cambiar la sucursal)
+    const reemplazo = await resolverReemplazoTicket(
+      ticket,
+      { id: usuarioIdCtx, rol },
+      { transaction }
+    );
+
     // Solo se puede editar si está abierto o pendiente
     if (!['abierto', 'pendiente'].includes(ticket.estado)) {
+      await transaction.rollback();
       return res.status(400).json({
         mensajeError:
           'El ticket solo puede editarse si está en estado "abierto" o "pendiente"'
       });
     }
 
-    // Permisos según rol
-    if (rol === 'operador_sucursal') {
-      if (ticket.usuario_creador_id !== usuarioIdCtx) {
-        return res.status(403).json({
-          mensajeError:
-            'No tiene permisos para editar este ticket (no es el creador)'
-        });
-      }
-    }
-
     const updates = {};
 
     if (fecha_ticket) updates.fecha_ticket = fecha_ticket;
@@ -539,83 +720,200 @@ export const UR_Ticket_CTS = async (req, res) => {
     if (sucursal_id) {
       const sid = Number(sucursal_id);
       if (Number.isNaN(sid)) {
+        await transaction.rollback();
         return res
           .status(400)
           .json({ mensajeError: 'El campo sucursal_id debe ser numérico' });
       }
-      const sucursal = await SucursalesModel.findByPk(sid);
+      const sucursal = await SucursalesModel.findByPk(sid, { transaction });
       if (!sucursal) {
+        await transaction.rollback();
         return res
           .status(400)
           .json({ mensajeError: `No existe la sucursal con id=${sid}` });
       }
+      if (rol === 'operador_sucursal' && sid !== ticket.sucursal_id) {
+        const { propia, heredadas } = await obtenerSucursalesUsuario(
+          usuarioIdCtx,
+          { transaction }
+        );
+        if (sid !== propia && !heredadas.includes(sid)) {
+          await transaction.rollback();
+          return res.status(403).json({
+            mensajeError:
+              'No puede mover el ticket a una sucursal fuera de su alcance'
+          });
+        }
+      }
       updates.sucursal_id = sid;
     }
 
     if (asunto !== undefined) updates.asunto = asunto.trim();
     if (descripcion !== undefined) updates.descripcion = descripcion || null;
 
-    const [updated] = await TicketsModel.update(updates, {
-      where: { id }
+    // Montos: se valida lo que venga y se recalcula la diferencia
+    Object.assign(updates, normalizarMontosTicket(req.body || {}, ticket));
+
+    // Categoría: si cambia, debe estar activa; si se mantiene, se respetan
+    // sus campos obligatorios aunque luego se haya inactivado.
+    let categoria = null;
+    if (categoria_id !== undefined) {
+      categoria = await obtenerCategoriaValida(categoria_id, {
+        transaction,
+        requiereActiva: Number(categoria_id) !== ticket.categoria_id
+      });
+      updates.categoria_id = categoria?.id || null;
+    } else if (ticket.categoria_id) {
+      categoria = await TicketCategoriasModel.findByPk(ticket.categoria_id, {
+        transaction
+      });
+    }
+    validarCamposCategoria(categoria, {
+      hora_ticket: ticket.hora_ticket,
+      descripcion: ticket.descripcion,
+      monto_esperado: ticket.monto_esperado,
+      monto_real: ticket.monto_real,
+      medio_pago: ticket.medio_pago,
+      ...updates
     });
 
-    if (updated !== 1) {
-      return res
-        .status(500)
-        .json({ mensajeError: 'No se pudo actualizar el ticket' });
+    // Horario de la sucursal final con la hora final
+    if (
+      updates.hora_ticket !== undefined ||
+      (updates.sucursal_id && updates.sucursal_id !== ticket.sucursal_id)
+    ) {
+      Object.assign(
+        updates,
+        await resolverFueraHorario({
+          sucursalId: updates.sucursal_id || ticket.sucursal_id,
+          horaTicket:
+            updates.hora_ticket !== undefined
+              ? updates.hora_ticket
+              : ticket.hora_ticket,
+          horaCreacion: horaLocalAR(ticket.created_at),
+          rol,
+          transaction
+        })
+      );
     }
 
-    const actualizado = await TicketsModel.findByPk(id);
+    // Diff por campo (antes / después) para auditoría
+    const cambios = calcularCambiosTicket(ticket, updates);
+
+    // Update de instancia: incrementa `version` (modelo con version: true)
+    await ticket.update(updates, { transaction });
+
+    await registrarCambiosTicket({
+      ticketId: ticket.id,
+      usuarioId: usuarioIdCtx,
+      cambios,
+      transaction
+    });
+
+    await notificarSeguidores({
+      ticket,
+      usuarioOrigenId: usuarioIdCtx,
+      asunto: `Ticket ${etiquetaTicket(ticket)} actualizado`,
+      mensaje: `Se actualizaron los datos del ticket ${etiquetaTicket(ticket)} ("${ticket.asunto}"). Campos: ${
+        cambios.map((c) => c.campo).join(', ') || 'sin cambios'
+      }.`,
+      transaction
+    });
 
-    // Log de actualización (datos, no estado)
+    await transaction.commit();
+
+    // Log de actualización (datos, no estado) con el diff legible
     await registrarLogActividad({
       usuario_id: usuarioLog,
       modulo: 'tickets',
       accion: 'ACTUALIZAR',
       entidad: 'ticket',
       entidad_id: Number(id),
-      descripcion: `El usuario ${usuarioLog} actualizó datos del ticket #${id} (sin cambio de estado).`,
+      descripcion: `El usuario ${usuarioLog} actualizó datos del ticket #${id} (sin cambio de estado)${
+        cambios.length ? `: ${describirCambios(cambios)}` : ': sin cambios'
+      }.`,
       ip: req.ip,
-      user_agent: req.headers['user-agent']
+      user_agent: req.headers['user-agent'],
+      ...reemplazo
     });
 
+    const actualizado = await TicketsModel.findByPk(id);
+
+    res.set('ETag', etagTicket(actualizado));
     res.json({
       message: 'Ticket actualizado correctamente',
-      ticket: actualizado
+      ticket: actualizado,
+      cambios
     });
   } catch (error) {
     console.error('[UR_Ticket_CTS] error:', error);
-    res.status(500).json({ mensajeError: error.message });
+    if (transaction) {
+      try {
+        await transaction.rollback();
+      } catch (e) {}
+    }
+    if (esConflictoVersion(error)) {
+      return responderConflictoVersion(res, error);
+    }
+    res.status(error.statusCode || 500).json({ mensajeError: error.message });
   }
 };
 
 // ===================================================
-// 5) Eliminar ticket
+// 5) Eliminar ticket (baja lógica -> papelera)
 // DELETE /tickets/:id
-// Recomendación: solo admin, y usar con mucho cuidado.
-// (ticket_adjuntos tiene ON DELETE CASCADE, igual que historial)
+// Body: { motivo }
+// Solo admin. El ticket queda con deleted_at / deleted_by / motivo y deja de
+// aparecer en listados, KPIs y jobs; adjuntos e historial se conservan.
+// Restaurar / purgar: ver CTS_TB_TicketsPapelera.js
 // ===================================================
 
 export const ER_Ticket_CTS = async (req, res) => {
-  const { usuario_log_id } = req.body;
+  const { usuario_log_id, motivo } = req.body || {};
   const { id: usuarioIdCtx, rol } = getUserContext(req);
   const usuarioLog = usuario_log_id || usuarioIdCtx || null;
 
+  // Solo admin puede eliminar (por ahora)
+  if (rol !== 'admin') {
+    return res.status(403).json({
+      mensajeError: 'Solo un usuario con rol admin puede eliminar tickets'
+    });
+  }
+
+  const motivoFinal = String(motivo || '').trim();
+  if (!motivoFinal) {
+    return res.status(400).json({
+      mensajeError: 'Debe indicar el motivo de la eliminación'
+    });
+  }
+  if (motivoFinal.length > 255) {
+    return res.status(400).json({
+      mensajeError: 'El motivo no puede superar los 255 caracteres'
+    });
+  }
+
+  let transaction;
+
   try {
-    const ticket = await TicketsModel.findByPk(req.params.id);
+    transaction = await TicketsModel.sequelize.transaction();
+
+    const ticket = await TicketsModel.findByPk(req.params.id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
 
     if (!ticket) {
+      await transaction.rollback();
       return res.status(404).json({ mensajeError: 'Ticket no encontrado' });
     }
 
-    // Solo admin puede eliminar (por ahora)
-    if (rol !== 'admin') {
-      return res.status(403).json({
-        mensajeError: 'Solo un usuario con rol admin puede eliminar tickets'
-      });
-    }
+    await ticket.update(
+      { deleted_by: usuarioIdCtx, motivo_eliminacion: motivoFinal },
+      { transaction }
+    );
+    await ticket.destroy({ transaction });
 
-    await TicketsModel.destroy({ where: { id: req.params.id } });
+    await transaction.commit();
 
     await registrarLogActividad({
       usuario_id: usuarioLog,
@@ -623,15 +921,20 @@ export const ER_Ticket_CTS = async (req, res) => {
       accion: 'ELIMINAR',
       entidad: 'ticket',
       entidad_id: ticket.id,
-      descripcion: `El usuario ${usuarioLog} eliminó el ticket #${ticket.id}.`,
+      descripcion: `El usuario ${usuarioLog} envió a la papelera el ticket #${ticket.id}. Motivo: ${motivoFinal}`,
       ip: req.ip,
       user_agent: req.headers['user-agent']
     });
 
-    res.json({ message: 'Ticket eliminado correctamente' });
+    res.json({ message: 'Ticket enviado a la papelera correctamente' });
   } catch (error) {
     console.error('[ER_Ticket_CTS] error:', error);
-    res.status(500).json({ mensajeError: error.message });
+    if (transaction) {
+      try {
+        await transaction.rollback();
+      } catch (e) {}
+    }
+    res.status(error.statusCode || 500).json({ mensajeError: error.message });
   }
 };
 
@@ -639,91 +942,61 @@ export const ER_Ticket_CTS = async (req, res) => {
 // 6) Cambio de estado del ticket
 // POST /tickets/:id/cambiar-estado
 // Body:
-//   nuevo_estado (abierto/pendiente/autorizado/rechazado/cerrado)
-//   comentario (opcional, se guarda en historial y puede agregarse a observaciones_supervisor)
+//   nuevo_estado (abierto/pendiente/autorizado/rechazado/cerrado/pendiente_adjuntos;
+//                 "pre_autorizado" no se pide: lo aplica el doble control)
+//   comentario (se guarda en historial y puede agregarse a observaciones_supervisor;
+//               obligatorio si la transición o el motivo de rechazo lo exigen)
+//   motivo_rechazo_id (obligatorio al pasar a "rechazado"; ver /tickets/motivos-rechazo)
 //   usuario_log_id (opcional)
+//   version (opcional; alternativa al encabezado If-Match)
 // Reglas:
-//   - Solo supervisor/admin pueden cambiar estado (por ahora).
+//   - Si viene If-Match / version y no coincide con la del ticket -> 409
+//     con el estado actual (otro usuario lo modificó).
+//   - La transición debe existir en la máquina de estados
+//     (config/ticketTransiciones.config.js) y el rol debe estar habilitado.
 //   - Registra en ticket_estados_historial.
 //   - Actualiza tickets.estado y fecha_cierre si corresponde.
+//   - Doble control: si el ticket cumple una regla de ticket_reglas_doble_control,
+//     pendiente -> autorizado queda en "pre_autorizado" y la confirmación
+//     (pre_autorizado -> autorizado) la debe hacer otro supervisor o un admin.
 //   - Registra log_actividad.
 // ===================================================
 
 export const CR_Ticket_CambiarEstado_CTS = async (req, res) => {
   const { id } = req.params;
-  const { nuevo_estado, comentario, usuario_log_id } = req.body;
+  const { nuevo_estado, comentario, motivo_rechazo_id, usuario_log_id } =
+    req.body;
 
   const { id: usuarioIdCtx, rol } = getUserContext(req);
   const usuarioLog = usuario_log_id || usuarioIdCtx || null;
 
-  // 🔹 Normalizar
-  const estadoNormalizado = String(nuevo_estado || '')
-    .trim()
-    .toLowerCase();
-
-  if (!estadoNormalizado || !ESTADOS_VALIDOS.includes(estadoNormalizado)) {
-    return res.status(400).json({
-      mensajeError: `Estado inválido. Debe ser uno de: ${ESTADOS_VALIDOS.join(
-        ', '
-      )}`
-    });
-  }
+  let transaction;
 
   try {
-    const ticket = await TicketsModel.findByPk(id);
-    if (!ticket) {
-      return res.status(404).json({ mensajeError: 'Ticket no encontrado' });
-    }
+    // 🔹 Normalizar (400 antes de abrir la transacción)
+    normalizarEstadoDestino(nuevo_estado);
+    const versionEsperada = leerVersionEsperada(req);
 
-    if (rol !== 'supervisor' && rol !== 'admin') {
-      return res.status(403).json({
-        mensajeError:
-          'No tiene permisos para cambiar el estado del ticket (requiere supervisor o admin)'
-      });
-    }
-
-    const estadoAnterior = ticket.estado;
-
-    if (estadoAnterior === estadoNormalizado) {
-      return res.status(400).json({
-        mensajeError:
-          'El ticket ya se encuentra en el estado solicitado (no hay cambio)'
-      });
-    }
-
-    if (estadoAnterior === 'cerrado') {
-      return res.status(400).json({
-        mensajeError:
-          'No se puede cambiar el estado de un ticket ya cerrado. Debe gestionarse por excepción.'
-      });
-    }
+    transaction = await TicketsModel.sequelize.transaction();
 
-    await TicketEstadosHistorialModel.create({
-      ticket_id: ticket.id,
-      estado_anterior: estadoAnterior,
-      estado_nuevo: estadoNormalizado,
-      usuario_id: usuarioIdCtx,
-      comentario: comentario || null
+    const {
+      ticket,
+      estadoAnterior,
+      estadoNuevo,
+      motivoRechazo,
+      reglasDobleControl
+    } = await aplicarCambioEstado({
+      ticketId: id,
+      nuevoEstado: nuevo_estado,
+      comentario,
+      motivoRechazoId: motivo_rechazo_id,
+      usuarioId: usuarioIdCtx,
+      rol,
+      versionEsperada,
+      transaction
     });
 
-    const updates = { estado: estadoNormalizado };
-
-    if (estadoNormalizado === 'cerrado') {
-      updates.fecha_cierre = new Date();
-    }
-
-    if (
-      comentario &&
-      ['autorizado', 'rechazado', 'cerrado'].includes(estadoNormalizado)
-    ) {
-      const prevObs = ticket.observaciones_supervisor || '';
-      const sep = prevObs ? '\n---\n' : '';
-      updates.observaciones_supervisor = `${prevObs}${sep}${comentario}`;
-    }
-
-    await TicketsModel.update(updates, { where: { id } });
-
-    const actualizado = await TicketsModel.findByPk(id);
+    await transaction.commit();
 
     await registrarLogActividad({
       usuario_id: usuarioLog,
@@ -733,19 +1006,100 @@ export const CR_Ticket_CambiarEstado_CTS = async (req, res) => {
       entidad_id: ticket.id,
       descripcion: `El usuario ${usuarioLog} cambió el estado del ticket #${
         ticket.id
-      } de "${estadoAnterior}" a "${estadoNormalizado}". Comentario: ${
-        comentario || 'sin comentario'
-      }`,
+      } de "${estadoAnterior}" a "${estadoNuevo}".${
+        motivoRechazo
+          ? ` Motivo de rechazo: ${motivoRechazo.codigo} (${motivoRechazo.nombre}).`
+          : ''
+      } Comentario: ${comentario || 'sin comentario'}`,
       ip: req.ip,
-      user_agent: req.headers['user-agent']
+      user_agent: req.headers['user-agent'],
+      ...(await resolverReemplazoTicket(ticket, { id: usuarioIdCtx, rol }))
     });
 
+    const actualizado = await TicketsModel.findByPk(ticket.id);
+
+    res.set('ETag', etagTicket(actualizado));
     res.json({
-      message: 'Estado de ticket actualizado correctamente',
-      ticket: actualizado
+      message:
+        estadoNuevo === 'pre_autorizado'
+          ? 'Ticket pre-autorizado: requiere la confirmación de otro supervisor o un admin (doble control)'
+          : 'Estado de ticket actualizado correctamente',
+      ticket: actualizado,
+      ...(estadoNuevo === 'pre_autorizado'
+        ? { doble_control: { reglas: reglasDobleControl } }
+        : {})
     });
   } catch (error) {
     console.error('[CR_Ticket_CambiarEstado_CTS] error:', error);
+    if (transaction) {
+      try {
+        await transaction.rollback();
+      } catch (e) {}
+    }
+    if (esConflictoVersion(error)) {
+      return responderConflictoVersion(res, error);
+    }
+    const status = error.statusCode || 500;
+    res.status(status).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 6.1) Transiciones disponibles para el usuario logueado
+// GET /tickets/:id/transiciones
+//
+// Devuelve los estados a los que el usuario puede mover el ticket
+// según la máquina de estados (para que el front sepa qué botones mostrar):
+// {
+//   ticket_id, estado_actual,
+//   transiciones: [{ estado_destino, accion, comentario_obligatorio,
+//                    motivo_rechazo_obligatorio }]
+// }
+// En "pre_autorizado" no se ofrece la confirmación a quien pre-autorizó.
+// ===================================================
+
+export const OBRS_Ticket_Transiciones_CTS = async (req, res) => {
+  try {
+    const ticket = await TicketsModel.findByPk(req.params.id, {
+      attributes: ['id', 'estado', 'usuario_creador_id', 'sucursal_id']
+    });
+
+    if (!ticket) {
+      return res.status(404).json({ mensajeError: 'Ticket no encontrado' });
+    }
+
+    const { id: usuarioIdCtx, rol } = getUserContext(req);
+
+    if (!(await usuarioPuedeVerTicket(ticket, { id: usuarioIdCtx, rol }))) {
+      return res
+        .status(403)
+        .json({ mensajeError: 'No tiene permisos para ver este ticket' });
+    }
+
+    // Doble control: quien pre-autorizó no puede confirmar su propia autorización
+    const preAutorizacion =
+      ticket.estado === 'pre_autorizado'
+        ? await buscarPreAutorizacion(ticket.id)
+        : null;
+    const esPrimerAprobador =
+      !!preAutorizacion && preAutorizacion.usuario_id === usuarioIdCtx;
+
+    const transiciones = obtenerTransicionesDisponibles(ticket.estado, rol)
+      .filter((t) => !(esPrimerAprobador && t.hasta === 'autorizado'))
+      .map((t) => ({
+        estado_destino: t.hasta,
+        accion: t.accion,
+        comentario_obligatorio: t.comentarioObligatorio,
+        motivo_rechazo_obligatorio: t.motivoRechazoObligatorio
+      }));
+
+    return res.json({
+      ticket_id: ticket.id,
+      estado_actual: ticket.estado,
+      transiciones
+    });
+  } catch (error) {
+    console.error('[OBRS_Ticket_Transiciones_CTS] error:', error);
     res.status(500).json({ mensajeError: error.message });
   }
 };
@@ -760,6 +1114,7 @@ export const CR_Ticket_CambiarEstado_CTS = async (req, res) => {
 //   porEstado: {
 //     abierto: number,
 //     pendiente: number,
+//     pre_autorizado: number,
 //     autorizado: number,
 //     rechazado: number,
 //     cerrado: number
@@ -768,11 +1123,22 @@ export const CR_Ticket_CambiarEstado_CTS = async (req, res) => {
 //     fecha: 'YYYY-MM-DD',
 //     total: number,
 //     porEstado: { ... }
-//   }
+//   },
+//   sla: { en_plazo, en_riesgo, vencido },  (tickets no cerrados)
+//   porCategoria: [{ categoria_id, nombre, total, porEstado: { ... } }],
+//   montos: [{ moneda, tickets, monto_esperado, monto_real, diferencia,
+//              faltante, sobrante, con_diferencia }]  (tickets con algún monto)
+//   rechazosPorMotivo: [{ motivo_rechazo_id, codigo, nombre, total,
+//                         porSucursal: [{ sucursal_id, nombre, total }] }]
+//                      (cada pase a "rechazado" del historial)
+//   fueraHorario: { total, hoy, porSucursal: [{ sucursal_id, nombre, total }] }
+//                 (tickets cargados fuera del horario de la sucursal)
 // }
 // Reglas:
-//   - operador_sucursal: KPIs solo de sus tickets (usuario_creador_id = req.user.id)
+//   - operador_sucursal: KPIs de los tickets que ve (propios o toda su sucursal,
+//     según visibilidad_tickets del usuario / visibilidad_operadores de la sucursal)
 //   - supervisor/admin: KPIs globales, con filtro opcional ?sucursal_id=
+//   - Todos: filtro opcional ?categoria_id= ("null" = sin categoría)
 // ===================================================
 
 export const OBR_Tickets_KPIs_CTS = async (req, res) => {
@@ -787,14 +1153,27 @@ export const OBR_Tickets_KPIs_CTS = async (req, res) => {
       return res.status(401).json({ mensajeError: 'Usuario no autenticado.' });
     }
 
-    const { sucursal_id: sucursalFiltro } = req.query || {};
+    const { sucursal_id: sucursalFiltro, categoria_id: categoriaFiltro } =
+      req.query || {};
 
     // Base de filtros por rol
     const baseWhere = {};
 
+    if (categoriaFiltro === 'null') {
+      baseWhere.categoria_id = { [Op.is]: null };
+    } else if (categoriaFiltro) {
+      const catId = Number(categoriaFiltro);
+      if (!Number.isNaN(catId)) baseWhere.categoria_id = catId;
+    }
+
     if (rol === 'operador_sucursal') {
-      // KPIs solo de sus tickets
-      baseWhere.usuario_creador_id = usuarioIdCtx || 0;
+      // KPIs de los tickets que ve (propios o de su sucursal). Va en Op.and
+      // porque algunos conteos agregan su propio Op.or sobre baseWhere.
+      const visibilidad = await resolverVisibilidadTickets({
+        id: usuarioIdCtx,
+        rol
+      });
+      baseWhere[Op.and] = [whereVisibilidadTickets(visibilidad)];
     } else {
       // supervisor / admin
       let sucursalIdFinal = null;
@@ -822,15 +1201,23 @@ export const OBR_Tickets_KPIs_CTS = async (req, res) => {
       });
 
     // -------- KPIs globales --------
-    const [total, abiertos, pendientes, autorizados, rechazados, cerrados] =
-      await Promise.all([
-        contarEstado(null),
-        contarEstado('abierto'),
-        contarEstado('pendiente'),
-        contarEstado('autorizado'),
-        contarEstado('rechazado'),
-        contarEstado('cerrado')
-      ]);
+    const [
+      total,
+      abiertos,
+      pendientes,
+      preAutorizados,
+      autorizados,
+      rechazados,
+      cerrados
+    ] = await Promise.all([
+      contarEstado(null),
+      contarEstado('abierto'),
+      contarEstado('pendiente'),
+      contarEstado('pre_autorizado'),
+      contarEstado('autorizado'),
+      contarEstado('rechazado'),
+      contarEstado('cerrado')
+    ]);
 
     // -------- KPIs de HOY --------
     const hoyStr = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
@@ -840,6 +1227,7 @@ export const OBR_Tickets_KPIs_CTS = async (req, res) => {
       totalHoy,
       abiertosHoy,
       pendientesHoy,
+      preAutorizadosHoy,
       autorizadosHoy,
       rechazadosHoy,
       cerradosHoy
@@ -847,16 +1235,143 @@ export const OBR_Tickets_KPIs_CTS = async (req, res) => {
       contarEstado(null, filtroHoy),
       contarEstado('abierto', filtroHoy),
       contarEstado('pendiente', filtroHoy),
+      contarEstado('pre_autorizado', filtroHoy),
       contarEstado('autorizado', filtroHoy),
       contarEstado('rechazado', filtroHoy),
       contarEstado('cerrado', filtroHoy)
     ]);
 
+    // -------- SLA (solo tickets que siguen en curso) --------
+    const filtroSlaActivo = { estado: { [Op.notIn]: ['cerrado'] } };
+    const [slaEnPlazo, slaEnRiesgo, slaVencido] = await Promise.all(
+      SLA_ESTADOS.map((sla_estado) =>
+        contarEstado(null, { ...filtroSlaActivo, sla_estado })
+      )
+    );
+
+    // -------- Por categoría (total + desglose por estado) --------
+    const filasCategoria = await TicketsModel.count({
+      where: baseWhere,
+      group: ['categoria_id', 'estado']
+    });
+
+    const categoriasIds = [
+      ...new Set(
+        filasCategoria.map((f) => f.categoria_id).filter((x) => x !== null)
+      )
+    ];
+    const categorias = categoriasIds.length
+      ? await TicketCategoriasModel.findAll({
+          where: { id: { [Op.in]: categoriasIds } },
+          attributes: ['id', 'nombre']
+        })
+      : [];
+    const nombrePorCategoria = new Map(categorias.map((c) => [c.id, c.nombre]));
+
+    const porCategoriaMap = new Map();
+    for (const fila of filasCategoria) {
+      const key = fila.categoria_id ?? null;
+      if (!porCategoriaMap.has(key)) {
+        porCategoriaMap.set(key, {
+          categoria_id: key,
+          nombre: key === null ? 'Sin categoría' : nombrePorCategoria.get(key) || null,
+          total: 0,
+          porEstado: {}
+        });
+      }
+      const item = porCategoriaMap.get(key);
+      item.total += Number(fila.count);
+      item.porEstado[fila.estado] = Number(fila.count);
+    }
+    const porCategoria = [...porCategoriaMap.values()].sort(
+      (a, b) => b.total - a.total
+    );
+
+    // -------- Totales monetarios (por moneda) --------
+    const filasMontos = await TicketsModel.findAll({
+      where: {
+        ...baseWhere,
+        [Op.or]: [
+          { monto_esperado: { [Op.ne]: null } },
+          { monto_real: { [Op.ne]: null } }
+        ]
+      },
+      attributes: [
+        'moneda',
+        [fn('COUNT', col('id')), 'tickets'],
+        [fn('SUM', col('monto_esperado')), 'monto_esperado'],
+        [fn('SUM', col('monto_real')), 'monto_real'],
+        [fn('SUM', col('diferencia')), 'diferencia'],
+        [
+          fn('SUM', literal('CASE WHEN diferencia < 0 THEN diferencia ELSE 0 END')),
+          'faltante'
+        ],
+        [
+          fn('SUM', literal('CASE WHEN diferencia > 0 THEN diferencia ELSE 0 END')),
+          'sobrante'
+        ],
+        [
+          fn('SUM', literal('CASE WHEN diferencia <> 0 THEN 1 ELSE 0 END')),
+          'con_diferencia'
+        ]
+      ],
+      group: ['moneda'],
+      raw: true
+    });
+
+    const montos = filasMontos.map((f) => ({
+      moneda: f.moneda,
+      tickets: Number(f.tickets),
+      monto_esperado: Number(f.monto_esperado || 0),
+      monto_real: Number(f.monto_real || 0),
+      diferencia: Number(f.diferencia || 0),
+      faltante: Number(f.faltante || 0),
+      sobrante: Number(f.sobrante || 0),
+      con_diferencia: Number(f.con_diferencia || 0)
+    }));
+
+    // -------- Rechazos por motivo y sucursal --------
+    const rechazosPorMotivo = await resumirRechazosPorMotivo({
+      ticketWhere: baseWhere
+    });
+
+    // -------- Fuera del horario de la sucursal --------
+    const filtroFueraHorario = { fuera_horario: true };
+    const [fueraHorarioTotal, fueraHorarioHoy, filasFueraHorario] =
+      await Promise.all([
+        contarEstado(null, filtroFueraHorario),
+        contarEstado(null, { ...filtroFueraHorario, ...filtroHoy }),
+        TicketsModel.count({
+          where: { ...baseWhere, ...filtroFueraHorario },
+          group: ['sucursal_id']
+        })
+      ]);
+
+    const sucursalesFueraHorario = filasFueraHorario.length
+      ? await SucursalesModel.findAll({
+          where: {
+            id: { [Op.in]: filasFueraHorario.map((f) => f.sucursal_id) }
+          },
+          attributes: ['id', 'nombre']
+        })
+      : [];
+    const nombrePorSucursal = new Map(
+      sucursalesFueraHorario.map((s) => [s.id, s.nombre])
+    );
+    const fueraHorarioPorSucursal = filasFueraHorario
+      .map((f) => ({
+        sucursal_id: f.sucursal_id,
+        nombre: nombrePorSucursal.get(f.sucursal_id) || null,
+        total: Number(f.count)
+      }))
+      .sort((a, b) => b.total - a.total);
+
     return res.json({
       total,
       porEstado: {
         abierto: abiertos,
         pendiente: pendientes,
+        pre_autorizado: preAutorizados,
         autorizado: autorizados,
         rechazado: rechazados,
         cerrado: cerrados
@@ -867,10 +1382,24 @@ export const OBR_Tickets_KPIs_CTS = async (req, res) => {
         porEstado: {
           abierto: abiertosHoy,
           pendiente: pendientesHoy,
+          pre_autorizado: preAutorizadosHoy,
           autorizado: autorizadosHoy,
           rechazado: rechazadosHoy,
           cerrado: cerradosHoy
         }
+      },
+      sla: {
+        en_plazo: slaEnPlazo,
+        en_riesgo: slaEnRiesgo,
+        vencido: slaVencido
+      },
+      porCategoria,
+      montos,
+      rechazosPorMotivo,
+      fueraHorario: {
+        total: fueraHorarioTotal,
+        hoy: fueraHorarioHoy,
+        porSucursal: fueraHorarioPorSucursal
       }
     });
   } catch (error) {
@@ -882,9 +1411,11 @@ export const OBR_Tickets_KPIs_CTS = async (req, res) => {
 export default {
   OBRS_Tickets_CTS,
   OBR_Ticket_CTS,
+  OBR_Ticket_PorCodigo_CTS,
   CR_Ticket_CTS,
   UR_Ticket_CTS,
   ER_Ticket_CTS,
   CR_Ticket_CambiarEstado_CTS,
+  OBRS_Ticket_Transiciones_CTS,
   OBR_Tickets_KPIs_CTS
 };
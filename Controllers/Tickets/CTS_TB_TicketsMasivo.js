@@ -0,0 +1,368 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Operaciones masivas sobre tickets para supervisión:
+ *  - Cambio de estado masivo
+ *  - Asignación masiva de responsable
+ *
+ * Selección de tickets (una de las dos):
+ *  - ids: [1, 2, 3]
+ *  - filtros: { ...mismos filtros que GET /tickets }
+ *
+ * Cada ticket se valida y aplica en su propia transacción; un fallo no
+ * frena al resto. La respuesta trae un reporte por ticket:
+ *   { ticket_id, resultado: 'ok' | 'omitido' | 'error', motivo }
+ * Historial, logs y notificaciones se generan por ticket, igual que en
+ * los endpoints individuales. Lo que corre después del commit (logs) no
+ * cambia el resultado: el ticket ya quedó guardado.
+ *
+ * Variables de entorno:
+ *  - TICKETS_MASIVO_MAX (default 200)
+ *
+ * Reglas de permisos:
+ *  - Solo supervisor / admin.
+ *
+ * Tema: Controladores - Tickets (operaciones masivas)
+ * Capa: Backend
+ */
+
+import MD_TB_Tickets from '../../Models/Tickets/MD_TB_Tickets.js';
+import MD_TB_Usuarios from '../../Models/Core/MD_TB_Usuarios.js';
+
+import { registrarLogActividad } from '../Logs/CTS_TB_LogsActividad.js';
+import { etiquetaTicket } from '../../Utils/ticketCodigoService.js';
+import { crearNotificacionesInternas } from '../../Utils/notificacionesTicketService.js';
+import {
+  aplicarAsignacion,
+  validarTicketAsignable
+} from '../../Utils/ticketAsignacionService.js';
+import {
+  normalizarEstadoDestino,
+  aplicarCambioEstado
+} from '../../Utils/ticketCambioEstadoService.js';
+import {
+  FILTROS_TICKETS,
+  buildTicketsWhere
+} from '../../Utils/ticketsWhere.js';
+
+const { TicketsModel } = MD_TB_Tickets;
+const { UsuariosModel } = MD_TB_Usuarios;
+
+const MAX_TICKETS = Number(process.env.TICKETS_MASIVO_MAX || 200);
+
+/**
+ * Util interno: contexto del usuario autenticado.
+ */
+const getUserContext = (req) => {
+  const user = req.user || {};
+  return {
+    id: user.id || null,
+    rol: user.rol || null
+  };
+};
+
+const esSupervisorOAdmin = (rol) => rol === 'supervisor' || rol === 'admin';
+
+const httpError = (statusCode, message) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+/**
+ * Resuelve los ids a procesar a partir de `ids` o `filtros`.
+ */
+const resolverTicketIds = async ({ ids, filtros }, userCtx) => {
+  if (Array.isArray(ids) && ids.length) {
+    const unicos = [...new Set(ids.map(Number))];
+    if (unicos.some((x) => !Number.isInteger(x) || x <= 0)) {
+      throw httpError(400, 'ids debe ser una lista de ids numéricos');
+    }
+    if (unicos.length > MAX_TICKETS) {
+      throw httpError(400, `Máximo ${MAX_TICKETS} tickets por operación`);
+    }
+    return unicos;
+  }
+
+  if (filtros && typeof filtros === 'object') {
+    const filtrosValidos = {};
+    for (const k of FILTROS_TICKETS) {
+      if (filtros[k] !== undefined && filtros[k] !== '') filtrosValidos[k] = filtros[k];
+    }
+    if (!Object.keys(filtrosValidos).length) {
+      throw httpError(
+        400,
+        'Debe indicar al menos un filtro (no se permiten operaciones masivas sobre todos los tickets)'
+      );
+    }
+
+    const rows = await TicketsModel.findAll({
+      where: buildTicketsWhere(filtrosValidos, userCtx),
+      attributes: ['id'],
+      order: [['id', 'ASC']],
+      limit: MAX_TICKETS + 1
+    });
+    if (rows.length > MAX_TICKETS) {
+      throw httpError(
+        400,
+        `Los filtros seleccionan más de ${MAX_TICKETS} tickets; acote la búsqueda`
+      );
+    }
+    return rows.map((r) => r.id);
+  }
+
+  throw httpError(400, 'Debe enviar "ids" (lista) o "filtros" (objeto)');
+};
+
+const armarResumen = (resultados) => ({
+  total: resultados.length,
+  ok: resultados.filter((r) => r.resultado === 'ok').length,
+  omitidos: resultados.filter((r) => r.resultado === 'omitido').length,
+  errores: resultados.filter((r) => r.resultado === 'error').length,
+  resultados
+});
+
+// ===================================================
+// 1) Cambio de estado masivo
+// POST /tickets/masivo/cambiar-estado
+// Body:
+//   ids | filtros, nuevo_estado, comentario,
+//   motivo_rechazo_id (obligatorio si nuevo_estado = rechazado)
+// Omitido: el ticket ya está en el estado pedido.
+// Error: inexistente, cerrado, transición inválida, falta comentario, etc.
+// ===================================================
+
+export const CR_Tickets_CambiarEstadoMasivo_CTS = async (req, res) => {
+  const { id: usuarioIdCtx, rol } = getUserContext(req);
+
+  if (!esSupervisorOAdmin(rol)) {
+    return res.status(403).json({
+      mensajeError: 'Solo supervisor/admin pueden cambiar estados en forma masiva'
+    });
+  }
+
+  try {
+    const { nuevo_estado, comentario, motivo_rechazo_id } = req.body || {};
+    const estadoDestino = normalizarEstadoDestino(nuevo_estado);
+    const ticketIds = await resolverTicketIds(req.body || {}, {
+      id: usuarioIdCtx,
+      rol
+    });
+
+    const resultados = [];
+
+    for (const ticketId of ticketIds) {
+      let transaction;
+      let aplicado;
+      try {
+        transaction = await TicketsModel.sequelize.transaction();
+
+        // estadoNuevo puede ser "pre_autorizado" (doble control)
+        aplicado = await aplicarCambioEstado({
+          ticketId,
+          nuevoEstado: estadoDestino,
+          comentario,
+          motivoRechazoId: motivo_rechazo_id,
+          usuarioId: usuarioIdCtx,
+          rol,
+          transaction
+        });
+
+        await transaction.commit();
+      } catch (err) {
+        if (transaction) {
+          try {
+            await transaction.rollback();
+          } catch (e) {}
+        }
+        resultados.push({
+          ticket_id: ticketId,
+          resultado: err.code === 'SIN_CAMBIO' ? 'omitido' : 'error',
+          motivo: err.message
+        });
+        continue;
+      }
+
+      // Después del commit: el cambio ya está guardado
+      const { estadoAnterior, estadoNuevo, motivoRechazo } = aplicado;
+      resultados.push({
+        ticket_id: ticketId,
+        resultado: 'ok',
+        estado_anterior: estadoAnterior,
+        estado_nuevo: estadoNuevo
+      });
+
+      await registrarLogActividad({
+        usuario_id: usuarioIdCtx,
+        modulo: 'tickets',
+        accion: 'CAMBIAR_ESTADO',
+        entidad: 'ticket',
+        entidad_id: ticketId,
+        descripcion: `El usuario ${usuarioIdCtx} cambió (masivo) el estado del ticket #${ticketId} de "${estadoAnterior}" a "${estadoNuevo}".${
+          motivoRechazo
+            ? ` Motivo de rechazo: ${motivoRechazo.codigo} (${motivoRechazo.nombre}).`
+            : ''
+        } Comentario: ${comentario || 'sin comentario'}`,
+        ip: req.ip,
+        user_agent: req.headers['user-agent']
+      });
+    }
+
+    res.json({
+      message: 'Cambio de estado masivo procesado',
+      nuevo_estado: estadoDestino,
+      ...armarResumen(resultados)
+    });
+  } catch (error) {
+    console.error('[CR_Tickets_CambiarEstadoMasivo_CTS] error:', error);
+    res.status(error.statusCode || 500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 2) Asignación masiva
+// POST /tickets/masivo/asignar
+// Body:
+//   ids | filtros, usuario_asignado_id (si no viene, quien llama), comentario
+// Omitido: el ticket ya está asignado a ese usuario.
+// Error: inexistente, cerrado o cancelado.
+// ===================================================
+
+export const CR_Tickets_AsignarMasivo_CTS = async (req, res) => {
+  const { id: usuarioIdCtx, rol } = getUserContext(req);
+
+  if (!esSupervisorOAdmin(rol)) {
+    return res.status(403).json({
+      mensajeError: 'Solo supervisor/admin pueden asignar tickets en forma masiva'
+    });
+  }
+
+  try {
+    const { usuario_asignado_id, comentario } = req.body || {};
+
+    const asignadoId = Number(usuario_asignado_id || usuarioIdCtx);
+    if (!asignadoId || Number.isNaN(asignadoId)) {
+      throw httpError(400, 'usuario_asignado_id debe ser numérico');
+    }
+
+    const responsable = await UsuariosModel.findByPk(asignadoId);
+    if (
+      !responsable ||
+      responsable.estado !== 'activo' ||
+      !esSupervisorOAdmin(responsable.rol)
+    ) {
+      throw httpError(
+        400,
+        'El responsable debe ser un usuario activo con rol supervisor o admin'
+      );
+    }
+
+    const ticketIds = await resolverTicketIds(req.body || {}, {
+      id: usuarioIdCtx,
+      rol
+    });
+
+    const resultados = [];
+
+    for (const ticketId of ticketIds) {
+      let transaction;
+      let ticket;
+      let anteriorId;
+      try {
+        transaction = await TicketsModel.sequelize.transaction();
+
+        ticket = await TicketsModel.findByPk(ticketId, {
+          transaction,
+          lock: transaction.LOCK.UPDATE
+        });
+
+        if (!ticket) throw httpError(404, 'Ticket no encontrado');
+        // Misma regla que la asignación individual (cerrado / cancelado)
+        validarTicketAsignable(ticket);
+        if (ticket.usuario_asignado_id === asignadoId) {
+          await transaction.rollback();
+          transaction = null;
+          resultados.push({
+            ticket_id: ticketId,
+            resultado: 'omitido',
+            motivo: 'El ticket ya está asignado a ese usuario'
+          });
+          continue;
+        }
+
+        anteriorId = ticket.usuario_asignado_id;
+
+        await aplicarAsignacion({
+          ticket,
+          usuarioNuevoId: asignadoId,
+          usuarioId: usuarioIdCtx,
+          comentario,
+          transaction
+        });
+
+        await crearNotificacionesInternas({
+          ticketId: ticket.id,
+          usuarioOrigenId: usuarioIdCtx,
+          destinatariosIds: [asignadoId],
+          asunto: `Ticket ${etiquetaTicket(ticket)} asignado`,
+          mensaje:
+            `Se te asignó el ticket ${etiquetaTicket(ticket)} ("${ticket.asunto}") con estado "${ticket.estado}".` +
+            (comentario ? `\n\nComentario: ${comentario}` : ''),
+          transaction
+        });
+
+        await transaction.commit();
+      } catch (err) {
+        if (transaction) {
+          try {
+            await transaction.rollback();
+          } catch (e) {}
+        }
+        resultados.push({
+          ticket_id: ticketId,
+          resultado: 'error',
+          motivo: err.message
+        });
+        continue;
+      }
+
+      // Después del commit: la asignación ya está guardada
+      resultados.push({
+        ticket_id: ticketId,
+        resultado: 'ok',
+        usuario_anterior_id: anteriorId,
+        usuario_nuevo_id: asignadoId
+      });
+
+      await registrarLogActividad({
+        usuario_id: usuarioIdCtx,
+        modulo: 'tickets',
+        accion: 'ASIGNAR',
+        entidad: 'ticket',
+        entidad_id: ticket.id,
+        descripcion: `El usuario ${usuarioIdCtx} ${
+          anteriorId ? `reasignó (masivo, antes: ${anteriorId})` : 'asignó (masivo)'
+        } el ticket #${ticket.id} al usuario ${asignadoId}.`,
+        ip: req.ip,
+        user_agent: req.headers['user-agent']
+      });
+    }
+
+    res.json({
+      message: 'Asignación masiva procesada',
+      usuario_asignado_id: asignadoId,
+      ...armarResumen(resultados)
+    });
+  } catch (error) {
+    console.error('[CR_Tickets_AsignarMasivo_CTS] error:', error);
+    res.status(error.statusCode || 500).json({ mensajeError: error.message });
+  }
+};
+
+export default {
+  CR_Tickets_CambiarEstadoMasivo_CTS,
+  CR_Tickets_AsignarMasivo_CTS
+};
@@ -0,0 +1,327 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Papelera de tickets (baja lógica con `deleted_at`):
+ *  - Listado de tickets eliminados
+ *  - Restauración de un ticket eliminado
+ *  - Purga definitiva: borra el ticket de la DB (adjuntos, historial, etc.
+ *    por ON DELETE CASCADE) y sus archivos. Se borran los archivos de sus
+ *    adjuntos (`ruta_archivo`, pueden estar en la carpeta de un duplicado
+ *    fusionado) y la carpeta uploads/tickets/<id> salvo los archivos que
+ *    otro ticket sigue referenciando (adjuntos movidos por una fusión).
+ *
+ * El envío a la papelera es DELETE /tickets/:id (ER_Ticket_CTS).
+ * Solo se puede purgar un ticket que ya esté en la papelera.
+ *
+ * Reglas de permisos:
+ *  - Solo admin.
+ *
+ * Tema: Controladores - Tickets (Papelera)
+ * Capa: Backend
+ */
+
+import path from 'path';
+import { Op } from 'sequelize';
+
+import MD_TB_Tickets from '../../Models/Tickets/MD_TB_Tickets.js';
+import MD_TB_Sucursales from '../../Models/Core/MD_TB_Sucursales.js';
+import MD_TB_Usuarios from '../../Models/Core/MD_TB_Usuarios.js';
+import MD_TB_TicketAdjuntos from '../../Models/Tickets/MD_TB_TicketAdjuntos.js';
+import MD_TB_TicketComentarioAdjuntos from '../../Models/Tickets/MD_TB_TicketComentarioAdjuntos.js';
+
+import { registrarLogActividad } from '../Logs/CTS_TB_LogsActividad.js';
+import {
+  deleteDirIfEmpty,
+  deleteDirRecursive,
+  deleteFileIfExists,
+  deleteStrayFiles,
+  resolveSafeUploadPath,
+  toRelativeFromRoot
+} from '../../Utils/fileManager.js';
+import uploadConfig from '../../config/uploadConfig.js';
+
+const { TicketsModel } = MD_TB_Tickets;
+const { SucursalesModel } = MD_TB_Sucursales;
+const { UsuariosModel } = MD_TB_Usuarios;
+const { TicketAdjuntosModel } = MD_TB_TicketAdjuntos;
+const { TicketComentarioAdjuntosModel } = MD_TB_TicketComentarioAdjuntos;
+
+/**
+ * Util interno: contexto del usuario autenticado.
+ */
+const getUserContext = (req) => {
+  const user = req.user || {};
+  return {
+    id: user.id || null,
+    rol: user.rol || null
+  };
+};
+
+const soloAdmin = (res, rol) => {
+  if (rol === 'admin') return false;
+  res.status(403).json({
+    mensajeError: 'Solo un usuario con rol admin puede gestionar la papelera'
+  });
+  return true;
+};
+
+/**
+ * Busca un ticket que esté en la papelera (ignora los activos).
+ */
+const buscarEliminado = (id, options = {}) =>
+  TicketsModel.findOne({
+    where: { id, deleted_at: { [Op.ne]: null } },
+    paranoid: false,
+    ...options
+  });
+
+/**
+ * Rutas de archivo (ruta_archivo) registradas que cumplen el where.
+ */
+const rutasRegistradas = async (where) => {
+  const [adjuntos, adjuntosComentarios] = await Promise.all([
+    TicketAdjuntosModel.findAll({ where, attributes: ['ruta_archivo'] }),
+    TicketComentarioAdjuntosModel.findAll({ where, attributes: ['ruta_archivo'] })
+  ]);
+  return [...adjuntos, ...adjuntosComentarios]
+    .map((a) => a.ruta_archivo)
+    .filter(Boolean);
+};
+
+/**
+ * Borra del disco los archivos de un ticket ya eliminado de la DB.
+ *  - Archivos de sus adjuntos: se borran si ningún otro registro los usa.
+ *  - Carpeta uploads/tickets/<id>: se borra entera si nadie referencia
+ *    archivos dentro; si no (duplicado fusionado), solo los sueltos.
+ * @param {number} ticketId
+ * @param {string[]} rutas - ruta_archivo de los adjuntos antes del borrado
+ * @returns {Promise<number>} archivos de adjuntos eliminados
+ */
+const purgarArchivosTicket = async (ticketId, rutas) => {
+  let eliminados = 0;
+  const carpetas = new Set();
+
+  for (const ruta of new Set(rutas)) {
+    let absPath;
+    try {
+      absPath = resolveSafeUploadPath(ruta);
+    } catch (e) {
+      console.error(
+        `[ER_Ticket_Purgar_CTS] Ruta inválida en adjunto del ticket #${ticketId}: ${ruta}`
+      );
+      continue;
+    }
+    const usos = await rutasRegistradas({ ruta_archivo: ruta });
+    if (usos.length) continue;
+
+    await deleteFileIfExists(absPath);
+    carpetas.add(path.dirname(absPath));
+    eliminados++;
+  }
+
+  // Carpetas (de este u otro ticket) que quedaron vacías
+  for (const carpeta of carpetas) await deleteDirIfEmpty(carpeta);
+
+  const carpetaTicket = path.join(uploadConfig.TICKETS_DIR, String(ticketId));
+  const referenciadas = await rutasRegistradas({
+    ruta_archivo: { [Op.like]: `${toRelativeFromRoot(carpetaTicket)}/%` }
+  });
+  if (referenciadas.length) {
+    await deleteStrayFiles(carpetaTicket, referenciadas);
+  } else {
+    await deleteDirRecursive(carpetaTicket);
+  }
+
+  return eliminados;
+};
+
+// ===================================================
+// 1) Listado de la papelera
+// GET /tickets/papelera
+// Query params:
+//   page, limit (default 20, máx 100), sucursal_id,
+//   eliminado_desde, eliminado_hasta (YYYY-MM-DD)
+// ===================================================
+
+export const OBRS_Tickets_Papelera_CTS = async (req, res) => {
+  try {
+    const { rol } = getUserContext(req);
+    if (soloAdmin(res, rol)) return;
+
+    const { page, limit, sucursal_id, eliminado_desde, eliminado_hasta } =
+      req.query || {};
+
+    const pageNum = Math.max(parseInt(page || '1', 10), 1);
+    const limitNum = Math.min(Math.max(parseInt(limit || '20', 10), 1), 100);
+
+    const where = { deleted_at: { [Op.ne]: null } };
+    if (sucursal_id) where.sucursal_id = Number(sucursal_id);
+    if (eliminado_desde || eliminado_hasta) {
+      where.deleted_at = {
+        [Op.ne]: null,
+        ...(eliminado_desde ? { [Op.gte]: `${eliminado_desde} 00:00:00` } : {}),
+        ...(eliminado_hasta ? { [Op.lte]: `${eliminado_hasta} 23:59:59` } : {})
+      };
+    }
+
+    const { rows, count } = await TicketsModel.findAndCountAll({
+      where,
+      paranoid: false,
+      order: [['deleted_at', 'DESC']],
+      limit: limitNum,
+      offset: (pageNum - 1) * limitNum,
+      include: [
+        {
+          model: SucursalesModel,
+          as: 'sucursal',
+          attributes: ['id', 'nombre', 'codigo', 'ciudad']
+        },
+        {
+          model: UsuariosModel,
+          as: 'creador',
+          attributes: ['id', 'nombre', 'email', 'rol']
+        },
+        {
+          model: UsuariosModel,
+          as: 'eliminado_por',
+          attributes: ['id', 'nombre', 'email', 'rol']
+        }
+      ]
+    });
+
+    const totalPages = Math.max(Math.ceil(count / limitNum), 1);
+
+    res.json({
+      data: rows,
+      meta: {
+        total: count,
+        page: pageNum,
+        limit: limitNum,
+        totalPages,
+        hasNext: pageNum < totalPages,
+        hasPrev: pageNum > 1
+      }
+    });
+  } catch (error) {
+    console.error('[OBRS_Tickets_Papelera_CTS] error:', error);
+    res.status(500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 2) Restaurar un ticket de la papelera
+// POST /tickets/papelera/:id/restaurar
+// ===================================================
+
+export const CR_Ticket_Restaurar_CTS = async (req, res) => {
+  const { usuario_log_id } = req.body || {};
+  const { id: usuarioIdCtx, rol } = getUserContext(req);
+  const usuarioLog = usuario_log_id || usuarioIdCtx || null;
+
+  if (soloAdmin(res, rol)) return;
+
+  let transaction;
+
+  try {
+    transaction = await TicketsModel.sequelize.transaction();
+
+    const ticket = await buscarEliminado(req.params.id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!ticket) {
+      await transaction.rollback();
+      return res
+        .status(404)
+        .json({ mensajeError: 'El ticket no está en la papelera' });
+    }
+
+    await ticket.restore({ transaction });
+    await ticket.update(
+      { deleted_by: null, motivo_eliminacion: null },
+      { transaction }
+    );
+
+    await transaction.commit();
+
+    await registrarLogActividad({
+      usuario_id: usuarioLog,
+      modulo: 'tickets',
+      accion: 'RESTAURAR',
+      entidad: 'ticket',
+      entidad_id: ticket.id,
+      descripcion: `El usuario ${usuarioLog} restauró el ticket #${ticket.id} desde la papelera.`,
+      ip: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    const restaurado = await TicketsModel.findByPk(ticket.id);
+
+    res.json({ message: 'Ticket restaurado correctamente', ticket: restaurado });
+  } catch (error) {
+    console.error('[CR_Ticket_Restaurar_CTS] error:', error);
+    if (transaction) {
+      try {
+        await transaction.rollback();
+      } catch (e) {}
+    }
+    res.status(error.statusCode || 500).json({ mensajeError: error.message });
+  }
+};
+
+// ===================================================
+// 3) Purgar un ticket (borrado definitivo + archivos)
+// DELETE /tickets/papelera/:id
+// ===================================================
+
+export const ER_Ticket_Purgar_CTS = async (req, res) => {
+  const { usuario_log_id } = req.body || {};
+  const { id: usuarioIdCtx, rol } = getUserContext(req);
+  const usuarioLog = usuario_log_id || usuarioIdCtx || null;
+
+  if (soloAdmin(res, rol)) return;
+
+  try {
+    const ticket = await buscarEliminado(req.params.id);
+    if (!ticket) {
+      return res
+        .status(404)
+        .json({ mensajeError: 'El ticket no está en la papelera' });
+    }
+
+    // Rutas de sus adjuntos antes de que el CASCADE se lleve los registros
+    const rutas = await rutasRegistradas({ ticket_id: ticket.id });
+
+    // force: borra la fila (ON DELETE CASCADE se lleva adjuntos, historial...)
+    await ticket.destroy({ force: true });
+
+    // Los archivos se borran después de la DB: si esto falla, quedan
+    // huérfanos en disco pero la DB queda consistente
+    const archivosEliminados = await purgarArchivosTicket(ticket.id, rutas);
+
+    await registrarLogActividad({
+      usuario_id: usuarioLog,
+      modulo: 'tickets',
+      accion: 'PURGAR',
+      entidad: 'ticket',
+      entidad_id: ticket.id,
+      descripcion: `El usuario ${usuarioLog} purgó definitivamente el ticket #${ticket.id} (eliminado el ${ticket.deleted_at?.toISOString?.() || ticket.deleted_at}; motivo: ${ticket.motivo_eliminacion || '—'}; archivos eliminados: ${archivosEliminados}).`,
+      ip: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+
+    res.json({ message: 'Ticket purgado definitivamente' });
+  } catch (error) {
+    console.error('[ER_Ticket_Purgar_CTS] error:', error);
+    res.status(500).json({ mensajeError: error.message });
+  }
+};
+
+export default {
+  OBRS_Tickets_Papelera_CTS,
+  CR_Ticket_Restaurar_CTS,
+  ER_Ticket_Purgar_CTS
+};
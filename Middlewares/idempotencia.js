@@ -0,0 +1,123 @@
+// Middlewares/idempotencia.js
+import {
+  calcularHashRequest,
+  reservarClave,
+  completarClave,
+  liberarClave
+} from '../Utils/idempotenciaService.js';
+import { deleteFileIfExists } from '../Utils/fileManager.js';
+
+const LARGO_MAXIMO_CLAVE = 255;
+
+// Si no se procesa el request, los archivos que ya escribió multer sobran
+const descartarArchivosSubidos = async (req) => {
+  const subidos = Array.isArray(req.files) ? req.files : req.file ? [req.file] : [];
+  for (const f of subidos) await deleteFileIfExists(f.path);
+};
+
+/**
+ * idempotencia: respeta el encabezado `Idempotency-Key` en endpoints de alta.
+ * - Sin encabezado: no hace nada (compatibilidad).
+ * - Primer request con la clave: se procesa y se guarda la respuesta.
+ * - Reintento con la misma clave y mismo payload: se repite la respuesta
+ *   original (header `Idempotent-Replayed: true`) sin volver a ejecutar.
+ * - Misma clave con otro payload / otra ruta: 422.
+ * - Misma clave mientras el original sigue en curso: 409. Si el original
+ *   quedó en 'procesando' sin actividad más allá del lease
+ *   (IDEMPOTENCIA_LEASE_SEG, p. ej. el proceso se cayó), el reintento con
+ *   el mismo payload toma la clave y se procesa.
+ * - Si el original termina en 5xx, sin respuesta JSON (send / end / redirect /
+ *   archivo) o la conexión se cierra sin responder, la clave se libera para
+ *   poder reintentar. Se resuelve al terminar la respuesta (finish / close),
+ *   así nunca queda en 'procesando' hasta la purga.
+ *
+ * Va después de authenticateToken (la clave es por usuario) y, en rutas con
+ * archivos, después de multer (el hash incluye los archivos recibidos).
+ */
+export function idempotencia() {
+  return async function (req, res, next) {
+    const clave = req.get('Idempotency-Key');
+    if (clave === undefined) return next();
+
+    const usuarioId = req.user?.id;
+    if (!usuarioId) return next();
+
+    const claveLimpia = String(clave).trim();
+    if (!claveLimpia || claveLimpia.length > LARGO_MAXIMO_CLAVE) {
+      await descartarArchivosSubidos(req);
+      return res.status(400).json({
+        mensajeError: `Idempotency-Key inválida (1 a ${LARGO_MAXIMO_CLAVE} caracteres)`
+      });
+    }
+
+    const ruta = `${req.method} ${req.originalUrl.split('?')[0]}`.slice(0, 200);
+    const requestHash = calcularHashRequest(req);
+
+    try {
+      const { registro, existente } = await reservarClave({
+        clave: claveLimpia,
+        usuarioId,
+        ruta,
+        requestHash
+      });
+
+      if (existente) {
+        await descartarArchivosSubidos(req);
+
+        if (registro.ruta !== ruta || registro.request_hash !== requestHash) {
+          return res.status(422).json({
+            mensajeError:
+              'La Idempotency-Key ya se usó con otro payload. Genere una clave nueva para una operación distinta.'
+          });
+        }
+
+        if (registro.estado === 'procesando') {
+          return res.status(409).json({
+            mensajeError:
+              'Hay una solicitud en curso con la misma Idempotency-Key. Reintente en unos segundos.'
+          });
+        }
+
+        console.log(
+          JSON.stringify({ msg: 'idempotencia_replay', ruta, usuarioId })
+        );
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(registro.status_code).json(registro.respuesta);
+      }
+
+      // Capturamos el body JSON del controlador para guardarlo
+      let respuestaJson;
+      const jsonOriginal = res.json.bind(res);
+      res.json = (body) => {
+        respuestaJson = { body };
+        return jsonOriginal(body);
+      };
+
+      // Al terminar (o cortarse) la respuesta: completar o liberar la clave
+      let resuelta = false;
+      const resolverClave = (terminada) => {
+        if (resuelta) return;
+        resuelta = true;
+
+        const status = res.statusCode;
+        const guardar =
+          terminada && respuestaJson && status < 500
+            ? completarClave(registro.id, status, respuestaJson.body)
+            : liberarClave(registro.id);
+        guardar.catch((err) =>
+          console.error('[idempotencia] Error guardando respuesta:', err.message)
+        );
+      };
+      res.on('finish', () => resolverClave(true));
+      res.on('close', () => resolverClave(res.writableFinished));
+
+      return next();
+    } catch (err) {
+      console.error('[idempotencia] error:', err);
+      await descartarArchivosSubidos(req);
+      return res.status(500).json({ mensajeError: err.message });
+    }
+  };
+}
+
+export default idempotencia;
@@ -0,0 +1,110 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Modelo Sequelize para la tabla `idempotencia_claves`.
+ * Guarda cada `Idempotency-Key` recibida en endpoints de alta (por usuario),
+ * con el hash del request y la respuesta original, para poder repetirla
+ * ante reintentos sin volver a crear el recurso.
+ *
+ * Tema: Modelos - Idempotencia
+ * Capa: Backend
+ */
+
+import dotenv from 'dotenv';
+import { DataTypes } from 'sequelize';
+import db from '../../DataBase/db.js';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+export const IdempotenciaClavesModel = db.define(
+  'idempotencia_claves',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    clave: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: 'Valor del encabezado Idempotency-Key'
+    },
+    usuario_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      comment: 'Usuario autenticado que envió la clave (ámbito de la clave)'
+    },
+    ruta: {
+      type: DataTypes.STRING(200),
+      allowNull: false,
+      comment: 'Método + ruta del request original (ej: POST /tickets)'
+    },
+    request_hash: {
+      type: DataTypes.CHAR(64),
+      allowNull: false,
+      comment: 'SHA-256 del payload (body + metadatos de archivos)'
+    },
+
+    estado: {
+      type: DataTypes.ENUM('procesando', 'completado'),
+      allowNull: false,
+      defaultValue: 'procesando',
+      comment: 'procesando = request original todavía en curso'
+    },
+    status_code: {
+      type: DataTypes.SMALLINT.UNSIGNED,
+      allowNull: true,
+      comment: 'HTTP status de la respuesta original'
+    },
+    respuesta: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Body JSON de la respuesta original (se repite en reintentos)'
+    },
+
+    expira_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'Pasada esta fecha la clave se puede reutilizar'
+    },
+
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  },
+  {
+    tableName: 'idempotencia_claves',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    comment: 'Claves de idempotencia de endpoints de alta',
+    indexes: [
+      {
+        name: 'uq_idempotencia_usuario_clave',
+        unique: true,
+        fields: ['usuario_id', 'clave']
+      },
+      {
+        name: 'idx_idempotencia_expira',
+        fields: ['expira_at']
+      }
+    ]
+  }
+);
+
+export default {
+  IdempotenciaClavesModel
+};
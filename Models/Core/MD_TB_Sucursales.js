@@ -89,6 +89,20 @@ export const SucursalesModel = db.define(
       defaultValue: '18:00:00',
       comment: 'Hora de cierre de la sucursal'
     },
+    bloquear_fuera_horario: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment:
+        'Si es true, los operadores no pueden cargar tickets fuera del horario de la sucursal'
+    },
+    visibilidad_operadores: {
+      type: DataTypes.ENUM('propios', 'sucursal'),
+      allowNull: false,
+      defaultValue: 'propios',
+      comment:
+        'Tickets que ven los operadores: propios (solo los que crearon) o sucursal (todos los de la sucursal)'
+    },
     estado: {
       type: DataTypes.ENUM('activo', 'inactivo'),
       allowNull: false,
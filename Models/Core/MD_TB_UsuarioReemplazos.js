@@ -0,0 +1,129 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Modelo Sequelize para la tabla `usuario_reemplazos`.
+ * Delegaciones temporales: un usuario (operador o supervisor) designa a otro
+ * del mismo rol como reemplazante entre dos fechas (inclusive). Mientras la
+ * delegación está vigente el reemplazante:
+ *  - ve los tickets que ve el delegante (su sucursal / visibilidad)
+ *  - puede cargar tickets en la sucursal del delegante
+ *  - recibe también las notificaciones dirigidas al delegante (incluida
+ *    la de ticket creado)
+ *  - queda registrado en los logs como "en reemplazo de" el delegante
+ *    (en_reemplazo_de_id / reemplazo_id) solo cuando la acción sobre el
+ *    ticket fue posible gracias al alcance heredado
+ *
+ * Las delegaciones no se borran: se cancelan (estado = 'cancelado').
+ *
+ * Tema: Modelos - Reemplazos de usuarios
+ * Capa: Backend
+ */
+
+import dotenv from 'dotenv';
+import { DataTypes } from 'sequelize';
+import db from '../../DataBase/db.js';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+export const UsuarioReemplazosModel = db.define(
+  'usuario_reemplazos',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    usuario_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      comment: 'Usuario que delega (ausente en el rango)'
+    },
+
+    reemplazante_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      comment: 'Usuario que lo reemplaza durante el rango'
+    },
+
+    fecha_desde: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      comment: 'Primer día de la delegación (inclusive)'
+    },
+
+    fecha_hasta: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      comment: 'Último día de la delegación (inclusive)'
+    },
+
+    motivo: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Motivo de la ausencia (vacaciones, licencia, cambio de turno, etc.)'
+    },
+
+    estado: {
+      type: DataTypes.ENUM('activo', 'cancelado'),
+      allowNull: false,
+      defaultValue: 'activo',
+      comment: 'Solo las delegaciones activas se aplican'
+    },
+
+    creado_por_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true,
+      comment: 'Usuario que cargó la delegación (el delegante o un admin)'
+    },
+
+    cancelado_por_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true,
+      comment: 'Usuario que canceló la delegación'
+    },
+
+    fecha_cancelacion: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Fecha y hora de la cancelación'
+    },
+
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  },
+  {
+    tableName: 'usuario_reemplazos',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    comment: 'Delegaciones temporales entre usuarios (reemplazos por rango de fechas)',
+    indexes: [
+      {
+        name: 'idx_reemplazos_usuario_fechas',
+        fields: ['usuario_id', 'estado', 'fecha_desde', 'fecha_hasta']
+      },
+      {
+        name: 'idx_reemplazos_reemplazante_fechas',
+        fields: ['reemplazante_id', 'estado', 'fecha_desde', 'fecha_hasta']
+      }
+    ]
+  }
+);
+
+export default {
+  UsuarioReemplazosModel
+};
@@ -58,6 +58,12 @@ export const UsuariosModel = db.define(
       comment:
         'Sucursal base del usuario (operador); supervisor/admin puede ser NULL'
     },
+    visibilidad_tickets: {
+      type: DataTypes.ENUM('propios', 'sucursal'),
+      allowNull: true,
+      comment:
+        'Override de visibilidad de tickets del operador; NULL = hereda visibilidad_operadores de su sucursal'
+    },
     estado: {
       type: DataTypes.ENUM('activo', 'inactivo'),
       allowNull: false,
@@ -35,6 +35,19 @@ export const LogsActividadModel = db.define(
       comment: 'Usuario que realizó la acción (NULL si es proceso de sistema)'
     },
 
+    en_reemplazo_de_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true,
+      comment:
+        'Si la acción fue posible por el alcance de una delegación: usuario reemplazado (delegante)'
+    },
+
+    reemplazo_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true,
+      comment: 'Delegación (usuario_reemplazos) que habilitó la acción'
+    },
+
     modulo: {
       type: DataTypes.STRING(50),
       allowNull: false,
@@ -101,6 +114,10 @@ export const LogsActividadModel = db.define(
       {
         name: 'idx_logs_entidad',
         fields: ['entidad', 'entidad_id']
+      },
+      {
+        name: 'idx_logs_reemplazo_fecha',
+        fields: ['en_reemplazo_de_id', 'fecha_hora']
       }
     ]
   }
@@ -92,6 +92,12 @@ export const TicketAdjuntosModel = db.define(
       {
         name: 'idx_ticket_adj_tipo',
         fields: ['tipo']
+      },
+      {
+        // Búsqueda de tickets por nombre de archivo (GET /tickets?q=)
+        name: 'ft_ticket_adj_nombre',
+        type: 'FULLTEXT',
+        fields: ['nombre_original']
       }
     ]
   }
@@ -0,0 +1,94 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Modelo Sequelize para la tabla `ticket_asignaciones`.
+ * Historial de asignaciones de tickets a supervisores responsables:
+ * quién lo tenía, a quién pasó, quién hizo el cambio y cuándo.
+ *
+ * Tema: Modelos - Tickets (Asignaciones)
+ * Capa: Backend
+ */
+
+import dotenv from 'dotenv';
+import { DataTypes } from 'sequelize';
+import db from '../../DataBase/db.js';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+export const TicketAsignacionesModel = db.define(
+  'ticket_asignaciones',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    ticket_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      comment: 'Ticket reasignado'
+    },
+
+    usuario_anterior_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true,
+      comment: 'Responsable previo (NULL si estaba sin asignar)'
+    },
+
+    usuario_nuevo_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true,
+      comment: 'Nuevo responsable (NULL si se desasignó)'
+    },
+
+    accion: {
+      type: DataTypes.ENUM('asignar', 'reasignar', 'desasignar', 'automatica'),
+      allowNull: false,
+      comment: 'Tipo de movimiento de asignación'
+    },
+
+    usuario_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true,
+      comment: 'Usuario que realizó la asignación (NULL si es el sistema)'
+    },
+
+    comentario: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Motivo de la asignación / reasignación'
+    },
+
+    fecha: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      comment: 'Fecha y hora del movimiento'
+    }
+  },
+  {
+    tableName: 'ticket_asignaciones',
+    timestamps: false,
+    comment: 'Historial de asignaciones de tickets a responsables',
+    indexes: [
+      {
+        name: 'idx_asig_ticket',
+        fields: ['ticket_id']
+      },
+      {
+        name: 'idx_asig_usuario_nuevo',
+        fields: ['usuario_nuevo_id', 'fecha']
+      }
+    ]
+  }
+);
+
+export default {
+  TicketAsignacionesModel
+};
@@ -0,0 +1,93 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Modelo Sequelize para la tabla `ticket_cambios`.
+ * Auditoría por campo de las ediciones de un ticket (antes / después).
+ * Todos los campos modificados en una misma edición comparten `lote`.
+ *
+ * Tema: Modelos - Tickets (Cambios)
+ * Capa: Backend
+ */
+
+import dotenv from 'dotenv';
+import { DataTypes } from 'sequelize';
+import db from '../../DataBase/db.js';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+export const TicketCambiosModel = db.define(
+  'ticket_cambios',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    ticket_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      comment: 'Ticket editado'
+    },
+
+    lote: {
+      type: DataTypes.CHAR(36),
+      allowNull: false,
+      comment: 'UUID de la edición (agrupa los campos cambiados juntos)'
+    },
+
+    campo: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: 'Nombre de la columna modificada'
+    },
+
+    valor_anterior: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Valor antes de la edición (NULL = vacío)'
+    },
+
+    valor_nuevo: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Valor después de la edición (NULL = vacío)'
+    },
+
+    usuario_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true,
+      comment: 'Usuario que editó (NULL = sistema)'
+    },
+
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  },
+  {
+    tableName: 'ticket_cambios',
+    timestamps: false,
+    comment: 'Cambios por campo de los tickets (auditoría de ediciones)',
+    indexes: [
+      {
+        name: 'idx_ticket_cambios_ticket',
+        fields: ['ticket_id', 'created_at']
+      },
+      {
+        name: 'idx_ticket_cambios_lote',
+        fields: ['lote']
+      }
+    ]
+  }
+);
+
+export default {
+  TicketCambiosModel
+};
@@ -0,0 +1,104 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Modelo Sequelize para la tabla `ticket_categorias`.
+ * Catálogo de tipos de incidencia de conciliación, administrado por admins.
+ * Cada categoría define sus propias reglas de carga:
+ *  - campos del ticket que pasan a ser obligatorios
+ *  - tipos de adjunto que deben estar presentes (imagen / excel / pdf)
+ *  - cantidad mínima de archivos para salir de "pendiente_adjuntos"
+ *
+ * Tema: Modelos - Tickets (Categorías)
+ * Capa: Backend
+ */
+
+import dotenv from 'dotenv';
+import { DataTypes } from 'sequelize';
+import db from '../../DataBase/db.js';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+export const TicketCategoriasModel = db.define(
+  'ticket_categorias',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    nombre: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true,
+      comment: 'Nombre de la categoría (ej: Diferencia de caja)'
+    },
+
+    descripcion: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Ayuda para el operador al elegir la categoría'
+    },
+
+    campos_requeridos: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Campos del ticket obligatorios en esta categoría (ej: ["descripcion","hora_ticket"])'
+    },
+
+    adjuntos_tipos_requeridos: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Tipos de adjunto que deben existir (imagen / excel / pdf)'
+    },
+
+    adjuntos_minimos: {
+      type: DataTypes.TINYINT.UNSIGNED,
+      allowNull: false,
+      defaultValue: 1,
+      comment: 'Cantidad mínima de archivos para salir de "pendiente_adjuntos"'
+    },
+
+    estado: {
+      type: DataTypes.ENUM('activo', 'inactivo'),
+      allowNull: false,
+      defaultValue: 'activo',
+      comment: 'Las categorías inactivas no se ofrecen para tickets nuevos'
+    },
+
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  },
+  {
+    tableName: 'ticket_categorias',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    comment: 'Catálogo de categorías de tickets con reglas de carga',
+    indexes: [
+      {
+        name: 'idx_ticket_cat_estado',
+        fields: ['estado']
+      }
+    ]
+  }
+);
+
+export default {
+  TicketCategoriasModel
+};
@@ -0,0 +1,94 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Modelo Sequelize para la tabla `ticket_comentario_adjuntos`.
+ * Archivos adjuntos a un comentario. Se guardan aparte de `ticket_adjuntos`
+ * para que no cuenten en las reglas de carga del ticket y para que los de
+ * notas internas hereden su visibilidad.
+ *
+ * Tema: Modelos - Tickets (Comentarios)
+ * Capa: Backend
+ */
+
+import dotenv from 'dotenv';
+import { DataTypes } from 'sequelize';
+import db from '../../DataBase/db.js';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+export const TicketComentarioAdjuntosModel = db.define(
+  'ticket_comentario_adjuntos',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    comentario_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      comment: 'Comentario al que pertenece el archivo'
+    },
+
+    ticket_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      comment: 'Ticket del comentario (desnormalizado para limpiezas)'
+    },
+
+    nombre_original: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: 'Nombre original del archivo subido'
+    },
+
+    ruta_archivo: {
+      type: DataTypes.STRING(500),
+      allowNull: false,
+      comment: 'Ruta relativa donde se guarda el archivo'
+    },
+
+    mime_type: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: 'MIME type detectado'
+    },
+
+    tamano_bytes: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: true,
+      comment: 'Tamaño del archivo en bytes'
+    },
+
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  },
+  {
+    tableName: 'ticket_comentario_adjuntos',
+    timestamps: false,
+    comment: 'Archivos adjuntos a comentarios de tickets',
+    indexes: [
+      {
+        name: 'idx_ticket_com_adj_comentario',
+        fields: ['comentario_id']
+      },
+      {
+        name: 'idx_ticket_com_adj_ticket',
+        fields: ['ticket_id']
+      }
+    ]
+  }
+);
+
+export default {
+  TicketComentarioAdjuntosModel
+};
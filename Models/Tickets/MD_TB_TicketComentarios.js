@@ -0,0 +1,115 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Modelo Sequelize para la tabla `ticket_comentarios`.
+ * Hilo de conversación de un ticket entre la sucursal y supervisión.
+ *  - Respuestas anidadas (comentario_padre_id)
+ *  - Notas internas (interno = 1) visibles solo para supervisor/admin
+ *  - Edición / borrado dentro de una ventana de tiempo (borrado lógico)
+ *
+ * Tema: Modelos - Tickets (Comentarios)
+ * Capa: Backend
+ */
+
+import dotenv from 'dotenv';
+import { DataTypes } from 'sequelize';
+import db from '../../DataBase/db.js';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+export const TicketComentariosModel = db.define(
+  'ticket_comentarios',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    ticket_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      comment: 'Ticket al que pertenece el comentario'
+    },
+
+    comentario_padre_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true,
+      comment: 'Comentario al que responde (NULL = comentario raíz)'
+    },
+
+    usuario_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      comment: 'Autor del comentario'
+    },
+
+    mensaje: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      comment: 'Texto del comentario'
+    },
+
+    interno: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: '1 = nota interna de supervisión (no visible para operadores)'
+    },
+
+    editado_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Fecha de la última edición (NULL = nunca editado)'
+    },
+
+    eliminado_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Borrado lógico: se conserva el nodo para no romper el hilo'
+    },
+
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  },
+  {
+    tableName: 'ticket_comentarios',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    comment: 'Comentarios (hilo de conversación) de tickets',
+    indexes: [
+      {
+        name: 'idx_ticket_com_ticket',
+        fields: ['ticket_id', 'created_at']
+      },
+      {
+        name: 'idx_ticket_com_padre',
+        fields: ['comentario_padre_id']
+      },
+      {
+        // Búsqueda de tickets (GET /tickets?q=)
+        name: 'ft_ticket_com_mensaje',
+        type: 'FULLTEXT',
+        fields: ['mensaje']
+      }
+    ]
+  }
+);
+
+export default {
+  TicketComentariosModel
+};
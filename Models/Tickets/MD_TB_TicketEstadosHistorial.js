@@ -7,6 +7,8 @@
  * Modelo Sequelize para la tabla `ticket_estados_historial`.
  * Registra el historial de cambios de estado de cada ticket:
  * quién cambió, de qué estado a cuál, cuándo y con qué comentario.
+ * En los rechazos guarda además el motivo del catálogo (`ticket_motivos_rechazo`)
+ * y en las autorizaciones con doble control, las reglas y ambos aprobadores.
  *
  * Tema: Modelos - Tickets (Historial de Estados)
  * Capa: Backend
@@ -39,10 +41,12 @@ export const TicketEstadosHistorialModel = db.define(
       type: DataTypes.ENUM(
         'abierto',
         'pendiente',
+        'pre_autorizado',
         'autorizado',
         'rechazado',
         'cerrado',
-        'pendiente_adjuntos'
+        'pendiente_adjuntos',
+        'cancelado' // Borrador vencido (job de borradores)
       ),
       allowNull: true,
       defaultValue: null,
@@ -53,10 +57,12 @@ export const TicketEstadosHistorialModel = db.define(
       type: DataTypes.ENUM(
         'abierto',
         'pendiente',
+        'pre_autorizado',
         'autorizado',
         'rechazado',
         'cerrado',
-        'pendiente_adjuntos'
+        'pendiente_adjuntos',
+        'cancelado' // Borrador vencido (job de borradores)
       ),
       allowNull: false,
       comment: 'Nuevo estado aplicado al ticket'
@@ -64,14 +70,40 @@ export const TicketEstadosHistorialModel = db.define(
 
     usuario_id: {
       type: DataTypes.INTEGER.UNSIGNED,
-      allowNull: false,
-      comment: 'Usuario que realizó el cambio de estado'
+      allowNull: true,
+      comment: 'Usuario que realizó el cambio de estado (NULL = sistema)'
     },
 
     comentario: {
       type: DataTypes.TEXT,
       allowNull: true,
-      comment: 'Motivo del cambio, observaciones, motivo de rechazo, etc.'
+      comment: 'Motivo del cambio, observaciones, detalle del rechazo, etc.'
+    },
+
+    motivo_rechazo_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true,
+      comment: 'Motivo del catálogo (solo en pases a "rechazado")'
+    },
+
+    // Doble control: en el pase a "pre_autorizado" quedan las reglas cumplidas;
+    // en la confirmación (pre_autorizado -> autorizado), además el primer aprobador
+    doble_control_reglas: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Reglas de doble control que exigieron la segunda aprobación'
+    },
+
+    primer_aprobador_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true,
+      comment: 'Usuario que pre-autorizó (solo en la confirmación)'
+    },
+
+    fecha_primera_aprobacion: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Fecha y hora de la pre-autorización (solo en la confirmación)'
     },
 
     fecha_cambio: {
@@ -97,6 +129,10 @@ export const TicketEstadosHistorialModel = db.define(
       {
         name: 'idx_hist_estado',
         fields: ['estado_nuevo']
+      },
+      {
+        name: 'idx_hist_motivo_rechazo',
+        fields: ['motivo_rechazo_id']
       }
     ]
   }
@@ -0,0 +1,95 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Modelo Sequelize para la tabla `ticket_motivos_rechazo`.
+ * Catálogo de motivos de rechazo de tickets, administrado por admins.
+ * Todo pase a "rechazado" exige un motivo; si el motivo tiene
+ * `requiere_detalle`, además es obligatorio el comentario libre.
+ * El motivo elegido queda en `ticket_estados_historial.motivo_rechazo_id`.
+ *
+ * Tema: Modelos - Tickets (Motivos de rechazo)
+ * Capa: Backend
+ */
+
+import dotenv from 'dotenv';
+import { DataTypes } from 'sequelize';
+import db from '../../DataBase/db.js';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+export const TicketMotivosRechazoModel = db.define(
+  'ticket_motivos_rechazo',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    codigo: {
+      type: DataTypes.STRING(30),
+      allowNull: false,
+      unique: true,
+      comment: 'Código corto para reportes (ej: SIN_COMPROBANTE)'
+    },
+
+    nombre: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: 'Nombre visible del motivo (ej: Falta comprobante)'
+    },
+
+    descripcion: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Ayuda para el supervisor al elegir el motivo'
+    },
+
+    requiere_detalle: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Si es true, el comentario del rechazo es obligatorio'
+    },
+
+    estado: {
+      type: DataTypes.ENUM('activo', 'inactivo'),
+      allowNull: false,
+      defaultValue: 'activo',
+      comment: 'Los motivos inactivos no se ofrecen en rechazos nuevos'
+    },
+
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  },
+  {
+    tableName: 'ticket_motivos_rechazo',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    comment: 'Catálogo de motivos de rechazo de tickets',
+    indexes: [
+      {
+        name: 'idx_ticket_mot_rech_estado',
+        fields: ['estado']
+      }
+    ]
+  }
+);
+
+export default {
+  TicketMotivosRechazoModel
+};
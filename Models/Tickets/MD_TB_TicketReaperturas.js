@@ -0,0 +1,107 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Modelo Sequelize para la tabla `ticket_reaperturas`.
+ * Registra las solicitudes de reapertura de tickets cerrados:
+ * quién la pidió y por qué, y qué admin la aprobó o rechazó.
+ *
+ * Tema: Modelos - Tickets (Reaperturas)
+ * Capa: Backend
+ */
+
+import dotenv from 'dotenv';
+import { DataTypes } from 'sequelize';
+import db from '../../DataBase/db.js';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+export const TicketReaperturasModel = db.define(
+  'ticket_reaperturas',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    ticket_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      comment: 'Ticket cerrado que se solicita reabrir'
+    },
+
+    usuario_solicitante_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      comment: 'Operador o supervisor que solicita la reapertura'
+    },
+
+    motivo: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      comment: 'Motivo informado por el solicitante'
+    },
+
+    estado: {
+      type: DataTypes.ENUM('pendiente', 'aprobada', 'rechazada'),
+      allowNull: false,
+      defaultValue: 'pendiente',
+      comment: 'Estado de la solicitud'
+    },
+
+    estado_destino: {
+      type: DataTypes.ENUM('abierto', 'pendiente'),
+      allowNull: true,
+      comment: 'Estado al que volvió el ticket (solo si fue aprobada)'
+    },
+
+    usuario_resolutor_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true,
+      comment: 'Admin que aprobó o rechazó la solicitud'
+    },
+
+    comentario_resolucion: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Comentario del admin al resolver'
+    },
+
+    fecha_solicitud: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      comment: 'Fecha/hora en que se cargó la solicitud'
+    },
+
+    fecha_resolucion: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Fecha/hora en que se aprobó o rechazó'
+    }
+  },
+  {
+    tableName: 'ticket_reaperturas',
+    timestamps: false,
+    comment: 'Solicitudes de reapertura de tickets cerrados',
+    indexes: [
+      {
+        name: 'idx_reap_ticket',
+        fields: ['ticket_id']
+      },
+      {
+        name: 'idx_reap_estado',
+        fields: ['estado', 'fecha_solicitud']
+      }
+    ]
+  }
+);
+
+export default {
+  TicketReaperturasModel
+};
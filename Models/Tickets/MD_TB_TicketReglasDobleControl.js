@@ -0,0 +1,111 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Modelo Sequelize para la tabla `ticket_reglas_doble_control`.
+ * Reglas de doble control en la autorización de tickets: si un ticket
+ * cumple alguna regla activa, la primera autorización lo deja en
+ * "pre_autorizado" y otro supervisor (o un admin) debe confirmarla.
+ *
+ * Una regla se cumple cuando se cumplen TODAS sus condiciones cargadas
+ * (las condiciones en NULL no se evalúan):
+ *  - monto: |campo_monto| >= monto_minimo (opcionalmente solo en una moneda)
+ *  - categoría del ticket
+ *  - sucursal del ticket
+ *
+ * Tema: Modelos - Tickets (Doble control)
+ * Capa: Backend
+ */
+
+import dotenv from 'dotenv';
+import { DataTypes } from 'sequelize';
+import db from '../../DataBase/db.js';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+export const TicketReglasDobleControlModel = db.define(
+  'ticket_reglas_doble_control',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    nombre: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: 'Nombre descriptivo de la regla (ej: Diferencias mayores a 100.000)'
+    },
+
+    monto_minimo: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: true,
+      comment: 'Umbral de monto (valor absoluto); NULL = no evalúa monto'
+    },
+
+    campo_monto: {
+      type: DataTypes.ENUM('diferencia', 'monto_esperado', 'monto_real'),
+      allowNull: false,
+      defaultValue: 'diferencia',
+      comment: 'Campo del ticket que se compara contra monto_minimo'
+    },
+
+    moneda: {
+      type: DataTypes.ENUM('ARS', 'USD'),
+      allowNull: true,
+      comment: 'Moneda a la que aplica el umbral (NULL = cualquiera)'
+    },
+
+    categoria_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true,
+      comment: 'Categoría a la que aplica (NULL = todas)'
+    },
+
+    sucursal_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true,
+      comment: 'Sucursal a la que aplica (NULL = todas)'
+    },
+
+    estado: {
+      type: DataTypes.ENUM('activo', 'inactivo'),
+      allowNull: false,
+      defaultValue: 'activo',
+      comment: 'Solo las reglas activas se evalúan'
+    },
+
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  },
+  {
+    tableName: 'ticket_reglas_doble_control',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    comment: 'Reglas de doble control para la autorización de tickets',
+    indexes: [
+      {
+        name: 'idx_doble_control_estado',
+        fields: ['estado']
+      }
+    ]
+  }
+);
+
+export default {
+  TicketReglasDobleControlModel
+};
@@ -0,0 +1,90 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Modelo Sequelize para la tabla `ticket_relaciones`.
+ * Vínculos dirigidos entre tickets (origen -> destino):
+ *  - duplicado_de    : el origen es un duplicado del destino
+ *  - relacionado_con : vínculo simétrico (se guarda una sola vez)
+ *  - padre_de        : el destino es un ticket hijo del origen
+ *
+ * Tema: Modelos - Tickets (Relaciones)
+ * Capa: Backend
+ */
+
+import dotenv from 'dotenv';
+import { DataTypes } from 'sequelize';
+import db from '../../DataBase/db.js';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+export const TicketRelacionesModel = db.define(
+  'ticket_relaciones',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    ticket_origen_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      comment: 'Ticket origen del vínculo'
+    },
+
+    ticket_destino_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      comment: 'Ticket destino del vínculo'
+    },
+
+    tipo: {
+      type: DataTypes.ENUM('duplicado_de', 'relacionado_con', 'padre_de'),
+      allowNull: false,
+      comment: 'Tipo de vínculo (leído como: origen <tipo> destino)'
+    },
+
+    usuario_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true,
+      comment: 'Usuario que creó el vínculo'
+    },
+
+    comentario: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Nota opcional sobre el vínculo'
+    },
+
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  },
+  {
+    tableName: 'ticket_relaciones',
+    timestamps: false,
+    comment: 'Vínculos entre tickets (duplicados, relacionados, padre/hijo)',
+    indexes: [
+      {
+        name: 'uq_ticket_relacion',
+        unique: true,
+        fields: ['ticket_origen_id', 'ticket_destino_id', 'tipo']
+      },
+      {
+        name: 'idx_ticket_rel_destino',
+        fields: ['ticket_destino_id']
+      }
+    ]
+  }
+);
+
+export default {
+  TicketRelacionesModel
+};
@@ -0,0 +1,76 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Modelo Sequelize para la tabla `ticket_secuencias`.
+ * Último número de ticket emitido por sucursal y año, usado para generar
+ * el código legible `<sucursal.codigo>-<YYYY>-<seq>`.
+ * Se bloquea con FOR UPDATE al asignar (ver Utils/ticketCodigoService.js).
+ *
+ * Tema: Modelos - Tickets (Numeración)
+ * Capa: Backend
+ */
+
+import dotenv from 'dotenv';
+import { DataTypes } from 'sequelize';
+import db from '../../DataBase/db.js';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+export const TicketSecuenciasModel = db.define(
+  'ticket_secuencias',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    sucursal_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      comment: 'Sucursal dueña de la numeración'
+    },
+
+    anio: {
+      type: DataTypes.SMALLINT.UNSIGNED,
+      allowNull: false,
+      comment: 'Año de la numeración (se reinicia cada año)'
+    },
+
+    ultimo_numero: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Último número emitido'
+    },
+
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  },
+  {
+    tableName: 'ticket_secuencias',
+    timestamps: true,
+    createdAt: false,
+    updatedAt: 'updated_at',
+    comment: 'Numeración de tickets por sucursal y año',
+    indexes: [
+      {
+        name: 'uq_ticket_secuencias_sucursal_anio',
+        unique: true,
+        fields: ['sucursal_id', 'anio']
+      }
+    ]
+  }
+);
+
+export default {
+  TicketSecuenciasModel
+};
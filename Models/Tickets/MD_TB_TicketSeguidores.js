@@ -0,0 +1,78 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Modelo Sequelize para la tabla `ticket_seguidores`.
+ * Usuarios que siguen un ticket y reciben notificaciones internas de cada
+ * cambio (estado, edición, adjuntos, comentarios).
+ * El creador y quien cambia el estado quedan como seguidores automáticos.
+ *
+ * Tema: Modelos - Tickets (Seguidores)
+ * Capa: Backend
+ */
+
+import dotenv from 'dotenv';
+import { DataTypes } from 'sequelize';
+import db from '../../DataBase/db.js';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+export const TicketSeguidoresModel = db.define(
+  'ticket_seguidores',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    ticket_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      comment: 'Ticket seguido'
+    },
+
+    usuario_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      comment: 'Usuario que sigue el ticket'
+    },
+
+    origen: {
+      type: DataTypes.ENUM('manual', 'creador', 'cambio_estado'),
+      allowNull: false,
+      defaultValue: 'manual',
+      comment: 'Cómo empezó a seguirlo (manual o automático)'
+    },
+
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  },
+  {
+    tableName: 'ticket_seguidores',
+    timestamps: false,
+    comment: 'Seguidores (watchers) de tickets',
+    indexes: [
+      {
+        name: 'uq_ticket_seguidor',
+        unique: true,
+        fields: ['ticket_id', 'usuario_id']
+      },
+      {
+        name: 'idx_ticket_seg_usuario',
+        fields: ['usuario_id']
+      }
+    ]
+  }
+);
+
+export default {
+  TicketSeguidoresModel
+};
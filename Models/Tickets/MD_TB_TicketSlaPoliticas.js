@@ -0,0 +1,112 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Modelo Sequelize para la tabla `ticket_sla_politicas`.
+ * Define los tiempos máximos (SLA) de un ticket:
+ *  - tiempo máximo en "pendiente" hasta la revisión del supervisor
+ *  - tiempo máximo hasta el cierre
+ * Una política puede ser global (sucursal_id y categoria_id NULL), de una
+ * sucursal, de una categoría (tipo de ticket) o de ambas; la más específica
+ * tiene prioridad: sucursal + categoría > categoría > sucursal > global.
+ *
+ * Tema: Modelos - Tickets (SLA)
+ * Capa: Backend
+ */
+
+import dotenv from 'dotenv';
+import { DataTypes } from 'sequelize';
+import db from '../../DataBase/db.js';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+export const TicketSlaPoliticasModel = db.define(
+  'ticket_sla_politicas',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    nombre: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: 'Nombre descriptivo de la política'
+    },
+
+    sucursal_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true,
+      comment: 'Sucursal a la que aplica (NULL = todas)'
+    },
+
+    categoria_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true,
+      comment: 'Categoría (tipo de ticket) a la que aplica (NULL = todas)'
+    },
+
+    max_minutos_revision: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      comment: 'Minutos máximos en "pendiente" antes de la revisión'
+    },
+
+    max_minutos_cierre: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      comment: 'Minutos máximos desde que el ticket queda pendiente hasta su cierre'
+    },
+
+    umbral_riesgo_pct: {
+      type: DataTypes.TINYINT.UNSIGNED,
+      allowNull: false,
+      defaultValue: 80,
+      comment: '% del tiempo consumido a partir del cual el ticket queda "en riesgo"'
+    },
+
+    estado: {
+      type: DataTypes.ENUM('activo', 'inactivo'),
+      allowNull: false,
+      defaultValue: 'activo',
+      comment: 'Solo las políticas activas se evalúan'
+    },
+
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  },
+  {
+    tableName: 'ticket_sla_politicas',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    comment: 'Políticas de SLA de tickets (por sucursal y/o categoría, o globales)',
+    indexes: [
+      {
+        name: 'idx_sla_sucursal_estado',
+        fields: ['sucursal_id', 'estado']
+      },
+      {
+        name: 'idx_sla_categoria_estado',
+        fields: ['categoria_id', 'estado']
+      }
+    ]
+  }
+);
+
+export default {
+  TicketSlaPoliticasModel
+};
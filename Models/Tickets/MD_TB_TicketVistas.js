@@ -0,0 +1,115 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Modelo Sequelize para la tabla `ticket_vistas`.
+ * Vistas guardadas del listado de tickets: un nombre + los mismos filtros
+ * que acepta GET /tickets (+ orden). Cada usuario puede marcar una como
+ * predeterminada y compartirlas con los usuarios de su mismo rol.
+ *
+ * Tema: Modelos - Tickets (Vistas guardadas)
+ * Capa: Backend
+ */
+
+import dotenv from 'dotenv';
+import { DataTypes } from 'sequelize';
+import db from '../../DataBase/db.js';
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+export const TicketVistasModel = db.define(
+  'ticket_vistas',
+  {
+    id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    usuario_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      comment: 'Dueño de la vista'
+    },
+
+    nombre: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: 'Nombre visible en el menú lateral'
+    },
+
+    filtros: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      comment:
+        'Filtros de GET /tickets (claves de FILTROS_TICKETS). Fechas admiten @hoy, @inicio_semana, @inicio_mes'
+    },
+
+    orden_campo: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: 'orderBy de GET /tickets (NULL = orden por defecto)'
+    },
+    orden_dir: {
+      type: DataTypes.ENUM('ASC', 'DESC'),
+      allowNull: true,
+      comment: 'orderDir de GET /tickets'
+    },
+
+    predeterminada: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Vista que el front abre por defecto (una por usuario)'
+    },
+
+    compartida: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Visible (solo lectura) para los usuarios de rol_compartido'
+    },
+    rol_compartido: {
+      type: DataTypes.ENUM('operador_sucursal', 'supervisor', 'admin'),
+      allowNull: true,
+      comment: 'Rol del dueño al compartir (los de ese rol ven la vista)'
+    },
+
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  },
+  {
+    tableName: 'ticket_vistas',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    comment: 'Vistas guardadas (filtros con nombre) del listado de tickets',
+    indexes: [
+      {
+        name: 'uq_ticket_vistas_usuario_nombre',
+        unique: true,
+        fields: ['usuario_id', 'nombre']
+      },
+      {
+        name: 'idx_ticket_vistas_compartidas',
+        fields: ['compartida', 'rol_compartido']
+      }
+    ]
+  }
+);
+
+export default {
+  TicketVistasModel
+};
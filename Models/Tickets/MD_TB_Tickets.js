@@ -28,6 +28,14 @@ export const TicketsModel = db.define(
       autoIncrement: true
     },
 
+    // Código legible por sucursal y año (ej: MON-2026-00042).
+    // Se asigna al crear y no cambia aunque se edite la sucursal.
+    codigo: {
+      type: DataTypes.STRING(30),
+      allowNull: true,
+      comment: 'Código legible <sucursal.codigo>-<YYYY>-<seq> (NULL en tickets previos)'
+    },
+
     // Fecha/hora de la orden/ticket (dato de negocio)
     fecha_ticket: {
       type: DataTypes.DATEONLY,
@@ -40,6 +48,20 @@ export const TicketsModel = db.define(
       comment: 'Hora aproximada del evento, opcional'
     },
 
+    // Fuera del horario de la sucursal (hora_ticket o momento de carga)
+    fuera_horario: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment:
+        'true si hora_ticket o la hora de carga quedaron fuera del horario de la sucursal'
+    },
+    fuera_horario_detalle: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Detalle legible de por qué quedó fuera de horario'
+    },
+
     // Relación con sucursal y usuario creador
     sucursal_id: {
       type: DataTypes.INTEGER.UNSIGNED,
@@ -52,15 +74,36 @@ export const TicketsModel = db.define(
       comment: 'Usuario que cargó el ticket'
     },
 
+    // Categoría (catálogo ticket_categorias; NULL en tickets históricos)
+    categoria_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true,
+      comment: 'Categoría del ticket (define campos y adjuntos obligatorios)'
+    },
+
+    // Responsable de la revisión (supervisor/admin)
+    usuario_asignado_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true,
+      comment: 'Supervisor/admin responsable del ticket (NULL = sin asignar)'
+    },
+    fecha_asignacion: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Fecha y hora de la última asignación'
+    },
+
     // Estado actual del ticket
     estado: {
       type: DataTypes.ENUM(
         'abierto',
         'pendiente',
+        'pre_autorizado', // Primera autorización de un ticket con doble control
         'autorizado',
         'rechazado',
         'cerrado',
-        'pendiente_adjuntos' // Adicionamos este nuevo estado, para gestionar tickets que requieren adjuntos es decir obligatorio
+        'pendiente_adjuntos', // Adicionamos este nuevo estado, para gestionar tickets que requieren adjuntos es decir obligatorio
+        'cancelado' // Borrador vencido sin adjuntos (lo aplica el job de borradores)
       ),
       allowNull: false,
       defaultValue: 'abierto',
@@ -84,12 +127,113 @@ export const TicketsModel = db.define(
       comment: 'Comentarios del supervisor al autorizar / rechazar / cerrar'
     },
 
+    // Datos monetarios de la conciliación (NULL en tickets históricos)
+    monto_esperado: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: true,
+      comment: 'Monto que debería haberse registrado'
+    },
+    monto_real: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: true,
+      comment: 'Monto efectivamente registrado / cobrado'
+    },
+    diferencia: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: true,
+      comment:
+        'monto_real - monto_esperado (calculado por el backend; NULL si falta alguno)'
+    },
+    medio_pago: {
+      type: DataTypes.ENUM(
+        'efectivo',
+        'transferencia',
+        'tarjeta_debito',
+        'tarjeta_credito',
+        'mercado_pago',
+        'cheque',
+        'otro'
+      ),
+      allowNull: true,
+      comment: 'Medio de pago de la operación conciliada'
+    },
+    moneda: {
+      type: DataTypes.ENUM('ARS', 'USD'),
+      allowNull: false,
+      defaultValue: 'ARS',
+      comment: 'Moneda de los montos'
+    },
+
+    // Recordatorio al operador por borrador sin adjuntos (job de borradores)
+    recordatorio_adjuntos_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Fecha y hora del recordatorio de adjuntos pendientes (NULL = no enviado)'
+    },
+
     fecha_cierre: {
       type: DataTypes.DATE,
       allowNull: true,
       comment: 'Fecha y hora en que se cerró el ticket'
     },
 
+    // Si el ticket se cerró por fusión, apunta al ticket que lo absorbió
+    fusionado_en_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true,
+      comment: 'Ticket en el que se fusionó este duplicado (NULL = no fusionado)'
+    },
+
+    // SLA (lo actualiza el job de Utils/slaTicketsService.js)
+    sla_politica_id: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true,
+      comment: 'Política de SLA aplicada en la última evaluación'
+    },
+    sla_estado: {
+      type: DataTypes.ENUM('en_plazo', 'en_riesgo', 'vencido'),
+      allowNull: true,
+      comment: 'Estado de SLA (NULL = sin SLA / todavía no evaluado)'
+    },
+    sla_nivel_escalamiento: {
+      type: DataTypes.TINYINT.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '0 = sin escalar, 1 = supervisores notificados, 2 = admins notificados'
+    },
+    sla_evaluado_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Fecha y hora de la última evaluación de SLA'
+    },
+
+    // Control de concurrencia optimista (ETag / If-Match).
+    // Sequelize lo incrementa en cada save/update de instancia.
+    version: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Versión del ticket (se incrementa en cada edición)'
+    },
+
+    // Baja lógica (papelera). Con `paranoid` Sequelize excluye estas filas
+    // de todas las consultas salvo que se pida `paranoid: false`.
+    deleted_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Fecha de baja lógica (NULL = ticket activo)'
+    },
+    deleted_by: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: true,
+      comment: 'Usuario que envió el ticket a la papelera'
+    },
+    motivo_eliminacion: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Motivo informado al eliminar el ticket'
+    },
+
     // Timestamps
     created_at: {
       type: DataTypes.DATE,
@@ -107,9 +251,17 @@ export const TicketsModel = db.define(
     timestamps: true,
     createdAt: 'created_at',
     updatedAt: 'updated_at',
+    paranoid: true,
+    deletedAt: 'deleted_at',
+    version: true,
     comment:
       'Tickets / órdenes de conciliación cargadas por usuarios de sucursal',
     indexes: [
+      {
+        name: 'uq_tickets_codigo',
+        unique: true,
+        fields: ['codigo']
+      },
       {
         name: 'idx_tickets_estado',
         fields: ['estado']
@@ -125,6 +277,36 @@ export const TicketsModel = db.define(
       {
         name: 'idx_tickets_usuario',
         fields: ['usuario_creador_id']
+      },
+      {
+        name: 'idx_tickets_asignado_estado',
+        fields: ['usuario_asignado_id', 'estado']
+      },
+      {
+        name: 'idx_tickets_categoria_estado',
+        fields: ['categoria_id', 'estado']
+      },
+      {
+        name: 'idx_tickets_sla_estado',
+        fields: ['sla_estado']
+      },
+      {
+        name: 'idx_tickets_moneda_diferencia',
+        fields: ['moneda', 'diferencia']
+      },
+      {
+        name: 'idx_tickets_sucursal_fuera_horario',
+        fields: ['sucursal_id', 'fuera_horario']
+      },
+      {
+        name: 'idx_tickets_deleted_at',
+        fields: ['deleted_at']
+      },
+      {
+        // Búsqueda libre con relevancia (GET /tickets?q=)
+        name: 'ft_tickets_texto',
+        type: 'FULLTEXT',
+        fields: ['asunto', 'descripcion', 'observaciones_supervisor']
       }
     ]
   }
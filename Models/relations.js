@@ -21,6 +21,21 @@ import { TicketsModel } from './Tickets/MD_TB_Tickets.js';
 import { TicketAdjuntosModel } from './Tickets/MD_TB_TicketAdjuntos.js';
 import { TicketEstadosHistorialModel } from './Tickets/MD_TB_TicketEstadosHistorial.js';
 import { NotificacionesModel } from './Tickets/MD_TB_Notificaciones.js';
+import { TicketReaperturasModel } from './Tickets/MD_TB_TicketReaperturas.js';
+import { TicketAsignacionesModel } from './Tickets/MD_TB_TicketAsignaciones.js';
+import { TicketSlaPoliticasModel } from './Tickets/MD_TB_TicketSlaPoliticas.js';
+import { TicketCategoriasModel } from './Tickets/MD_TB_TicketCategorias.js';
+import { TicketComentariosModel } from './Tickets/MD_TB_TicketComentarios.js';
+import { TicketComentarioAdjuntosModel } from './Tickets/MD_TB_TicketComentarioAdjuntos.js';
+import { TicketSeguidoresModel } from './Tickets/MD_TB_TicketSeguidores.js';
+import { TicketRelacionesModel } from './Tickets/MD_TB_TicketRelaciones.js';
+import { TicketCambiosModel } from './Tickets/MD_TB_TicketCambios.js';
+import { TicketSecuenciasModel } from './Tickets/MD_TB_TicketSecuencias.js';
+import { TicketVistasModel } from './Tickets/MD_TB_TicketVistas.js';
+import { TicketMotivosRechazoModel } from './Tickets/MD_TB_TicketMotivosRechazo.js';
+import { TicketReglasDobleControlModel } from './Tickets/MD_TB_TicketReglasDobleControl.js';
+import { IdempotenciaClavesModel } from './Core/MD_TB_IdempotenciaClaves.js';
+import { UsuarioReemplazosModel } from './Core/MD_TB_UsuarioReemplazos.js';
 
 import { LogsActividadModel } from './Logs/MD_TB_LogsActividad.js';
 
@@ -73,6 +88,24 @@ export const initModelRelations = () => {
     as: 'tickets_creados'
   });
 
+  // Ticket tiene (opcionalmente) un responsable asignado
+  TicketsModel.belongsTo(UsuariosModel, {
+    foreignKey: 'usuario_asignado_id',
+    as: 'asignado'
+  });
+
+  // Usuario puede tener muchos tickets asignados
+  UsuariosModel.hasMany(TicketsModel, {
+    foreignKey: 'usuario_asignado_id',
+    as: 'tickets_asignados'
+  });
+
+  // Ticket en papelera: quién lo eliminó
+  TicketsModel.belongsTo(UsuariosModel, {
+    foreignKey: 'deleted_by',
+    as: 'eliminado_por'
+  });
+
   // ============================
   // TICKETS: Tickets ↔ Adjuntos
   // ============================
@@ -157,6 +190,338 @@ export const initModelRelations = () => {
     as: 'destino'
   });
 
+  // ============================
+  // TICKETS: Reaperturas
+  // ============================
+
+  // Ticket tiene muchas solicitudes de reapertura
+  TicketsModel.hasMany(TicketReaperturasModel, {
+    foreignKey: 'ticket_id',
+    as: 'reaperturas'
+  });
+
+  // Solicitud pertenece a un ticket
+  TicketReaperturasModel.belongsTo(TicketsModel, {
+    foreignKey: 'ticket_id',
+    as: 'ticket'
+  });
+
+  // Usuario que solicita la reapertura
+  TicketReaperturasModel.belongsTo(UsuariosModel, {
+    foreignKey: 'usuario_solicitante_id',
+    as: 'solicitante'
+  });
+
+  // Admin que aprueba / rechaza
+  TicketReaperturasModel.belongsTo(UsuariosModel, {
+    foreignKey: 'usuario_resolutor_id',
+    as: 'resolutor'
+  });
+
+  // ============================
+  // TICKETS: Asignaciones
+  // ============================
+
+  // Ticket tiene muchos movimientos de asignación
+  TicketsModel.hasMany(TicketAsignacionesModel, {
+    foreignKey: 'ticket_id',
+    as: 'asignaciones'
+  });
+
+  // Movimiento pertenece a un ticket
+  TicketAsignacionesModel.belongsTo(TicketsModel, {
+    foreignKey: 'ticket_id',
+    as: 'ticket'
+  });
+
+  // Responsable previo / nuevo / quién asignó
+  TicketAsignacionesModel.belongsTo(UsuariosModel, {
+    foreignKey: 'usuario_anterior_id',
+    as: 'usuario_anterior'
+  });
+  TicketAsignacionesModel.belongsTo(UsuariosModel, {
+    foreignKey: 'usuario_nuevo_id',
+    as: 'usuario_nuevo'
+  });
+  TicketAsignacionesModel.belongsTo(UsuariosModel, {
+    foreignKey: 'usuario_id',
+    as: 'usuario'
+  });
+
+  // ============================
+  // TICKETS: Políticas de SLA
+  // ============================
+
+  // Política puede ser de una sucursal puntual (NULL = global)
+  SucursalesModel.hasMany(TicketSlaPoliticasModel, {
+    foreignKey: 'sucursal_id',
+    as: 'sla_politicas'
+  });
+  TicketSlaPoliticasModel.belongsTo(SucursalesModel, {
+    foreignKey: 'sucursal_id',
+    as: 'sucursal'
+  });
+
+  // ... y/o de una categoría de ticket (NULL = todas)
+  TicketCategoriasModel.hasMany(TicketSlaPoliticasModel, {
+    foreignKey: 'categoria_id',
+    as: 'sla_politicas'
+  });
+  TicketSlaPoliticasModel.belongsTo(TicketCategoriasModel, {
+    foreignKey: 'categoria_id',
+    as: 'categoria'
+  });
+
+  // Ticket referencia la política con la que se evaluó su SLA
+  TicketSlaPoliticasModel.hasMany(TicketsModel, {
+    foreignKey: 'sla_politica_id',
+    as: 'tickets'
+  });
+  TicketsModel.belongsTo(TicketSlaPoliticasModel, {
+    foreignKey: 'sla_politica_id',
+    as: 'sla_politica'
+  });
+
+  // ============================
+  // TICKETS: Categorías
+  // ============================
+
+  // Categoría agrupa muchos tickets
+  TicketCategoriasModel.hasMany(TicketsModel, {
+    foreignKey: 'categoria_id',
+    as: 'tickets'
+  });
+
+  // Ticket pertenece a una categoría (NULL en tickets históricos)
+  TicketsModel.belongsTo(TicketCategoriasModel, {
+    foreignKey: 'categoria_id',
+    as: 'categoria'
+  });
+
+  // ============================
+  // TICKETS: Comentarios (hilo)
+  // ============================
+
+  // Ticket tiene muchos comentarios
+  TicketsModel.hasMany(TicketComentariosModel, {
+    foreignKey: 'ticket_id',
+    as: 'comentarios'
+  });
+  TicketComentariosModel.belongsTo(TicketsModel, {
+    foreignKey: 'ticket_id',
+    as: 'ticket'
+  });
+
+  // Autor del comentario
+  UsuariosModel.hasMany(TicketComentariosModel, {
+    foreignKey: 'usuario_id',
+    as: 'comentarios_tickets'
+  });
+  TicketComentariosModel.belongsTo(UsuariosModel, {
+    foreignKey: 'usuario_id',
+    as: 'usuario'
+  });
+
+  // Respuestas anidadas
+  TicketComentariosModel.belongsTo(TicketComentariosModel, {
+    foreignKey: 'comentario_padre_id',
+    as: 'padre'
+  });
+  TicketComentariosModel.hasMany(TicketComentariosModel, {
+    foreignKey: 'comentario_padre_id',
+    as: 'respuestas'
+  });
+
+  // Adjuntos del comentario
+  TicketComentariosModel.hasMany(TicketComentarioAdjuntosModel, {
+    foreignKey: 'comentario_id',
+    as: 'adjuntos'
+  });
+  TicketComentarioAdjuntosModel.belongsTo(TicketComentariosModel, {
+    foreignKey: 'comentario_id',
+    as: 'comentario'
+  });
+
+  // ============================
+  // TICKETS: Seguidores
+  // ============================
+
+  TicketsModel.hasMany(TicketSeguidoresModel, {
+    foreignKey: 'ticket_id',
+    as: 'seguidores'
+  });
+  TicketSeguidoresModel.belongsTo(TicketsModel, {
+    foreignKey: 'ticket_id',
+    as: 'ticket'
+  });
+
+  UsuariosModel.hasMany(TicketSeguidoresModel, {
+    foreignKey: 'usuario_id',
+    as: 'tickets_seguidos'
+  });
+  TicketSeguidoresModel.belongsTo(UsuariosModel, {
+    foreignKey: 'usuario_id',
+    as: 'usuario'
+  });
+
+  // ============================
+  // TICKETS: Relaciones / Fusión
+  // ============================
+
+  // Vínculos salientes / entrantes
+  TicketsModel.hasMany(TicketRelacionesModel, {
+    foreignKey: 'ticket_origen_id',
+    as: 'relaciones_salientes'
+  });
+  TicketsModel.hasMany(TicketRelacionesModel, {
+    foreignKey: 'ticket_destino_id',
+    as: 'relaciones_entrantes'
+  });
+  TicketRelacionesModel.belongsTo(TicketsModel, {
+    foreignKey: 'ticket_origen_id',
+    as: 'ticket_origen'
+  });
+  TicketRelacionesModel.belongsTo(TicketsModel, {
+    foreignKey: 'ticket_destino_id',
+    as: 'ticket_destino'
+  });
+  TicketRelacionesModel.belongsTo(UsuariosModel, {
+    foreignKey: 'usuario_id',
+    as: 'usuario'
+  });
+
+  // Duplicado fusionado -> ticket que lo absorbió
+  TicketsModel.belongsTo(TicketsModel, {
+    foreignKey: 'fusionado_en_id',
+    as: 'fusionado_en'
+  });
+
+  // ============================
+  // TICKETS: Cambios por campo (auditoría de ediciones)
+  // ============================
+
+  TicketsModel.hasMany(TicketCambiosModel, {
+    foreignKey: 'ticket_id',
+    as: 'cambios'
+  });
+  TicketCambiosModel.belongsTo(TicketsModel, {
+    foreignKey: 'ticket_id',
+    as: 'ticket'
+  });
+
+  UsuariosModel.hasMany(TicketCambiosModel, {
+    foreignKey: 'usuario_id',
+    as: 'cambios_tickets'
+  });
+  TicketCambiosModel.belongsTo(UsuariosModel, {
+    foreignKey: 'usuario_id',
+    as: 'usuario'
+  });
+
+  // ============================
+  // TICKETS: Numeración por sucursal y año
+  // ============================
+
+  SucursalesModel.hasMany(TicketSecuenciasModel, {
+    foreignKey: 'sucursal_id',
+    as: 'secuencias_tickets'
+  });
+  TicketSecuenciasModel.belongsTo(SucursalesModel, {
+    foreignKey: 'sucursal_id',
+    as: 'sucursal'
+  });
+
+  // ============================
+  // TICKETS: Vistas guardadas ↔ Usuarios
+  // ============================
+
+  UsuariosModel.hasMany(TicketVistasModel, {
+    foreignKey: 'usuario_id',
+    as: 'vistas_tickets'
+  });
+  TicketVistasModel.belongsTo(UsuariosModel, {
+    foreignKey: 'usuario_id',
+    as: 'usuario'
+  });
+
+  // ============================
+  // TICKETS: Motivos de rechazo ↔ Historial de estados
+  // ============================
+
+  TicketMotivosRechazoModel.hasMany(TicketEstadosHistorialModel, {
+    foreignKey: 'motivo_rechazo_id',
+    as: 'rechazos'
+  });
+  // NULL en cambios que no son rechazos (y en rechazos históricos)
+  TicketEstadosHistorialModel.belongsTo(TicketMotivosRechazoModel, {
+    foreignKey: 'motivo_rechazo_id',
+    as: 'motivo_rechazo'
+  });
+
+  // ============================
+  // TICKETS: Doble control de autorización
+  // ============================
+
+  // Regla acotada a una sucursal / categoría (NULL = todas)
+  TicketReglasDobleControlModel.belongsTo(SucursalesModel, {
+    foreignKey: 'sucursal_id',
+    as: 'sucursal'
+  });
+  TicketReglasDobleControlModel.belongsTo(TicketCategoriasModel, {
+    foreignKey: 'categoria_id',
+    as: 'categoria'
+  });
+
+  // Confirmación de una pre-autorización: quién dio la primera aprobación
+  TicketEstadosHistorialModel.belongsTo(UsuariosModel, {
+    foreignKey: 'primer_aprobador_id',
+    as: 'primer_aprobador'
+  });
+
+  // ============================
+  // CORE: Reemplazos (delegaciones) ↔ Usuarios
+  // ============================
+
+  // Delegaciones que hizo un usuario / que recibió como reemplazante
+  UsuariosModel.hasMany(UsuarioReemplazosModel, {
+    foreignKey: 'usuario_id',
+    as: 'reemplazos_delegados'
+  });
+  UsuariosModel.hasMany(UsuarioReemplazosModel, {
+    foreignKey: 'reemplazante_id',
+    as: 'reemplazos_asumidos'
+  });
+
+  UsuarioReemplazosModel.belongsTo(UsuariosModel, {
+    foreignKey: 'usuario_id',
+    as: 'usuario'
+  });
+  UsuarioReemplazosModel.belongsTo(UsuariosModel, {
+    foreignKey: 'reemplazante_id',
+    as: 'reemplazante'
+  });
+  UsuarioReemplazosModel.belongsTo(UsuariosModel, {
+    foreignKey: 'creado_por_id',
+    as: 'creado_por'
+  });
+  UsuarioReemplazosModel.belongsTo(UsuariosModel, {
+    foreignKey: 'cancelado_por_id',
+    as: 'cancelado_por'
+  });
+
+  // ============================
+  // CORE: Claves de idempotencia ↔ Usuarios
+  // ============================
+
+  UsuariosModel.hasMany(IdempotenciaClavesModel, {
+    foreignKey: 'usuario_id',
+    as: 'claves_idempotencia'
+  });
+  IdempotenciaClavesModel.belongsTo(UsuariosModel, {
+    foreignKey: 'usuario_id',
+    as: 'usuario'
+  });
+
   // ============================
   // LOGS: LogsActividad ↔ Usuarios
   // ============================
@@ -172,4 +537,14 @@ export const initModelRelations = () => {
     foreignKey: 'usuario_id',
     as: 'usuario'
   });
+
+  // Acción hecha bajo delegación: el delegante y la delegación aplicada
+  LogsActividadModel.belongsTo(UsuariosModel, {
+    foreignKey: 'en_reemplazo_de_id',
+    as: 'en_reemplazo_de'
+  });
+  LogsActividadModel.belongsTo(UsuarioReemplazosModel, {
+    foreignKey: 'reemplazo_id',
+    as: 'reemplazo'
+  });
 };
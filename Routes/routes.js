@@ -28,6 +28,7 @@ router.get(
 import { authenticateToken } from '../Security/auth.js';
 import { uploadTicketFiles } from '../Middlewares/uploadTickets.js';
 import { uploadErrorHandler } from '../Middlewares/uploadErrorHandler.js';
+import { idempotencia } from '../Middlewares/idempotencia.js';
 
 // ----------------------------------------------------------------
 // Importamos controladores de sucursales
@@ -51,6 +52,17 @@ import {
   UR_Usuario_CTS
 } from '../Controllers/Core/CTS_TB_Usuarios.js';
 
+// ----------------------------------------------------------------
+// Importamos controladores de reemplazos (delegaciones) de usuarios
+// ----------------------------------------------------------------
+import {
+  OBRS_UsuarioReemplazos_CTS,
+  OBR_UsuarioReemplazo_CTS,
+  CR_UsuarioReemplazo_CTS,
+  UR_UsuarioReemplazo_CTS,
+  ER_UsuarioReemplazo_CTS
+} from '../Controllers/Core/CTS_TB_UsuarioReemplazos.js';
+
 // ----------------------------------------------------------------
 // Importamos controladores de LOGS
 // ----------------------------------------------------------------
@@ -67,10 +79,12 @@ import {
 import {
   OBRS_Tickets_CTS,
   OBR_Ticket_CTS,
+  OBR_Ticket_PorCodigo_CTS,
   CR_Ticket_CTS,
   UR_Ticket_CTS,
   ER_Ticket_CTS,
   CR_Ticket_CambiarEstado_CTS,
+  OBRS_Ticket_Transiciones_CTS,
   OBR_Tickets_KPIs_CTS
 } from '../Controllers/Tickets/CTS_TB_Tickets.js';
 
@@ -116,6 +130,17 @@ router.delete('/usuarios/:id', authenticateToken, ER_Usuario_CTS);
 router.get('/usuarios', authenticateToken, OBRS_Usuarios_CTS);
 router.get('/usuarios/:id', authenticateToken, OBR_Usuario_CTS);
 
+// ----------------------------------------------------------------
+// Rutas para reemplazos de usuarios (delegación por rango de fechas)
+// DELETE = cancelación lógica
+// ----------------------------------------------------------------
+
+router.get('/reemplazos', authenticateToken, OBRS_UsuarioReemplazos_CTS);
+router.get('/reemplazos/:id', authenticateToken, OBR_UsuarioReemplazo_CTS);
+router.post('/reemplazos', authenticateToken, CR_UsuarioReemplazo_CTS);
+router.put('/reemplazos/:id', authenticateToken, UR_UsuarioReemplazo_CTS);
+router.delete('/reemplazos/:id', authenticateToken, ER_UsuarioReemplazo_CTS);
+
 // ----------------------------------------------------------------
 // Rutas para logs de actividad (auditoría)
 // Solo accesibles con token (idealmente admin/supervisor)
@@ -155,13 +180,322 @@ router.get(
   OBR_TicketEstadoHistorial_CTS
 );
 
+// ----------------------------------------------------------------
+// Rutas para REAPERTURAS de tickets cerrados
+// (las rutas fijas van antes de /tickets/:id)
+// ----------------------------------------------------------------
+
+import {
+  CR_TicketReapertura_CTS,
+  OBRS_TicketReaperturas_CTS,
+  UR_TicketReapertura_Aprobar_CTS,
+  UR_TicketReapertura_Rechazar_CTS
+} from '../Controllers/Tickets/CTS_TB_TicketReaperturas.js';
+
+// Listado global (admin ve todas, el resto solo las propias)
+router.get('/tickets/reaperturas', authenticateToken, OBRS_TicketReaperturas_CTS);
+
+// Solicitudes de un ticket puntual
+router.get(
+  '/tickets/:ticketId/reaperturas',
+  authenticateToken,
+  OBRS_TicketReaperturas_CTS
+);
+
+// Solicitar reapertura (operador creador / supervisor)
+router.post(
+  '/tickets/:ticketId/reaperturas',
+  authenticateToken,
+  CR_TicketReapertura_CTS
+);
+
+// Aprobar / rechazar (solo admin)
+router.post(
+  '/tickets/reaperturas/:id/aprobar',
+  authenticateToken,
+  UR_TicketReapertura_Aprobar_CTS
+);
+router.post(
+  '/tickets/reaperturas/:id/rechazar',
+  authenticateToken,
+  UR_TicketReapertura_Rechazar_CTS
+);
+
+// ----------------------------------------------------------------
+// Rutas para ASIGNACIÓN de tickets (responsable / bandeja personal)
+// ----------------------------------------------------------------
+
+import {
+  UR_Ticket_Asignar_CTS,
+  UR_Ticket_Desasignar_CTS,
+  OBRS_TicketAsignaciones_CTS,
+  OBRS_Tickets_MiBandeja_CTS
+} from '../Controllers/Tickets/CTS_TB_TicketAsignaciones.js';
+
+// Bandeja personal del supervisor (antes de /tickets/:id)
+router.get('/tickets/mi-bandeja', authenticateToken, OBRS_Tickets_MiBandeja_CTS);
+
+// Historial de asignaciones de un ticket
+router.get(
+  '/tickets/:ticketId/asignaciones',
+  authenticateToken,
+  OBRS_TicketAsignaciones_CTS
+);
+
+// Asignar / reasignar / desasignar
+router.post('/tickets/:id/asignar', authenticateToken, UR_Ticket_Asignar_CTS);
+router.post(
+  '/tickets/:id/desasignar',
+  authenticateToken,
+  UR_Ticket_Desasignar_CTS
+);
+
+// ----------------------------------------------------------------
+// Rutas para CATEGORÍAS de tickets (catálogo + reglas de carga)
+// ----------------------------------------------------------------
+
+import {
+  OBRS_TicketCategorias_CTS,
+  OBR_TicketCategoria_CTS,
+  CR_TicketCategoria_CTS,
+  UR_TicketCategoria_CTS,
+  ER_TicketCategoria_CTS
+} from '../Controllers/Tickets/CTS_TB_TicketCategorias.js';
+
+// Catálogo (antes de /tickets/:id)
+router.get('/tickets/categorias', authenticateToken, OBRS_TicketCategorias_CTS);
+router.get(
+  '/tickets/categorias/:id',
+  authenticateToken,
+  OBR_TicketCategoria_CTS
+);
+router.post('/tickets/categorias', authenticateToken, CR_TicketCategoria_CTS);
+router.put(
+  '/tickets/categorias/:id',
+  authenticateToken,
+  UR_TicketCategoria_CTS
+);
+router.delete(
+  '/tickets/categorias/:id',
+  authenticateToken,
+  ER_TicketCategoria_CTS
+);
+
+// ----------------------------------------------------------------
+// Rutas para SLA de tickets (políticas + SLA calculado por ticket)
+// ----------------------------------------------------------------
+
+import {
+  OBRS_TicketSlaPoliticas_CTS,
+  OBR_TicketSlaPolitica_CTS,
+  CR_TicketSlaPolitica_CTS,
+  UR_TicketSlaPolitica_CTS,
+  ER_TicketSlaPolitica_CTS,
+  OBR_Ticket_Sla_CTS
+} from '../Controllers/Tickets/CTS_TB_TicketSlaPoliticas.js';
+
+// Políticas (antes de /tickets/:id)
+router.get(
+  '/tickets/sla-politicas',
+  authenticateToken,
+  OBRS_TicketSlaPoliticas_CTS
+);
+router.get(
+  '/tickets/sla-politicas/:id',
+  authenticateToken,
+  OBR_TicketSlaPolitica_CTS
+);
+router.post(
+  '/tickets/sla-politicas',
+  authenticateToken,
+  CR_TicketSlaPolitica_CTS
+);
+router.put(
+  '/tickets/sla-politicas/:id',
+  authenticateToken,
+  UR_TicketSlaPolitica_CTS
+);
+router.delete(
+  '/tickets/sla-politicas/:id',
+  authenticateToken,
+  ER_TicketSlaPolitica_CTS
+);
+
+// SLA calculado en vivo de un ticket
+router.get('/tickets/:id/sla', authenticateToken, OBR_Ticket_Sla_CTS);
+
+// ----------------------------------------------------------------
+// Rutas para OPERACIONES MASIVAS de tickets (supervisor / admin)
+// ----------------------------------------------------------------
+
+import {
+  CR_Tickets_CambiarEstadoMasivo_CTS,
+  CR_Tickets_AsignarMasivo_CTS
+} from '../Controllers/Tickets/CTS_TB_TicketsMasivo.js';
+
+// Antes de /tickets/:id/... para que "masivo" no se tome como id
+router.post(
+  '/tickets/masivo/cambiar-estado',
+  authenticateToken,
+  CR_Tickets_CambiarEstadoMasivo_CTS
+);
+router.post(
+  '/tickets/masivo/asignar',
+  authenticateToken,
+  CR_Tickets_AsignarMasivo_CTS
+);
+
+// ----------------------------------------------------------------
+// Rutas para TIMELINE de tickets (feed unificado de eventos)
+// ----------------------------------------------------------------
+
+import { OBRS_Ticket_Timeline_CTS } from '../Controllers/Tickets/CTS_TB_TicketTimeline.js';
+
+router.get('/tickets/:id/timeline', authenticateToken, OBRS_Ticket_Timeline_CTS);
+
+// ----------------------------------------------------------------
+// Rutas para CAMBIOS por campo de tickets (antes / después)
+// ----------------------------------------------------------------
+
+import { OBRS_TicketCambios_CTS } from '../Controllers/Tickets/CTS_TB_TicketCambios.js';
+
+router.get('/tickets/:id/cambios', authenticateToken, OBRS_TicketCambios_CTS);
+
+// ----------------------------------------------------------------
+// Rutas para PAPELERA de tickets (baja lógica, solo admin)
+// ----------------------------------------------------------------
+
+import {
+  OBRS_Tickets_Papelera_CTS,
+  CR_Ticket_Restaurar_CTS,
+  ER_Ticket_Purgar_CTS
+} from '../Controllers/Tickets/CTS_TB_TicketsPapelera.js';
+
+// Antes de /tickets/:id para que "papelera" no se tome como id
+router.get('/tickets/papelera', authenticateToken, OBRS_Tickets_Papelera_CTS);
+router.post(
+  '/tickets/papelera/:id/restaurar',
+  authenticateToken,
+  CR_Ticket_Restaurar_CTS
+);
+router.delete('/tickets/papelera/:id', authenticateToken, ER_Ticket_Purgar_CTS);
+
+// ----------------------------------------------------------------
+// Rutas para VISTAS GUARDADAS de tickets (filtros con nombre)
+// ----------------------------------------------------------------
+
+import {
+  OBRS_TicketVistas_CTS,
+  OBRS_TicketVistas_Conteos_CTS,
+  CR_TicketVista_CTS,
+  UR_TicketVista_CTS,
+  ER_TicketVista_CTS
+} from '../Controllers/Tickets/CTS_TB_TicketVistas.js';
+
+// Antes de /tickets/:id para que "vistas" no se tome como id
+router.get('/tickets/vistas', authenticateToken, OBRS_TicketVistas_CTS);
+router.get(
+  '/tickets/vistas/conteos',
+  authenticateToken,
+  OBRS_TicketVistas_Conteos_CTS
+);
+router.post('/tickets/vistas', authenticateToken, CR_TicketVista_CTS);
+router.put('/tickets/vistas/:id', authenticateToken, UR_TicketVista_CTS);
+router.delete('/tickets/vistas/:id', authenticateToken, ER_TicketVista_CTS);
+
+// ----------------------------------------------------------------
+// Rutas para MOTIVOS DE RECHAZO de tickets (catálogo + reporte)
+// ----------------------------------------------------------------
+
+import {
+  OBRS_TicketMotivosRechazo_CTS,
+  OBR_TicketMotivoRechazo_CTS,
+  CR_TicketMotivoRechazo_CTS,
+  UR_TicketMotivoRechazo_CTS,
+  ER_TicketMotivoRechazo_CTS,
+  OBR_TicketMotivosRechazo_Reporte_CTS
+} from '../Controllers/Tickets/CTS_TB_TicketMotivosRechazo.js';
+
+// Antes de /tickets/:id; "reporte" antes de /motivos-rechazo/:id
+router.get(
+  '/tickets/motivos-rechazo',
+  authenticateToken,
+  OBRS_TicketMotivosRechazo_CTS
+);
+router.get(
+  '/tickets/motivos-rechazo/reporte',
+  authenticateToken,
+  OBR_TicketMotivosRechazo_Reporte_CTS
+);
+router.get(
+  '/tickets/motivos-rechazo/:id',
+  authenticateToken,
+  OBR_TicketMotivoRechazo_CTS
+);
+router.post(
+  '/tickets/motivos-rechazo',
+  authenticateToken,
+  CR_TicketMotivoRechazo_CTS
+);
+router.put(
+  '/tickets/motivos-rechazo/:id',
+  authenticateToken,
+  UR_TicketMotivoRechazo_CTS
+);
+router.delete(
+  '/tickets/motivos-rechazo/:id',
+  authenticateToken,
+  ER_TicketMotivoRechazo_CTS
+);
+
+// ----------------------------------------------------------------
+// Rutas para DOBLE CONTROL de autorización (reglas)
+// ----------------------------------------------------------------
+
+import {
+  OBRS_TicketReglasDobleControl_CTS,
+  OBR_TicketReglaDobleControl_CTS,
+  CR_TicketReglaDobleControl_CTS,
+  UR_TicketReglaDobleControl_CTS,
+  ER_TicketReglaDobleControl_CTS
+} from '../Controllers/Tickets/CTS_TB_TicketReglasDobleControl.js';
+
+// Antes de /tickets/:id para que "doble-control" no se tome como id
+router.get(
+  '/tickets/doble-control/reglas',
+  authenticateToken,
+  OBRS_TicketReglasDobleControl_CTS
+);
+router.get(
+  '/tickets/doble-control/reglas/:id',
+  authenticateToken,
+  OBR_TicketReglaDobleControl_CTS
+);
+router.post(
+  '/tickets/doble-control/reglas',
+  authenticateToken,
+  CR_TicketReglaDobleControl_CTS
+);
+router.put(
+  '/tickets/doble-control/reglas/:id',
+  authenticateToken,
+  UR_TicketReglaDobleControl_CTS
+);
+router.delete(
+  '/tickets/doble-control/reglas/:id',
+  authenticateToken,
+  ER_TicketReglaDobleControl_CTS
+);
+
 router.get('/tickets/kpis', authenticateToken, OBR_Tickets_KPIs_CTS);
 
 router.get('/tickets', authenticateToken, OBRS_Tickets_CTS);
+router.get('/tickets/codigo/:codigo', authenticateToken, OBR_Ticket_PorCodigo_CTS);
 router.get('/tickets/:id', authenticateToken, OBR_Ticket_CTS);
 
 router.get('/ticketss/:id', OBR_Ticket_CTS);
-router.post('/tickets', authenticateToken, CR_Ticket_CTS);
+// Idempotency-Key: los reintentos repiten la respuesta original
+router.post('/tickets', authenticateToken, idempotencia(), CR_Ticket_CTS);
 router.put('/tickets/:id', authenticateToken, UR_Ticket_CTS);
 router.delete('/tickets/:id', authenticateToken, ER_Ticket_CTS);
 router.post(
@@ -169,6 +503,11 @@ router.post(
   authenticateToken,
   CR_Ticket_CambiarEstado_CTS
 );
+router.get(
+  '/tickets/:id/transiciones',
+  authenticateToken,
+  OBRS_Ticket_Transiciones_CTS
+);
 
 // ----------------------------------------------------------------
 // Rutas para TICKETS ADJUNTOS
@@ -190,10 +529,12 @@ router.get(
 );
 
 // Crear adjunto para un ticket (subida de archivo)
+// idempotencia() va después de multer: el hash incluye los archivos
 router.post(
   '/tickets/:ticketId/adjuntos',
   authenticateToken,
   uploadTicketFiles,
+  idempotencia(),
   CR_TicketAdjunto_CTS,
   uploadErrorHandler
 );
@@ -201,6 +542,105 @@ router.post(
 // Eliminar adjunto
 router.delete('/tickets/adjuntos/:id', authenticateToken, ER_TicketAdjunto_CTS);
 
+// ----------------------------------------------------------------
+// Rutas para COMENTARIOS de tickets (hilo + notas internas)
+// ----------------------------------------------------------------
+
+import {
+  OBRS_TicketComentarios_CTS,
+  CR_TicketComentario_CTS,
+  UR_TicketComentario_CTS,
+  ER_TicketComentario_CTS,
+  FILE_TicketComentarioAdjunto_CTS
+} from '../Controllers/Tickets/CTS_TB_TicketComentarios.js';
+
+// Hilo de un ticket
+router.get(
+  '/tickets/:ticketId/comentarios',
+  authenticateToken,
+  OBRS_TicketComentarios_CTS
+);
+
+// Nuevo comentario / respuesta (adjuntos opcionales en "files")
+router.post(
+  '/tickets/:ticketId/comentarios',
+  authenticateToken,
+  uploadTicketFiles,
+  CR_TicketComentario_CTS,
+  uploadErrorHandler
+);
+
+// Editar / eliminar (ventana de edición)
+router.put(
+  '/tickets/comentarios/:id',
+  authenticateToken,
+  UR_TicketComentario_CTS
+);
+router.delete(
+  '/tickets/comentarios/:id',
+  authenticateToken,
+  ER_TicketComentario_CTS
+);
+
+// Archivo adjunto a un comentario
+router.get(
+  '/tickets/comentarios/adjuntos/:id/file',
+  authenticateToken,
+  FILE_TicketComentarioAdjunto_CTS
+);
+
+// ----------------------------------------------------------------
+// Rutas para SEGUIDORES de tickets (watchers)
+// ----------------------------------------------------------------
+
+import {
+  OBRS_TicketSeguidores_CTS,
+  CR_TicketSeguir_CTS,
+  ER_TicketSeguir_CTS
+} from '../Controllers/Tickets/CTS_TB_TicketSeguidores.js';
+
+router.get(
+  '/tickets/:ticketId/seguidores',
+  authenticateToken,
+  OBRS_TicketSeguidores_CTS
+);
+router.post('/tickets/:ticketId/seguir', authenticateToken, CR_TicketSeguir_CTS);
+router.delete(
+  '/tickets/:ticketId/seguir',
+  authenticateToken,
+  ER_TicketSeguir_CTS
+);
+
+// ----------------------------------------------------------------
+// Rutas para RELACIONES entre tickets y fusión de duplicados
+// ----------------------------------------------------------------
+
+import {
+  OBRS_TicketRelaciones_CTS,
+  CR_TicketRelacion_CTS,
+  ER_TicketRelacion_CTS,
+  UR_Ticket_Fusionar_CTS
+} from '../Controllers/Tickets/CTS_TB_TicketRelaciones.js';
+
+router.get(
+  '/tickets/:ticketId/relaciones',
+  authenticateToken,
+  OBRS_TicketRelaciones_CTS
+);
+router.post(
+  '/tickets/:ticketId/relaciones',
+  authenticateToken,
+  CR_TicketRelacion_CTS
+);
+router.delete(
+  '/tickets/relaciones/:id',
+  authenticateToken,
+  ER_TicketRelacion_CTS
+);
+
+// Fusionar duplicado (:id) en ticket_destino_id
+router.post('/tickets/:id/fusionar', authenticateToken, UR_Ticket_Fusionar_CTS);
+
 import {
   OBRS_Notificaciones_CTS,
   OBR_Notificacion_CTS,
@@ -9,6 +9,7 @@
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import { UsuariosModel } from '../Models/Core/MD_TB_Usuarios.js';
+import { esReemplazanteVigente } from '../Utils/usuarioReemplazosService.js';
 
 export const login = async (req, res) => {
   const { email, password } = req.body;
@@ -27,12 +28,16 @@ export const login = async (req, res) => {
       return res.json({ message: 'Fail', error: 'Credenciales inválidas' });
     }
 
+    // Reemplazo vigente hoy (usuario_reemplazos). Es solo informativo para el
+    // front: la visibilidad heredada se resuelve en cada request.
+    const esReemplazante = await esReemplazanteVigente(user.id);
+
     const token = jwt.sign(
       {
         id: user.id,
         rol: user.rol,
         local_id: user.local_id,
-        es_reemplazante: !!user.es_reemplazante
+        es_reemplazante: esReemplazante
       },
       'softfusion',
       {
@@ -48,7 +53,7 @@ export const login = async (req, res) => {
       email: user.email,
       rol: user.rol,
       local_id: user.local_id,
-      es_reemplazante: !!user.es_reemplazante
+      es_reemplazante: esReemplazante
     });
   } catch (err) {
     console.error('Error en login:', err);
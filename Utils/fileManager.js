@@ -8,6 +8,9 @@
  *  - Crear carpetas recursivamente
  *  - Eliminar archivos de forma segura
  *  - Eliminar carpetas si quedan vacías
+ *  - Eliminar archivos huérfanos (no registrados en DB) de una carpeta
+ *  - Eliminar una carpeta completa (purga de tickets)
+ *  - Resolver rutas guardadas en DB sin salir de /uploads
  *
  * Tema: Utils - Archivos
  * Capa: Backend
@@ -62,6 +65,63 @@ export const deleteDirIfEmpty = async (dirPath) => {
   }
 };
 
+/**
+ * Elimina los archivos de un directorio que no estén en `keepRelativePaths`
+ * (rutas relativas al root, como se guardan en DB) y luego borra el
+ * directorio si quedó vacío. No rompe si el directorio no existe.
+ * @returns {Promise<number>} cantidad de archivos eliminados
+ */
+export const deleteStrayFiles = async (dirPath, keepRelativePaths = []) => {
+  const keep = new Set(keepRelativePaths.map((p) => path.normalize(p)));
+  let eliminados = 0;
+
+  try {
+    const entries = await fsp.readdir(dirPath, { withFileTypes: true });
+    for (const entry of entries) {
+      if (!entry.isFile()) continue;
+      const absolutePath = path.join(dirPath, entry.name);
+      if (keep.has(path.normalize(toRelativeFromRoot(absolutePath)))) continue;
+      await deleteFileIfExists(absolutePath);
+      eliminados++;
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('[deleteStrayFiles] Error limpiando directorio:', err);
+    }
+    return eliminados;
+  }
+
+  await deleteDirIfEmpty(dirPath);
+  return eliminados;
+};
+
+/**
+ * Elimina un directorio con todo su contenido. No rompe si no existe.
+ */
+export const deleteDirRecursive = async (dirPath) => {
+  try {
+    await fsp.rm(dirPath, { recursive: true, force: true });
+  } catch (err) {
+    console.error('[deleteDirRecursive] Error eliminando directorio:', err);
+  }
+};
+
+/**
+ * Ruta relativa guardada en DB -> path absoluto, validando que quede
+ * dentro de /uploads (evita path traversal). Lanza 400 si no.
+ */
+export const resolveSafeUploadPath = (rutaRelativa) => {
+  const rel = String(rutaRelativa || '').replace(/^\/+/, '');
+  const abs = path.resolve(PROJECT_ROOT, rel);
+
+  if (!abs.startsWith(uploadConfig.ROOT)) {
+    const err = new Error('Ruta de archivo inválida');
+    err.statusCode = 400;
+    throw err;
+  }
+  return abs;
+};
+
 /**
  * Convierte un path absoluto a relativo desde el root del proyecto.
  * Útil para guardar en la DB algo como 'uploads/tickets/123/archivo.jpg'
@@ -87,6 +147,9 @@ export default {
   ensureDirExists,
   deleteFileIfExists,
   deleteDirIfEmpty,
+  deleteStrayFiles,
+  deleteDirRecursive,
+  resolveSafeUploadPath,
   toRelativeFromRoot,
   initUploadDirs
 };
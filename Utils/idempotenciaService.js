@@ -0,0 +1,208 @@
+// Utils/idempotenciaService.js
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Almacén de claves de idempotencia (`idempotencia_claves`).
+ *  - Hash estable del request (body + metadatos de archivos subidos)
+ *  - Reserva de la clave por usuario (con manejo de carreras por índice único)
+ *  - Una clave 'procesando' sin actividad por más del lease se considera
+ *    abandonada (p. ej. el proceso se cayó a mitad del request) y un
+ *    reintento con el mismo payload la toma
+ *  - Guardado de la respuesta original para repetirla en reintentos
+ *  - Purga periódica de claves vencidas (initIdempotenciaPurgeJob)
+ *
+ * El middleware que lo usa está en Middlewares/idempotencia.js.
+ *
+ * Variables de entorno:
+ *  - IDEMPOTENCIA_TTL_HORAS    (default 24)
+ *  - IDEMPOTENCIA_LEASE_SEG    (default 120)
+ *  - IDEMPOTENCIA_PURGA_CRON   (default todos los días 03:30)
+ *
+ * Tema: Utils - Idempotencia
+ * Capa: Backend
+ */
+
+import crypto from 'crypto';
+import cron from 'node-cron';
+import { Op, UniqueConstraintError } from 'sequelize';
+
+import { IdempotenciaClavesModel } from '../Models/Core/MD_TB_IdempotenciaClaves.js';
+
+const MS_HORA = 60 * 60 * 1000;
+
+export const getTtlMs = () => {
+  const horas = Number(process.env.IDEMPOTENCIA_TTL_HORAS);
+  return (Number.isFinite(horas) && horas > 0 ? horas : 24) * MS_HORA;
+};
+
+export const getLeaseMs = () => {
+  const segundos = Number(process.env.IDEMPOTENCIA_LEASE_SEG);
+  return (Number.isFinite(segundos) && segundos > 0 ? segundos : 120) * 1000;
+};
+
+/**
+ * Toma una clave 'procesando' abandonada (updated_at más viejo que el lease).
+ * El UPDATE condicional garantiza que, entre reintentos simultáneos, solo uno
+ * la tome. Devuelve el registro tomado o null.
+ */
+const tomarClaveAbandonada = async (previa) => {
+  const ahora = new Date();
+  const [tomadas] = await IdempotenciaClavesModel.update(
+    { updated_at: ahora, expira_at: new Date(ahora.getTime() + getTtlMs()) },
+    {
+      where: {
+        id: previa.id,
+        estado: 'procesando',
+        updated_at: { [Op.lt]: new Date(ahora.getTime() - getLeaseMs()) }
+      }
+    }
+  );
+  return tomadas ? previa.reload() : null;
+};
+
+// JSON con claves ordenadas: el mismo payload da siempre el mismo hash
+const ordenarClaves = (valor) => {
+  if (Array.isArray(valor)) return valor.map(ordenarClaves);
+  if (valor && typeof valor === 'object') {
+    return Object.keys(valor)
+      .sort()
+      .reduce((acc, k) => {
+        acc[k] = ordenarClaves(valor[k]);
+        return acc;
+      }, {});
+  }
+  return valor;
+};
+
+/**
+ * SHA-256 del payload. De los archivos se toman nombre, tipo y tamaño
+ * (la ruta en disco cambia en cada intento).
+ */
+export const calcularHashRequest = (req) => {
+  const archivos = (
+    Array.isArray(req.files) ? req.files : req.file ? [req.file] : []
+  ).map((f) => ({
+    campo: f.fieldname,
+    nombre: f.originalname,
+    mime: f.mimetype,
+    tamano: f.size
+  }));
+
+  const payload = JSON.stringify(
+    ordenarClaves({ body: req.body || {}, archivos })
+  );
+  return crypto.createHash('sha256').update(payload).digest('hex');
+};
+
+/**
+ * Reserva la clave para este usuario. Si ya existe una vigente la devuelve
+ * (`existente`) para que el middleware decida: repetir, 409 o 422; salvo que
+ * esté abandonada en 'procesando' con el mismo payload, en cuyo caso se toma.
+ *
+ * @returns {Promise<{ registro, existente: boolean }>}
+ */
+export const reservarClave = async ({ clave, usuarioId, ruta, requestHash }) => {
+  const previa = await IdempotenciaClavesModel.findOne({
+    where: { usuario_id: usuarioId, clave }
+  });
+
+  if (previa && new Date(previa.expira_at) > new Date()) {
+    if (
+      previa.estado === 'procesando' &&
+      previa.ruta === ruta &&
+      previa.request_hash === requestHash
+    ) {
+      const tomada = await tomarClaveAbandonada(previa);
+      if (tomada) return { registro: tomada, existente: false };
+    }
+    return { registro: previa, existente: true };
+  }
+  if (previa) await previa.destroy();
+
+  try {
+    const registro = await IdempotenciaClavesModel.create({
+      clave,
+      usuario_id: usuarioId,
+      ruta,
+      request_hash: requestHash,
+      estado: 'procesando',
+      expira_at: new Date(Date.now() + getTtlMs())
+    });
+    return { registro, existente: false };
+  } catch (err) {
+    // Dos reintentos simultáneos: el otro ganó la reserva
+    if (err instanceof UniqueConstraintError) {
+      const ganador = await IdempotenciaClavesModel.findOne({
+        where: { usuario_id: usuarioId, clave }
+      });
+      if (ganador) return { registro: ganador, existente: true };
+    }
+    throw err;
+  }
+};
+
+/**
+ * Guarda la respuesta original de la clave.
+ */
+export const completarClave = (id, statusCode, respuesta) =>
+  IdempotenciaClavesModel.update(
+    { estado: 'completado', status_code: statusCode, respuesta },
+    { where: { id } }
+  );
+
+/**
+ * Libera la clave (error de servidor): el cliente puede reintentar con la misma.
+ */
+export const liberarClave = (id) =>
+  IdempotenciaClavesModel.destroy({ where: { id } });
+
+/**
+ * Elimina las claves vencidas. Devuelve la cantidad borrada.
+ */
+export const purgarClavesVencidas = () =>
+  IdempotenciaClavesModel.destroy({
+    where: { expira_at: { [Op.lt]: new Date() } }
+  });
+
+/**
+ * Programa la purga periódica de claves vencidas. Llamar una sola vez en app.js.
+ */
+export const initIdempotenciaPurgeJob = () => {
+  const expr = process.env.IDEMPOTENCIA_PURGA_CRON || '30 3 * * *';
+  if (!cron.validate(expr)) {
+    console.error(`[initIdempotenciaPurgeJob] Expresión cron inválida: ${expr}`);
+    return null;
+  }
+
+  const task = cron.schedule(
+    expr,
+    async () => {
+      try {
+        const eliminadas = await purgarClavesVencidas();
+        console.log(JSON.stringify({ msg: 'idempotencia_purga_ok', eliminadas }));
+      } catch (err) {
+        console.error(
+          JSON.stringify({ msg: 'idempotencia_purga_failed', error: err.message })
+        );
+      }
+    },
+    { name: 'idempotencia-purga', noOverlap: true }
+  );
+
+  console.log(`Job de purga de claves de idempotencia programado (${expr})`);
+  return task;
+};
+
+export default {
+  getTtlMs,
+  getLeaseMs,
+  calcularHashRequest,
+  reservarClave,
+  completarClave,
+  liberarClave,
+  purgarClavesVencidas,
+  initIdempotenciaPurgeJob
+};
@@ -6,7 +6,8 @@
  *
  * Descripción:
  * Servicio de notificaciones asociadas a Tickets.
- * Crea notificaciones internas y por email cuando se crea un ticket.
+ * Crea notificaciones internas y por email cuando se crea un ticket,
+ * y notificaciones internas genéricas para el resto de eventos del ticket.
  *
  * Tema: Utils - Notificaciones / Tickets
  * Capa: Backend
@@ -18,12 +19,50 @@ import { UsuariosModel } from '../Models/Core/MD_TB_Usuarios.js';
 import { SucursalesModel } from '../Models/Core/MD_TB_Sucursales.js';
 import { NotificacionesModel } from '../Models/Tickets/MD_TB_Notificaciones.js';
 import { sendTicketCreatedMail } from './ticketMailService.js';
+import { etiquetaTicket } from './ticketCodigoService.js';
+import { obtenerReemplazantesVigentes } from './usuarioReemplazosService.js';
+
+/**
+ * Suma a los envíos internos una copia para el reemplazante vigente de cada
+ * destinatario ("en reemplazo de ..."), salvo que ya sea destinatario
+ * directo o el usuario origen.
+ *
+ * @param {Array<{ destinoId: number, mensaje: string }>} envios
+ * @returns {Promise<Array<{ destinoId: number, mensaje: string }>>}
+ */
+async function sumarReemplazantes(envios, { usuarioOrigenId, transaction }) {
+  const resultado = [...envios];
+  const reemplazantes = await obtenerReemplazantesVigentes(
+    envios.map((e) => e.destinoId),
+    { transaction }
+  );
+
+  for (const [deleganteId, lista] of reemplazantes) {
+    const original = envios.find((e) => e.destinoId === deleganteId);
+    for (const r of lista) {
+      if (
+        r.reemplazante_id === Number(usuarioOrigenId) ||
+        resultado.some((e) => e.destinoId === r.reemplazante_id)
+      ) {
+        continue;
+      }
+      resultado.push({
+        destinoId: r.reemplazante_id,
+        mensaje: `${original.mensaje}\n\n(Recibida en reemplazo de ${
+          r.delegante_nombre || `usuario #${deleganteId}`
+        })`
+      });
+    }
+  }
+
+  return resultado;
+}
 
 /**
  * Construye el asunto de la notificación para ticket creado.
  */
 function buildAsuntoTicketCreado(ticket) {
-  return `Nuevo ticket #${ticket.id} creado`;
+  return `Nuevo ticket ${etiquetaTicket(ticket)} creado`;
 }
 
 /**
@@ -52,11 +91,11 @@ function buildMensajeTicketCreado({ ticket, operador, sucursal, canalTexto }) {
   const asuntoTicket = ticket.asunto || '(sin asunto)';
 
   return (
-    `El operador ${operadorNombre} creó el ticket #${ticket.id} en la sucursal ${sucNombre}${sucCiudad}, ` +
+    `El operador ${operadorNombre} creó el ticket ${etiquetaTicket(ticket)} en la sucursal ${sucNombre}${sucCiudad}, ` +
     `con estado "${estado}" y asunto "${asuntoTicket}".\n\n` +
     `Creada: ${fechaFormateada}\n` +
     `Canal: ${canalTexto}\n` +
-    `Ticket #${ticket.id}`
+    `Ticket ${etiquetaTicket(ticket)}`
   );
 }
 
@@ -98,7 +137,8 @@ async function obtenerDestinatariosTicketCreado({ ticket, transaction }) {
 
 /**
  * Crea las notificaciones para "ticket creado":
- *  - una notificación interna (canal = 'interno') por destinatario
+ *  - una notificación interna (canal = 'interno') por destinatario, más una
+ *    copia para su reemplazante vigente (si tiene)
  *  - una notificación email (canal = 'email') por destinatario (estado_envio = 'pendiente')
  *
  * Debe llamarse DENTRO de la misma transacción donde se crea el ticket.
@@ -121,23 +161,30 @@ export async function crearNotificacionesPorTicketCreado({
 
   const notifsCreadas = [];
 
-  // 🔹 1) Notificaciones internas (operador + supervisores)
-  for (const dest of destinatariosInternos) {
-    const mensajeInterno = buildMensajeTicketCreado({
-      ticket,
-      operador,
-      sucursal,
-      canalTexto: 'interno'
-    });
+  // 🔹 1) Notificaciones internas (operador + supervisores + reemplazantes)
+  const mensajeInterno = buildMensajeTicketCreado({
+    ticket,
+    operador,
+    sucursal,
+    canalTexto: 'interno'
+  });
+  const enviosInternos = await sumarReemplazantes(
+    destinatariosInternos.map((u) => ({
+      destinoId: u.id,
+      mensaje: mensajeInterno
+    })),
+    { usuarioOrigenId: null, transaction }
+  );
 
+  for (const envio of enviosInternos) {
     const notifInterna = await NotificacionesModel.create(
       {
         ticket_id: ticket.id,
         usuario_origen_id: operador?.id || null,
-        usuario_destino_id: dest.id,
+        usuario_destino_id: envio.destinoId,
         canal: 'interno',
         asunto,
-        mensaje: mensajeInterno,
+        mensaje: envio.mensaje,
         estado_envio: 'enviado' // interno no depende de SMTP
       },
       { transaction }
@@ -194,6 +241,62 @@ export async function crearNotificacionesPorTicketCreado({
   };
 }
 
+/**
+ * Crea notificaciones internas (canal = 'interno') para una lista de usuarios.
+ * Descarta ids vacíos/duplicados y no notifica al propio usuario origen.
+ * Si un destinatario tiene un reemplazo vigente, su reemplazante recibe
+ * además una copia ("en reemplazo de ...").
+ *
+ * Pensado para eventos de tickets posteriores a la creación
+ * (reaperturas, cambios, etc.). Puede correr dentro de una transacción.
+ *
+ * @param {Object} params
+ * @param {number|null} params.ticketId
+ * @param {number|null} params.usuarioOrigenId - NULL si es el sistema
+ * @param {number[]} params.destinatariosIds
+ * @param {string} params.asunto
+ * @param {string} params.mensaje
+ * @param {Object} [params.transaction]
+ */
+export async function crearNotificacionesInternas({
+  ticketId = null,
+  usuarioOrigenId = null,
+  destinatariosIds = [],
+  asunto,
+  mensaje,
+  transaction
+}) {
+  const ids = [...new Set(destinatariosIds.map(Number))].filter(
+    (id) => id && !Number.isNaN(id) && id !== Number(usuarioOrigenId)
+  );
+
+  // Reemplazos: copia al reemplazante (si no es destinatario directo ni el origen)
+  const envios = await sumarReemplazantes(
+    ids.map((destinoId) => ({ destinoId, mensaje })),
+    { usuarioOrigenId, transaction }
+  );
+
+  const notifsCreadas = [];
+
+  for (const envio of envios) {
+    const notif = await NotificacionesModel.create(
+      {
+        ticket_id: ticketId,
+        usuario_origen_id: usuarioOrigenId || null,
+        usuario_destino_id: envio.destinoId,
+        canal: 'interno',
+        asunto: String(asunto).slice(0, 150),
+        mensaje: envio.mensaje,
+        estado_envio: 'enviado' // interno no depende de SMTP
+      },
+      { transaction }
+    );
+    notifsCreadas.push(notif);
+  }
+
+  return notifsCreadas;
+}
+
 /**
  * Envía los emails asociados a las notificaciones de tipo "ticket creado"
  * para un ticket dado. Toma todas las notificaciones:
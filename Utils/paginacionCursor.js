@@ -0,0 +1,164 @@
+// Utils/paginacionCursor.js
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Paginación por cursor (keyset) como alternativa a page/OFFSET en listados
+ * grandes. Ordena por una columna + id y pide "lo que viene después" del
+ * último registro entregado, así no se saltean ni repiten filas aunque
+ * entren registros nuevos entre página y página.
+ *
+ * Uso desde el front:
+ *  - Primera página: ?paginacion=cursor&limit=50
+ *  - Siguientes:     ?cursor=<meta.nextCursor> (mismos filtros)
+ *  - con_total=1 agrega meta.total (un COUNT extra; por defecto no se calcula)
+ *
+ * El cursor es opaco (base64url) y lleva la columna y el sentido del orden,
+ * por lo que orderBy / orderDir se toman del cursor en las páginas siguientes.
+ *
+ * Tema: Utils - Paginación
+ * Capa: Backend
+ */
+
+import { Op } from 'sequelize';
+
+const httpError = (statusCode, message) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+/**
+ * ¿El request pide paginación por cursor?
+ */
+export const usaPaginacionCursor = (query = {}) =>
+  query.paginacion === 'cursor' ||
+  (query.cursor !== undefined && String(query.cursor) !== '');
+
+/**
+ * ¿Pide además el total (con_total=1)?
+ */
+export const pideTotal = (query = {}) =>
+  ['1', 'true', 'si', 'sí'].includes(String(query.con_total).toLowerCase());
+
+export const codificarCursor = ({ campo, dir, valor, id }) =>
+  Buffer.from(
+    JSON.stringify({
+      c: campo,
+      o: dir,
+      // Las fechas viajan como milisegundos para no depender del formato
+      v: valor instanceof Date ? { d: valor.getTime() } : valor,
+      id
+    })
+  ).toString('base64url');
+
+export const decodificarCursor = (cursor) => {
+  try {
+    const { c, o, v, id } = JSON.parse(
+      Buffer.from(String(cursor), 'base64url').toString('utf8')
+    );
+    if (!c || !['ASC', 'DESC'].includes(o) || !Number.isInteger(id)) {
+      throw new Error('formato');
+    }
+    return {
+      campo: c,
+      dir: o,
+      valor: v && typeof v === 'object' && 'd' in v ? new Date(v.d) : v,
+      id
+    };
+  } catch (e) {
+    throw httpError(400, 'Cursor inválido');
+  }
+};
+
+/**
+ * Lista una página por cursor.
+ *
+ * @param {Object} Model - modelo Sequelize (con PK `id`)
+ * @param {Object} params
+ * @param {Object} params.where       - filtros del listado
+ * @param {string[]} params.campos    - columnas permitidas para ordenar (la primera es la default)
+ * @param {string} [params.orderBy]
+ * @param {'ASC'|'DESC'} [params.orderDir]
+ * @param {number} params.limit
+ * @param {string} [params.cursor]
+ * @param {boolean} [params.contar]   - calcular total con COUNT (con los mismos
+ *                                      include: un include requerido también filtra)
+ * @param {Object} [params.options]   - include / attributes extra para findAll
+ * @returns {Promise<{ rows: Array, meta: Object }>}
+ */
+export const paginarPorCursor = async (
+  Model,
+  { where, campos, orderBy, orderDir = 'DESC', limit, cursor, contar = false, options = {} }
+) => {
+  let campo = campos.includes(orderBy) ? orderBy : campos[0];
+  let dir = orderDir;
+  let whereFinal = where;
+
+  if (cursor) {
+    const desde = decodificarCursor(cursor);
+    if (!campos.includes(desde.campo)) throw httpError(400, 'Cursor inválido');
+    campo = desde.campo;
+    dir = desde.dir;
+
+    const op = dir === 'ASC' ? Op.gt : Op.lt;
+    const despues =
+      campo === 'id'
+        ? { id: { [op]: desde.id } }
+        : {
+            [Op.or]: [
+              { [campo]: { [op]: desde.valor } },
+              { [campo]: desde.valor, id: { [op]: desde.id } }
+            ]
+          };
+    whereFinal = { [Op.and]: [where, despues] };
+  }
+
+  const order = campo === 'id' ? [['id', dir]] : [[campo, dir], ['id', dir]];
+
+  // Un registro de más para saber si hay página siguiente
+  const rows = await Model.findAll({
+    ...options,
+    where: whereFinal,
+    order,
+    limit: limit + 1
+  });
+  const hasNext = rows.length > limit;
+  if (hasNext) rows.pop();
+
+  const ultimo = rows[rows.length - 1];
+  const total = contar
+    ? await Model.count({
+        where,
+        include: options.include,
+        distinct: true,
+        col: 'id'
+      })
+    : null;
+
+  return {
+    rows,
+    meta: {
+      paginacion: 'cursor',
+      limit,
+      orderBy: campo,
+      orderDir: dir,
+      hasNext,
+      nextCursor:
+        hasNext && ultimo
+          ? codificarCursor({ campo, dir, valor: ultimo.get(campo), id: ultimo.id })
+          : null,
+      total
+    }
+  };
+};
+
+export default {
+  usaPaginacionCursor,
+  pideTotal,
+  codificarCursor,
+  decodificarCursor,
+  paginarPorCursor
+};
@@ -0,0 +1,411 @@
+// Utils/slaTicketsService.js
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Motor de SLA de tickets.
+ *  - Resuelve la política aplicable a cada ticket
+ *    (sucursal + categoría > categoría > sucursal > global)
+ *  - Calcula el tiempo transcurrido a partir de `ticket_estados_historial`
+ *  - Marca tickets como en_plazo / en_riesgo / vencido
+ *  - Escala creando notificaciones: primero supervisores, luego admins
+ *  - Job programado con node-cron (initSlaTicketsJob), en lotes por id
+ *    (keyset) para no cargar todos los tickets activos en memoria
+ *
+ * Un ticket vencido y ya escalado a admins (nivel 2) no puede cambiar más:
+ * el job lo saltea hasta que una reapertura o un cambio de políticas
+ * (reactivarSlaVencidos) limpie su sla_estado.
+ *
+ * Variables de entorno:
+ *  - SLA_JOB_ENABLED (default true)
+ *  - SLA_JOB_CRON    (default cada 5 minutos)
+ *  - SLA_JOB_BATCH   (default 200 tickets por lote)
+ *
+ * Tema: Utils - Tickets / SLA
+ * Capa: Backend
+ */
+
+import cron from 'node-cron';
+import { Op } from 'sequelize';
+
+import { TicketsModel } from '../Models/Tickets/MD_TB_Tickets.js';
+import { TicketEstadosHistorialModel } from '../Models/Tickets/MD_TB_TicketEstadosHistorial.js';
+import { TicketSlaPoliticasModel } from '../Models/Tickets/MD_TB_TicketSlaPoliticas.js';
+import { UsuariosModel } from '../Models/Core/MD_TB_Usuarios.js';
+
+import { nowMs } from './authoritativeTime.js';
+import { crearNotificacionesInternas } from './notificacionesTicketService.js';
+import { etiquetaTicket } from './ticketCodigoService.js';
+import { obtenerDestinatariosSupervisionPorSucursal } from './ticketAsignacionService.js';
+import { registrarLogActividad } from '../Controllers/Logs/CTS_TB_LogsActividad.js';
+
+export const SLA_ESTADOS = ['en_plazo', 'en_riesgo', 'vencido'];
+
+// Estados en los que el SLA sigue corriendo
+const ESTADOS_SLA_ACTIVO = [
+  'abierto',
+  'pendiente',
+  'pre_autorizado',
+  'autorizado',
+  'rechazado'
+];
+
+const GRAVEDAD = { en_plazo: 0, en_riesgo: 1, vencido: 2 };
+
+const NIVEL_MAXIMO = 2;
+
+const TAMANO_LOTE = Math.max(1, Number(process.env.SLA_JOB_BATCH) || 200);
+
+// Activos cuyo SLA todavía puede cambiar (excluye vencido + nivel máximo)
+const whereSlaPendiente = {
+  estado: { [Op.in]: ESTADOS_SLA_ACTIVO },
+  [Op.or]: [
+    { sla_estado: null },
+    { sla_estado: { [Op.ne]: 'vencido' } },
+    { sla_nivel_escalamiento: { [Op.lt]: NIVEL_MAXIMO } }
+  ]
+};
+
+const MS_MINUTO = 60 * 1000;
+
+/**
+ * Elige la política aplicable, de la más específica a la más general:
+ *   1) sucursal y categoría del ticket
+ *   2) categoría del ticket (cualquier sucursal)
+ *   3) sucursal del ticket (cualquier categoría)
+ *   4) global (sucursal_id y categoria_id NULL)
+ * Sin categoría en el ticket queda sucursal > global. Ante empate, la de
+ * menor id.
+ */
+export const resolverPoliticaSla = (ticket, politicas) => {
+  const activas = politicas
+    .filter((p) => p.estado === 'activo')
+    .sort((a, b) => a.id - b.id);
+
+  const categoriaId = ticket.categoria_id ?? null;
+  const niveles = [
+    [ticket.sucursal_id, categoriaId],
+    [null, categoriaId],
+    [ticket.sucursal_id, null],
+    [null, null]
+  ];
+
+  for (const [sucursalId, catId] of niveles) {
+    const politica = activas.find(
+      (p) =>
+        (p.sucursal_id ?? null) === sucursalId &&
+        (p.categoria_id ?? null) === catId
+    );
+    if (politica) return politica;
+  }
+  return null;
+};
+
+const estadoPorConsumo = (minutos, limite, umbralPct) => {
+  if (minutos >= limite) return 'vencido';
+  if (minutos >= (limite * umbralPct) / 100) return 'en_riesgo';
+  return 'en_plazo';
+};
+
+/**
+ * Calcula el SLA de un ticket a partir de su historial (ordenado por fecha).
+ *
+ * El reloj arranca cuando el ticket entra por primera vez en "pendiente"
+ * (antes es un borrador sin adjuntos). La etapa de revisión termina en el
+ * primer cambio que lo saca de "pendiente"; la de cierre, al pasar a "cerrado".
+ *
+ * Si el ticket se reabrió, solo cuenta el ciclo actual: el reloj arranca en
+ * la última reapertura (último cambio que lo saca de "cerrado").
+ *
+ * @returns {null|{ estado, inicio, revision: {...}, cierre: {...} }}
+ */
+export const calcularSlaTicket = (ticket, historial, politica, ahora) => {
+  if (!politica) return null;
+
+  const ordenado = [...historial].sort(
+    (a, b) => new Date(a.fecha_cambio) - new Date(b.fecha_cambio) || a.id - b.id
+  );
+
+  // Ciclo actual: desde la última reapertura (o desde el alta)
+  const idxReapertura = ordenado.findLastIndex(
+    (h) => h.estado_anterior === 'cerrado' && h.estado_nuevo !== 'cerrado'
+  );
+  const ciclo = idxReapertura >= 0 ? ordenado.slice(idxReapertura) : ordenado;
+
+  const entradaInicio =
+    idxReapertura >= 0
+      ? ciclo[0]
+      : ciclo.find((h) => h.estado_nuevo === 'pendiente');
+  if (!entradaInicio) return null;
+
+  const inicio = new Date(entradaInicio.fecha_cambio).getTime();
+  const posteriores = ciclo.slice(ciclo.indexOf(entradaInicio));
+
+  const salidaPendiente = posteriores.find(
+    (h) => h.estado_anterior === 'pendiente' && h.estado_nuevo !== 'pendiente'
+  );
+  const cierre = posteriores.find((h) => h.estado_nuevo === 'cerrado');
+
+  const finRevision = salidaPendiente
+    ? new Date(salidaPendiente.fecha_cambio).getTime()
+    : ahora;
+  const finCierre = cierre ? new Date(cierre.fecha_cambio).getTime() : ahora;
+
+  const minRevision = Math.max(0, (finRevision - inicio) / MS_MINUTO);
+  const minCierre = Math.max(0, (finCierre - inicio) / MS_MINUTO);
+
+  const revision = {
+    completada: !!salidaPendiente,
+    minutos: Math.round(minRevision),
+    limite: politica.max_minutos_revision,
+    estado: estadoPorConsumo(
+      minRevision,
+      politica.max_minutos_revision,
+      politica.umbral_riesgo_pct
+    )
+  };
+
+  const cierreEtapa = {
+    completada: !!cierre,
+    minutos: Math.round(minCierre),
+    limite: politica.max_minutos_cierre,
+    estado: estadoPorConsumo(
+      minCierre,
+      politica.max_minutos_cierre,
+      politica.umbral_riesgo_pct
+    )
+  };
+
+  // El estado global es el peor entre ambas etapas
+  const estado =
+    GRAVEDAD[revision.estado] >= GRAVEDAD[cierreEtapa.estado]
+      ? revision.estado
+      : cierreEtapa.estado;
+
+  return {
+    estado,
+    politica_id: politica.id,
+    inicio: new Date(inicio),
+    revision,
+    cierre: cierreEtapa
+  };
+};
+
+/**
+ * Crea las notificaciones de escalamiento y devuelve el nuevo nivel.
+ *   nivel 1: en riesgo o vencido -> supervisores de la sucursal + responsable
+ *   nivel 2: vencido             -> admins activos
+ */
+const escalarTicket = async (ticket, sla) => {
+  let nivel = ticket.sla_nivel_escalamiento || 0;
+  const objetivo = sla.estado === 'vencido' ? 2 : sla.estado === 'en_riesgo' ? 1 : 0;
+
+  if (objetivo <= nivel) return nivel;
+
+  const detalle =
+    `Revisión: ${sla.revision.minutos}/${sla.revision.limite} min` +
+    (sla.revision.completada ? ' (completada)' : '') +
+    ` · Cierre: ${sla.cierre.minutos}/${sla.cierre.limite} min`;
+
+  if (nivel < 1) {
+    const supervisores = await obtenerDestinatariosSupervisionPorSucursal(
+      ticket.sucursal_id
+    );
+    await crearNotificacionesInternas({
+      ticketId: ticket.id,
+      usuarioOrigenId: null,
+      destinatariosIds: [
+        ...supervisores.map((u) => u.id),
+        ticket.usuario_asignado_id
+      ],
+      asunto: `SLA ${sla.estado === 'vencido' ? 'vencido' : 'en riesgo'}: ticket ${etiquetaTicket(ticket)}`,
+      mensaje:
+        `El ticket ${etiquetaTicket(ticket)} ("${ticket.asunto}") está ${
+          sla.estado === 'vencido' ? 'fuera de SLA' : 'cerca de vencer su SLA'
+        } (estado actual: "${ticket.estado}").\n\n${detalle}`
+    });
+    nivel = 1;
+  }
+
+  if (objetivo >= 2 && nivel < 2) {
+    const admins = await UsuariosModel.findAll({
+      where: { rol: 'admin', estado: 'activo' },
+      attributes: ['id']
+    });
+    await crearNotificacionesInternas({
+      ticketId: ticket.id,
+      usuarioOrigenId: null,
+      destinatariosIds: admins.map((u) => u.id),
+      asunto: `Escalamiento SLA: ticket ${etiquetaTicket(ticket)} vencido`,
+      mensaje:
+        `El ticket ${etiquetaTicket(ticket)} ("${ticket.asunto}") superó su SLA y se escala a administración ` +
+        `(estado actual: "${ticket.estado}").\n\n${detalle}`
+    });
+    nivel = 2;
+  }
+
+  await registrarLogActividad({
+    usuario_id: null,
+    modulo: 'tickets',
+    accion: 'SLA_ESCALAR',
+    entidad: 'ticket',
+    entidad_id: ticket.id,
+    descripcion: `Sistema: SLA del ticket #${ticket.id} en estado "${sla.estado}", escalado a nivel ${nivel}. ${detalle}`
+  });
+
+  return nivel;
+};
+
+/**
+ * Evalúa un lote de tickets: actualiza sus columnas sla_* y escala los que
+ * correspondan, acumulando en el resumen.
+ */
+const evaluarLoteSla = async (tickets, politicas, ahora, resumen) => {
+  const historial = await TicketEstadosHistorialModel.findAll({
+    where: { ticket_id: { [Op.in]: tickets.map((t) => t.id) } },
+    attributes: ['id', 'ticket_id', 'estado_anterior', 'estado_nuevo', 'fecha_cambio']
+  });
+
+  const historialPorTicket = new Map();
+  for (const h of historial) {
+    if (!historialPorTicket.has(h.ticket_id)) historialPorTicket.set(h.ticket_id, []);
+    historialPorTicket.get(h.ticket_id).push(h);
+  }
+
+  for (const ticket of tickets) {
+    try {
+      const politica = resolverPoliticaSla(ticket, politicas);
+      const sla = calcularSlaTicket(
+        ticket,
+        historialPorTicket.get(ticket.id) || [],
+        politica,
+        ahora
+      );
+
+      const updates = { sla_evaluado_at: new Date(ahora) };
+
+      if (!sla) {
+        updates.sla_estado = null;
+        updates.sla_politica_id = politica?.id || null;
+      } else {
+        resumen.evaluados++;
+        resumen[sla.estado]++;
+
+        updates.sla_estado = sla.estado;
+        updates.sla_politica_id = sla.politica_id;
+
+        const nivel = await escalarTicket(ticket, sla);
+        if (nivel !== (ticket.sla_nivel_escalamiento || 0)) {
+          updates.sla_nivel_escalamiento = nivel;
+          resumen.escalados++;
+        }
+      }
+
+      // No tocamos updated_at: la evaluación de SLA no es una edición del ticket
+      await TicketsModel.update(updates, {
+        where: { id: ticket.id },
+        silent: true
+      });
+    } catch (err) {
+      console.error(`[evaluarSlaTickets] Error en ticket #${ticket.id}:`, err.message);
+    }
+  }
+};
+
+/**
+ * Evalúa el SLA de los tickets activos (en lotes de SLA_JOB_BATCH ordenados
+ * por id), actualiza sus columnas sla_* y escala los que correspondan.
+ * Devuelve un resumen.
+ */
+export const evaluarSlaTickets = async () => {
+  const ahora = nowMs();
+
+  const politicas = await TicketSlaPoliticasModel.findAll({
+    where: { estado: 'activo' }
+  });
+
+  const resumen = { evaluados: 0, en_plazo: 0, en_riesgo: 0, vencido: 0, escalados: 0 };
+
+  let ultimoId = 0;
+  for (;;) {
+    const tickets = await TicketsModel.findAll({
+      where: { ...whereSlaPendiente, id: { [Op.gt]: ultimoId } },
+      order: [['id', 'ASC']],
+      limit: TAMANO_LOTE
+    });
+    if (!tickets.length) break;
+
+    await evaluarLoteSla(tickets, politicas, ahora, resumen);
+
+    if (tickets.length < TAMANO_LOTE) break;
+    ultimoId = tickets[tickets.length - 1].id;
+  }
+
+  return resumen;
+};
+
+/**
+ * Vuelve a poner en evaluación los tickets activos vencidos (p. ej. tras
+ * crear, editar o eliminar una política, el vencimiento puede cambiar).
+ * El nivel de escalamiento se mantiene: no se repiten notificaciones.
+ */
+export const reactivarSlaVencidos = async () => {
+  const [afectados] = await TicketsModel.update(
+    { sla_estado: null },
+    {
+      where: {
+        estado: { [Op.in]: ESTADOS_SLA_ACTIVO },
+        sla_estado: 'vencido'
+      },
+      silent: true
+    }
+  );
+  return afectados;
+};
+
+/**
+ * Programa la evaluación periódica de SLA. Llamar una sola vez en app.js.
+ */
+export const initSlaTicketsJob = () => {
+  const enabled =
+    String(process.env.SLA_JOB_ENABLED ?? 'true').toLowerCase() !== 'false';
+  if (!enabled) {
+    console.log('Job de SLA de tickets deshabilitado (SLA_JOB_ENABLED=false)');
+    return null;
+  }
+
+  const expr = process.env.SLA_JOB_CRON || '*/5 * * * *';
+  if (!cron.validate(expr)) {
+    console.error(`[initSlaTicketsJob] Expresión cron inválida: ${expr}`);
+    return null;
+  }
+
+  const task = cron.schedule(
+    expr,
+    async () => {
+      try {
+        const resumen = await evaluarSlaTickets();
+        console.log(JSON.stringify({ msg: 'sla_tickets_ok', ...resumen }));
+      } catch (err) {
+        console.error(
+          JSON.stringify({ msg: 'sla_tickets_failed', error: err.message })
+        );
+      }
+    },
+    { name: 'sla-tickets', noOverlap: true }
+  );
+
+  console.log(`Job de SLA de tickets programado (${expr})`);
+  return task;
+};
+
+export default {
+  SLA_ESTADOS,
+  resolverPoliticaSla,
+  calcularSlaTicket,
+  evaluarSlaTickets,
+  reactivarSlaVencidos,
+  initSlaTicketsJob
+};
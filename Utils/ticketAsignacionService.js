@@ -0,0 +1,207 @@
+// Utils/ticketAsignacionService.js
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Servicio de asignación de tickets a supervisores responsables.
+ *  - Resolución de supervisores por sucursal (con fallback a globales / admins)
+ *  - Asignación por defecto al supervisor con menos tickets activos
+ *  - Aplicación de una asignación con registro en `ticket_asignaciones`
+ *
+ * Tema: Utils - Tickets / Asignaciones
+ * Capa: Backend
+ */
+
+import { Op } from 'sequelize';
+import { TicketsModel } from '../Models/Tickets/MD_TB_Tickets.js';
+import { UsuariosModel } from '../Models/Core/MD_TB_Usuarios.js';
+import { TicketAsignacionesModel } from '../Models/Tickets/MD_TB_TicketAsignaciones.js';
+
+// Estados en los que un ticket sigue "en la bandeja" de su responsable
+// (pre_autorizado: espera la segunda autorización del doble control)
+export const ESTADOS_BANDEJA = ['abierto', 'pendiente', 'pre_autorizado'];
+
+// Estados finales: no admiten asignación de responsable
+export const ESTADOS_NO_ASIGNABLES = ['cerrado', 'cancelado'];
+
+/**
+ * Lanza 400 si el ticket está en un estado final (no se puede asignar).
+ */
+export const validarTicketAsignable = (ticket) => {
+  if (ESTADOS_NO_ASIGNABLES.includes(ticket.estado)) {
+    const err = new Error(`No se puede asignar un ticket ${ticket.estado}`);
+    err.statusCode = 400;
+    throw err;
+  }
+};
+
+/**
+ * Devuelve la lista de usuarios destino para supervisión de una sucursal:
+ *   1) Supervisores activos de la misma sucursal.
+ *   2) Si no hay, supervisores activos sin sucursal asignada (sucursal_id NULL).
+ *   3) Si tampoco hay, admins activos (globales).
+ */
+export const obtenerDestinatariosSupervisionPorSucursal = async (
+  sucursalId,
+  transaction
+) => {
+  // 1) Supervisores de esa sucursal
+  const supervisoresMismaSucursal = await UsuariosModel.findAll({
+    where: {
+      rol: 'supervisor',
+      estado: 'activo',
+      sucursal_id: sucursalId
+    },
+    transaction
+  });
+
+  if (supervisoresMismaSucursal.length > 0) {
+    return supervisoresMismaSucursal;
+  }
+
+  // 2) Supervisores sin sucursal (globales)
+  const supervisoresGlobales = await UsuariosModel.findAll({
+    where: {
+      rol: 'supervisor',
+      estado: 'activo',
+      sucursal_id: { [Op.is]: null }
+    },
+    transaction
+  });
+
+  if (supervisoresGlobales.length > 0) {
+    return supervisoresGlobales;
+  }
+
+  // 3) Admins activos (último fallback)
+  const admins = await UsuariosModel.findAll({
+    where: {
+      rol: 'admin',
+      estado: 'activo'
+    },
+    transaction
+  });
+
+  return admins;
+};
+
+/**
+ * Elige el responsable por defecto para un ticket de la sucursal:
+ * entre los candidatos de supervisión, el que tenga menos tickets
+ * activos asignados (desempate por id). Devuelve null si no hay candidatos.
+ */
+export const elegirResponsablePorDefecto = async (sucursalId, transaction) => {
+  const candidatos = await obtenerDestinatariosSupervisionPorSucursal(
+    sucursalId,
+    transaction
+  );
+
+  if (!candidatos.length) return null;
+
+  const cargas = await TicketsModel.count({
+    where: {
+      usuario_asignado_id: { [Op.in]: candidatos.map((u) => u.id) },
+      estado: { [Op.in]: ESTADOS_BANDEJA }
+    },
+    group: ['usuario_asignado_id'],
+    transaction
+  });
+
+  const cargaPorUsuario = new Map(
+    cargas.map((c) => [Number(c.usuario_asignado_id), Number(c.count)])
+  );
+
+  const ordenados = [...candidatos].sort((a, b) => {
+    const diff =
+      (cargaPorUsuario.get(a.id) || 0) - (cargaPorUsuario.get(b.id) || 0);
+    return diff !== 0 ? diff : a.id - b.id;
+  });
+
+  return ordenados[0];
+};
+
+/**
+ * Aplica una asignación sobre el ticket y la registra en `ticket_asignaciones`.
+ * No valida permisos: eso queda a cargo del controlador que la invoca.
+ *
+ * @param {Object} params
+ * @param {Object} params.ticket - instancia de TicketsModel
+ * @param {number|null} params.usuarioNuevoId - NULL para desasignar
+ * @param {number|null} params.usuarioId - quién ejecuta (NULL = sistema)
+ * @param {string} [params.accion] - se deduce si no se indica
+ * @param {string} [params.comentario]
+ * @param {Object} [params.transaction]
+ * @returns {Promise<Object>} registro de historial creado
+ */
+export const aplicarAsignacion = async ({
+  ticket,
+  usuarioNuevoId,
+  usuarioId = null,
+  accion,
+  comentario = null,
+  transaction
+}) => {
+  const anteriorId = ticket.usuario_asignado_id || null;
+  const nuevoId = usuarioNuevoId || null;
+
+  const accionFinal =
+    accion ||
+    (nuevoId === null ? 'desasignar' : anteriorId ? 'reasignar' : 'asignar');
+
+  await ticket.update(
+    {
+      usuario_asignado_id: nuevoId,
+      fecha_asignacion: nuevoId ? new Date() : null
+    },
+    { transaction }
+  );
+
+  return TicketAsignacionesModel.create(
+    {
+      ticket_id: ticket.id,
+      usuario_anterior_id: anteriorId,
+      usuario_nuevo_id: nuevoId,
+      accion: accionFinal,
+      usuario_id: usuarioId,
+      comentario: comentario || null
+    },
+    { transaction }
+  );
+};
+
+/**
+ * Asignación automática al confirmar un ticket (sale de pendiente_adjuntos).
+ * Si el ticket ya tiene responsable o no hay candidatos, no hace nada.
+ */
+export const asignarTicketPorDefecto = async ({ ticket, transaction }) => {
+  if (ticket.usuario_asignado_id) return null;
+
+  const responsable = await elegirResponsablePorDefecto(
+    ticket.sucursal_id,
+    transaction
+  );
+  if (!responsable) return null;
+
+  await aplicarAsignacion({
+    ticket,
+    usuarioNuevoId: responsable.id,
+    usuarioId: null,
+    accion: 'automatica',
+    comentario: 'Asignación automática por sucursal y carga de trabajo',
+    transaction
+  });
+
+  return responsable;
+};
+
+export default {
+  ESTADOS_BANDEJA,
+  ESTADOS_NO_ASIGNABLES,
+  validarTicketAsignable,
+  obtenerDestinatariosSupervisionPorSucursal,
+  elegirResponsablePorDefecto,
+  aplicarAsignacion,
+  asignarTicketPorDefecto
+};
@@ -0,0 +1,264 @@
+// Utils/ticketBorradoresService.js
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Vencimiento de borradores (tickets en `pendiente_adjuntos`).
+ *  - Recordatorio al operador creador pasado BORRADORES_RECORDATORIO_HORAS
+ *  - Cancelación pasado BORRADORES_EXPIRACION_HORAS:
+ *      estado -> cancelado, historial "Expirado sin adjuntos" (usuario NULL),
+ *      limpieza de archivos huérfanos en uploads/tickets/<id>,
+ *      log de actividad como evento de sistema (usuario_id NULL)
+ *  - Job programado con node-cron (initBorradoresJob)
+ *
+ * Variables de entorno:
+ *  - BORRADORES_JOB_ENABLED        (default true)
+ *  - BORRADORES_JOB_CRON           (default cada 30 minutos)
+ *  - BORRADORES_RECORDATORIO_HORAS (default 24)
+ *  - BORRADORES_EXPIRACION_HORAS   (default 72)
+ *
+ * Tema: Utils - Tickets / Borradores
+ * Capa: Backend
+ */
+
+import path from 'path';
+import cron from 'node-cron';
+import { Op } from 'sequelize';
+
+import { TicketsModel } from '../Models/Tickets/MD_TB_Tickets.js';
+import { TicketEstadosHistorialModel } from '../Models/Tickets/MD_TB_TicketEstadosHistorial.js';
+import { TicketAdjuntosModel } from '../Models/Tickets/MD_TB_TicketAdjuntos.js';
+import { TicketComentarioAdjuntosModel } from '../Models/Tickets/MD_TB_TicketComentarioAdjuntos.js';
+import uploadConfig from '../config/uploadConfig.js';
+
+import { nowMs } from './authoritativeTime.js';
+import { deleteStrayFiles } from './fileManager.js';
+import { crearNotificacionesInternas } from './notificacionesTicketService.js';
+import { etiquetaTicket } from './ticketCodigoService.js';
+import { registrarLogActividad } from '../Controllers/Logs/CTS_TB_LogsActividad.js';
+
+const MS_HORA = 60 * 60 * 1000;
+
+const horasEnv = (nombre, porDefecto) => {
+  const n = Number(process.env[nombre]);
+  return Number.isFinite(n) && n > 0 ? n : porDefecto;
+};
+
+const getConfig = () => ({
+  recordatorioHoras: horasEnv('BORRADORES_RECORDATORIO_HORAS', 24),
+  expiracionHoras: horasEnv('BORRADORES_EXPIRACION_HORAS', 72)
+});
+
+/**
+ * Recuerda al creador que su borrador sigue sin adjuntos (una sola vez).
+ */
+const recordarBorrador = async (ticket, expiraEn) => {
+  await crearNotificacionesInternas({
+    ticketId: ticket.id,
+    usuarioOrigenId: null,
+    destinatariosIds: [ticket.usuario_creador_id],
+    asunto: `Ticket ${etiquetaTicket(ticket)}: faltan adjuntos`,
+    mensaje:
+      `Tu ticket ${etiquetaTicket(ticket)} ("${ticket.asunto}") sigue como borrador porque no tiene adjuntos. ` +
+      `Si no se cargan, se cancelará automáticamente el ${expiraEn.toLocaleString('es-AR', {
+        timeZone: 'America/Argentina/Buenos_Aires'
+      })}.`
+  });
+
+  // No tocamos updated_at: el recordatorio no es una edición del ticket
+  await TicketsModel.update(
+    { recordatorio_adjuntos_at: new Date() },
+    { where: { id: ticket.id }, silent: true }
+  );
+
+  await registrarLogActividad({
+    usuario_id: null,
+    modulo: 'tickets',
+    accion: 'RECORDAR_ADJUNTOS',
+    entidad: 'ticket',
+    entidad_id: ticket.id,
+    descripcion: `Sistema: recordatorio de adjuntos pendientes al usuario ${ticket.usuario_creador_id} por el borrador #${ticket.id}.`
+  });
+};
+
+/**
+ * Cancela un borrador vencido. Devuelve false si al bloquearlo ya no era
+ * borrador (ej: el operador subió adjuntos mientras corría el job).
+ */
+const cancelarBorrador = async (ticketId, expiracionHoras) => {
+  const transaction = await TicketsModel.sequelize.transaction();
+  let ticket;
+
+  try {
+    ticket = await TicketsModel.findByPk(ticketId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!ticket || ticket.estado !== 'pendiente_adjuntos') {
+      await transaction.rollback();
+      return false;
+    }
+
+    await TicketEstadosHistorialModel.create(
+      {
+        ticket_id: ticket.id,
+        estado_anterior: 'pendiente_adjuntos',
+        estado_nuevo: 'cancelado',
+        usuario_id: null,
+        comentario: `Expirado sin adjuntos (más de ${expiracionHoras} h como borrador)`
+      },
+      { transaction }
+    );
+
+    await ticket.update(
+      { estado: 'cancelado', fecha_cierre: new Date() },
+      { transaction }
+    );
+
+    await crearNotificacionesInternas({
+      ticketId: ticket.id,
+      usuarioOrigenId: null,
+      destinatariosIds: [ticket.usuario_creador_id],
+      asunto: `Ticket ${etiquetaTicket(ticket)} cancelado`,
+      mensaje: `Tu ticket ${etiquetaTicket(ticket)} ("${ticket.asunto}") se canceló automáticamente por no tener adjuntos luego de ${expiracionHoras} h.`,
+      transaction
+    });
+
+    await transaction.commit();
+  } catch (err) {
+    try {
+      await transaction.rollback();
+    } catch (e) {}
+    throw err;
+  }
+
+  // Limpieza de archivos huérfanos: se conservan los que están registrados
+  const [adjuntos, adjuntosComentarios] = await Promise.all([
+    TicketAdjuntosModel.findAll({
+      where: { ticket_id: ticket.id },
+      attributes: ['ruta_archivo']
+    }),
+    TicketComentarioAdjuntosModel.findAll({
+      where: { ticket_id: ticket.id },
+      attributes: ['ruta_archivo']
+    })
+  ]);
+  const archivosEliminados = await deleteStrayFiles(
+    path.join(uploadConfig.TICKETS_DIR, String(ticket.id)),
+    [...adjuntos, ...adjuntosComentarios].map((a) => a.ruta_archivo)
+  );
+
+  await registrarLogActividad({
+    usuario_id: null,
+    modulo: 'tickets',
+    accion: 'EXPIRAR_BORRADOR',
+    entidad: 'ticket',
+    entidad_id: ticket.id,
+    descripcion: `Sistema: borrador #${ticket.id} cancelado por expirar sin adjuntos (creado por usuario ${ticket.usuario_creador_id}). Archivos huérfanos eliminados: ${archivosEliminados}.`
+  });
+
+  return true;
+};
+
+/**
+ * Procesa los borradores: primero cancela los vencidos y después envía
+ * recordatorios a los que pasaron el umbral de aviso. Devuelve un resumen.
+ */
+export const procesarBorradoresVencidos = async () => {
+  const { recordatorioHoras, expiracionHoras } = getConfig();
+  const ahora = nowMs();
+  const limiteExpiracion = new Date(ahora - expiracionHoras * MS_HORA);
+  const limiteRecordatorio = new Date(ahora - recordatorioHoras * MS_HORA);
+
+  const resumen = { cancelados: 0, recordados: 0, errores: 0 };
+
+  const vencidos = await TicketsModel.findAll({
+    where: {
+      estado: 'pendiente_adjuntos',
+      created_at: { [Op.lte]: limiteExpiracion }
+    },
+    attributes: ['id']
+  });
+
+  for (const { id } of vencidos) {
+    try {
+      if (await cancelarBorrador(id, expiracionHoras)) resumen.cancelados++;
+    } catch (err) {
+      resumen.errores++;
+      console.error(`[procesarBorradoresVencidos] Error cancelando #${id}:`, err.message);
+    }
+  }
+
+  // Si el aviso no llega antes del vencimiento, no tiene sentido mandarlo
+  if (recordatorioHoras >= expiracionHoras) return resumen;
+
+  const porRecordar = await TicketsModel.findAll({
+    where: {
+      estado: 'pendiente_adjuntos',
+      recordatorio_adjuntos_at: { [Op.is]: null },
+      created_at: { [Op.lte]: limiteRecordatorio, [Op.gt]: limiteExpiracion }
+    }
+  });
+
+  for (const ticket of porRecordar) {
+    try {
+      const expiraEn = new Date(
+        new Date(ticket.created_at).getTime() + expiracionHoras * MS_HORA
+      );
+      await recordarBorrador(ticket, expiraEn);
+      resumen.recordados++;
+    } catch (err) {
+      resumen.errores++;
+      console.error(
+        `[procesarBorradoresVencidos] Error recordando #${ticket.id}:`,
+        err.message
+      );
+    }
+  }
+
+  return resumen;
+};
+
+/**
+ * Programa el vencimiento periódico de borradores. Llamar una sola vez en app.js.
+ */
+export const initBorradoresJob = () => {
+  const enabled =
+    String(process.env.BORRADORES_JOB_ENABLED ?? 'true').toLowerCase() !== 'false';
+  if (!enabled) {
+    console.log('Job de borradores deshabilitado (BORRADORES_JOB_ENABLED=false)');
+    return null;
+  }
+
+  const expr = process.env.BORRADORES_JOB_CRON || '*/30 * * * *';
+  if (!cron.validate(expr)) {
+    console.error(`[initBorradoresJob] Expresión cron inválida: ${expr}`);
+    return null;
+  }
+
+  const task = cron.schedule(
+    expr,
+    async () => {
+      try {
+        const resumen = await procesarBorradoresVencidos();
+        console.log(JSON.stringify({ msg: 'borradores_tickets_ok', ...resumen }));
+      } catch (err) {
+        console.error(
+          JSON.stringify({ msg: 'borradores_tickets_failed', error: err.message })
+        );
+      }
+    },
+    { name: 'borradores-tickets', noOverlap: true }
+  );
+
+  console.log(`Job de borradores de tickets programado (${expr})`);
+  return task;
+};
+
+export default {
+  procesarBorradoresVencidos,
+  initBorradoresJob
+};
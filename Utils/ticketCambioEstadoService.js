@@ -0,0 +1,220 @@
+// Utils/ticketCambioEstadoService.js
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Cambio de estado de un ticket reutilizable (individual y masivo):
+ *  - Valida estado destino y transición (máquina de estados)
+ *  - En los rechazos exige un motivo del catálogo `ticket_motivos_rechazo`
+ *  - Doble control: una autorización que cumple alguna regla queda en
+ *    "pre_autorizado" hasta que otro supervisor / admin la confirme
+ *  - Registra historial, actualiza el ticket y observaciones
+ *  - Suma a quien cambia el estado como seguidor y notifica a seguidores
+ *
+ * El log de actividad queda a cargo del controlador (después del commit).
+ *
+ * Tema: Utils - Tickets / Estados
+ * Capa: Backend
+ */
+
+import { TicketsModel } from '../Models/Tickets/MD_TB_Tickets.js';
+import { TicketEstadosHistorialModel } from '../Models/Tickets/MD_TB_TicketEstadosHistorial.js';
+import { ESTADOS_TICKET } from '../config/ticketTransiciones.config.js';
+import { validarTransicion } from './ticketTransiciones.js';
+import { agregarSeguidor, notificarSeguidores } from './ticketSeguidoresService.js';
+import { verificarVersionTicket } from './ticketVersionService.js';
+import { etiquetaTicket } from './ticketCodigoService.js';
+import { validarMotivoRechazo } from './ticketMotivosRechazoService.js';
+import {
+  resolverDobleControl,
+  notificarConfirmacionPendiente
+} from './ticketDobleControlService.js';
+
+const httpError = (statusCode, message, code) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (code) err.code = code;
+  return err;
+};
+
+/**
+ * Normaliza y valida el estado destino. Lanza 400 si no es válido.
+ */
+export const normalizarEstadoDestino = (nuevoEstado) => {
+  const estado = String(nuevoEstado || '')
+    .trim()
+    .toLowerCase();
+
+  if (!estado || !ESTADOS_TICKET.includes(estado)) {
+    throw httpError(
+      400,
+      `Estado inválido. Debe ser uno de: ${ESTADOS_TICKET.join(', ')}`
+    );
+  }
+  return estado;
+};
+
+/**
+ * Aplica el cambio de estado sobre un ticket (con lock si hay transacción).
+ *
+ * Errores (statusCode):
+ *  - 404 ticket inexistente
+ *  - 409 si se indicó versionEsperada y el ticket cambió (concurrencia)
+ *  - 400 con code 'SIN_CAMBIO' si ya está en el estado pedido
+ *  - 400 ticket cerrado (requiere reapertura) o cancelado
+ *  - 400 / 403 transición inválida o rol no habilitado
+ *  - 400 rechazo sin motivo válido (o sin detalle si el motivo lo exige)
+ *  - 403 confirmación de doble control por quien pre-autorizó
+ *
+ * `estadoNuevo` en la respuesta es el estado aplicado (puede ser
+ * "pre_autorizado" aunque se haya pedido "autorizado").
+ *
+ * @returns {Promise<{ ticket, estadoAnterior, estadoNuevo, motivoRechazo, reglasDobleControl }>}
+ */
+export const aplicarCambioEstado = async ({
+  ticketId,
+  nuevoEstado,
+  comentario = null,
+  motivoRechazoId = null,
+  usuarioId,
+  rol,
+  versionEsperada = null,
+  transaction
+}) => {
+  const estadoNuevo = normalizarEstadoDestino(nuevoEstado);
+
+  const ticket = await TicketsModel.findByPk(ticketId, {
+    transaction,
+    ...(transaction ? { lock: transaction.LOCK.UPDATE } : {})
+  });
+  if (!ticket) throw httpError(404, 'Ticket no encontrado');
+
+  verificarVersionTicket(ticket, versionEsperada);
+
+  const estadoAnterior = ticket.estado;
+
+  if (estadoAnterior === estadoNuevo) {
+    throw httpError(
+      400,
+      'El ticket ya se encuentra en el estado solicitado (no hay cambio)',
+      'SIN_CAMBIO'
+    );
+  }
+
+  if (estadoAnterior === 'cerrado') {
+    throw httpError(
+      400,
+      'No se puede cambiar el estado de un ticket ya cerrado. Debe solicitarse su reapertura (POST /tickets/:id/reaperturas).'
+    );
+  }
+
+  if (estadoAnterior === 'cancelado') {
+    throw httpError(
+      400,
+      'El ticket fue cancelado (borrador vencido sin adjuntos) y no admite cambios de estado.'
+    );
+  }
+
+  // Máquina de estados: transición definida, rol habilitado y comentario
+  const transicion = validarTransicion({
+    desde: estadoAnterior,
+    hasta: estadoNuevo,
+    rol,
+    comentario
+  });
+
+  const motivoRechazo = transicion.motivoRechazoObligatorio
+    ? await validarMotivoRechazo({ motivoRechazoId, comentario, transaction })
+    : null;
+
+  // Doble control: la autorización puede quedar en "pre_autorizado"
+  const {
+    estadoFinal,
+    datosHistorial: datosDobleControl,
+    reglas: reglasDobleControl
+  } = await resolverDobleControl({
+    ticket,
+    estadoAnterior,
+    estadoNuevo,
+    usuarioId,
+    transaction
+  });
+
+  await TicketEstadosHistorialModel.create(
+    {
+      ticket_id: ticket.id,
+      estado_anterior: estadoAnterior,
+      estado_nuevo: estadoFinal,
+      usuario_id: usuarioId,
+      comentario: comentario || null,
+      motivo_rechazo_id: motivoRechazo?.id || null,
+      ...datosDobleControl
+    },
+    { transaction }
+  );
+
+  const updates = { estado: estadoFinal };
+
+  if (estadoFinal === 'cerrado') {
+    updates.fecha_cierre = new Date();
+  }
+
+  // En rechazos la observación lleva el motivo aunque no haya comentario
+  const observacion = motivoRechazo
+    ? `Motivo de rechazo: ${motivoRechazo.nombre}${comentario ? `\n${comentario}` : ''}`
+    : comentario;
+
+  if (
+    observacion &&
+    ['pre_autorizado', 'autorizado', 'rechazado', 'cerrado'].includes(estadoFinal)
+  ) {
+    const prevObs = ticket.observaciones_supervisor || '';
+    const sep = prevObs ? '\n---\n' : '';
+    updates.observaciones_supervisor = `${prevObs}${sep}${observacion}`;
+  }
+
+  await ticket.update(updates, { transaction });
+
+  // Quien cambia el estado pasa a seguir el ticket
+  await agregarSeguidor({
+    ticketId: ticket.id,
+    usuarioId,
+    origen: 'cambio_estado',
+    transaction
+  });
+
+  await notificarSeguidores({
+    ticket,
+    usuarioOrigenId: usuarioId,
+    asunto: `Ticket ${etiquetaTicket(ticket)}: ${estadoAnterior} → ${estadoFinal}`,
+    mensaje:
+      `El ticket ${etiquetaTicket(ticket)} ("${ticket.asunto}") cambió de "${estadoAnterior}" a "${estadoFinal}".` +
+      (motivoRechazo ? `\n\nMotivo de rechazo: ${motivoRechazo.nombre}` : '') +
+      (comentario ? `\n\nComentario: ${comentario}` : ''),
+    transaction
+  });
+
+  if (estadoFinal === 'pre_autorizado') {
+    await notificarConfirmacionPendiente({
+      ticket,
+      usuarioOrigenId: usuarioId,
+      reglas: reglasDobleControl,
+      transaction
+    });
+  }
+
+  return {
+    ticket,
+    estadoAnterior,
+    estadoNuevo: estadoFinal,
+    motivoRechazo,
+    reglasDobleControl
+  };
+};
+
+export default {
+  normalizarEstadoDestino,
+  aplicarCambioEstado
+};
@@ -0,0 +1,138 @@
+// Utils/ticketCambiosService.js
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Diferencias por campo en las ediciones de tickets (`ticket_cambios`).
+ *  - Cálculo del diff antes / después (normalizando montos, horas, ids)
+ *  - Registro de los cambios de una edición con un mismo `lote`
+ *  - Texto legible del diff para logs (mismo formato que UR_Usuario_CTS)
+ *
+ * Tema: Utils - Tickets / Cambios
+ * Capa: Backend
+ */
+
+import crypto from 'crypto';
+import { TicketCambiosModel } from '../Models/Tickets/MD_TB_TicketCambios.js';
+
+// Campos de datos del ticket que se auditan (el estado tiene su historial)
+export const CAMPOS_AUDITADOS = [
+  'fecha_ticket',
+  'hora_ticket',
+  'sucursal_id',
+  'categoria_id',
+  'asunto',
+  'descripcion',
+  'monto_esperado',
+  'monto_real',
+  'diferencia',
+  'medio_pago',
+  'moneda',
+  'fuera_horario'
+];
+
+const CAMPOS_NUMERICOS = [
+  'sucursal_id',
+  'categoria_id',
+  'monto_esperado',
+  'monto_real',
+  'diferencia'
+];
+
+/**
+ * Valor comparable/guardable: null si vacío, montos con 2 decimales,
+ * horas con segundos, el resto como string.
+ */
+const normalizarValor = (campo, val) => {
+  if (val === undefined || val === null || val === '') return null;
+
+  if (CAMPOS_NUMERICOS.includes(campo)) {
+    const n = Number(val);
+    if (Number.isNaN(n)) return String(val);
+    return campo.endsWith('_id') ? String(n) : n.toFixed(2);
+  }
+
+  if (campo === 'fuera_horario') return val ? 'true' : 'false';
+
+  if (campo === 'hora_ticket' && /^\d{2}:\d{2}$/.test(String(val))) {
+    return `${val}:00`;
+  }
+
+  return String(val);
+};
+
+/**
+ * Compara el ticket antes de editar contra los updates a aplicar.
+ *
+ * @param {Object} anterior - ticket (instancia o plain) antes del update
+ * @param {Object} updates  - campos a aplicar
+ * @returns {Array<{ campo, valor_anterior, valor_nuevo }>}
+ */
+export const calcularCambiosTicket = (anterior, updates) => {
+  const cambios = [];
+
+  for (const campo of CAMPOS_AUDITADOS) {
+    if (!Object.prototype.hasOwnProperty.call(updates, campo)) continue;
+
+    const valorAnterior = normalizarValor(campo, anterior[campo]);
+    const valorNuevo = normalizarValor(campo, updates[campo]);
+
+    if (valorAnterior !== valorNuevo) {
+      cambios.push({ campo, valor_anterior: valorAnterior, valor_nuevo: valorNuevo });
+    }
+  }
+
+  return cambios;
+};
+
+/**
+ * Guarda los cambios de una edición. No hace nada si no hay cambios.
+ * @returns {Promise<string|null>} lote asignado
+ */
+export const registrarCambiosTicket = async ({
+  ticketId,
+  usuarioId = null,
+  cambios,
+  transaction
+}) => {
+  if (!cambios?.length) return null;
+
+  const lote = crypto.randomUUID();
+  await TicketCambiosModel.bulkCreate(
+    cambios.map((c) => ({
+      ticket_id: ticketId,
+      lote,
+      campo: c.campo,
+      valor_anterior: c.valor_anterior,
+      valor_nuevo: c.valor_nuevo,
+      usuario_id: usuarioId
+    })),
+    { transaction }
+  );
+  return lote;
+};
+
+/**
+ * Texto del diff para logs_actividad (sin descripciones largas completas).
+ */
+export const describirCambios = (cambios) => {
+  const recortar = (v) => {
+    const s = v === null ? '' : String(v);
+    return s.length > 80 ? `${s.slice(0, 77)}...` : s;
+  };
+  return cambios
+    .map(
+      (c) =>
+        `cambió "${c.campo}" de "${recortar(c.valor_anterior)}" a "${recortar(c.valor_nuevo)}"`
+    )
+    .join('; ');
+};
+
+export default {
+  CAMPOS_AUDITADOS,
+  calcularCambiosTicket,
+  registrarCambiosTicket,
+  describirCambios
+};
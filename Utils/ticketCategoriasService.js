@@ -0,0 +1,134 @@
+// Utils/ticketCategoriasService.js
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Reglas por categoría de ticket (`ticket_categorias`):
+ *  - Resolución y validación de la categoría elegida
+ *  - Validación de campos obligatorios del ticket
+ *  - Evaluación de adjuntos requeridos (tipos + cantidad mínima)
+ *
+ * Tema: Utils - Tickets / Categorías
+ * Capa: Backend
+ */
+
+import { TicketCategoriasModel } from '../Models/Tickets/MD_TB_TicketCategorias.js';
+import { TicketAdjuntosModel } from '../Models/Tickets/MD_TB_TicketAdjuntos.js';
+
+// Campos del ticket que una categoría puede marcar como obligatorios
+export const CAMPOS_REQUERIBLES = [
+  'hora_ticket',
+  'descripcion',
+  'monto_esperado',
+  'monto_real',
+  'medio_pago'
+];
+
+// Tipos de adjunto que una categoría puede exigir
+export const TIPOS_ADJUNTO_REQUERIBLES = ['imagen', 'excel', 'pdf'];
+
+// Regla sin categoría (comportamiento histórico: al menos 1 archivo)
+const ADJUNTOS_MINIMOS_DEFAULT = 1;
+
+const httpError = (statusCode, message) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const asArray = (val) => (Array.isArray(val) ? val : []);
+
+/**
+ * Busca la categoría y valida que exista (y que esté activa, si se pide).
+ * Devuelve null si categoriaId viene vacío.
+ */
+export const obtenerCategoriaValida = async (
+  categoriaId,
+  { transaction, requiereActiva = true } = {}
+) => {
+  if (categoriaId === undefined || categoriaId === null || categoriaId === '') {
+    return null;
+  }
+
+  const cid = Number(categoriaId);
+  if (!Number.isInteger(cid) || cid <= 0) {
+    throw httpError(400, 'El campo categoria_id debe ser numérico');
+  }
+
+  const categoria = await TicketCategoriasModel.findByPk(cid, { transaction });
+  if (!categoria) {
+    throw httpError(400, `No existe la categoría con id=${cid}`);
+  }
+  if (requiereActiva && categoria.estado !== 'activo') {
+    throw httpError(400, `La categoría "${categoria.nombre}" está inactiva`);
+  }
+
+  return categoria;
+};
+
+/**
+ * Valida que los campos exigidos por la categoría tengan valor.
+ * `datos` es el estado final del ticket (valores actuales + cambios).
+ */
+export const validarCamposCategoria = (categoria, datos) => {
+  if (!categoria) return;
+
+  const faltantes = asArray(categoria.campos_requeridos).filter((campo) => {
+    const val = datos[campo];
+    return (
+      val === undefined ||
+      val === null ||
+      (typeof val === 'string' && val.trim() === '')
+    );
+  });
+
+  if (faltantes.length) {
+    throw httpError(
+      400,
+      `La categoría "${categoria.nombre}" requiere completar: ${faltantes.join(', ')}`
+    );
+  }
+};
+
+/**
+ * Evalúa si los adjuntos cargados cumplen las reglas de la categoría.
+ *
+ * @returns {Promise<{cumple, total, minimo, tiposRequeridos, tiposFaltantes}>}
+ */
+export const evaluarAdjuntosCategoria = async ({
+  ticketId,
+  categoria,
+  transaction
+}) => {
+  const minimo = categoria ? categoria.adjuntos_minimos : ADJUNTOS_MINIMOS_DEFAULT;
+  const tiposRequeridos = categoria
+    ? asArray(categoria.adjuntos_tipos_requeridos)
+    : [];
+
+  const adjuntos = await TicketAdjuntosModel.findAll({
+    where: { ticket_id: ticketId },
+    attributes: ['id', 'tipo'],
+    transaction
+  });
+
+  const tiposPresentes = new Set(adjuntos.map((a) => a.tipo));
+  const tiposFaltantes = tiposRequeridos.filter((t) => !tiposPresentes.has(t));
+
+  return {
+    cumple: adjuntos.length >= minimo && tiposFaltantes.length === 0,
+    total: adjuntos.length,
+    minimo,
+    tiposRequeridos,
+    tiposFaltantes
+  };
+};
+
+export default {
+  CAMPOS_REQUERIBLES,
+  TIPOS_ADJUNTO_REQUERIBLES,
+  obtenerCategoriaValida,
+  validarCamposCategoria,
+  evaluarAdjuntosCategoria
+};
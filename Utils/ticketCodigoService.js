@@ -0,0 +1,84 @@
+// Utils/ticketCodigoService.js
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Numeración legible de tickets por sucursal: `<sucursal.codigo>-<YYYY>-<seq>`
+ * (ej: MON-2026-00042). La secuencia vive en `ticket_secuencias` y se
+ * reserva con un único INSERT … ON DUPLICATE KEY UPDATE dentro de la
+ * transacción de creación: crea la fila o la incrementa de forma atómica
+ * (el lock de la fila queda hasta el commit), así dos altas simultáneas en
+ * la misma sucursal nunca repiten número. Un SELECT … FOR UPDATE sobre una
+ * fila inexistente toma gap locks y dos primeras altas del año se
+ * bloqueaban mutuamente (deadlock).
+ *
+ * Sucursales sin `codigo` usan `S<id>` como prefijo.
+ *
+ * Tema: Utils - Tickets / Numeración
+ * Capa: Backend
+ */
+
+import { QueryTypes } from 'sequelize';
+import { TicketSecuenciasModel } from '../Models/Tickets/MD_TB_TicketSecuencias.js';
+import { SucursalesModel } from '../Models/Core/MD_TB_Sucursales.js';
+
+const DIGITOS_SECUENCIA = 5;
+
+export const formatearCodigoTicket = (prefijo, anio, numero) =>
+  `${prefijo}-${anio}-${String(numero).padStart(DIGITOS_SECUENCIA, '0')}`;
+
+/**
+ * Reserva el siguiente número de la sucursal para el año y devuelve el código.
+ * Debe llamarse dentro de la transacción que crea el ticket.
+ *
+ * @param {Object} params
+ * @param {number} params.sucursalId
+ * @param {Date}   [params.fecha] - define el año (default: ahora)
+ * @param {Object} params.transaction
+ * @returns {Promise<string>}
+ */
+export const asignarCodigoTicket = async ({
+  sucursalId,
+  fecha = new Date(),
+  transaction
+}) => {
+  const sucursal = await SucursalesModel.findByPk(sucursalId, {
+    attributes: ['id', 'codigo'],
+    transaction
+  });
+  const prefijo = (sucursal?.codigo || `S${sucursalId}`).trim().toUpperCase();
+  const anio = new Date(fecha).getFullYear();
+
+  // affectedRows = 1: fila nueva (número 1)
+  // affectedRows = 2: fila existente; LAST_INSERT_ID(expr) devuelve el número
+  const [insertId, affectedRows] = await TicketSecuenciasModel.sequelize.query(
+    `INSERT INTO ticket_secuencias (sucursal_id, anio, ultimo_numero, updated_at)
+     VALUES (:sucursalId, :anio, 1, NOW())
+     ON DUPLICATE KEY UPDATE
+       ultimo_numero = LAST_INSERT_ID(ultimo_numero + 1),
+       updated_at = NOW()`,
+    {
+      replacements: { sucursalId, anio },
+      type: QueryTypes.INSERT,
+      transaction
+    }
+  );
+  const numero = affectedRows === 1 ? 1 : Number(insertId);
+
+  return formatearCodigoTicket(prefijo, anio, numero);
+};
+
+/**
+ * Cómo mostrar un ticket en notificaciones y mails: el código si lo tiene,
+ * `#id` para tickets previos a la numeración.
+ */
+export const etiquetaTicket = (ticket) =>
+  ticket?.codigo || `#${ticket?.id}`;
+
+export default {
+  formatearCodigoTicket,
+  asignarCodigoTicket,
+  etiquetaTicket
+};
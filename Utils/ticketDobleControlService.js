@@ -0,0 +1,264 @@
+// Utils/ticketDobleControlService.js
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Doble control en la autorización de tickets (`ticket_reglas_doble_control`):
+ *  - Evaluación de reglas (monto, categoría, sucursal) sobre un ticket
+ *  - Resolución del estado final al autorizar:
+ *      pendiente -> autorizado       => "pre_autorizado" si cumple alguna regla
+ *      pre_autorizado -> autorizado  => confirmación; la hace otro usuario
+ *  - Aviso a supervisores / admins de que hay una confirmación pendiente
+ *  - Resumen de la aprobación para el detalle del ticket
+ *
+ * Las reglas cumplidas se guardan como foto en el historial
+ * (si la regla se edita después, el historial no cambia).
+ *
+ * Tema: Utils - Tickets / Doble control
+ * Capa: Backend
+ */
+
+import { Op } from 'sequelize';
+
+import { TicketReglasDobleControlModel } from '../Models/Tickets/MD_TB_TicketReglasDobleControl.js';
+import { TicketEstadosHistorialModel } from '../Models/Tickets/MD_TB_TicketEstadosHistorial.js';
+import { UsuariosModel } from '../Models/Core/MD_TB_Usuarios.js';
+import { crearNotificacionesInternas } from './notificacionesTicketService.js';
+import { obtenerDestinatariosSupervisionPorSucursal } from './ticketAsignacionService.js';
+import { etiquetaTicket } from './ticketCodigoService.js';
+
+export const CAMPOS_MONTO_DOBLE_CONTROL = [
+  'diferencia',
+  'monto_esperado',
+  'monto_real'
+];
+
+const httpError = (statusCode, message) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+/**
+ * ¿El ticket cumple todas las condiciones cargadas de la regla?
+ */
+export const reglaAplica = (regla, ticket) => {
+  if (regla.sucursal_id !== null && regla.sucursal_id !== ticket.sucursal_id) {
+    return false;
+  }
+  if (regla.categoria_id !== null && regla.categoria_id !== ticket.categoria_id) {
+    return false;
+  }
+  if (regla.moneda && regla.moneda !== ticket.moneda) return false;
+
+  if (regla.monto_minimo !== null) {
+    const valor = ticket[regla.campo_monto];
+    if (valor === null || valor === undefined) return false;
+    if (Math.abs(Number(valor)) < Number(regla.monto_minimo)) return false;
+  }
+
+  return true;
+};
+
+/**
+ * Texto legible de las condiciones de una regla (para historial y avisos).
+ */
+export const describirRegla = (regla) => {
+  const partes = [];
+  if (regla.monto_minimo !== null) {
+    partes.push(
+      `|${regla.campo_monto}| >= ${Number(regla.monto_minimo)}${
+        regla.moneda ? ` ${regla.moneda}` : ''
+      }`
+    );
+  } else if (regla.moneda) {
+    partes.push(`moneda ${regla.moneda}`);
+  }
+  if (regla.categoria_id !== null) partes.push(`categoría #${regla.categoria_id}`);
+  if (regla.sucursal_id !== null) partes.push(`sucursal #${regla.sucursal_id}`);
+  return partes.length ? partes.join(', ') : 'todos los tickets';
+};
+
+/**
+ * Reglas activas que cumple el ticket (foto para el historial).
+ *
+ * @returns {Promise<Array<{ id, nombre, condicion }>>}
+ */
+export const evaluarDobleControl = async (ticket, { transaction } = {}) => {
+  const reglas = await TicketReglasDobleControlModel.findAll({
+    where: { estado: 'activo' },
+    order: [['id', 'ASC']],
+    transaction
+  });
+
+  return reglas
+    .filter((r) => reglaAplica(r, ticket))
+    .map((r) => ({ id: r.id, nombre: r.nombre, condicion: describirRegla(r) }));
+};
+
+/**
+ * Última pre-autorización registrada del ticket (o null).
+ */
+export const buscarPreAutorizacion = (ticketId, { transaction } = {}) =>
+  TicketEstadosHistorialModel.findOne({
+    where: { ticket_id: ticketId, estado_nuevo: 'pre_autorizado' },
+    order: [
+      ['fecha_cambio', 'DESC'],
+      ['id', 'DESC']
+    ],
+    transaction
+  });
+
+/**
+ * Resuelve el estado final de una autorización y los datos de doble control
+ * que van al historial. Lanza 403 si quien confirma es quien pre-autorizó.
+ *
+ * @returns {Promise<{ estadoFinal: string, datosHistorial: Object, reglas: Array }>}
+ */
+export const resolverDobleControl = async ({
+  ticket,
+  estadoAnterior,
+  estadoNuevo,
+  usuarioId,
+  transaction
+}) => {
+  if (estadoNuevo !== 'autorizado') {
+    return { estadoFinal: estadoNuevo, datosHistorial: {}, reglas: [] };
+  }
+
+  if (estadoAnterior === 'pendiente') {
+    const reglas = await evaluarDobleControl(ticket, { transaction });
+    if (!reglas.length) {
+      return { estadoFinal: estadoNuevo, datosHistorial: {}, reglas };
+    }
+    return {
+      estadoFinal: 'pre_autorizado',
+      datosHistorial: { doble_control_reglas: reglas },
+      reglas
+    };
+  }
+
+  if (estadoAnterior === 'pre_autorizado') {
+    const pre = await buscarPreAutorizacion(ticket.id, { transaction });
+    if (pre && pre.usuario_id === usuarioId) {
+      throw httpError(
+        403,
+        'La autorización requiere doble control: debe confirmarla un supervisor o admin distinto de quien la pre-autorizó'
+      );
+    }
+    const reglas = pre?.doble_control_reglas || [];
+    return {
+      estadoFinal: estadoNuevo,
+      datosHistorial: {
+        doble_control_reglas: reglas.length ? reglas : null,
+        primer_aprobador_id: pre?.usuario_id ?? null,
+        fecha_primera_aprobacion: pre?.fecha_cambio ?? null
+      },
+      reglas
+    };
+  }
+
+  return { estadoFinal: estadoNuevo, datosHistorial: {}, reglas: [] };
+};
+
+/**
+ * Avisa a supervisión de la sucursal y a los admins que el ticket
+ * espera la segunda aprobación (no se avisa a quien pre-autorizó).
+ */
+export const notificarConfirmacionPendiente = async ({
+  ticket,
+  usuarioOrigenId,
+  reglas,
+  transaction
+}) => {
+  const [supervisores, admins] = await Promise.all([
+    obtenerDestinatariosSupervisionPorSucursal(ticket.sucursal_id, transaction),
+    UsuariosModel.findAll({
+      where: { rol: 'admin', estado: 'activo' },
+      attributes: ['id'],
+      transaction
+    })
+  ]);
+
+  return crearNotificacionesInternas({
+    ticketId: ticket.id,
+    usuarioOrigenId,
+    destinatariosIds: [...supervisores, ...admins].map((u) => u.id),
+    asunto: `Ticket ${etiquetaTicket(ticket)}: autorización a confirmar`,
+    mensaje:
+      `El ticket ${etiquetaTicket(ticket)} ("${ticket.asunto}") fue pre-autorizado y requiere ` +
+      `la confirmación de otro supervisor o un admin.\n\nReglas de doble control:\n` +
+      reglas.map((r) => `- ${r.nombre} (${r.condicion})`).join('\n'),
+    transaction
+  });
+};
+
+/**
+ * Resumen de la última aprobación con doble control del ticket
+ * (null si nunca pasó por "pre_autorizado").
+ */
+export const obtenerAprobacionTicket = async (ticketId) => {
+  const filas = await TicketEstadosHistorialModel.findAll({
+    where: {
+      ticket_id: ticketId,
+      [Op.or]: [
+        { estado_nuevo: 'pre_autorizado' },
+        { estado_anterior: 'pre_autorizado' }
+      ]
+    },
+    include: [
+      {
+        model: UsuariosModel,
+        as: 'usuario',
+        attributes: ['id', 'nombre', 'email', 'rol']
+      }
+    ],
+    order: [
+      ['fecha_cambio', 'ASC'],
+      ['id', 'ASC']
+    ]
+  });
+
+  let idxPre = -1;
+  filas.forEach((h, i) => {
+    if (h.estado_nuevo === 'pre_autorizado') idxPre = i;
+  });
+  if (idxPre === -1) return null;
+
+  const pre = filas[idxPre];
+  const salida =
+    filas.slice(idxPre + 1).find((h) => h.estado_anterior === 'pre_autorizado') ||
+    null;
+
+  const paso = (h) => ({
+    usuario: h.usuario || (h.usuario_id ? { id: h.usuario_id } : null),
+    fecha: h.fecha_cambio,
+    comentario: h.comentario
+  });
+
+  return {
+    estado: !salida
+      ? 'esperando_confirmacion'
+      : salida.estado_nuevo === 'autorizado'
+        ? 'confirmada'
+        : salida.estado_nuevo,
+    reglas: pre.doble_control_reglas || [],
+    primera_aprobacion: paso(pre),
+    segunda_revision: salida
+      ? { estado_nuevo: salida.estado_nuevo, ...paso(salida) }
+      : null
+  };
+};
+
+export default {
+  CAMPOS_MONTO_DOBLE_CONTROL,
+  reglaAplica,
+  describirRegla,
+  evaluarDobleControl,
+  buscarPreAutorizacion,
+  resolverDobleControl,
+  notificarConfirmacionPendiente,
+  obtenerAprobacionTicket
+};
@@ -0,0 +1,181 @@
+// Utils/ticketHorarioService.js
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Detección de tickets fuera del horario de la sucursal
+ * (`sucursales.horario_apertura` / `horario_cierre`):
+ *  - hora_ticket informada fuera del horario
+ *  - creación del ticket fuera del horario (hora autoritativa del servidor,
+ *    ver Utils/authoritativeTime.js; nunca la del cliente)
+ *
+ * El resultado se guarda en `tickets.fuera_horario` / `fuera_horario_detalle`.
+ * Si la sucursal tiene `bloquear_fuera_horario`, los operadores no pueden
+ * crear tickets fuera de horario (supervisor / admin sí, y quedan marcados).
+ *
+ * Un horario con cierre menor a la apertura cruza la medianoche
+ * (ej: 20:00 a 02:00).
+ *
+ * Los horarios de sucursal son hora local de Argentina: las horas de
+ * creación se pasan a 'America/Argentina/Buenos_Aires' (igual que el
+ * mailer), sin depender de la zona horaria del proceso.
+ *
+ * Tema: Utils - Tickets / Horario de sucursal
+ * Capa: Backend
+ */
+
+import { SucursalesModel } from '../Models/Core/MD_TB_Sucursales.js';
+import { nowMs } from './authoritativeTime.js';
+
+const TZ = 'America/Argentina/Buenos_Aires';
+
+const HORA_REGEX = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const httpError = (statusCode, message) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+/**
+ * "HH:mm" / "HH:mm:ss" -> "HH:mm:ss" (null si no es una hora válida).
+ */
+export const normalizarHora = (valor) => {
+  const texto = String(valor ?? '').trim();
+  if (!HORA_REGEX.test(texto)) return null;
+  return texto.length === 5 ? `${texto}:00` : texto;
+};
+
+/**
+ * ¿La hora cae dentro del horario [apertura, cierre]?
+ * Sin horario cargado se considera siempre dentro.
+ */
+export const horaDentroDeHorario = (hora, apertura, cierre) => {
+  const h = normalizarHora(hora);
+  const desde = normalizarHora(apertura);
+  const hasta = normalizarHora(cierre);
+  if (!h || !desde || !hasta || desde === hasta) return true;
+
+  // Horario que cruza la medianoche
+  if (hasta < desde) return h >= desde || h <= hasta;
+  return h >= desde && h <= hasta;
+};
+
+/**
+ * Hora local de Argentina ("HH:mm:ss") de una fecha.
+ */
+export const horaLocalAR = (date) =>
+  new Date(date).toLocaleTimeString('es-AR', {
+    timeZone: TZ,
+    hourCycle: 'h23',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+
+/**
+ * Hora actual según el reloj autoritativo, en hora local de Argentina.
+ */
+export const horaActualServidor = () => horaLocalAR(nowMs());
+
+/**
+ * Evalúa si un ticket queda fuera del horario de su sucursal.
+ *
+ * @param {Object} params
+ * @param {Object} params.sucursal     - con horario_apertura / horario_cierre
+ * @param {string} [params.horaTicket] - hora informada por el usuario
+ * @param {string} [params.horaCreacion] - hora de alta (default: ahora, reloj autoritativo)
+ * @returns {{ fuera_horario: boolean, fuera_horario_detalle: string|null }}
+ */
+export const evaluarFueraHorario = ({
+  sucursal,
+  horaTicket = null,
+  horaCreacion = horaActualServidor()
+}) => {
+  if (!sucursal) return { fuera_horario: false, fuera_horario_detalle: null };
+
+  const { horario_apertura: apertura, horario_cierre: cierre } = sucursal;
+  const rango = `${String(apertura).slice(0, 5)} a ${String(cierre).slice(0, 5)}`;
+  const motivos = [];
+
+  const hora = normalizarHora(horaTicket);
+  if (hora && !horaDentroDeHorario(hora, apertura, cierre)) {
+    motivos.push(`hora del ticket ${hora.slice(0, 5)}`);
+  }
+  if (horaCreacion && !horaDentroDeHorario(horaCreacion, apertura, cierre)) {
+    motivos.push(`cargado a las ${String(horaCreacion).slice(0, 5)}`);
+  }
+
+  return motivos.length
+    ? {
+        fuera_horario: true,
+        fuera_horario_detalle:
+          `Fuera del horario de la sucursal (${rango}): ${motivos.join('; ')}`.slice(
+            0,
+            255
+          )
+      }
+    : { fuera_horario: false, fuera_horario_detalle: null };
+};
+
+/**
+ * Carga la sucursal, evalúa el horario y aplica el bloqueo configurado.
+ * Lanza 400 si hora_ticket no es una hora válida y 422 si la sucursal
+ * bloquea tickets fuera de horario y quien carga es operador.
+ *
+ * @returns {Promise<{ fuera_horario: boolean, fuera_horario_detalle: string|null }>}
+ */
+export const resolverFueraHorario = async ({
+  sucursalId,
+  horaTicket = null,
+  horaCreacion,
+  rol,
+  transaction
+}) => {
+  if (horaTicket && !normalizarHora(horaTicket)) {
+    throw httpError(400, 'hora_ticket debe tener formato HH:mm o HH:mm:ss');
+  }
+
+  const sucursal = sucursalId
+    ? await SucursalesModel.findByPk(sucursalId, {
+        attributes: [
+          'id',
+          'nombre',
+          'horario_apertura',
+          'horario_cierre',
+          'bloquear_fuera_horario'
+        ],
+        transaction
+      })
+    : null;
+
+  const resultado = evaluarFueraHorario({
+    sucursal,
+    horaTicket,
+    ...(horaCreacion !== undefined ? { horaCreacion } : {})
+  });
+
+  if (
+    resultado.fuera_horario &&
+    sucursal?.bloquear_fuera_horario &&
+    rol === 'operador_sucursal'
+  ) {
+    throw httpError(
+      422,
+      `La sucursal ${sucursal.nombre} no admite tickets fuera de horario. ${resultado.fuera_horario_detalle}`
+    );
+  }
+
+  return resultado;
+};
+
+export default {
+  normalizarHora,
+  horaDentroDeHorario,
+  horaLocalAR,
+  horaActualServidor,
+  evaluarFueraHorario,
+  resolverFueraHorario
+};
@@ -12,7 +12,8 @@
  * Capa: Backend
  */
 
-import { sendMail, escapeHtml, preheader } from './mailer.js';
+import { sendMail, escapeHtml, preheader, formatARS } from './mailer.js';
+import { etiquetaTicket } from './ticketCodigoService.js';
 
 const TZ = 'America/Argentina/Buenos_Aires';
 
@@ -29,11 +30,44 @@ function formatDateTimeAR(date) {
   });
 }
 
+// Montos de conciliación: ARS con el helper del mailer, otras monedas con su código
+function formatMonto(n, moneda = 'ARS') {
+  if (moneda === 'ARS') return formatARS(n);
+  return Number(n || 0).toLocaleString('es-AR', {
+    style: 'currency',
+    currency: moneda
+  });
+}
+
+/**
+ * Filas de montos a mostrar (solo las que tienen valor).
+ * @returns {Array<{ label: string, valor: string }>}
+ */
+function buildFilasMontos(ticket) {
+  const moneda = ticket.moneda || 'ARS';
+  const filas = [];
+  const hay = (v) => v !== null && v !== undefined && v !== '';
+
+  if (hay(ticket.monto_esperado)) {
+    filas.push({ label: 'Monto esperado', valor: formatMonto(ticket.monto_esperado, moneda) });
+  }
+  if (hay(ticket.monto_real)) {
+    filas.push({ label: 'Monto real', valor: formatMonto(ticket.monto_real, moneda) });
+  }
+  if (hay(ticket.diferencia)) {
+    filas.push({ label: 'Diferencia', valor: formatMonto(ticket.diferencia, moneda) });
+  }
+  if (ticket.medio_pago) {
+    filas.push({ label: 'Medio de pago', valor: ticket.medio_pago.replaceAll('_', ' ') });
+  }
+  return filas;
+}
+
 /**
  * Construye subject, texto plano y HTML para "Nuevo ticket creado".
  *
  * @param {Object} params
- * @param {Object} params.ticket      - Ticket (id, asunto, estado, created_at, fecha_ticket, hora_ticket, etc.)
+ * @param {Object} params.ticket      - Ticket (id, asunto, estado, created_at, fecha_ticket, hora_ticket, montos, etc.)
  * @param {Object} params.operador    - Usuario que creó el ticket (nombre, email)
  * @param {Object} params.sucursal    - Sucursal (nombre, ciudad)
  * @param {Object} params.destinatario- Usuario que va a recibir el mail (nombre, email)
@@ -46,6 +80,8 @@ export function buildTicketCreatedEmail({
   destinatario
 }) {
   const ticketId = ticket.id;
+  // Código legible (MON-2026-00042) o #id en tickets previos a la numeración
+  const ticketRef = etiquetaTicket(ticket);
   const asuntoTicket = ticket.asunto || '(sin asunto)';
   const estadoTicket = ticket.estado || 'pendiente';
 
@@ -71,16 +107,19 @@ export function buildTicketCreatedEmail({
     fechaCreacion = formatDateTimeAR(iso);
   }
 
-  const preheaderText = `Nuevo ticket #${ticketId} creado por ${operadorNombre} (${sucNombre}).`;
+  const filasMontos = buildFilasMontos(ticket);
+
+  const preheaderText = `Nuevo ticket ${ticketRef} creado por ${operadorNombre} (${sucNombre}).`;
 
   // Texto plano (fallback)
   const text = [
-    `Nuevo ticket #${ticketId} creado`,
+    `Nuevo ticket ${ticketRef} creado`,
     '',
-    `El operador ${operadorNombre} creó el ticket #${ticketId} en la sucursal ${sucNombre}${sucCiudad},`,
+    `El operador ${operadorNombre} creó el ticket ${ticketRef} en la sucursal ${sucNombre}${sucCiudad},`,
     `con estado "${estadoTicket}" y asunto "${asuntoTicket}".`,
     '',
     `Creado: ${fechaCreacion}`,
+    ...filasMontos.map((f) => `${f.label}: ${f.valor}`),
     `Enlace: ${urlTicket}`,
     '',
     'Este es un mensaje automático del sistema Conectate Ticket.'
@@ -104,7 +143,7 @@ export function buildTicketCreatedEmail({
                       Conectate Group · Ticket nuevo
                     </td>
                     <td align="right" style="font-size:11px;color:#fee2e2;">
-                      #${escapeHtml(String(ticketId))}
+                      ${escapeHtml(ticketRef)}
                     </td>
                   </tr>
                   <tr>
@@ -139,7 +178,7 @@ export function buildTicketCreatedEmail({
                       <table width="100%" cellpadding="0" cellspacing="0" role="presentation">
                         <tr>
                           <td style="font-size:13px;color:#b91c1c;font-weight:600;">
-                            Ticket #${escapeHtml(String(ticketId))}
+                            Ticket ${escapeHtml(ticketRef)}
                           </td>
                           <td align="right">
                             <span style="display:inline-block;padding:2px 10px;border-radius:999px;background-color:#fee2e2;color:#b91c1c;font-size:11px;font-weight:600;border:1px solid #fecaca;">
@@ -178,6 +217,17 @@ export function buildTicketCreatedEmail({
                             ${escapeHtml(fechaCreacion)}
                           </td>
                         </tr>
+                        ${filasMontos
+                          .map(
+                            (f) => `
+                        <tr>
+                          <td style="padding:4px 0;font-size:12px;color:#6b7280;">${escapeHtml(f.label)}</td>
+                          <td style="padding:4px 0;font-size:13px;color:#111827;">
+                            ${escapeHtml(f.valor)}
+                          </td>
+                        </tr>`
+                          )
+                          .join('')}
                       </table>
                     </td>
                   </tr>
@@ -197,7 +247,7 @@ export function buildTicketCreatedEmail({
                 <div style="margin-top:18px;margin-bottom:10px;" align="center">
                   <a href="${escapeHtml(urlTicket)}"
                     style="display:inline-block;padding:11px 24px;border-radius:999px;background-color:#dc2626;color:#ffffff;text-decoration:none;font-weight:600;font-size:14px;border:1px solid #b91c1c;">
-                    Ver ticket #${escapeHtml(String(ticketId))}
+                    Ver ticket ${escapeHtml(ticketRef)}
                   </a>
                 </div>
 
@@ -225,7 +275,7 @@ export function buildTicketCreatedEmail({
   </body>
   `;
 
-  const subject = `🔔 Nuevo ticket #${ticketId} - ${asuntoTicket}`;
+  const subject = `🔔 Nuevo ticket ${ticketRef} - ${asuntoTicket}`;
 
   return { subject, text, html };
 }
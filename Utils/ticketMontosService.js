@@ -0,0 +1,135 @@
+// Utils/ticketMontosService.js
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Datos monetarios de los tickets (órdenes de conciliación):
+ *  - Validación de monto_esperado / monto_real / medio_pago / moneda
+ *  - Cálculo de la diferencia (monto_real - monto_esperado)
+ *
+ * La diferencia nunca viene del cliente: se recalcula siempre en backend
+ * con los valores finales del ticket.
+ *
+ * Tema: Utils - Tickets / Montos
+ * Capa: Backend
+ */
+
+export const MEDIOS_PAGO = [
+  'efectivo',
+  'transferencia',
+  'tarjeta_debito',
+  'tarjeta_credito',
+  'mercado_pago',
+  'cheque',
+  'otro'
+];
+
+export const MONEDAS = ['ARS', 'USD'];
+
+// Tope de DECIMAL(14, 2)
+const MONTO_MAXIMO = 999999999999.99;
+
+const httpError = (statusCode, message) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const esVacio = (val) => val === null || val === '';
+
+/**
+ * Normaliza un monto: null si viene vacío; número >= 0 con hasta 2 decimales.
+ */
+export const normalizarMonto = (val, campo) => {
+  if (esVacio(val)) return null;
+
+  const n = Number(val);
+  if (!Number.isFinite(n)) {
+    throw httpError(400, `El campo ${campo} debe ser numérico`);
+  }
+  if (n < 0) {
+    throw httpError(400, `El campo ${campo} no puede ser negativo`);
+  }
+  if (n > MONTO_MAXIMO) {
+    throw httpError(400, `El campo ${campo} supera el máximo permitido`);
+  }
+  if (Math.abs(n * 100 - Math.round(n * 100)) > 1e-6) {
+    throw httpError(400, `El campo ${campo} admite hasta 2 decimales`);
+  }
+  return Number(n.toFixed(2));
+};
+
+/**
+ * Diferencia en centavos para evitar errores de coma flotante.
+ * Devuelve null si falta alguno de los dos montos.
+ */
+export const calcularDiferencia = (montoEsperado, montoReal) => {
+  if (montoEsperado === null || montoEsperado === undefined) return null;
+  if (montoReal === null || montoReal === undefined) return null;
+
+  const centavos =
+    Math.round(Number(montoReal) * 100) - Math.round(Number(montoEsperado) * 100);
+  return centavos / 100;
+};
+
+/**
+ * Valida los campos monetarios presentes en `datos` y devuelve los updates
+ * a aplicar (incluida la diferencia recalculada).
+ *
+ * @param {Object} datos  - body recibido (solo se toman los campos presentes)
+ * @param {Object} actual - ticket actual (en altas, null)
+ * @returns {Object} { monto_esperado?, monto_real?, diferencia?, medio_pago?, moneda? }
+ */
+export const normalizarMontosTicket = (datos = {}, actual = null) => {
+  const updates = {};
+
+  if (datos.monto_esperado !== undefined) {
+    updates.monto_esperado = normalizarMonto(datos.monto_esperado, 'monto_esperado');
+  }
+  if (datos.monto_real !== undefined) {
+    updates.monto_real = normalizarMonto(datos.monto_real, 'monto_real');
+  }
+
+  if (datos.medio_pago !== undefined) {
+    if (esVacio(datos.medio_pago)) {
+      updates.medio_pago = null;
+    } else {
+      const medio = String(datos.medio_pago).trim().toLowerCase();
+      if (!MEDIOS_PAGO.includes(medio)) {
+        throw httpError(
+          400,
+          `medio_pago inválido. Debe ser uno de: ${MEDIOS_PAGO.join(', ')}`
+        );
+      }
+      updates.medio_pago = medio;
+    }
+  }
+
+  if (datos.moneda !== undefined && !esVacio(datos.moneda)) {
+    const moneda = String(datos.moneda).trim().toUpperCase();
+    if (!MONEDAS.includes(moneda)) {
+      throw httpError(400, `moneda inválida. Debe ser una de: ${MONEDAS.join(', ')}`);
+    }
+    updates.moneda = moneda;
+  }
+
+  // Recalcular diferencia solo si cambió alguno de los montos (o es alta)
+  if (!actual || 'monto_esperado' in updates || 'monto_real' in updates) {
+    const esperado =
+      'monto_esperado' in updates ? updates.monto_esperado : actual?.monto_esperado ?? null;
+    const real = 'monto_real' in updates ? updates.monto_real : actual?.monto_real ?? null;
+    updates.diferencia = calcularDiferencia(esperado, real);
+  }
+
+  return updates;
+};
+
+export default {
+  MEDIOS_PAGO,
+  MONEDAS,
+  normalizarMonto,
+  calcularDiferencia,
+  normalizarMontosTicket
+};
@@ -0,0 +1,180 @@
+// Utils/ticketMotivosRechazoService.js
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Motivos de rechazo de tickets (`ticket_motivos_rechazo`):
+ *  - Validación del motivo elegido al pasar un ticket a "rechazado"
+ *    (existe, está activo y, si requiere detalle, hay comentario)
+ *  - Resumen de rechazos por motivo y sucursal (KPIs y reporte)
+ *
+ * Los rechazos se cuentan sobre `ticket_estados_historial` (un rechazo por
+ * cada pase a "rechazado"), no sobre el estado actual del ticket.
+ *
+ * Tema: Utils - Tickets / Motivos de rechazo
+ * Capa: Backend
+ */
+
+import { Op, fn, col } from 'sequelize';
+
+import { TicketMotivosRechazoModel } from '../Models/Tickets/MD_TB_TicketMotivosRechazo.js';
+import { TicketEstadosHistorialModel } from '../Models/Tickets/MD_TB_TicketEstadosHistorial.js';
+import { TicketsModel } from '../Models/Tickets/MD_TB_Tickets.js';
+import { SucursalesModel } from '../Models/Core/MD_TB_Sucursales.js';
+
+const httpError = (statusCode, message) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+/**
+ * Valida el motivo de un rechazo. Lanza 400 si falta, no existe,
+ * está inactivo o exige detalle y no vino comentario.
+ *
+ * @returns {Promise<Object>} motivo
+ */
+export const validarMotivoRechazo = async ({
+  motivoRechazoId,
+  comentario,
+  transaction
+}) => {
+  if (
+    motivoRechazoId === undefined ||
+    motivoRechazoId === null ||
+    motivoRechazoId === ''
+  ) {
+    throw httpError(
+      400,
+      'El motivo de rechazo (motivo_rechazo_id) es obligatorio para rechazar un ticket'
+    );
+  }
+
+  const mid = Number(motivoRechazoId);
+  if (!Number.isInteger(mid) || mid <= 0) {
+    throw httpError(400, 'El campo motivo_rechazo_id debe ser numérico');
+  }
+
+  const motivo = await TicketMotivosRechazoModel.findByPk(mid, { transaction });
+  if (!motivo) {
+    throw httpError(400, `No existe el motivo de rechazo #${mid}`);
+  }
+  if (motivo.estado !== 'activo') {
+    throw httpError(
+      400,
+      `El motivo de rechazo "${motivo.nombre}" está inactivo`
+    );
+  }
+
+  if (motivo.requiere_detalle && String(comentario || '').trim() === '') {
+    throw httpError(
+      400,
+      `El motivo "${motivo.nombre}" requiere detallar el rechazo en el comentario`
+    );
+  }
+
+  return motivo;
+};
+
+/**
+ * Rechazos agrupados por motivo y sucursal.
+ *
+ * @param {Object} params
+ * @param {Object} [params.ticketWhere] - filtros sobre el ticket (rol, sucursal, categoría)
+ * @param {string} [params.fechaDesde]  - YYYY-MM-DD (fecha del rechazo)
+ * @param {string} [params.fechaHasta]  - YYYY-MM-DD
+ * @returns {Promise<Array<{ motivo_rechazo_id, codigo, nombre, total,
+ *   porSucursal: Array<{ sucursal_id, nombre, total }> }>>}
+ */
+export const resumirRechazosPorMotivo = async ({
+  ticketWhere = {},
+  fechaDesde,
+  fechaHasta
+} = {}) => {
+  const where = { estado_nuevo: 'rechazado' };
+  if (fechaDesde || fechaHasta) {
+    where.fecha_cambio = {
+      ...(fechaDesde ? { [Op.gte]: `${fechaDesde} 00:00:00` } : {}),
+      ...(fechaHasta ? { [Op.lte]: `${fechaHasta} 23:59:59` } : {})
+    };
+  }
+
+  const filas = await TicketEstadosHistorialModel.findAll({
+    where,
+    attributes: [
+      'motivo_rechazo_id',
+      [col('ticket.sucursal_id'), 'sucursal_id'],
+      [fn('COUNT', col('ticket_estados_historial.id')), 'total']
+    ],
+    include: [
+      {
+        model: TicketsModel,
+        as: 'ticket',
+        attributes: [],
+        where: ticketWhere,
+        required: true
+      }
+    ],
+    group: ['motivo_rechazo_id', 'ticket.sucursal_id'],
+    raw: true
+  });
+
+  const motivosIds = [
+    ...new Set(filas.map((f) => f.motivo_rechazo_id).filter((x) => x !== null))
+  ];
+  const sucursalesIds = [...new Set(filas.map((f) => f.sucursal_id))];
+
+  const [motivos, sucursales] = await Promise.all([
+    motivosIds.length
+      ? TicketMotivosRechazoModel.findAll({
+          where: { id: { [Op.in]: motivosIds } },
+          attributes: ['id', 'codigo', 'nombre']
+        })
+      : [],
+    sucursalesIds.length
+      ? SucursalesModel.findAll({
+          where: { id: { [Op.in]: sucursalesIds } },
+          attributes: ['id', 'nombre']
+        })
+      : []
+  ]);
+  const motivoPorId = new Map(motivos.map((m) => [m.id, m]));
+  const sucursalPorId = new Map(sucursales.map((s) => [s.id, s.nombre]));
+
+  const porMotivoMap = new Map();
+  for (const fila of filas) {
+    const key = fila.motivo_rechazo_id ?? null;
+    if (!porMotivoMap.has(key)) {
+      const motivo = motivoPorId.get(key);
+      porMotivoMap.set(key, {
+        motivo_rechazo_id: key,
+        codigo: motivo?.codigo || null,
+        // Rechazos anteriores al catálogo
+        nombre: key === null ? 'Sin motivo' : motivo?.nombre || null,
+        total: 0,
+        porSucursal: []
+      });
+    }
+    const item = porMotivoMap.get(key);
+    item.total += Number(fila.total);
+    item.porSucursal.push({
+      sucursal_id: fila.sucursal_id,
+      nombre: sucursalPorId.get(fila.sucursal_id) || null,
+      total: Number(fila.total)
+    });
+  }
+
+  return [...porMotivoMap.values()]
+    .map((item) => ({
+      ...item,
+      porSucursal: item.porSucursal.sort((a, b) => b.total - a.total)
+    }))
+    .sort((a, b) => b.total - a.total);
+};
+
+export default {
+  validarMotivoRechazo,
+  resumirRechazosPorMotivo
+};
@@ -0,0 +1,138 @@
+// Utils/ticketRelacionesService.js
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Servicio de vínculos entre tickets (`ticket_relaciones`).
+ *  - Lectura de vínculos desde la perspectiva de un ticket
+ *  - Validación de jerarquías padre/hijo sin ciclos
+ *
+ * Tema: Utils - Tickets / Relaciones
+ * Capa: Backend
+ */
+
+import { Op } from 'sequelize';
+import { TicketRelacionesModel } from '../Models/Tickets/MD_TB_TicketRelaciones.js';
+import { TicketsModel } from '../Models/Tickets/MD_TB_Tickets.js';
+import { puedeVerTicket } from './ticketVisibilidadService.js';
+
+export const TIPOS_RELACION = ['duplicado_de', 'relacionado_con', 'padre_de'];
+
+// Cómo se lee el vínculo desde el ticket destino
+const TIPO_INVERSO = {
+  duplicado_de: 'tiene_duplicado',
+  relacionado_con: 'relacionado_con',
+  padre_de: 'hijo_de'
+};
+
+/**
+ * Devuelve los vínculos de un ticket, ya orientados desde su perspectiva:
+ *   [{ id, tipo, direccion: 'saliente'|'entrante', ticket: {...}, ... }]
+ *
+ * @param {number} ticketId
+ * @param {Object} [opts]
+ * @param {Object} [opts.visibilidad] - si viene (resolverVisibilidadTickets),
+ *        oculta vínculos hacia tickets fuera del alcance del usuario
+ * @param {Object} [opts.transaction]
+ */
+export const obtenerRelacionesTicket = async (
+  ticketId,
+  { visibilidad = null, transaction } = {}
+) => {
+  const relaciones = await TicketRelacionesModel.findAll({
+    where: {
+      [Op.or]: [{ ticket_origen_id: ticketId }, { ticket_destino_id: ticketId }]
+    },
+    order: [['created_at', 'ASC']],
+    transaction
+  });
+
+  if (!relaciones.length) return [];
+
+  const otrosIds = relaciones.map((r) =>
+    r.ticket_origen_id === Number(ticketId) ? r.ticket_destino_id : r.ticket_origen_id
+  );
+
+  const tickets = await TicketsModel.findAll({
+    where: { id: { [Op.in]: [...new Set(otrosIds)] } },
+    attributes: [
+      'id',
+      'asunto',
+      'estado',
+      'sucursal_id',
+      'usuario_creador_id',
+      'fecha_ticket',
+      'fusionado_en_id'
+    ],
+    transaction
+  });
+  const ticketPorId = new Map(tickets.map((t) => [t.id, t]));
+
+  return relaciones
+    .map((r) => {
+      const saliente = r.ticket_origen_id === Number(ticketId);
+      const otro = ticketPorId.get(saliente ? r.ticket_destino_id : r.ticket_origen_id);
+      return {
+        id: r.id,
+        tipo: saliente ? r.tipo : TIPO_INVERSO[r.tipo],
+        tipo_registro: r.tipo,
+        direccion: saliente ? 'saliente' : 'entrante',
+        comentario: r.comentario,
+        usuario_id: r.usuario_id,
+        created_at: r.created_at,
+        ticket: otro || null
+      };
+    })
+    .filter(
+      (r) =>
+        r.ticket && (!visibilidad || puedeVerTicket(r.ticket, visibilidad))
+    );
+};
+
+/**
+ * Verifica que crear "padreId padre_de hijoId" no genere un ciclo
+ * (el hijo no puede ser ancestro del padre). Lanza 400 si lo genera.
+ */
+export const validarJerarquiaSinCiclos = async (
+  padreId,
+  hijoId,
+  transaction
+) => {
+  const visitados = new Set();
+  let pendientes = [padreId];
+
+  while (pendientes.length) {
+    const filas = await TicketRelacionesModel.findAll({
+      where: {
+        tipo: 'padre_de',
+        ticket_destino_id: { [Op.in]: pendientes }
+      },
+      attributes: ['ticket_origen_id'],
+      transaction
+    });
+
+    pendientes = [];
+    for (const f of filas) {
+      const ancestro = f.ticket_origen_id;
+      if (ancestro === hijoId) {
+        const err = new Error(
+          `El ticket #${hijoId} ya es ancestro de #${padreId}: la relación generaría un ciclo`
+        );
+        err.statusCode = 400;
+        throw err;
+      }
+      if (!visitados.has(ancestro)) {
+        visitados.add(ancestro);
+        pendientes.push(ancestro);
+      }
+    }
+  }
+};
+
+export default {
+  TIPOS_RELACION,
+  obtenerRelacionesTicket,
+  validarJerarquiaSinCiclos
+};
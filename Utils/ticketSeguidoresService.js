@@ -0,0 +1,153 @@
+// Utils/ticketSeguidoresService.js
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Servicio de seguidores de tickets (`ticket_seguidores`).
+ *  - Alta de seguidores (manual / automática)
+ *  - Resolución de seguidores que pueden ver el evento según su rol
+ *  - Fan-out de notificaciones internas a los seguidores
+ *
+ * Visibilidad:
+ *  - operador_sucursal: solo recibe eventos de tickets de su alcance
+ *    (propios, de su sucursal o heredados por un reemplazo vigente,
+ *    ver ticketVisibilidadService) y
+ *    nunca eventos internos (notas internas de supervisión).
+ *  - supervisor / admin: reciben todo.
+ *  - usuarios inactivos no reciben notificaciones.
+ *
+ * Tema: Utils - Tickets / Seguidores
+ * Capa: Backend
+ */
+
+import { TicketSeguidoresModel } from '../Models/Tickets/MD_TB_TicketSeguidores.js';
+import { UsuariosModel } from '../Models/Core/MD_TB_Usuarios.js';
+import { SucursalesModel } from '../Models/Core/MD_TB_Sucursales.js';
+import { crearNotificacionesInternas } from './notificacionesTicketService.js';
+import {
+  alcanceDeUsuario,
+  puedeVerTicket,
+  usuarioPuedeVerTicket
+} from './ticketVisibilidadService.js';
+
+/**
+ * Agrega un seguidor si todavía no sigue el ticket (idempotente).
+ * Un seguimiento previo conserva su origen original.
+ */
+export const agregarSeguidor = async ({
+  ticketId,
+  usuarioId,
+  origen = 'manual',
+  transaction
+}) => {
+  if (!ticketId || !usuarioId) return null;
+
+  const [seguidor] = await TicketSeguidoresModel.findOrCreate({
+    where: { ticket_id: ticketId, usuario_id: usuarioId },
+    defaults: { origen },
+    transaction
+  });
+
+  return seguidor;
+};
+
+/**
+ * Devuelve los ids de seguidores que pueden ver el evento.
+ *
+ * @param {Object} params
+ * @param {Object} params.ticket - instancia de TicketsModel
+ * @param {boolean} [params.interno] - evento solo para supervisión
+ * @param {Object} [params.transaction]
+ */
+export const obtenerSeguidoresVisibles = async ({
+  ticket,
+  interno = false,
+  transaction
+}) => {
+  const seguidores = await TicketSeguidoresModel.findAll({
+    where: { ticket_id: ticket.id },
+    include: [
+      {
+        model: UsuariosModel,
+        as: 'usuario',
+        attributes: ['id', 'rol', 'estado', 'sucursal_id', 'visibilidad_tickets']
+      }
+    ],
+    transaction
+  });
+
+  // Solo un operador de la sucursal del ticket puede verlo sin ser su creador,
+  // así que alcanza con la configuración de esa sucursal
+  const requiereSucursal = seguidores.some(
+    (s) =>
+      s.usuario?.rol === 'operador_sucursal' &&
+      !s.usuario.visibilidad_tickets &&
+      s.usuario.sucursal_id === ticket.sucursal_id
+  );
+  const sucursal = requiereSucursal
+    ? await SucursalesModel.findByPk(ticket.sucursal_id, {
+        attributes: ['id', 'visibilidad_operadores'],
+        transaction
+      })
+    : null;
+
+  const visibles = [];
+  for (const s of seguidores) {
+    if (!s.usuario || s.usuario.estado !== 'activo') continue;
+    if (s.usuario.rol !== 'operador_sucursal') {
+      visibles.push(s.usuario.id);
+      continue;
+    }
+    if (interno) continue;
+
+    const visibilidadSucursal =
+      s.usuario.sucursal_id === ticket.sucursal_id
+        ? sucursal?.visibilidad_operadores
+        : null;
+    // Si su alcance propio no alcanza, puede verlo por un reemplazo vigente
+    if (
+      puedeVerTicket(ticket, alcanceDeUsuario(s.usuario, visibilidadSucursal)) ||
+      (await usuarioPuedeVerTicket(ticket, s.usuario, { transaction }))
+    ) {
+      visibles.push(s.usuario.id);
+    }
+  }
+  return visibles;
+};
+
+/**
+ * Crea notificaciones internas para los seguidores del ticket
+ * (más destinatarios extra, sin duplicar). Excluye al autor del evento.
+ */
+export const notificarSeguidores = async ({
+  ticket,
+  usuarioOrigenId = null,
+  asunto,
+  mensaje,
+  interno = false,
+  destinatariosExtra = [],
+  transaction
+}) => {
+  const seguidores = await obtenerSeguidoresVisibles({
+    ticket,
+    interno,
+    transaction
+  });
+
+  return crearNotificacionesInternas({
+    ticketId: ticket.id,
+    usuarioOrigenId,
+    destinatariosIds: [...seguidores, ...destinatariosExtra],
+    asunto,
+    mensaje,
+    transaction
+  });
+};
+
+export default {
+  agregarSeguidor,
+  obtenerSeguidoresVisibles,
+  notificarSeguidores
+};
@@ -0,0 +1,367 @@
+// Utils/ticketTimelineService.js
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Línea de tiempo unificada de un ticket. Junta en un solo feed:
+ *  - estado       -> ticket_estados_historial (incluye el de los duplicados
+ *                    fusionados en el ticket, con fusionado_desde_id)
+ *  - adjunto      -> ticket_adjuntos (subidas) + logs de eliminación
+ *  - comentario   -> ticket_comentarios
+ *  - asignacion   -> ticket_asignaciones
+ *  - notificacion -> notificaciones
+ *  - edicion      -> ticket_cambios (un evento por edición, con el diff)
+ *  - log          -> logs_actividad del ticket
+ *
+ * Cada evento: { tipo, accion, fecha, actor, descripcion, detalle, ref }
+ * (actor NULL = sistema).
+ *
+ * Visibilidad:
+ *  - operador_sucursal: sin comentarios internos, solo sus notificaciones
+ *    y sin eventos de log (auditoría).
+ *  - supervisor / admin: todo.
+ *
+ * Tema: Utils - Tickets / Timeline
+ * Capa: Backend
+ */
+
+import { Op } from 'sequelize';
+
+import { TicketsModel } from '../Models/Tickets/MD_TB_Tickets.js';
+import { TicketEstadosHistorialModel } from '../Models/Tickets/MD_TB_TicketEstadosHistorial.js';
+import { TicketAdjuntosModel } from '../Models/Tickets/MD_TB_TicketAdjuntos.js';
+import { TicketComentariosModel } from '../Models/Tickets/MD_TB_TicketComentarios.js';
+import { TicketAsignacionesModel } from '../Models/Tickets/MD_TB_TicketAsignaciones.js';
+import { TicketCambiosModel } from '../Models/Tickets/MD_TB_TicketCambios.js';
+import { NotificacionesModel } from '../Models/Tickets/MD_TB_Notificaciones.js';
+import { LogsActividadModel } from '../Models/Logs/MD_TB_LogsActividad.js';
+import { UsuariosModel } from '../Models/Core/MD_TB_Usuarios.js';
+
+export const TIPOS_TIMELINE = [
+  'estado',
+  'adjunto',
+  'comentario',
+  'asignacion',
+  'notificacion',
+  'edicion',
+  'log'
+];
+
+const evento = ({ tipo, accion, fecha, actorId, descripcion, detalle, ref }) => ({
+  tipo,
+  accion,
+  fecha: fecha ? new Date(fecha) : null,
+  actor_id: actorId ?? null,
+  descripcion,
+  detalle: detalle || {},
+  ref
+});
+
+// ---------------------------------------------------
+// Fuentes (cada una devuelve eventos ya normalizados)
+// ---------------------------------------------------
+
+const eventosEstado = async (ticketId) => {
+  // El historial de un duplicado queda en su ticket; se suma acá por puntero
+  const fusionados = await TicketsModel.findAll({
+    where: { fusionado_en_id: ticketId },
+    attributes: ['id']
+  });
+  const filas = await TicketEstadosHistorialModel.findAll({
+    where: {
+      ticket_id: { [Op.in]: [ticketId, ...fusionados.map((t) => t.id)] }
+    }
+  });
+  return filas.map((h) => {
+    const fusionadoDesde = h.ticket_id !== ticketId ? h.ticket_id : null;
+    const base = h.estado_anterior
+      ? `Estado: ${h.estado_anterior} → ${h.estado_nuevo}`
+      : `Ticket creado en estado ${h.estado_nuevo}`;
+    return evento({
+      tipo: 'estado',
+      accion: h.estado_anterior ? 'cambio_estado' : 'creacion',
+      fecha: h.fecha_cambio,
+      actorId: h.usuario_id,
+      descripcion: fusionadoDesde
+        ? `[Fusionado desde #${fusionadoDesde}] ${base}`
+        : base,
+      detalle: {
+        fusionado_desde_id: fusionadoDesde,
+        estado_anterior: h.estado_anterior,
+        estado_nuevo: h.estado_nuevo,
+        comentario: h.comentario,
+        motivo_rechazo_id: h.motivo_rechazo_id,
+        doble_control_reglas: h.doble_control_reglas,
+        primer_aprobador_id: h.primer_aprobador_id,
+        fecha_primera_aprobacion: h.fecha_primera_aprobacion
+      },
+      ref: { entidad: 'ticket_estado_historial', id: h.id }
+    });
+  });
+};
+
+const eventosAdjuntos = async (ticketId) => {
+  const adjuntos = await TicketAdjuntosModel.findAll({
+    where: { ticket_id: ticketId },
+    attributes: ['id', 'tipo', 'nombre_original', 'mime_type', 'tamano_bytes', 'created_at']
+  });
+
+  // Quién subió cada adjunto: el adjunto no guarda usuario, sí su log de alta
+  const logsAlta = adjuntos.length
+    ? await LogsActividadModel.findAll({
+        where: {
+          entidad: 'ticket_adjunto',
+          accion: 'CREAR',
+          entidad_id: { [Op.in]: adjuntos.map((a) => a.id) }
+        },
+        attributes: ['entidad_id', 'usuario_id']
+      })
+    : [];
+  const subidoPor = new Map(logsAlta.map((l) => [l.entidad_id, l.usuario_id]));
+
+  // Eliminaciones: el adjunto ya no existe, queda solo el log del ticket
+  const logsBaja = await LogsActividadModel.findAll({
+    where: {
+      entidad: 'ticket',
+      entidad_id: ticketId,
+      accion: 'ELIMINAR_ADJUNTO'
+    }
+  });
+
+  return [
+    ...adjuntos.map((a) =>
+      evento({
+        tipo: 'adjunto',
+        accion: 'subido',
+        fecha: a.created_at,
+        actorId: subidoPor.get(a.id),
+        descripcion: `Adjunto subido: ${a.nombre_original}`,
+        detalle: {
+          adjunto_id: a.id,
+          tipo: a.tipo,
+          nombre_original: a.nombre_original,
+          mime_type: a.mime_type,
+          tamano_bytes: a.tamano_bytes
+        },
+        ref: { entidad: 'ticket_adjunto', id: a.id }
+      })
+    ),
+    ...logsBaja.map((l) => {
+      // El id del adjunto solo queda en el texto del log (dato informativo)
+      const adjuntoId = Number(/adjunto #(\d+)/.exec(l.descripcion)?.[1]) || null;
+      return evento({
+        tipo: 'adjunto',
+        accion: 'eliminado',
+        fecha: l.fecha_hora,
+        actorId: l.usuario_id,
+        descripcion: adjuntoId ? `Adjunto #${adjuntoId} eliminado` : 'Adjunto eliminado',
+        detalle: { adjunto_id: adjuntoId },
+        ref: { entidad: 'log_actividad', id: l.id }
+      });
+    })
+  ];
+};
+
+const eventosComentarios = async (ticketId, { verInternos }) => {
+  const filas = await TicketComentariosModel.findAll({
+    where: {
+      ticket_id: ticketId,
+      ...(verInternos ? {} : { interno: false })
+    }
+  });
+  return filas.map((c) =>
+    evento({
+      tipo: 'comentario',
+      accion: c.comentario_padre_id ? 'respuesta' : 'comentario',
+      fecha: c.created_at,
+      actorId: c.usuario_id,
+      descripcion: c.eliminado_at
+        ? 'Comentario eliminado'
+        : c.interno
+          ? 'Nota interna'
+          : 'Comentario',
+      detalle: {
+        comentario_id: c.id,
+        comentario_padre_id: c.comentario_padre_id,
+        interno: !!c.interno,
+        mensaje: c.eliminado_at ? null : c.mensaje,
+        editado_at: c.editado_at,
+        eliminado_at: c.eliminado_at
+      },
+      ref: { entidad: 'ticket_comentario', id: c.id }
+    })
+  );
+};
+
+const eventosAsignaciones = async (ticketId) => {
+  const filas = await TicketAsignacionesModel.findAll({
+    where: { ticket_id: ticketId }
+  });
+  return filas.map((a) =>
+    evento({
+      tipo: 'asignacion',
+      accion: a.accion,
+      fecha: a.fecha,
+      actorId: a.usuario_id,
+      descripcion:
+        a.accion === 'desasignar'
+          ? 'Responsable quitado'
+          : `Responsable: ${a.usuario_anterior_id ?? '—'} → ${a.usuario_nuevo_id}`,
+      detalle: {
+        usuario_anterior_id: a.usuario_anterior_id,
+        usuario_nuevo_id: a.usuario_nuevo_id,
+        comentario: a.comentario
+      },
+      ref: { entidad: 'ticket_asignacion', id: a.id }
+    })
+  );
+};
+
+const eventosNotificaciones = async (ticketId, { soloDestinatarioId }) => {
+  const filas = await NotificacionesModel.findAll({
+    where: {
+      ticket_id: ticketId,
+      ...(soloDestinatarioId ? { usuario_destino_id: soloDestinatarioId } : {})
+    },
+    attributes: [
+      'id',
+      'usuario_origen_id',
+      'usuario_destino_id',
+      'canal',
+      'asunto',
+      'estado_envio',
+      'fecha_creacion',
+      'fecha_envio'
+    ]
+  });
+  return filas.map((n) =>
+    evento({
+      tipo: 'notificacion',
+      accion: n.canal,
+      fecha: n.fecha_envio || n.fecha_creacion,
+      actorId: n.usuario_origen_id,
+      descripcion: n.asunto,
+      detalle: {
+        usuario_destino_id: n.usuario_destino_id,
+        canal: n.canal,
+        estado_envio: n.estado_envio
+      },
+      ref: { entidad: 'notificacion', id: n.id }
+    })
+  );
+};
+
+// Una edición = un lote de ticket_cambios
+const eventosEdiciones = async (ticketId) => {
+  const filas = await TicketCambiosModel.findAll({
+    where: { ticket_id: ticketId },
+    order: [['id', 'ASC']]
+  });
+
+  const porLote = new Map();
+  for (const c of filas) {
+    if (!porLote.has(c.lote)) porLote.set(c.lote, []);
+    porLote.get(c.lote).push(c);
+  }
+
+  return [...porLote.entries()].map(([lote, cambios]) =>
+    evento({
+      tipo: 'edicion',
+      accion: 'actualizar',
+      fecha: cambios[0].created_at,
+      actorId: cambios[0].usuario_id,
+      descripcion: `Campos editados: ${cambios.map((c) => c.campo).join(', ')}`,
+      detalle: {
+        lote,
+        cambios: cambios.map((c) => ({
+          campo: c.campo,
+          valor_anterior: c.valor_anterior,
+          valor_nuevo: c.valor_nuevo
+        }))
+      },
+      ref: { entidad: 'ticket_cambio', id: cambios[0].id }
+    })
+  );
+};
+
+const eventosLogs = async (ticketId) => {
+  const filas = await LogsActividadModel.findAll({
+    where: { entidad: 'ticket', entidad_id: ticketId }
+  });
+  return filas.map((l) =>
+    evento({
+      tipo: 'log',
+      accion: l.accion,
+      fecha: l.fecha_hora,
+      actorId: l.usuario_id,
+      descripcion: l.descripcion,
+      detalle: { modulo: l.modulo, ip: l.ip, user_agent: l.user_agent },
+      ref: { entidad: 'log_actividad', id: l.id }
+    })
+  );
+};
+
+/**
+ * Arma la línea de tiempo completa de un ticket (ordenada) con actor resuelto.
+ *
+ * @param {Object} params
+ * @param {Object} params.ticket
+ * @param {Object} params.userCtx  - { id, rol }
+ * @param {string[]} [params.tipos] - subconjunto de TIPOS_TIMELINE
+ * @param {'asc'|'desc'} [params.orden]
+ * @returns {Promise<Array>}
+ */
+export const obtenerTimelineTicket = async ({
+  ticket,
+  userCtx,
+  tipos = TIPOS_TIMELINE,
+  orden = 'asc'
+}) => {
+  const esOperador = userCtx.rol === 'operador_sucursal';
+  const incluye = (t) => tipos.includes(t);
+
+  const fuentes = [
+    incluye('estado') && eventosEstado(ticket.id),
+    incluye('adjunto') && eventosAdjuntos(ticket.id),
+    incluye('comentario') &&
+      eventosComentarios(ticket.id, { verInternos: !esOperador }),
+    incluye('asignacion') && eventosAsignaciones(ticket.id),
+    incluye('notificacion') &&
+      eventosNotificaciones(ticket.id, {
+        soloDestinatarioId: esOperador ? userCtx.id : null
+      }),
+    incluye('edicion') && eventosEdiciones(ticket.id),
+    incluye('log') && !esOperador && eventosLogs(ticket.id)
+  ].filter(Boolean);
+
+  const eventos = (await Promise.all(fuentes))
+    .flat()
+    .filter((e) => incluye(e.tipo));
+
+  // Actores en una sola consulta
+  const actoresIds = [
+    ...new Set(eventos.map((e) => e.actor_id).filter((x) => x !== null))
+  ];
+  const actores = actoresIds.length
+    ? await UsuariosModel.findAll({
+        where: { id: { [Op.in]: actoresIds } },
+        attributes: ['id', 'nombre', 'email', 'rol']
+      })
+    : [];
+  const actorPorId = new Map(actores.map((u) => [u.id, u.toJSON()]));
+
+  const signo = orden === 'desc' ? -1 : 1;
+  return eventos
+    .map(({ actor_id, ...e }) => ({
+      ...e,
+      actor: actor_id === null ? null : actorPorId.get(actor_id) || { id: actor_id }
+    }))
+    .sort((a, b) => signo * ((a.fecha?.getTime() || 0) - (b.fecha?.getTime() || 0)));
+};
+
+export default {
+  TIPOS_TIMELINE,
+  obtenerTimelineTicket
+};
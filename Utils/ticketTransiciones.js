@@ -0,0 +1,182 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Máquina de estados de tickets. Carga y valida la tabla declarativa
+ * de config/ticketTransiciones.config.js y expone helpers para:
+ *  - Validar un cambio de estado (rol habilitado, comentario obligatorio)
+ *  - Listar las transiciones disponibles para un usuario (botones del front)
+ * También valida la configuración de reapertura de tickets cerrados.
+ *
+ * Tema: Utils - Tickets / Estados
+ * Capa: Backend
+ */
+
+import {
+  ESTADOS_TICKET,
+  ROLES_TICKET,
+  TRANSICIONES_TICKET,
+  REAPERTURA_TICKET
+} from '../config/ticketTransiciones.config.js';
+
+// Índice `${desde}>${hasta}` -> transición normalizada
+let indiceTransiciones = null;
+
+const claveTransicion = (desde, hasta) => `${desde}>${hasta}`;
+
+/**
+ * Valida la tabla de transiciones y arma el índice en memoria.
+ * Llamarla una sola vez al iniciar la app (app.js). Si la tabla
+ * tiene errores, lanza excepción para no arrancar con reglas inválidas.
+ */
+export const initTicketTransiciones = () => {
+  const indice = new Map();
+
+  for (const t of TRANSICIONES_TICKET) {
+    if (!ESTADOS_TICKET.includes(t.desde)) {
+      throw new Error(`[ticketTransiciones] Estado origen inválido: ${t.desde}`);
+    }
+    if (!ESTADOS_TICKET.includes(t.hasta)) {
+      throw new Error(
+        `[ticketTransiciones] Estado destino inválido: ${t.hasta}`
+      );
+    }
+    if (t.desde === t.hasta) {
+      throw new Error(
+        `[ticketTransiciones] Transición sin cambio de estado: ${t.desde}`
+      );
+    }
+
+    const roles = Array.isArray(t.roles) ? t.roles : [];
+    const rolInvalido = roles.find((r) => !ROLES_TICKET.includes(r));
+    if (rolInvalido) {
+      throw new Error(
+        `[ticketTransiciones] Rol inválido "${rolInvalido}" en ${t.desde} -> ${t.hasta}`
+      );
+    }
+
+    const clave = claveTransicion(t.desde, t.hasta);
+    if (indice.has(clave)) {
+      throw new Error(`[ticketTransiciones] Transición duplicada: ${clave}`);
+    }
+
+    indice.set(
+      clave,
+      Object.freeze({
+        desde: t.desde,
+        hasta: t.hasta,
+        roles,
+        comentarioObligatorio: !!t.comentarioObligatorio,
+        motivoRechazoObligatorio: !!t.motivoRechazoObligatorio,
+        automatica: !!t.automatica,
+        accion: t.accion || t.hasta
+      })
+    );
+  }
+
+  const { estadosDestino, estadoDestinoDefault } = REAPERTURA_TICKET;
+  const destinoInvalido = estadosDestino.find(
+    (e) => !ESTADOS_TICKET.includes(e) || e === 'cerrado'
+  );
+  if (destinoInvalido) {
+    throw new Error(
+      `[ticketTransiciones] Estado de reapertura inválido: ${destinoInvalido}`
+    );
+  }
+  if (!estadosDestino.includes(estadoDestinoDefault)) {
+    throw new Error(
+      `[ticketTransiciones] TICKET_REAPERTURA_ESTADO debe ser uno de: ${estadosDestino.join(
+        ', '
+      )}`
+    );
+  }
+
+  indiceTransiciones = indice;
+  console.log(
+    `Máquina de estados de tickets cargada (${indice.size} transiciones)`
+  );
+  return indiceTransiciones;
+};
+
+const getIndice = () => indiceTransiciones || initTicketTransiciones();
+
+/**
+ * Devuelve la transición desde -> hasta, o null si no está definida.
+ */
+export const buscarTransicion = (desde, hasta) =>
+  getIndice().get(claveTransicion(desde, hasta)) || null;
+
+/**
+ * Transiciones manuales que el rol puede ejecutar desde el estado actual.
+ */
+export const obtenerTransicionesDisponibles = (estadoActual, rol) => {
+  const out = [];
+  for (const t of getIndice().values()) {
+    if (t.desde !== estadoActual) continue;
+    if (t.automatica) continue;
+    if (!t.roles.includes(rol)) continue;
+    out.push(t);
+  }
+  return out;
+};
+
+/**
+ * Valida un cambio de estado manual. Lanza Error con statusCode
+ * (mismo criterio que assertTicketPermission en adjuntos).
+ *
+ * @param {object} params
+ * @param {string} params.desde - estado actual del ticket
+ * @param {string} params.hasta - estado solicitado
+ * @param {string} params.rol - rol del usuario que ejecuta el cambio
+ * @param {string} [params.comentario]
+ * @returns {object} transición aplicada
+ */
+export const validarTransicion = ({ desde, hasta, rol, comentario }) => {
+  const transicion = buscarTransicion(desde, hasta);
+
+  if (!transicion || transicion.automatica) {
+    const permitidos = obtenerTransicionesDisponibles(desde, rol).map(
+      (t) => t.hasta
+    );
+    const err = new Error(
+      `No se permite pasar un ticket de "${desde}" a "${hasta}".` +
+        (permitidos.length
+          ? ` Estados permitidos: ${permitidos.join(', ')}`
+          : ' No hay transiciones disponibles desde este estado.')
+    );
+    err.statusCode = 400;
+    throw err;
+  }
+
+  if (!transicion.roles.includes(rol)) {
+    const err = new Error(
+      `No tiene permisos para pasar el ticket de "${desde}" a "${hasta}" (roles habilitados: ${transicion.roles.join(
+        ', '
+      )})`
+    );
+    err.statusCode = 403;
+    throw err;
+  }
+
+  if (
+    transicion.comentarioObligatorio &&
+    String(comentario || '').trim() === ''
+  ) {
+    const err = new Error(
+      `El comentario es obligatorio para pasar el ticket a "${hasta}"`
+    );
+    err.statusCode = 400;
+    throw err;
+  }
+
+  return transicion;
+};
+
+export default {
+  initTicketTransiciones,
+  buscarTransicion,
+  obtenerTransicionesDisponibles,
+  validarTransicion
+};
@@ -0,0 +1,112 @@
+// Utils/ticketVersionService.js
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Control de concurrencia optimista sobre tickets.
+ *  - El ticket expone su versión como ETag (`"<version>"`)
+ *  - El cliente la devuelve en `If-Match` (o en body `version`) al editar
+ *  - Si no coincide con la versión actual -> 409 con el estado actual
+ *
+ * Si el cliente no manda versión, no se valida (compatibilidad con el front
+ * actual); el lock de fila + `version: true` del modelo siguen evitando
+ * escrituras sobre instancias desactualizadas.
+ *
+ * Tema: Utils - Tickets / Concurrencia
+ * Capa: Backend
+ */
+
+import { OptimisticLockError } from 'sequelize';
+import { TicketsModel } from '../Models/Tickets/MD_TB_Tickets.js';
+
+export const CODIGO_CONFLICTO_VERSION = 'CONFLICTO_VERSION';
+
+const httpError = (statusCode, message) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+/**
+ * ETag de un ticket a partir de su versión.
+ */
+export const etagTicket = (ticket) => `"${ticket?.version ?? 0}"`;
+
+/**
+ * Lee la versión esperada desde `If-Match` (prioridad) o `body.version`.
+ * Acepta `"3"`, `W/"3"` o `3`. Devuelve null si no viene ninguna.
+ */
+export const leerVersionEsperada = (req) => {
+  const ifMatch = req.headers?.['if-match'];
+
+  if (ifMatch !== undefined && String(ifMatch).trim() !== '*') {
+    const match = String(ifMatch)
+      .trim()
+      .match(/^(?:W\/)?"?(\d+)"?$/);
+    if (!match) {
+      throw httpError(400, 'Encabezado If-Match inválido (se espera el ETag del ticket)');
+    }
+    return Number(match[1]);
+  }
+
+  const version = req.body?.version;
+  if (version === undefined || version === null || version === '') return null;
+
+  const n = Number(version);
+  if (!Number.isInteger(n) || n < 0) {
+    throw httpError(400, 'El campo version debe ser un entero >= 0');
+  }
+  return n;
+};
+
+/**
+ * Lanza 409 si la versión esperada no coincide con la del ticket.
+ * El ticket viaja en el error para responder con el estado actual.
+ */
+export const verificarVersionTicket = (ticket, versionEsperada) => {
+  if (versionEsperada === null || versionEsperada === undefined) return;
+  if (Number(ticket.version) === versionEsperada) return;
+
+  const err = httpError(
+    409,
+    `El ticket #${ticket.id} fue modificado por otro usuario (versión actual ${ticket.version}, enviada ${versionEsperada}). Recargue y vuelva a intentar.`
+  );
+  err.code = CODIGO_CONFLICTO_VERSION;
+  err.ticket = ticket;
+  throw err;
+};
+
+export const esConflictoVersion = (error) =>
+  error?.code === CODIGO_CONFLICTO_VERSION || error instanceof OptimisticLockError;
+
+/**
+ * Responde el 409 con el estado actual del ticket (y su ETag).
+ * Llamar después del rollback, para leer lo que quedó en DB.
+ */
+export const responderConflictoVersion = async (res, error) => {
+  const ticketId = error.ticket?.id ?? error.where?.id;
+  const actual = ticketId ? await TicketsModel.findByPk(ticketId) : null;
+
+  if (actual) res.set('ETag', etagTicket(actual));
+
+  return res.status(409).json({
+    mensajeError:
+      error.code === CODIGO_CONFLICTO_VERSION
+        ? error.message
+        : 'El ticket fue modificado por otro usuario. Recargue y vuelva a intentar.',
+    code: CODIGO_CONFLICTO_VERSION,
+    version_actual: actual?.version ?? null,
+    ticket: actual
+  });
+};
+
+export default {
+  CODIGO_CONFLICTO_VERSION,
+  etagTicket,
+  leerVersionEsperada,
+  verificarVersionTicket,
+  esConflictoVersion,
+  responderConflictoVersion
+};
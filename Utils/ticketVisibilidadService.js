@@ -0,0 +1,241 @@
+// Utils/ticketVisibilidadService.js
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Alcance de visibilidad de tickets por usuario:
+ *  - supervisor / admin: todos los tickets
+ *  - operador_sucursal:
+ *      "propios"  => solo los tickets que creó
+ *      "sucursal" => todos los tickets de su sucursal (más los propios)
+ *
+ * El alcance del operador sale de `usuarios.visibilidad_tickets` y, si está
+ * en NULL, de `sucursales.visibilidad_operadores` de su sucursal. El JWT no
+ * trae la sucursal, por eso se resuelve siempre contra la base.
+ *
+ * Reemplazos: mientras un usuario reemplaza a otro (usuario_reemplazos
+ * vigente) su alcance es la unión del propio y el del delegante. Si el
+ * acceso a un ticket viene solo del alcance heredado, la acción se registra
+ * "en reemplazo de" (ver resolverReemplazoTicket).
+ *
+ * Forma del alcance:
+ *   { alcance: 'todos'|'sucursal'|'propios', usuarioId,
+ *     usuarioIds: [creadores visibles], sucursalIds: [sucursales visibles] }
+ *
+ * Se usa en listados / detalle / KPIs de tickets, adjuntos, historial,
+ * comentarios, seguidores y en el filtro de notificaciones a seguidores.
+ *
+ * Tema: Utils - Tickets / Visibilidad
+ * Capa: Backend
+ */
+
+import { Op } from 'sequelize';
+
+import { UsuariosModel } from '../Models/Core/MD_TB_Usuarios.js';
+import { SucursalesModel } from '../Models/Core/MD_TB_Sucursales.js';
+import { obtenerDelegacionesAsumidas } from './usuarioReemplazosService.js';
+
+export const ALCANCES_VISIBILIDAD = ['propios', 'sucursal'];
+
+const TODOS = (usuarioId) => ({
+  alcance: 'todos',
+  usuarioId: usuarioId ?? null,
+  usuarioIds: [],
+  sucursalIds: []
+});
+
+/**
+ * Alcance efectivo de un usuario ya cargado (con sucursal_id y
+ * visibilidad_tickets) dado el valor configurado en su sucursal.
+ */
+export const alcanceDeUsuario = (usuario, visibilidadSucursal = null) => {
+  if (usuario?.rol && usuario.rol !== 'operador_sucursal') {
+    return TODOS(usuario.id);
+  }
+
+  const configurado =
+    usuario?.visibilidad_tickets || visibilidadSucursal || 'propios';
+
+  // Sin sucursal base no hay "sucursal" que ver
+  const alcance =
+    configurado === 'sucursal' && usuario?.sucursal_id ? 'sucursal' : 'propios';
+
+  return {
+    alcance,
+    usuarioId: usuario?.id ?? null,
+    usuarioIds: usuario?.id ? [usuario.id] : [],
+    sucursalIds: alcance === 'sucursal' ? [usuario.sucursal_id] : []
+  };
+};
+
+/**
+ * Alcance "solo propios" (default cuando no se pudo resolver nada más).
+ */
+export const alcancePropios = (usuarioId) =>
+  alcanceDeUsuario({ id: usuarioId, rol: 'operador_sucursal' });
+
+/**
+ * Unión de dos alcances (el del usuario y el heredado de un delegante).
+ */
+export const unirAlcances = (a, b) => {
+  if (a.alcance === 'todos' || b.alcance === 'todos') return TODOS(a.usuarioId);
+
+  const sucursalIds = [...new Set([...a.sucursalIds, ...b.sucursalIds])];
+  return {
+    alcance: sucursalIds.length ? 'sucursal' : 'propios',
+    usuarioId: a.usuarioId,
+    usuarioIds: [...new Set([...a.usuarioIds, ...b.usuarioIds])],
+    sucursalIds
+  };
+};
+
+const alcanceConSucursal = async (usuario, { transaction } = {}) => {
+  let visibilidadSucursal = null;
+  if (
+    usuario.rol === 'operador_sucursal' &&
+    !usuario.visibilidad_tickets &&
+    usuario.sucursal_id
+  ) {
+    const sucursal = await SucursalesModel.findByPk(usuario.sucursal_id, {
+      attributes: ['id', 'visibilidad_operadores'],
+      transaction
+    });
+    visibilidadSucursal = sucursal?.visibilidad_operadores || null;
+  }
+  return alcanceDeUsuario(usuario, visibilidadSucursal);
+};
+
+/**
+ * Resuelve la visibilidad del usuario del request (id + rol del JWT),
+ * incluyendo lo heredado por reemplazos vigentes.
+ */
+export const resolverVisibilidadTickets = async (
+  { id, rol } = {},
+  { transaction } = {}
+) => {
+  if (rol !== 'operador_sucursal') return TODOS(id);
+
+  const usuario = id
+    ? await UsuariosModel.findByPk(id, {
+        attributes: ['id', 'rol', 'sucursal_id', 'visibilidad_tickets'],
+        transaction
+      })
+    : null;
+  if (!usuario) return alcancePropios(id);
+
+  // El rol del JWT manda (el del registro puede haber cambiado)
+  let visibilidad = await alcanceConSucursal(
+    { ...usuario.get({ plain: true }), rol },
+    { transaction }
+  );
+
+  const delegaciones = await obtenerDelegacionesAsumidas(id, { transaction });
+  for (const d of delegaciones) {
+    if (!d.usuario || d.usuario.estado !== 'activo') continue;
+    visibilidad = unirAlcances(
+      visibilidad,
+      await alcanceConSucursal(d.usuario.get({ plain: true }), { transaction })
+    );
+  }
+
+  return visibilidad;
+};
+
+/**
+ * Condición sobre `tickets` para el alcance dado ({} = sin restricción).
+ * Va dentro de un Op.and para no pisar otros Op.or del where.
+ */
+export const whereVisibilidadTickets = (visibilidad) => {
+  if (!visibilidad || visibilidad.alcance === 'todos') return {};
+
+  const creadores = visibilidad.usuarioIds.length ? visibilidad.usuarioIds : [0];
+  if (!visibilidad.sucursalIds.length) {
+    return { usuario_creador_id: { [Op.in]: creadores } };
+  }
+
+  return {
+    [Op.or]: [
+      { sucursal_id: { [Op.in]: visibilidad.sucursalIds } },
+      { usuario_creador_id: { [Op.in]: creadores } }
+    ]
+  };
+};
+
+/**
+ * ¿El ticket (con sucursal_id y usuario_creador_id) entra en el alcance?
+ */
+export const puedeVerTicket = (ticket, visibilidad) => {
+  if (!ticket || !visibilidad) return false;
+  if (visibilidad.alcance === 'todos') return true;
+  return (
+    visibilidad.usuarioIds.includes(ticket.usuario_creador_id) ||
+    visibilidad.sucursalIds.includes(ticket.sucursal_id)
+  );
+};
+
+/**
+ * Delegación por la que el usuario accede al ticket: solo si su alcance
+ * propio no lo cubre y el de un delegante vigente sí. Devuelve las columnas
+ * de logs_actividad ({ en_reemplazo_de_id, reemplazo_id }) o {} si actúa
+ * por su cuenta. Supervisores / admin ven todo: nunca es por reemplazo.
+ */
+export const resolverReemplazoTicket = async (
+  ticket,
+  { id, rol } = {},
+  { transaction } = {}
+) => {
+  if (!ticket || !id || rol !== 'operador_sucursal') return {};
+
+  const usuario = await UsuariosModel.findByPk(id, {
+    attributes: ['id', 'rol', 'sucursal_id', 'visibilidad_tickets'],
+    transaction
+  });
+  const propio = usuario
+    ? await alcanceConSucursal(
+        { ...usuario.get({ plain: true }), rol },
+        { transaction }
+      )
+    : alcancePropios(id);
+  if (puedeVerTicket(ticket, propio)) return {};
+
+  const delegaciones = await obtenerDelegacionesAsumidas(id, { transaction });
+  for (const d of delegaciones) {
+    if (!d.usuario || d.usuario.estado !== 'activo') continue;
+    const heredado = await alcanceConSucursal(d.usuario.get({ plain: true }), {
+      transaction
+    });
+    if (puedeVerTicket(ticket, heredado)) {
+      return { en_reemplazo_de_id: d.usuario_id, reemplazo_id: d.id };
+    }
+  }
+  return {};
+};
+
+/**
+ * Atajo: resuelve la visibilidad del usuario y evalúa el ticket.
+ */
+export const usuarioPuedeVerTicket = async (
+  ticket,
+  userCtx,
+  { transaction } = {}
+) => {
+  if (userCtx?.rol !== 'operador_sucursal') return true;
+  const visibilidad = await resolverVisibilidadTickets(userCtx, {
+    transaction
+  });
+  return puedeVerTicket(ticket, visibilidad);
+};
+
+export default {
+  ALCANCES_VISIBILIDAD,
+  alcanceDeUsuario,
+  alcancePropios,
+  unirAlcances,
+  resolverVisibilidadTickets,
+  whereVisibilidadTickets,
+  puedeVerTicket,
+  usuarioPuedeVerTicket,
+  resolverReemplazoTicket
+};
@@ -0,0 +1,132 @@
+// Utils/ticketVistasService.js
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Reglas de las vistas guardadas de tickets (`ticket_vistas`):
+ *  - Validación de filtros contra FILTROS_TICKETS (mismos que GET /tickets)
+ *  - Fechas relativas en filtros, resueltas al momento de usar la vista:
+ *      @hoy, @ayer, @inicio_semana (lunes), @inicio_mes
+ *    Ej: { estado: 'pendiente', sucursal_id: '1,4', creado_desde: '@inicio_semana' }
+ *  - Conteo en vivo de tickets por vista (con la visibilidad del usuario)
+ *
+ * Tema: Utils - Tickets / Vistas guardadas
+ * Capa: Backend
+ */
+
+import { format, startOfMonth, startOfWeek, subDays } from 'date-fns';
+
+import { TicketsModel } from '../Models/Tickets/MD_TB_Tickets.js';
+import { nowMs } from './authoritativeTime.js';
+import { FILTROS_TICKETS, buildTicketsWhere } from './ticketsWhere.js';
+import { resolverVisibilidadTickets } from './ticketVisibilidadService.js';
+
+const CAMPOS_FECHA = [
+  'fecha_desde',
+  'fecha_hasta',
+  'creado_desde',
+  'creado_hasta',
+  'modificado_desde'
+];
+
+const FECHAS_RELATIVAS = {
+  '@hoy': (ahora) => ahora,
+  '@ayer': (ahora) => subDays(ahora, 1),
+  '@inicio_semana': (ahora) => startOfWeek(ahora, { weekStartsOn: 1 }),
+  '@inicio_mes': (ahora) => startOfMonth(ahora)
+};
+
+const httpError = (statusCode, message) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+/**
+ * Valida y limpia los filtros de una vista (descarta vacíos).
+ * Lanza 400 con claves desconocidas o fechas relativas inválidas.
+ *
+ * @param {Object} filtros
+ * @returns {Object}
+ */
+export const normalizarFiltrosVista = (filtros) => {
+  if (!filtros || typeof filtros !== 'object' || Array.isArray(filtros)) {
+    throw httpError(400, 'filtros debe ser un objeto con los filtros de /tickets');
+  }
+
+  const desconocidos = Object.keys(filtros).filter(
+    (k) => !FILTROS_TICKETS.includes(k)
+  );
+  if (desconocidos.length) {
+    throw httpError(
+      400,
+      `Filtros desconocidos: ${desconocidos.join(', ')}. Válidos: ${FILTROS_TICKETS.join(', ')}`
+    );
+  }
+
+  const limpios = {};
+  for (const [k, v] of Object.entries(filtros)) {
+    if (v === undefined || v === null) continue;
+    const valor = Array.isArray(v) ? v.map(String) : String(v).trim();
+    if (valor === '' || (Array.isArray(valor) && !valor.length)) continue;
+
+    if (
+      CAMPOS_FECHA.includes(k) &&
+      typeof valor === 'string' &&
+      valor.startsWith('@') &&
+      !FECHAS_RELATIVAS[valor]
+    ) {
+      throw httpError(
+        400,
+        `Fecha relativa inválida en ${k}: ${valor}. Válidas: ${Object.keys(FECHAS_RELATIVAS).join(', ')}`
+      );
+    }
+
+    limpios[k] = valor;
+  }
+  return limpios;
+};
+
+/**
+ * Reemplaza las fechas relativas por YYYY-MM-DD del día de hoy.
+ */
+export const resolverFiltrosVista = (filtros, ahora = new Date(nowMs())) => {
+  const out = { ...(filtros || {}) };
+  for (const k of CAMPOS_FECHA) {
+    const resolver = FECHAS_RELATIVAS[out[k]];
+    if (resolver) out[k] = format(resolver(ahora), 'yyyy-MM-dd');
+  }
+  return out;
+};
+
+/**
+ * Cantidad de tickets que devuelve hoy cada vista para el usuario.
+ *
+ * @param {Array} vistas - instancias de TicketVistasModel
+ * @param {Object} userCtx - { id, rol }
+ * @returns {Promise<Array<{ vista_id, nombre, total }>>}
+ */
+export const contarTicketsPorVista = async (vistas, userCtx) => {
+  const ahora = new Date(nowMs());
+  const visibilidad = await resolverVisibilidadTickets(userCtx);
+  return Promise.all(
+    vistas.map(async (v) => ({
+      vista_id: v.id,
+      nombre: v.nombre,
+      total: await TicketsModel.count({
+        where: buildTicketsWhere(resolverFiltrosVista(v.filtros, ahora), {
+          ...userCtx,
+          visibilidad
+        })
+      })
+    }))
+  );
+};
+
+export default {
+  normalizarFiltrosVista,
+  resolverFiltrosVista,
+  contarTicketsPorVista
+};
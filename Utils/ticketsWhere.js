@@ -0,0 +1,345 @@
+// Utils/ticketsWhere.js
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Armado del `where` de tickets a partir de los filtros de GET /tickets.
+ * Lo comparten el listado (OBRS_Tickets_CTS) y las operaciones masivas,
+ * para que "los mismos filtros" seleccionen exactamente los mismos tickets.
+ *
+ * `estado` y `sucursal_id` aceptan varios valores (lista separada por coma
+ * o array). La búsqueda libre `q` usa índices FULLTEXT sobre el ticket
+ * (asunto, descripción, observaciones), sus comentarios y los nombres de
+ * sus adjuntos; el listado ordena por relevancia (ver relevanciaBusquedaTickets).
+ *
+ * Tema: Utils - Tickets / Filtros
+ * Capa: Backend
+ */
+
+import { Op, literal } from 'sequelize';
+import db from '../DataBase/db.js';
+import { ESTADOS_TICKET } from '../config/ticketTransiciones.config.js';
+import { SLA_ESTADOS } from './slaTicketsService.js';
+import { MEDIOS_PAGO, MONEDAS } from './ticketMontosService.js';
+import {
+  alcancePropios,
+  whereVisibilidadTickets
+} from './ticketVisibilidadService.js';
+
+// Filtros aceptados (en query string o en body de operaciones masivas)
+export const FILTROS_TICKETS = [
+  'estado',
+  'sucursal_id',
+  'creador_id',
+  'asignado_id',
+  'sin_asignar',
+  'sla_estado',
+  'categoria_id',
+  'fecha_desde',
+  'fecha_hasta',
+  'creado_desde',
+  'creado_hasta',
+  'modificado_desde',
+  'con_adjuntos',
+  'monto_esperado_desde',
+  'monto_esperado_hasta',
+  'monto_real_desde',
+  'monto_real_hasta',
+  'diferencia_desde',
+  'diferencia_hasta',
+  'con_diferencia',
+  'medio_pago',
+  'moneda',
+  'fuera_horario',
+  'q'
+];
+
+const esVerdadero = (val) =>
+  ['1', 'true', 'si', 'sí'].includes(String(val).toLowerCase());
+
+/**
+ * Lista de valores desde "a,b,c" o ['a', 'b'] (query string repetida).
+ */
+const listaValores = (val) =>
+  (Array.isArray(val) ? val : String(val).split(','))
+    .map((v) => String(v).trim())
+    .filter(Boolean);
+
+/**
+ * Igualdad si hay un solo valor, IN si hay varios, undefined si ninguno.
+ */
+const igualOIn = (valores) => {
+  if (!valores.length) return undefined;
+  return valores.length === 1 ? valores[0] : { [Op.in]: valores };
+};
+
+/**
+ * Fecha-hora desde 'YYYY-MM-DD' (inicio o fin del día) o ISO completo.
+ * Devuelve null si no es una fecha válida.
+ */
+const parseFechaHora = (val, finDelDia = false) => {
+  const str = String(val).trim();
+  const d = /^\d{4}-\d{2}-\d{2}$/.test(str)
+    ? new Date(`${str}T${finDelDia ? '23:59:59.999' : '00:00:00'}`)
+    : new Date(str);
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+
+/**
+ * Términos para MATCH ... AGAINST en modo booleano: se quitan los
+ * operadores del usuario, se descartan palabras más cortas que el mínimo
+ * indexado por InnoDB (3) y cada término es obligatorio y por prefijo.
+ * @returns {string|null} expresión ya escapada para SQL
+ */
+const expresionFulltext = (q) => {
+  const terminos = String(q)
+    .replace(/[+\-<>()~*"@]/g, ' ')
+    .split(/\s+/)
+    .filter((t) => t.length >= 3);
+  if (!terminos.length) return null;
+  return db.escape(terminos.map((t) => `+${t}*`).join(' '));
+};
+
+// Alias de la tabla principal en las consultas de Sequelize
+const TICKET_ID = '`tickets`.`id`';
+const TICKET_TEXTO =
+  '`tickets`.`asunto`, `tickets`.`descripcion`, `tickets`.`observaciones_supervisor`';
+
+const matchTicket = (expr) =>
+  `MATCH(${TICKET_TEXTO}) AGAINST (${expr} IN BOOLEAN MODE)`;
+
+// Los operadores no buscan en notas internas
+const filtroComentarios = (verInternos) =>
+  `c.eliminado_at IS NULL${verInternos ? '' : ' AND c.interno = 0'}`;
+
+/**
+ * Expresión de relevancia de `q` para ordenar el listado (mayor = mejor).
+ * Suma el puntaje del ticket y el mejor comentario / adjunto que coincide.
+ *
+ * @param {string} q
+ * @param {Object} userCtx - { rol }
+ * @returns {Object|null} literal de Sequelize, o null si `q` no tiene términos indexables
+ */
+export const relevanciaBusquedaTickets = (q, { rol } = {}) => {
+  const expr = q ? expresionFulltext(q) : null;
+  if (!expr) return null;
+  const verInternos = rol !== 'operador_sucursal';
+
+  return literal(
+    `(${matchTicket(expr)}` +
+      ` + COALESCE((SELECT MAX(MATCH(c.mensaje) AGAINST (${expr} IN BOOLEAN MODE)) FROM ticket_comentarios c` +
+      ` WHERE c.ticket_id = ${TICKET_ID} AND ${filtroComentarios(verInternos)}), 0)` +
+      ` + COALESCE((SELECT MAX(MATCH(a.nombre_original) AGAINST (${expr} IN BOOLEAN MODE)) FROM ticket_adjuntos a` +
+      ` WHERE a.ticket_id = ${TICKET_ID}), 0))`
+  );
+};
+
+/**
+ * Rango numérico (desde/hasta) sobre una columna; ignora valores no numéricos.
+ */
+const aplicarRango = (where, columna, desde, hasta) => {
+  const rango = {};
+  if (desde !== undefined && desde !== '' && Number.isFinite(Number(desde))) {
+    rango[Op.gte] = Number(desde);
+  }
+  if (hasta !== undefined && hasta !== '' && Number.isFinite(Number(hasta))) {
+    rango[Op.lte] = Number(hasta);
+  }
+  if (Object.getOwnPropertySymbols(rango).length) where[columna] = rango;
+};
+
+/**
+ * Construye el where de tickets aplicando filtros + visibilidad por rol.
+ *
+ * @param {Object} filtros - ver FILTROS_TICKETS
+ * @param {Object} userCtx - { id, rol }
+ * @returns {Object} where de Sequelize
+ */
+export const buildTicketsWhere = (
+  filtros = {},
+  { id: usuarioIdCtx, rol, visibilidad } = {}
+) => {
+  const {
+    estado,
+    sucursal_id,
+    creador_id,
+    asignado_id,
+    sin_asignar,
+    sla_estado,
+    categoria_id,
+    fecha_desde,
+    fecha_hasta,
+    creado_desde,
+    creado_hasta,
+    modificado_desde,
+    con_adjuntos,
+    monto_esperado_desde,
+    monto_esperado_hasta,
+    monto_real_desde,
+    monto_real_hasta,
+    diferencia_desde,
+    diferencia_hasta,
+    con_diferencia,
+    medio_pago,
+    moneda,
+    fuera_horario,
+    q
+  } = filtros;
+
+  const where = {};
+  // Condiciones en SQL (subconsultas) que se suman con AND
+  const condiciones = [];
+
+  // Filtros funcionales (estado / sucursal admiten varios valores)
+  if (estado) {
+    const estados = igualOIn(
+      listaValores(estado).filter((e) => ESTADOS_TICKET.includes(e))
+    );
+    if (estados !== undefined) where.estado = estados;
+  }
+
+  if (sucursal_id) {
+    const sucursales = igualOIn(
+      listaValores(sucursal_id)
+        .map(Number)
+        .filter((x) => Number.isInteger(x) && x > 0)
+    );
+    if (sucursales !== undefined) where.sucursal_id = sucursales;
+  }
+
+  if (creador_id) {
+    const cid = Number(creador_id);
+    if (!Number.isNaN(cid)) where.usuario_creador_id = cid;
+  }
+
+  // Filtro por responsable asignado / bandeja "sin asignar"
+  if (sin_asignar !== undefined && esVerdadero(sin_asignar)) {
+    where.usuario_asignado_id = { [Op.is]: null };
+  } else if (asignado_id) {
+    const aid = Number(asignado_id);
+    if (!Number.isNaN(aid)) where.usuario_asignado_id = aid;
+  }
+
+  // Filtro por categoría ("null" = tickets sin categoría)
+  if (categoria_id === 'null') {
+    where.categoria_id = { [Op.is]: null };
+  } else if (categoria_id) {
+    const catId = Number(categoria_id);
+    if (!Number.isNaN(catId)) where.categoria_id = catId;
+  }
+
+  // Filtro por estado de SLA (en_plazo / en_riesgo / vencido)
+  if (sla_estado && SLA_ESTADOS.includes(sla_estado)) {
+    where.sla_estado = sla_estado;
+  }
+
+  // Filtro por fecha_ticket
+  if (fecha_desde || fecha_hasta) {
+    where.fecha_ticket = {};
+    if (fecha_desde) {
+      where.fecha_ticket[Op.gte] = fecha_desde;
+    }
+    if (fecha_hasta) {
+      where.fecha_ticket[Op.lte] = fecha_hasta;
+    }
+  }
+
+  // Fecha de alta en el sistema (created_at), independiente de fecha_ticket
+  const creadoDesde = creado_desde ? parseFechaHora(creado_desde) : null;
+  const creadoHasta = creado_hasta ? parseFechaHora(creado_hasta, true) : null;
+  if (creadoDesde || creadoHasta) {
+    where.created_at = {
+      ...(creadoDesde ? { [Op.gte]: creadoDesde } : {}),
+      ...(creadoHasta ? { [Op.lte]: creadoHasta } : {})
+    };
+  }
+
+  // Modificados desde (sincronización incremental del front)
+  const modificadoDesde = modificado_desde ? parseFechaHora(modificado_desde) : null;
+  if (modificadoDesde) {
+    where.updated_at = { [Op.gte]: modificadoDesde };
+  }
+
+  // con_adjuntos=1 -> con al menos un adjunto / con_adjuntos=0 -> sin adjuntos
+  if (con_adjuntos !== undefined && con_adjuntos !== '') {
+    condiciones.push(
+      literal(
+        `${esVerdadero(con_adjuntos) ? '' : 'NOT '}EXISTS (SELECT 1 FROM ticket_adjuntos a WHERE a.ticket_id = ${TICKET_ID})`
+      )
+    );
+  }
+
+  // Filtros monetarios (rangos de montos / diferencia)
+  aplicarRango(where, 'monto_esperado', monto_esperado_desde, monto_esperado_hasta);
+  aplicarRango(where, 'monto_real', monto_real_desde, monto_real_hasta);
+  aplicarRango(where, 'diferencia', diferencia_desde, diferencia_hasta);
+
+  // con_diferencia=1 -> diferencia distinta de 0 / con_diferencia=0 -> cuadrados
+  if (con_diferencia !== undefined && con_diferencia !== '') {
+    where.diferencia = esVerdadero(con_diferencia)
+      ? { ...(where.diferencia || {}), [Op.ne]: 0 }
+      : 0;
+  }
+
+  if (medio_pago && MEDIOS_PAGO.includes(medio_pago)) {
+    where.medio_pago = medio_pago;
+  }
+
+  if (moneda && MONEDAS.includes(String(moneda).toUpperCase())) {
+    where.moneda = String(moneda).toUpperCase();
+  }
+
+  // fuera_horario=1 -> cargados fuera del horario de la sucursal / 0 -> en horario
+  if (fuera_horario !== undefined && fuera_horario !== '') {
+    where.fuera_horario = esVerdadero(fuera_horario);
+  }
+
+  // Búsqueda libre: código (LIKE) + FULLTEXT en ticket, comentarios y
+  // nombres de adjuntos. Sin términos indexables (palabras < 3 letras)
+  // se cae al LIKE sobre asunto / descripción.
+  if (q && String(q).trim() !== '') {
+    const texto = String(q).trim();
+    const like = { [Op.like]: `%${texto}%` };
+    const expr = expresionFulltext(texto);
+
+    where[Op.or] = [{ codigo: like }];
+    if (/^\d+$/.test(texto)) where[Op.or].push({ id: Number(texto) });
+
+    if (expr) {
+      const verInternos = rol !== 'operador_sucursal';
+      where[Op.or].push(
+        literal(matchTicket(expr)),
+        literal(
+          `${TICKET_ID} IN (SELECT c.ticket_id FROM ticket_comentarios c WHERE ${filtroComentarios(verInternos)} AND MATCH(c.mensaje) AGAINST (${expr} IN BOOLEAN MODE))`
+        ),
+        literal(
+          `${TICKET_ID} IN (SELECT a.ticket_id FROM ticket_adjuntos a WHERE MATCH(a.nombre_original) AGAINST (${expr} IN BOOLEAN MODE))`
+        )
+      );
+    } else {
+      where[Op.or].push({ asunto: like }, { descripcion: like });
+    }
+  }
+
+  // REGLAS DE VISIBILIDAD POR ROL
+  // operador_sucursal -> sus tickets o los de su sucursal (resolverVisibilidadTickets);
+  //   sin visibilidad resuelta se asume el alcance más restrictivo ("propios")
+  // supervisor/admin -> ven todos, con filtros opcionales por sucursal_id/estado/etc.
+  if (rol === 'operador_sucursal') {
+    condiciones.push(
+      whereVisibilidadTickets(visibilidad || alcancePropios(usuarioIdCtx))
+    );
+  }
+
+  if (condiciones.length) where[Op.and] = condiciones;
+
+  return where;
+};
+
+export default {
+  FILTROS_TICKETS,
+  buildTicketsWhere,
+  relevanciaBusquedaTickets
+};
@@ -0,0 +1,203 @@
+// Utils/usuarioReemplazosService.js
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Reemplazos de usuarios (`usuario_reemplazos`):
+ *  - Delegaciones vigentes hoy (estado activo y fecha dentro del rango)
+ *  - Delegaciones que asume un reemplazante (visibilidad y logs)
+ *  - Reemplazantes vigentes de una lista de usuarios (ruteo de notificaciones)
+ *  - Sucursales con las que opera un usuario (la propia + las heredadas)
+ *
+ * "Hoy" sale de la hora autoritativa del servidor (no del cliente).
+ *
+ * Tema: Utils - Usuarios / Reemplazos
+ * Capa: Backend
+ */
+
+import { Op } from 'sequelize';
+import { format } from 'date-fns';
+
+import { UsuarioReemplazosModel } from '../Models/Core/MD_TB_UsuarioReemplazos.js';
+import { UsuariosModel } from '../Models/Core/MD_TB_Usuarios.js';
+import { nowMs } from './authoritativeTime.js';
+
+// Roles que pueden delegar (el reemplazante debe tener el mismo rol)
+export const ROLES_DELEGABLES = ['operador_sucursal', 'supervisor'];
+
+export const fechaHoy = () => format(new Date(nowMs()), 'yyyy-MM-dd');
+
+/**
+ * Condición de "delegación vigente" en una fecha (YYYY-MM-DD, default hoy).
+ */
+export const whereReemplazoVigente = (fecha = fechaHoy()) => ({
+  estado: 'activo',
+  fecha_desde: { [Op.lte]: fecha },
+  fecha_hasta: { [Op.gte]: fecha }
+});
+
+/**
+ * Delegaciones vigentes que asume el usuario como reemplazante,
+ * con los datos del delegante necesarios para heredar su visibilidad.
+ */
+export const obtenerDelegacionesAsumidas = async (
+  reemplazanteId,
+  { transaction } = {}
+) => {
+  if (!reemplazanteId) return [];
+
+  return UsuarioReemplazosModel.findAll({
+    where: { reemplazante_id: reemplazanteId, ...whereReemplazoVigente() },
+    include: [
+      {
+        model: UsuariosModel,
+        as: 'usuario',
+        attributes: [
+          'id',
+          'nombre',
+          'rol',
+          'estado',
+          'sucursal_id',
+          'visibilidad_tickets'
+        ]
+      }
+    ],
+    order: [
+      ['fecha_desde', 'ASC'],
+      ['id', 'ASC']
+    ],
+    transaction
+  });
+};
+
+/**
+ * Sucursal propia del usuario y las heredadas de los delegantes (activos)
+ * a los que reemplaza hoy. Las heredadas no incluyen la propia.
+ * `reemplazoPorSucursal` da, para cada heredada, la delegación que la
+ * habilita (columnas de logs_actividad).
+ *
+ * @returns {Promise<{ propia: number|null, heredadas: number[],
+ *   reemplazoPorSucursal: Map<number, { en_reemplazo_de_id, reemplazo_id }> }>}
+ */
+export const obtenerSucursalesUsuario = async (
+  usuarioId,
+  { transaction } = {}
+) => {
+  if (!usuarioId) {
+    return { propia: null, heredadas: [], reemplazoPorSucursal: new Map() };
+  }
+
+  const [usuario, delegaciones] = await Promise.all([
+    UsuariosModel.findByPk(usuarioId, {
+      attributes: ['id', 'sucursal_id'],
+      transaction
+    }),
+    obtenerDelegacionesAsumidas(usuarioId, { transaction })
+  ]);
+
+  const propia = usuario?.sucursal_id || null;
+  const reemplazoPorSucursal = new Map();
+  for (const d of delegaciones) {
+    const sid = d.usuario?.estado === 'activo' ? d.usuario.sucursal_id : null;
+    if (!sid || sid === propia || reemplazoPorSucursal.has(sid)) continue;
+    reemplazoPorSucursal.set(sid, {
+      en_reemplazo_de_id: d.usuario_id,
+      reemplazo_id: d.id
+    });
+  }
+
+  return {
+    propia,
+    heredadas: [...reemplazoPorSucursal.keys()],
+    reemplazoPorSucursal
+  };
+};
+
+/**
+ * ¿El usuario está reemplazando hoy a alguien?
+ */
+export const esReemplazanteVigente = async (usuarioId) => {
+  if (!usuarioId) return false;
+  const total = await UsuarioReemplazosModel.count({
+    where: { reemplazante_id: usuarioId, ...whereReemplazoVigente() }
+  });
+  return total > 0;
+};
+
+/**
+ * Reemplazantes vigentes (y activos) de los usuarios indicados.
+ *
+ * @returns {Promise<Map<number, Array<{ reemplazo_id, reemplazante_id, delegante_nombre }>>>}
+ *          delegante_id -> reemplazantes
+ */
+export const obtenerReemplazantesVigentes = async (
+  usuariosIds,
+  { transaction } = {}
+) => {
+  const porDelegante = new Map();
+  const ids = [...new Set(usuariosIds.map(Number))].filter(Boolean);
+  if (!ids.length) return porDelegante;
+
+  const reemplazos = await UsuarioReemplazosModel.findAll({
+    where: { usuario_id: { [Op.in]: ids }, ...whereReemplazoVigente() },
+    include: [
+      {
+        model: UsuariosModel,
+        as: 'reemplazante',
+        attributes: ['id', 'estado'],
+        where: { estado: 'activo' },
+        required: true
+      },
+      {
+        model: UsuariosModel,
+        as: 'usuario',
+        attributes: ['id', 'nombre']
+      }
+    ],
+    transaction
+  });
+
+  for (const r of reemplazos) {
+    if (!porDelegante.has(r.usuario_id)) porDelegante.set(r.usuario_id, []);
+    porDelegante.get(r.usuario_id).push({
+      reemplazo_id: r.id,
+      reemplazante_id: r.reemplazante_id,
+      delegante_nombre: r.usuario?.nombre || null
+    });
+  }
+  return porDelegante;
+};
+
+/**
+ * ¿Hay otra delegación activa del mismo delegante que se pise con el rango?
+ */
+export const buscarReemplazoSolapado = ({
+  usuarioId,
+  fechaDesde,
+  fechaHasta,
+  excluirId = null,
+  transaction
+}) =>
+  UsuarioReemplazosModel.findOne({
+    where: {
+      usuario_id: usuarioId,
+      estado: 'activo',
+      fecha_desde: { [Op.lte]: fechaHasta },
+      fecha_hasta: { [Op.gte]: fechaDesde },
+      ...(excluirId ? { id: { [Op.ne]: excluirId } } : {})
+    },
+    transaction
+  });
+
+export default {
+  ROLES_DELEGABLES,
+  fechaHoy,
+  whereReemplazoVigente,
+  obtenerDelegacionesAsumidas,
+  obtenerSucursalesUsuario,
+  esReemplazanteVigente,
+  obtenerReemplazantesVigentes,
+  buscarReemplazoSolapado
+};
@@ -21,11 +21,14 @@ import { timeRouter } from './Routes/time.routes.js';
 import { timeGuard } from './Middlewares/timeGuard.js';
 import { initAuthoritativeTime } from './Utils/authoritativeTime.js';
 import { initModelRelations } from './Models/relations.js';
+import { initTicketTransiciones } from './Utils/ticketTransiciones.js';
 
 // ...
 await initAuthoritativeTime?.(); // si tu Node permite top-level await
 // Inicializar relaciones
 initModelRelations();
+// Cargar y validar la máquina de estados de tickets
+initTicketTransiciones();
 // o:
 // initAuthoritativeTime();
 
@@ -35,6 +38,15 @@ await initUploadDirs(); // crea carpetas de uploads si no existen
 import { verifyMailer } from './Utils/mailer.js';
 verifyMailer(); // solo loguea OK o FAIL al arrancar
 
+import { initSlaTicketsJob } from './Utils/slaTicketsService.js';
+initSlaTicketsJob(); // evaluación periódica de SLA (node-cron)
+
+import { initBorradoresJob } from './Utils/ticketBorradoresService.js';
+initBorradoresJob(); // recordatorio + vencimiento de borradores sin adjuntos
+
+import { initIdempotenciaPurgeJob } from './Utils/idempotenciaService.js';
+initIdempotenciaPurgeJob(); // limpieza diaria de Idempotency-Key vencidas
+
 // import { sendTicketCreatedMail } from './Utils/ticketMailService.js';
 
 // const ticket = {
@@ -94,8 +106,10 @@ const corsOptions = {
     'Idempotency-Key',
     'idempotency-key',
     'x-client-reported-time',
-    'x-time-guard-reason'
+    'x-time-guard-reason',
+    'If-Match' // concurrencia optimista de tickets
   ],
+  exposedHeaders: ['ETag', 'Idempotent-Replayed'], // versión del ticket / respuesta repetida
   optionsSuccessStatus: 204
 };
 
@@ -0,0 +1,182 @@
+/*
+ * Programador: Benjamin Orellana
+ * Fecha Creación: 19 / 10 / 2026
+ * Versión: 1.0
+ *
+ * Descripción:
+ * Tabla declarativa de la máquina de estados de tickets.
+ * Cada transición indica estado origen, estado destino, roles habilitados
+ * y si el comentario es obligatorio. Se carga y valida al arrancar la app
+ * (ver Utils/ticketTransiciones.js).
+ *
+ * Transiciones con `motivoRechazoObligatorio: true` exigen un motivo del
+ * catálogo `ticket_motivos_rechazo` (y comentario si el motivo lo pide).
+ *
+ * Transiciones con `automatica: true` las aplica el propio sistema
+ * (ej: subida de adjuntos) y no se ofrecen en POST /tickets/:id/cambiar-estado.
+ *
+ * Tema: Configuración - Tickets
+ * Capa: Backend
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+export const ESTADOS_TICKET = [
+  'abierto',
+  'pendiente',
+  'pre_autorizado',
+  'autorizado',
+  'rechazado',
+  'cerrado',
+  'pendiente_adjuntos',
+  'cancelado'
+];
+
+export const ROLES_TICKET = ['operador_sucursal', 'supervisor', 'admin'];
+
+export const TRANSICIONES_TICKET = [
+  // Borrador -> pendiente (al subir adjuntos, lo hace CR_TicketAdjunto_CTS)
+  {
+    desde: 'pendiente_adjuntos',
+    hasta: 'pendiente',
+    roles: ['operador_sucursal', 'supervisor', 'admin'],
+    comentarioObligatorio: false,
+    automatica: true,
+    accion: 'Confirmar con adjuntos'
+  },
+  {
+    desde: 'pendiente_adjuntos',
+    hasta: 'cerrado',
+    roles: ['admin'],
+    comentarioObligatorio: true,
+    accion: 'Descartar borrador'
+  },
+  // Borrador vencido sin adjuntos (lo aplica el job de Utils/ticketBorradoresService.js)
+  {
+    desde: 'pendiente_adjuntos',
+    hasta: 'cancelado',
+    roles: ['admin'],
+    comentarioObligatorio: false,
+    automatica: true,
+    accion: 'Expirar borrador'
+  },
+
+  // Abierto
+  {
+    desde: 'abierto',
+    hasta: 'pendiente',
+    roles: ['supervisor', 'admin'],
+    comentarioObligatorio: false,
+    accion: 'Pasar a pendiente'
+  },
+  {
+    desde: 'abierto',
+    hasta: 'rechazado',
+    roles: ['supervisor', 'admin'],
+    // El comentario lo exige el motivo elegido (requiere_detalle)
+    comentarioObligatorio: false,
+    motivoRechazoObligatorio: true,
+    accion: 'Rechazar'
+  },
+
+  // Pendiente (revisión del supervisor)
+  {
+    desde: 'pendiente',
+    hasta: 'autorizado',
+    roles: ['supervisor', 'admin'],
+    comentarioObligatorio: false,
+    accion: 'Autorizar'
+  },
+  // Doble control: si el ticket cumple una regla de `ticket_reglas_doble_control`,
+  // el pedido pendiente -> autorizado lo deja en "pre_autorizado"
+  // (lo resuelve Utils/ticketCambioEstadoService.js)
+  {
+    desde: 'pendiente',
+    hasta: 'pre_autorizado',
+    roles: ['supervisor', 'admin'],
+    comentarioObligatorio: false,
+    automatica: true,
+    accion: 'Pre-autorizar (doble control)'
+  },
+  {
+    desde: 'pendiente',
+    hasta: 'rechazado',
+    roles: ['supervisor', 'admin'],
+    // El comentario lo exige el motivo elegido (requiere_detalle)
+    comentarioObligatorio: false,
+    motivoRechazoObligatorio: true,
+    accion: 'Rechazar'
+  },
+  {
+    desde: 'pendiente',
+    hasta: 'abierto',
+    roles: ['supervisor', 'admin'],
+    comentarioObligatorio: true,
+    accion: 'Devolver al operador'
+  },
+
+  // Pre-autorizado (espera la confirmación de otro supervisor o un admin)
+  {
+    desde: 'pre_autorizado',
+    hasta: 'autorizado',
+    roles: ['supervisor', 'admin'],
+    comentarioObligatorio: false,
+    accion: 'Confirmar autorización'
+  },
+  {
+    desde: 'pre_autorizado',
+    hasta: 'rechazado',
+    roles: ['supervisor', 'admin'],
+    comentarioObligatorio: false,
+    motivoRechazoObligatorio: true,
+    accion: 'Rechazar'
+  },
+  {
+    desde: 'pre_autorizado',
+    hasta: 'pendiente',
+    roles: ['supervisor', 'admin'],
+    comentarioObligatorio: true,
+    accion: 'Devolver a revisión'
+  },
+
+  // Autorizado / Rechazado -> cierre
+  {
+    desde: 'autorizado',
+    hasta: 'cerrado',
+    roles: ['supervisor', 'admin'],
+    comentarioObligatorio: false,
+    accion: 'Cerrar'
+  },
+  {
+    desde: 'rechazado',
+    hasta: 'cerrado',
+    roles: ['supervisor', 'admin'],
+    comentarioObligatorio: false,
+    accion: 'Cerrar'
+  },
+  {
+    desde: 'rechazado',
+    hasta: 'pendiente',
+    roles: ['admin'],
+    comentarioObligatorio: true,
+    accion: 'Reconsiderar'
+  }
+];
+
+// Reapertura de tickets cerrados (flujo de excepción aprobado por un admin).
+// El admin puede elegir el estado destino dentro de `estadosDestino`;
+// si no lo indica, se usa `estadoDestinoDefault` (env TICKET_REAPERTURA_ESTADO).
+export const REAPERTURA_TICKET = {
+  estadosDestino: ['abierto', 'pendiente'],
+  estadoDestinoDefault: (
+    process.env.TICKET_REAPERTURA_ESTADO || 'pendiente'
+  ).toLowerCase()
+};
+
+export default {
+  ESTADOS_TICKET,
+  ROLES_TICKET,
+  TRANSICIONES_TICKET,
+  REAPERTURA_TICKET
+};